@@ -1,86 +1,73 @@
-require('openai/shims/node');
-const OpenAI = require('openai');
 const sqlite3 = require('sqlite3').verbose();
 const fetch = require('node-fetch');
 const EmulationManager = require('./Emulation/emulation_manager');
+const container = require('./src/container/DIContainer');
+const LLMProviderFactory = require('./src/factories/LLMProviderFactory');
+const ResilientProvider = require('./src/modules/llm/ResilientProvider');
+const PromptService = require('./src/services/promptService');
+const ZakonOnlineService = require('./src/services/zakonOnlineService');
+const RequestClassifier = require('./src/modules/classifier/RequestClassifier');
+const { findCaseNumbers } = require('./src/utils/caseNumber');
+
+// LLM client used when the DI container has not been initialized
+let fallbackLLMClient = null;
+let fallbackPromptService = null;
+let fallbackZakonOnlineService = null;
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY,
-    dangerouslyAllowBrowser: process.env.NODE_ENV === 'test'
-});
+/**
+ * Get the LLM client registered in the DI container, or one built from config.openai
+ * @returns {Object} - LLM provider (OpenAI, local or mock)
+ */
+function getLLMClient() {
+    if (container.has('llmClient')) {
+        return container.get('llmClient');
+    }
+
+    if (!fallbackLLMClient) {
+        fallbackLLMClient = new ResilientProvider(LLMProviderFactory.create());
+    }
+
+    return fallbackLLMClient;
+}
+
+/**
+ * Get the prompt templates registered in the DI container, or the built-in ones
+ * @returns {Object} - Prompt service
+ */
+function getPromptService() {
+    if (container.has('promptService')) {
+        return container.get('promptService');
+    }
+
+    if (!fallbackPromptService) {
+        fallbackPromptService = new PromptService();
+    }
+
+    return fallbackPromptService;
+}
+
+/**
+ * Get the Zakon Online service registered in the DI container (it stores searches in the database),
+ * or one without search storage
+ * @returns {Object} - Zakon Online service
+ */
+function getZakonOnlineService() {
+    if (container.has('zakonOnlineService')) {
+        return container.get('zakonOnlineService');
+    }
+
+    if (!fallbackZakonOnlineService) {
+        fallbackZakonOnlineService = new ZakonOnlineService();
+    }
+
+    return fallbackZakonOnlineService;
+}
 
 // Initialize SQLite database
 const db = new sqlite3.Database('./terminal_data.db');
 
-// Legal request detection keywords and patterns
-const LEGAL_KEYWORDS = {
-    uk: [
-        'закон', 'право', 'юридичний', 'адвокат', 'суд', 'позов', 'договір', 'угода',
-        'законодавство', 'нормативний', 'правовий', 'юрист', 'консультація',
-        'відповідальність', 'порушення', 'штраф', 'ліцензія', 'патент', 'авторське право',
-        'спадщина', 'розлучення', 'аліменти', 'нерухомість', 'реєстрація', 'громадянство',
-        'оформити', 'отримати', 'подати', 'заяву', 'документи', 'нотаріус',
-        'свідоцтво', 'власність', 'майно', 'борг', 'кредит', 'страховка',
-        'житло', 'мешканець', 'приватизація', 'реєстрація місця проживання',
-        'судова практика', 'судебна практика', 'юридична практика',
-        'тцк', 'центр', 'территориальний', 'комплектування', 'армія', 'військовий',
-        'справа', 'дело', 'номер', 'список', 'найди', 'знайди', 'виведи',
-        'власник житла', 'колишній мешканець', 'ситуація', 'не проживає',
-        'участі не брав', 'повторно зареєструвати', 'місце проживання',
-        'надати судову практику', 'прошу надати', 'юридична ситуація',
-        'жилье', 'жилищный', 'жилищное', 'жилищная', 'жилищные',
-        'выселение', 'выселить', 'выселяют', 'выселили',
-        'освобождение', 'освободить', 'освобождают', 'освободили',
-        'регистрация', 'прописка', 'прописать', 'прописывают',
-        'собственник', 'собственность', 'собственник жилья',
-        'бывший жилец', 'бывший житель', 'бывший квартирант',
-        'не проживает', 'не живет', 'не обитает',
-        'приватизация', 'приватизировать', 'приватизировали',
-        'участие не принимал', 'участия не принимал',
-        'хочет зарегистрироваться', 'хочет прописаться',
-        'повторная регистрация', 'повторно зарегистрироваться'
-    ],
-    ru: [
-        'закон', 'право', 'юридический', 'адвокат', 'суд', 'иск', 'договор', 'соглашение',
-        'законодательство', 'нормативный', 'правовой', 'юрист', 'консультация',
-        'ответственность', 'нарушение', 'штраф', 'лицензия', 'патент', 'авторское право',
-        'наследство', 'развод', 'алименты', 'недвижимость', 'регистрация', 'гражданство',
-        'оформить', 'получить', 'подать', 'заявление', 'документы', 'нотариус',
-        'свидетельство', 'собственность', 'имущество', 'долг', 'кредит', 'страховка',
-        'тцк', 'центр', 'территориальный', 'комплектование', 'армия', 'военный',
-        'дело', 'номер', 'список', 'найди', 'найти', 'выведи'
-    ],
-    en: [
-        'law', 'legal', 'attorney', 'lawyer', 'court', 'case', 'contract', 'agreement',
-        'legislation', 'regulation', 'legal advice', 'consultation', 'liability',
-        'violation', 'fine', 'license', 'patent', 'copyright', 'inheritance',
-        'divorce', 'alimony', 'real estate', 'registration', 'citizenship',
-        'file', 'apply', 'document', 'notary', 'certificate', 'property',
-        'debt', 'credit', 'insurance'
-    ]
-};
-
-// Legal request detection patterns
-const LEGAL_PATTERNS = {
-    uk: [
-        /(?:питання|консультація|допомога).*(?:щодо|про|стосовно).*(?:закон|право|юридичний)/i,
-        /(?:як|що|де).*(?:закон|право|юридичний)/i,
-        /(?:потрібна|потрібна).*(?:юридична|правова).*(?:консультація|допомога)/i,
-        /(?:адвокат|юрист).*(?:ситуація|випадок)/i,
-        /(?:прошу|запитую).*(?:надати|надати).*(?:судову практику|юридичну практику)/i
-    ],
-    ru: [
-        /(?:вопрос|консультация|помощь).*(?:по|о|насчет).*(?:закон|право|юридический)/i,
-        /(?:как|что|где).*(?:закон|право|юридический)/i,
-        /(?:требуется|нужна).*(?:юридическая|правовая).*(?:консультация|помощь)/i
-    ],
-    en: [
-        /(?:question|consultation|help).*(?:regarding|about|concerning).*(?:law|legal)/i,
-        /(?:how|what|where).*(?:law|legal)/i,
-        /(?:need|require).*(?:legal|legal).*(?:advice|consultation|help)/i
-    ]
-};
+// Local request classifier (keywords, patterns and naive Bayes; no LLM calls)
+const requestClassifier = new RequestClassifier();
 
 /**
  * Intelligent extraction of search queries from Ukrainian legal text
@@ -221,35 +208,23 @@ function extractSearchQueries(text) {
 }
 
 /**
- * Detect if a request is about court case numbers using AI
+ * Detect if a request is about court case numbers; requests that contain a case or proceeding
+ * number are recognised without AI
  * @param {string} query - The user query
  * @returns {Promise<boolean>} - Whether the query is about court case numbers
  */
 async function detectCourtCaseNumbersRequest(query) {
+    if (findCaseNumbers(query).length > 0) {
+        return true;
+    }
+
     try {
-        const completion = await openai.chat.completions.create({
-            model: "gpt-3.5-turbo",
+        const prompt = await getPromptService().render('legal.detect_case_numbers');
+        const completion = await getLLMClient().createChatCompletion({
             messages: [
                 {
                     role: "system",
-                    content: `You are a Ukrainian legal assistant. Your task is to determine if a user query is asking for court case numbers or legal case references.
-
-Analyze the query and respond with ONLY "YES" if the user is asking for:
-- Court case numbers
-- Legal case references
-- Case numbers
-- Court decisions
-- Legal precedents
-- Case law references
-
-Respond with ONLY "NO" if the user is asking for:
-- General legal advice
-- Legal procedures
-- Legal documents
-- Legal consultations
-- General legal information
-
-Focus on Ukrainian and Russian legal terminology.`
+                    content: prompt.content
                 },
                 {
                     role: "user",
@@ -258,7 +233,7 @@ Focus on Ukrainian and Russian legal terminology.`
             ],
             max_tokens: 10,
             temperature: 0.1
-        });
+        }, { prompt: prompt.ref });
 
         const response = completion.choices[0].message.content.trim().toUpperCase();
         return response === 'YES';
@@ -272,54 +247,18 @@ Focus on Ukrainian and Russian legal terminology.`
 /**
  * Detect if a request is legal-related
  * @param {string} query - The user query
- * @returns {Object} - Detection result with confidence and language
+ * @returns {Object} - Detection result with confidence and language, plus the request type
+ *   (label) and the matched features of the local classifier
  */
 function detectLegalRequest(query) {
-    const lowerQuery = query.toLowerCase();
-    let maxConfidence = 0;
-    let detectedLanguage = null;
-    
-    // Check for legal keywords
-    for (const [lang, keywords] of Object.entries(LEGAL_KEYWORDS)) {
-        let keywordMatches = 0;
-        for (const keyword of keywords) {
-            if (lowerQuery.includes(keyword.toLowerCase())) {
-                keywordMatches++;
-            }
-        }
-        
-        const keywordConfidence = keywordMatches / keywords.length;
-        
-        // Check for legal patterns
-        let patternMatches = 0;
-        const patterns = LEGAL_PATTERNS[lang] || [];
-        for (const pattern of patterns) {
-            if (pattern.test(query)) {
-                patternMatches++;
-            }
-        }
-        
-        const patternConfidence = patterns.length > 0 ? patternMatches / patterns.length : 0;
-        
-        // Combined confidence
-        const confidence = (keywordConfidence * 0.7) + (patternConfidence * 0.3);
-        
-        if (confidence > maxConfidence) {
-            maxConfidence = confidence;
-            detectedLanguage = lang;
-        }
-    }
-    
-    // Lower threshold for better detection
-    const isLegal = maxConfidence > 0.1 || 
-                   (lowerQuery.includes('наследство') || lowerQuery.includes('inheritance')) ||
-                   (lowerQuery.includes('оформить') && (lowerQuery.includes('документ') || lowerQuery.includes('заявление'))) ||
-                   (lowerQuery.includes('file') && (lowerQuery.includes('document') || lowerQuery.includes('application')));
-    
+    const { label, confidence, language, features } = requestClassifier.classifyLocally(query);
+
     return {
-        isLegal: isLegal,
-        confidence: maxConfidence,
-        language: detectedLanguage
+        isLegal: RequestClassifier.isLegalLabel(label),
+        confidence,
+        language,
+        label,
+        features
     };
 }
 
@@ -379,10 +318,7 @@ async function searchLegalDatabase(query, language = 'ru') {
             // Use Zakon Online API for Ukrainian legal queries
             if (language === 'uk' || language === 'ru') {
                 try {
-                    // Инициализируем сервис "Закон Онлайн"
-                    const ZakonOnlineService = require('./src/services/zakonOnlineService');
-                    const zakonService = new ZakonOnlineService();
-                    await zakonService.initialize();
+                    const zakonService = getZakonOnlineService();
                     
                     // Выполняем поиск с сохранением в базу данных
                     const searchResults = await zakonService.performFullSearch(query, {
@@ -402,8 +338,7 @@ async function searchLegalDatabase(query, language = 'ru') {
         }
 
         // Fallback to OpenAI for legal database simulation
-        const completion = await openai.chat.completions.create({
-            model: "gpt-3.5-turbo",
+        const completion = await getLLMClient().createChatCompletion({
             messages: [
                 {
                     role: "system",
@@ -612,20 +547,12 @@ async function processTCCRequest(command) {
             lowerCommand.includes('список') || lowerCommand.includes('дело') || 
             lowerCommand.includes('номер')) {
             
-            const completion = await openai.chat.completions.create({
-                model: "gpt-3.5-turbo",
+            const prompt = await getPromptService().render('legal.tcc');
+            const completion = await getLLMClient().createChatCompletion({
                 messages: [
                     {
                         role: "system",
-                        content: `You are a military legal database assistant specializing in Territorial Recruitment Centers (ТЦК - Территориальные центры комплектования).
-The user is asking about military cases related to TCC. Provide a comprehensive response about TCC-related legal cases and procedures.
-Respond in Russian or Ukrainian based on the user's language.
-Include information about:
-- TCC functions and responsibilities
-- Common legal cases involving TCC
-- Military service procedures
-- Legal rights and obligations
-Keep the response informative and professional.`
+                        content: prompt.content
                     },
                     {
                         role: "user",
@@ -634,7 +561,7 @@ Keep the response informative and professional.`
                 ],
                 max_tokens: 1000,
                 temperature: 0.3
-            });
+            }, { prompt: prompt.ref });
 
             const response = completion.choices[0].message.content;
 
@@ -815,11 +742,7 @@ async function showZakonOnlineStats() {
  */
 async function showZakonOnlineHistory(limit = 10) {
     try {
-        const ZakonOnlineService = require('./src/services/zakonOnlineService');
-        const zakonService = new ZakonOnlineService();
-        await zakonService.initialize();
-        
-        const history = await zakonService.getSearchHistory(limit);
+        const history = await getZakonOnlineService().getSearchHistory(limit);
         
         let output = `📋 ІСТОРІЯ ПОШУКІВ "ЗАКОН ОНЛАЙН"\n`;
         output += `==========================================\n\n`;
@@ -827,9 +750,9 @@ async function showZakonOnlineHistory(limit = 10) {
         if (history && history.length > 0) {
             history.forEach((search, index) => {
                 output += `${index + 1}. "${search.query}"\n`;
-                output += `   📊 Знайдено: ${search.total_count} справ\n`;
-                output += `   📄 Показано: ${search.cases_found} справ\n`;
-                output += `   📅 Дата: ${search.created_at}\n\n`;
+                output += `   📊 Знайдено: ${search.totalCount} справ\n`;
+                output += `   📄 Показано: ${search.resultsCount} справ\n`;
+                output += `   📅 Дата: ${search.createdAt}\n\n`;
             });
         } else {
             output += `📭 Історія пошуків порожня.\n`;
@@ -0,0 +1,24 @@
+const Validators = require('../utils/validators');
+const config = require('../config/app');
+
+/**
+ * netstat - local network connections and statistics
+ */
+module.exports = {
+    name: 'netstat',
+    description: 'Network statistics',
+    usage: 'netstat [options]',
+    binary: 'netstat',
+    args: ['-an'],
+    params: {
+        args: Validators.argsSchema.default([])
+    },
+    positional: ['args'],
+    maxArgs: 3,
+    timeout: config.security.commandTimeout,
+    // Connections change quickly, so netstat is only cached briefly
+    cacheTtl: 60,
+    formatter: 'formatOutput',
+    admin: true,
+    examples: ['-r', '-i', '-s', '-t']
+};
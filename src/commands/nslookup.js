@@ -0,0 +1,24 @@
+const Validators = require('../utils/validators');
+const config = require('../config/app');
+
+/**
+ * nslookup - DNS lookup through the system resolver
+ */
+module.exports = {
+    name: 'nslookup',
+    description: 'DNS lookup',
+    usage: 'nslookup <hostname>',
+    binary: 'nslookup',
+    params: {
+        hostname: Validators.hostnameSchema.required()
+    },
+    positional: ['hostname'],
+    target: 'hostname',
+    validate: 'hostname',
+    timeout: config.commands.nslookup.timeout,
+    cacheTtl: config.cache.ttl * 6,
+    parser: 'parseNslookup',
+    formatter: 'formatOutput',
+    admin: true,
+    examples: ['localhost', 'google.com', 'github.com', 'stackoverflow.com']
+};
@@ -0,0 +1,36 @@
+const Joi = require('joi');
+const Validators = require('../utils/validators');
+const config = require('../config/app');
+
+const count = config.commands.ping.count.toString();
+
+/**
+ * ping - ICMP echo to a hostname or IP address
+ */
+module.exports = {
+    name: 'ping',
+    description: 'Test connectivity',
+    usage: 'ping [-4|-6] <hostname>',
+    binary: 'ping',
+    args: ['-c', count],
+    variants: {
+        4: { args: ['-4', '-c', count] },
+        6: { args: ['-6', '-c', count] }
+    },
+    params: {
+        hostname: Validators.hostnameSchema.required(),
+        family: Joi.number().valid(4, 6)
+    },
+    positional: ['hostname'],
+    flags: { '-4': { family: 4 }, '-6': { family: 6 } },
+    target: 'hostname',
+    validate: 'hostname',
+    networkPolicy: true,
+    timeout: config.commands.ping.timeout,
+    cacheTtl: config.cache.ttl,
+    parser: 'parsePing',
+    formatter: 'formatPingOutput',
+    streamable: true,
+    admin: true,
+    examples: ['localhost', 'google.com', '8.8.8.8', 'github.com']
+};
@@ -0,0 +1,37 @@
+const Joi = require('joi');
+const Validators = require('../utils/validators');
+const config = require('../config/app');
+
+const maxHops = config.commands.traceroute.maxHops.toString();
+
+/**
+ * traceroute - network path to a hostname or IP address
+ */
+module.exports = {
+    name: 'traceroute',
+    description: 'Trace network path',
+    usage: 'traceroute [-4|-6] <hostname>',
+    binary: 'traceroute',
+    args: ['-m', maxHops],
+    variants: {
+        4: { args: ['-4', '-m', maxHops] },
+        6: { binary: 'traceroute6', args: ['-m', maxHops] }
+    },
+    params: {
+        hostname: Validators.hostnameSchema.required(),
+        family: Joi.number().valid(4, 6)
+    },
+    positional: ['hostname'],
+    flags: { '-4': { family: 4 }, '-6': { family: 6 } },
+    target: 'hostname',
+    validate: 'hostname',
+    networkPolicy: true,
+    timeout: config.commands.traceroute.timeout,
+    // Routes change rarely, so traceroute is cached longer
+    cacheTtl: config.cache.ttl * 2,
+    parser: 'parseTraceroute',
+    formatter: 'formatOutput',
+    streamable: true,
+    admin: true,
+    examples: ['localhost', 'google.com', '8.8.8.8', 'github.com']
+};
@@ -0,0 +1,24 @@
+const Validators = require('../utils/validators');
+const config = require('../config/app');
+
+/**
+ * whois - domain registration data
+ */
+module.exports = {
+    name: 'whois',
+    description: 'Domain information',
+    usage: 'whois <domain>',
+    binary: 'whois',
+    params: {
+        domain: Validators.domainSchema.required()
+    },
+    positional: ['domain'],
+    target: 'domain',
+    validate: 'domain',
+    timeout: config.commands.whois.timeout,
+    cacheTtl: config.cache.ttl * 12,
+    parser: 'parseWhois',
+    formatter: 'formatOutput',
+    admin: true,
+    examples: ['google.com', 'github.com', 'stackoverflow.com', 'example.com']
+};
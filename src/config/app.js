@@ -1,5 +1,47 @@
 require('dotenv').config();
 
+// Loopback, private, link-local, CGNAT, documentation, multicast and reserved ranges
+const DEFAULT_DENIED_NETWORKS = [
+    '0.0.0.0/8', '10.0.0.0/8', '100.64.0.0/10', '127.0.0.0/8', '169.254.0.0/16', '172.16.0.0/12',
+    '192.0.0.0/24', '192.0.2.0/24', '192.168.0.0/16', '198.18.0.0/15', '198.51.100.0/24', '203.0.113.0/24',
+    '224.0.0.0/4', '240.0.0.0/4',
+    '::/128', '::1/128', '64:ff9b::/96', '100::/64', '2001:db8::/32', 'fc00::/7', 'fe80::/10', 'ff00::/8'
+];
+
+// USD per 1K tokens; LLM_PRICES (JSON, same shape) adds or overrides models
+const DEFAULT_LLM_PRICES = {
+    'gpt-3.5-turbo': { prompt: 0.0005, completion: 0.0015 },
+    'gpt-4o-mini': { prompt: 0.00015, completion: 0.0006 },
+    'gpt-4o': { prompt: 0.0025, completion: 0.01 },
+    'gpt-4-turbo': { prompt: 0.01, completion: 0.03 },
+    'gpt-4': { prompt: 0.03, completion: 0.06 }
+};
+
+/**
+ * Parses a JSON environment variable
+ * @param {string} name - Variable name
+ * @returns {Object|null} - Parsed value, null when unset or invalid
+ */
+const parseJsonEnv = (name) => {
+    try {
+        return process.env[name] ? JSON.parse(process.env[name]) : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Parses a count environment variable such as a number of retries
+ * @param {string} name - Variable name
+ * @param {number} defaultValue - Value when unset, negative or not a number
+ * @returns {number} - Parsed value (0 is kept)
+ */
+const parseCountEnv = (name, defaultValue) => {
+    const value = parseInt(process.env[name], 10);
+
+    return Number.isNaN(value) || value < 0 ? defaultValue : value;
+};
+
 /**
  * Application configuration with validation
  */
@@ -12,7 +54,8 @@ class AppConfig {
      * Validates required environment variables
      */
     validateRequiredEnvVars() {
-        const required = ['OPENAI_API_KEY'];
+        // Only the hosted OpenAI provider needs a key; local and mock backends run without one
+        const required = (process.env.LLM_PROVIDER || 'openai') === 'openai' ? ['OPENAI_API_KEY'] : [];
         const missing = required.filter(key => !process.env[key]);
         
         if (missing.length > 0) {
@@ -38,11 +81,29 @@ class AppConfig {
 
     get openai() {
         return {
+            // LLM backend: openai (or any OpenAI-compatible server via OPENAI_BASE_URL), local or mock
+            provider: process.env.LLM_PROVIDER || 'openai',
             apiKey: process.env.OPENAI_API_KEY,
+            baseUrl: process.env.OPENAI_BASE_URL || null,
             model: process.env.OPENAI_MODEL || 'gpt-3.5-turbo',
             maxTokens: parseInt(process.env.OPENAI_MAX_TOKENS) || 1000,
             temperature: parseFloat(process.env.OPENAI_TEMPERATURE) || 0.7,
-            timeout: parseInt(process.env.OPENAI_TIMEOUT) || 30000
+            timeout: parseInt(process.env.OPENAI_TIMEOUT) || 30000, // per attempt
+            // Cheaper model tried once the main one keeps failing
+            fallbackModel: process.env.OPENAI_FALLBACK_MODEL || null,
+            retries: parseCountEnv('LLM_MAX_RETRIES', 2),
+            retryDelay: parseInt(process.env.LLM_RETRY_DELAY) || 500, // first backoff step, doubled per retry
+            retryMaxDelay: parseInt(process.env.LLM_RETRY_MAX_DELAY) || 8000,
+            // Consecutive failures that open the circuit of a model, and how long it stays open
+            breakerThreshold: parseInt(process.env.LLM_BREAKER_THRESHOLD) || 5,
+            breakerResetTimeout: parseInt(process.env.LLM_BREAKER_RESET_TIMEOUT) || 30000,
+            // Answer unknown commands with a "mainframe busy" notice when no model responds
+            cannedAnswer: process.env.LLM_CANNED_ANSWER !== 'false',
+            // Ollama-style local HTTP server
+            localUrl: process.env.LLM_LOCAL_URL || 'http://127.0.0.1:11434',
+            localModel: process.env.LLM_LOCAL_MODEL || 'llama3',
+            // JSON fixture file with canned responses for the mock provider
+            fixtures: process.env.LLM_FIXTURES || null
         };
     }
 
@@ -54,6 +115,7 @@ class AppConfig {
             aiRateLimitWindow: parseInt(process.env.AI_RATE_LIMIT_WINDOW) || 60000, // 1 minute
             aiRateLimitMax: parseInt(process.env.AI_RATE_LIMIT_MAX) || 10,
             commandTimeout: parseInt(process.env.COMMAND_TIMEOUT) || 10000,
+            streamTimeout: parseInt(process.env.STREAM_TIMEOUT) || 120000, // 2 minutes
             maxBufferSize: parseInt(process.env.MAX_BUFFER_SIZE) || 1024 * 1024, // 1MB
             maxRequestSize: parseInt(process.env.MAX_REQUEST_SIZE) || 1024 * 1024, // 1MB
             enableCors: process.env.ENABLE_CORS !== 'false',
@@ -94,8 +156,14 @@ class AppConfig {
         return {
             token: process.env.ZAKON_TOKEN,
             baseUrl: process.env.ZAKON_BASE_URL || 'https://court.searcher.api.zakononline.com.ua/api',
-            timeout: parseInt(process.env.ZAKON_TIMEOUT) || 10000,
-            maxRetries: parseInt(process.env.ZAKON_MAX_RETRIES) || 3
+            timeout: parseInt(process.env.ZAKON_TIMEOUT) || 10000, // per attempt
+            maxRetries: parseCountEnv('ZAKON_MAX_RETRIES', 3),
+            retryDelay: parseInt(process.env.ZAKON_RETRY_DELAY) || 500, // first backoff step, doubled per retry
+            retryMaxDelay: parseInt(process.env.ZAKON_RETRY_MAX_DELAY) || 8000,
+            // Port of the bundled stand-in API (npm run zakon:mock)
+            mockPort: parseInt(process.env.ZAKON_MOCK_PORT) || 4010,
+            // TrueType font embedded into PDF exports; without one Cyrillic text is transliterated
+            exportFont: process.env.ZAKON_EXPORT_FONT
         };
     }
 
@@ -112,12 +180,52 @@ class AppConfig {
             nslookup: {
                 timeout: parseInt(process.env.NSLOOKUP_TIMEOUT) || 10000
             },
+            dns: {
+                timeout: parseInt(process.env.DNS_TIMEOUT) || 5000,
+                tries: parseInt(process.env.DNS_TRIES) || 2
+            },
             whois: {
                 timeout: parseInt(process.env.WHOIS_TIMEOUT) || 10000
+            },
+            docker: {
+                timeout: parseInt(process.env.DOCKER_TIMEOUT) || 30000
+            },
+            tcping: {
+                timeout: parseInt(process.env.TCPING_TIMEOUT) || 2000,
+                maxTimeout: parseInt(process.env.TCPING_MAX_TIMEOUT) || 10000,
+                maxPorts: parseInt(process.env.TCPING_MAX_PORTS) || 32,
+                concurrency: parseInt(process.env.TCPING_CONCURRENCY) || 8
+            },
+            httpProbe: {
+                timeout: parseInt(process.env.HTTP_PROBE_TIMEOUT) || 10000,
+                maxRedirects: parseInt(process.env.HTTP_PROBE_MAX_REDIRECTS) || 5,
+                maxBodyBytes: parseInt(process.env.HTTP_PROBE_MAX_BODY_BYTES) || 1024 * 1024,
+                userAgent: process.env.HTTP_PROBE_USER_AGENT || 'UNIX32V-http-probe/1.0'
             }
         };
     }
 
+    get monitors() {
+        return {
+            defaultInterval: parseInt(process.env.MONITOR_DEFAULT_INTERVAL) || 60, // seconds
+            minInterval: parseInt(process.env.MONITOR_MIN_INTERVAL) || 30,
+            maxInterval: parseInt(process.env.MONITOR_MAX_INTERVAL) || 86400,
+            maxMonitors: parseInt(process.env.MONITOR_MAX_COUNT) || 50,
+            maxPerClient: parseInt(process.env.MONITOR_MAX_PER_CLIENT) || 5,
+            checkTimeout: parseInt(process.env.MONITOR_CHECK_TIMEOUT) || 5000,
+            retentionDays: parseInt(process.env.MONITOR_RETENTION_DAYS) || 7
+        };
+    }
+
+    get networkPolicy() {
+        return {
+            enabled: process.env.NETWORK_POLICY_ENABLED !== 'false',
+            // Allowed networks take precedence over denied ones
+            allow: process.env.NETWORK_ALLOW_CIDRS?.split(',').filter(Boolean) || [],
+            deny: process.env.NETWORK_DENY_CIDRS?.split(',').filter(Boolean) || DEFAULT_DENIED_NETWORKS
+        };
+    }
+
     get ai() {
         return {
             motd: {
@@ -135,6 +243,51 @@ class AppConfig {
                 maxTokens: parseInt(process.env.UNKNOWN_CMD_MAX_TOKENS) || 500,
                 temperature: parseFloat(process.env.UNKNOWN_CMD_TEMPERATURE) || 0.7,
                 cacheTTL: parseInt(process.env.UNKNOWN_CMD_CACHE_TTL) || 600
+            },
+            // Model prices used to compute the cost of every completion
+            pricing: { ...DEFAULT_LLM_PRICES, ...parseJsonEnv('LLM_PRICES') },
+            // Daily spending limits in USD (UTC days); 0 disables a limit
+            budget: {
+                userDailyCost: parseFloat(process.env.AI_BUDGET_USER_DAILY) || 0,
+                dailyCost: parseFloat(process.env.AI_BUDGET_DAILY) || 0
+            },
+            conversation: {
+                // Recent exchanges (question + answer) sent verbatim; older ones are summarised
+                maxTurns: parseInt(process.env.CONVERSATION_MAX_TURNS) || 6,
+                // Approximate token budget of the verbatim history
+                maxTokens: parseInt(process.env.CONVERSATION_MAX_TOKENS) || 1500,
+                summaryMaxTokens: parseInt(process.env.CONVERSATION_SUMMARY_MAX_TOKENS) || 200,
+                // Threads without a new message for this many days are deleted
+                retentionDays: parseInt(process.env.CONVERSATION_RETENTION_DAYS) || 30
+            },
+            agent: {
+                // Model turns that may request tools before the agent must answer
+                maxIterations: parseInt(process.env.AGENT_MAX_ITERATIONS) || 4,
+                // Characters of each tool result passed back to the model
+                maxToolOutput: parseInt(process.env.AGENT_MAX_TOOL_OUTPUT) || 2000,
+                maxTokens: parseInt(process.env.AGENT_MAX_TOKENS) || 400,
+                temperature: parseFloat(process.env.AGENT_TEMPERATURE) || 0.2
+            },
+            classifier: {
+                // Local confidence (0-1) below which the LLM chooses the request type
+                threshold: parseFloat(process.env.CLASSIFIER_THRESHOLD) || 0.6,
+                llmFallback: process.env.CLASSIFIER_LLM_FALLBACK !== 'false'
+            },
+            structuredOutput: {
+                // Times a JSON answer that fails its schema is sent back to the model with the error
+                retries: parseCountEnv('STRUCTURED_OUTPUT_RETRIES', 2)
+            },
+            prompts: {
+                // Environment whose active template versions are used
+                environment: process.env.PROMPT_ENV || this.nodeEnv
+            },
+            semanticCache: {
+                enabled: process.env.SEMANTIC_CACHE_ENABLED !== 'false',
+                // Cosine similarity (0-1) from which a stored answer is reused
+                threshold: parseFloat(process.env.SEMANTIC_CACHE_THRESHOLD) || 0.85,
+                ttl: parseInt(process.env.SEMANTIC_CACHE_TTL) || 86400, // 1 day
+                // Newest answers of a request type compared with each prompt
+                maxCandidates: parseInt(process.env.SEMANTIC_CACHE_MAX_CANDIDATES) || 500
             }
         };
     }
@@ -161,6 +314,10 @@ class AppConfig {
             errors.push('CACHE_TTL must be at least 1 second');
         }
 
+        if (process.env.LLM_PRICES && !parseJsonEnv('LLM_PRICES')) {
+            errors.push('LLM_PRICES must be a JSON object of { "model": { "prompt": n, "completion": n } }');
+        }
+
         if (errors.length > 0) {
             throw new Error(`Configuration validation failed:\n${errors.join('\n')}`);
         }
@@ -182,6 +339,8 @@ class AppConfig {
             logging: this.logging,
             zakon: this.zakon,
             commands: this.commands,
+            monitors: this.monitors,
+            networkPolicy: this.networkPolicy,
             ai: this.ai
         };
     }
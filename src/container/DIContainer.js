@@ -1,7 +1,15 @@
-const databaseManager = require('../modules/database');
+const DatabaseManager = require('../modules/database');
 const cacheManager = require('../modules/cache');
 const AIProcessorFactory = require('../factories/AIProcessorFactory');
+const LLMProviderFactory = require('../factories/LLMProviderFactory');
+const MeteredProvider = require('../modules/llm/MeteredProvider');
+const ResilientProvider = require('../modules/llm/ResilientProvider');
 const RepositoryFactory = require('../factories/RepositoryFactory');
+const MonitorRepository = require('../repositories/MonitorRepository');
+const ConversationRepository = require('../repositories/ConversationRepository');
+const PromptRepository = require('../repositories/PromptRepository');
+const SemanticCacheRepository = require('../repositories/SemanticCacheRepository');
+const ZakonOnlineRepository = require('../repositories/ZakonOnlineRepository');
 const AIRequestContext = require('../context/AIRequestContext');
 
 /**
@@ -47,47 +55,120 @@ class DIContainer {
 
     /**
      * Инициализирует контейнер с базовыми сервисами
+     * @param {Object} options - Опции
+     * @param {DatabaseManager} options.databaseManager - Уже инициализированный менеджер БД
+     * @param {ILLMProvider} options.llmClient - LLM провайдер (например, mock в тестах), оборачивается MeteredProvider
      */
-    initialize() {
+    initialize(options = {}) {
         // Регистрируем базовые сервисы
-        this.register('databaseManager', () => databaseManager, true);
+        this.register('databaseManager', () => options.databaseManager || new DatabaseManager(), true);
         this.register('cacheManager', () => cacheManager, true);
 
         // Регистрируем репозитории
+        this.register('repositoryFactory', (container) => {
+            return new RepositoryFactory(container.get('databaseManager'));
+        }, true);
+
         this.register('userRepository', (container) => {
-            const db = container.get('databaseManager');
-            return RepositoryFactory.createUserRepository(db);
+            return container.get('repositoryFactory').getUserRepository();
         }, true);
 
         this.register('motdRepository', (container) => {
-            const db = container.get('databaseManager');
-            return RepositoryFactory.createMOTDRepository(db);
+            return container.get('repositoryFactory').getMOTDRepository();
         }, true);
 
         this.register('openaiRequestRepository', (container) => {
+            return container.get('repositoryFactory').getOpenAIRequestRepository();
+        }, true);
+
+        this.register('conversationRepository', (container) => {
             const db = container.get('databaseManager');
-            return RepositoryFactory.createOpenAIRequestRepository(db);
+            return new ConversationRepository(db);
+        }, true);
+
+        this.register('monitorRepository', (container) => {
+            const db = container.get('databaseManager');
+            return new MonitorRepository(db);
+        }, true);
+
+        this.register('promptRepository', (container) => {
+            const db = container.get('databaseManager');
+            return new PromptRepository(db);
+        }, true);
+
+        this.register('semanticCacheRepository', (container) => {
+            const db = container.get('databaseManager');
+            return new SemanticCacheRepository(db);
+        }, true);
+
+        this.register('zakonOnlineRepository', (container) => {
+            const db = container.get('databaseManager');
+            return new ZakonOnlineRepository(db);
+        }, true);
+
+        // Регистрируем реестр шаблонов промптов (версии и активная версия для окружения)
+        this.register('promptService', (container) => {
+            const PromptService = require('../services/promptService');
+            return new PromptService(container.get('promptRepository'));
+        }, true);
+
+        // Регистрируем учёт токенов и бюджетов
+        this.register('usageService', (container) => {
+            const UsageService = require('../services/usageService');
+            return new UsageService(container.get('openaiRequestRepository'));
+        }, true);
+
+        // Регистрируем LLM провайдер (openai, local или mock из config.openai.provider);
+        // каждый вызов модели проходит через учёт расхода, а сбои - через повторы,
+        // circuit breaker и резервную модель
+        this.register('llmClient', (container) => {
+            const provider = options.llmClient || LLMProviderFactory.create();
+            return new ResilientProvider(new MeteredProvider(provider, container.get('usageService')));
         }, true);
 
         // Регистрируем AI процессоры
         this.register('motdProcessor', (container) => {
-            return AIProcessorFactory.createMOTDProcessor();
+            return AIProcessorFactory.createMOTDProcessor(container.get('llmClient'), container.get('promptService'));
         }, true);
 
         this.register('legalProcessor', (container) => {
-            return AIProcessorFactory.createLegalProcessor();
+            return AIProcessorFactory.createLegalProcessor(container.get('llmClient'), container.get('promptService'));
         }, true);
 
         this.register('commandProcessor', (container) => {
-            return AIProcessorFactory.createCommandProcessor();
+            return AIProcessorFactory.createCommandProcessor(
+                container.get('llmClient'),
+                container.get('promptService')
+            );
         }, true);
 
         // Регистрируем контекст стратегий
         this.register('aiRequestContext', (container) => {
-            return new AIRequestContext();
+            return new AIRequestContext(container.get('llmClient'), container.get('promptService'));
         }, true);
 
         // Регистрируем сервисы
+        // Кэш ответов ИИ по смысловому сходству запросов
+        this.register('semanticCacheService', (container) => {
+            const SemanticCacheService = require('../services/semanticCacheService');
+            return new SemanticCacheService(container.get('semanticCacheRepository'), container.get('promptService'));
+        }, true);
+
+        // Классификатор типа запроса: локальная модель, LLM только при низкой уверенности
+        this.register('requestClassifier', (container) => {
+            const RequestClassifier = require('../modules/classifier/RequestClassifier');
+            return new RequestClassifier(container.get('llmClient'), container.get('promptService'));
+        }, true);
+
+        this.register('conversationService', (container) => {
+            const ConversationService = require('../services/conversationService');
+            return new ConversationService(
+                container.get('conversationRepository'),
+                container.get('llmClient'),
+                container.get('promptService')
+            );
+        }, true);
+
         this.register('aiService', (container) => {
             const AIService = require('../services/aiService');
             return new AIService(
@@ -97,9 +178,41 @@ class DIContainer {
                 container.get('motdRepository'),
                 container.get('openaiRequestRepository'),
                 container.get('cacheManager'),
-                container.get('aiRequestContext')
+                container.get('aiRequestContext'),
+                container.get('conversationService'),
+                container.get('semanticCacheService'),
+                container.get('requestClassifier')
+            );
+        }, true);
+
+        // HTTP-клиент API "Закон Онлайн" (настройки и повторы из config.zakon)
+        this.register('zakonOnlineClient', () => {
+            const ZakonOnlineClient = require('../modules/zakon/ZakonOnlineClient');
+            return new ZakonOnlineClient();
+        }, true);
+
+        // Экспорт сохранённых поисков в Markdown, HTML, PDF и DOCX (шрифт PDF из config.zakon.exportFont)
+        this.register('searchExporter', () => {
+            const SearchExporter = require('../modules/export/SearchExporter');
+            return new SearchExporter();
+        }, true);
+
+        // Поиск в базе "Закон Онлайн" с сохранением поисков, дел и полных текстов;
+        // юридическая стратегия пишет ИИ-резюме экспортируемых поисков
+        this.register('zakonOnlineService', (container) => {
+            const ZakonOnlineService = require('../services/zakonOnlineService');
+            return new ZakonOnlineService(
+                container.get('zakonOnlineRepository'),
+                container.get('zakonOnlineClient'),
+                container.get('aiRequestContext').getLegalStrategy(),
+                container.get('searchExporter')
             );
         }, true);
+
+        this.register('monitorService', (container) => {
+            const MonitorService = require('../services/monitorService');
+            return new MonitorService(container.get('monitorRepository'));
+        }, true);
     }
 
     /**
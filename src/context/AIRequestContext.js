@@ -1,12 +1,20 @@
 const MOTDStrategy = require('../strategies/MOTDStrategy');
 const LegalStrategy = require('../strategies/LegalStrategy');
 const CommandStrategy = require('../strategies/CommandStrategy');
+const AgentStrategy = require('../strategies/AgentStrategy');
+const AgentTools = require('../modules/agentTools');
 
 /**
  * Контекст для использования стратегий AI запросов
  */
 class AIRequestContext {
-    constructor() {
+    /**
+     * @param {ILLMProvider} llmClient - LLM провайдер, передаваемый стратегиям
+     * @param {PromptService} promptService - Шаблоны промптов, передаваемые стратегиям
+     */
+    constructor(llmClient, promptService) {
+        this.llmClient = llmClient;
+        this.promptService = promptService;
         this.strategies = new Map();
         this.defaultStrategy = null;
         this.initializeStrategies();
@@ -16,9 +24,10 @@ class AIRequestContext {
      * Инициализирует стратегии
      */
     initializeStrategies() {
-        this.strategies.set('motd', new MOTDStrategy());
-        this.strategies.set('legal', new LegalStrategy());
-        this.strategies.set('command', new CommandStrategy());
+        this.strategies.set('motd', new MOTDStrategy(this.llmClient, this.promptService));
+        this.strategies.set('legal', new LegalStrategy(this.llmClient, this.promptService));
+        this.strategies.set('command', new CommandStrategy(this.llmClient, this.promptService));
+        this.strategies.set('agent', new AgentStrategy(this.llmClient, AgentTools.list(), this.promptService));
         
         // Устанавливаем команду как стратегию по умолчанию
         this.defaultStrategy = this.strategies.get('command');
@@ -59,6 +68,35 @@ class AIRequestContext {
         return await strategy.process(query, options);
     }
 
+    /**
+     * Обрабатывает запрос в потоковом режиме, отдавая токены по мере генерации.
+     * Стратегии без метода stream() отдают весь ответ одним фрагментом.
+     * @param {string} type - Тип запроса
+     * @param {string} query - Запрос
+     * @param {Object} options - Опции; options.signal прерывает запрос
+     * @returns {AsyncIterable<string>} - Токены ответа
+     */
+    async *streamRequest(type, query, options = {}) {
+        const strategy = this.getStrategy(type);
+
+        if (!strategy) {
+            throw new Error(`No strategy found for type: ${type}`);
+        }
+
+        if (typeof strategy.stream === 'function') {
+            yield* strategy.stream(query, options);
+            return;
+        }
+
+        const result = await strategy.process(query, options);
+
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        yield result.response;
+    }
+
     /**
      * Проверяет доступность стратегии
      * @param {string} type - Тип стратегии
@@ -105,6 +143,14 @@ class AIRequestContext {
     getCommandStrategy() {
         return this.strategies.get('command');
     }
+
+    /**
+     * Получает стратегию агента с инструментами
+     * @returns {Object} - Стратегия агента
+     */
+    getAgentStrategy() {
+        return this.strategies.get('agent');
+    }
 }
 
 module.exports = AIRequestContext; 
\ No newline at end of file
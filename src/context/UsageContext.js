@@ -0,0 +1,40 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Контекст учёта AI запросов: кому приписывать каждый вызов модели.
+ * Маршруты задают { userIp, sessionId, requestType } на время обработки запроса,
+ * а MeteredProvider читает их при записи расхода токенов.
+ */
+class UsageContext {
+    /**
+     * Выполняет функцию внутри области учёта
+     * @param {Object} scope - { userIp, sessionId, requestType }
+     * @param {Function} callback - Функция
+     * @returns {*} - Результат функции
+     */
+    static run(scope, callback) {
+        return storage.run({ ...scope }, callback);
+    }
+
+    /**
+     * Выполняет функцию с изменённым типом запроса, сохраняя пользователя
+     * @param {string} requestType - Тип запроса
+     * @param {Function} callback - Функция
+     * @returns {*} - Результат функции
+     */
+    static withRequestType(requestType, callback) {
+        return storage.run({ ...this.get(), requestType }, callback);
+    }
+
+    /**
+     * Получает текущую область учёта
+     * @returns {Object} - { userIp, sessionId, requestType }; пустые значения вне запроса
+     */
+    static get() {
+        return storage.getStore() || { userIp: null, sessionId: null, requestType: null };
+    }
+}
+
+module.exports = UsageContext;
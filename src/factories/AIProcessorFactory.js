@@ -8,41 +8,49 @@ const CommandProcessor = require('../modules/ai/CommandProcessor');
 class AIProcessorFactory {
     /**
      * Создает процессор для MOTD
+     * @param {ILLMProvider} llmClient - LLM провайдер
+     * @param {PromptService} promptService - Шаблоны промптов
      * @returns {MOTDProcessor} - Процессор MOTD
      */
-    static createMOTDProcessor() {
-        return new MOTDProcessor();
+    static createMOTDProcessor(llmClient, promptService) {
+        return new MOTDProcessor(llmClient, promptService);
     }
 
     /**
      * Создает процессор для юридических запросов
+     * @param {ILLMProvider} llmClient - LLM провайдер
+     * @param {PromptService} promptService - Шаблоны промптов
      * @returns {LegalProcessor} - Процессор юридических запросов
      */
-    static createLegalProcessor() {
-        return new LegalProcessor();
+    static createLegalProcessor(llmClient, promptService) {
+        return new LegalProcessor(llmClient, promptService);
     }
 
     /**
      * Создает процессор для команд
+     * @param {ILLMProvider} llmClient - LLM провайдер
+     * @param {PromptService} promptService - Шаблоны промптов
      * @returns {CommandProcessor} - Процессор команд
      */
-    static createCommandProcessor() {
-        return new CommandProcessor();
+    static createCommandProcessor(llmClient, promptService) {
+        return new CommandProcessor(llmClient, promptService);
     }
 
     /**
      * Создает процессор по типу
      * @param {string} type - Тип процессора
+     * @param {ILLMProvider} llmClient - LLM провайдер
+     * @param {PromptService} promptService - Шаблоны промптов
      * @returns {Object} - Процессор
      */
-    static createProcessor(type) {
+    static createProcessor(type, llmClient, promptService) {
         switch (type) {
             case 'motd':
-                return this.createMOTDProcessor();
+                return this.createMOTDProcessor(llmClient, promptService);
             case 'legal':
-                return this.createLegalProcessor();
+                return this.createLegalProcessor(llmClient, promptService);
             case 'command':
-                return this.createCommandProcessor();
+                return this.createCommandProcessor(llmClient, promptService);
             default:
                 throw new Error(`Unknown processor type: ${type}`);
         }
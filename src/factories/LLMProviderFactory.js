@@ -0,0 +1,61 @@
+const fs = require('fs');
+const OpenAIProvider = require('../modules/llm/OpenAIProvider');
+const LocalHttpProvider = require('../modules/llm/LocalHttpProvider');
+const MockProvider = require('../modules/llm/MockProvider');
+const config = require('../config/app');
+
+/**
+ * Фабрика для создания LLM провайдеров
+ */
+class LLMProviderFactory {
+    /**
+     * Создает провайдер по конфигурации
+     * @param {Object} options - Настройки (по умолчанию config.openai)
+     * @param {string} options.provider - Тип провайдера: openai, local или mock
+     * @returns {ILLMProvider} - Провайдер
+     */
+    static create(options = config.openai) {
+        switch (options.provider) {
+            case 'openai':
+                return new OpenAIProvider({
+                    apiKey: options.apiKey,
+                    baseUrl: options.baseUrl,
+                    model: options.model,
+                    timeout: options.timeout
+                });
+            case 'local':
+                return new LocalHttpProvider({
+                    url: options.localUrl,
+                    model: options.localModel,
+                    timeout: options.timeout
+                });
+            case 'mock':
+                return new MockProvider({ fixtures: this._loadFixtures(options.fixtures) });
+            default:
+                throw new Error(`Unknown LLM provider: ${options.provider}`);
+        }
+    }
+
+    /**
+     * Получает список доступных провайдеров
+     * @returns {Array<string>} - Список типов
+     */
+    static getAvailableProviders() {
+        return ['openai', 'local', 'mock'];
+    }
+
+    /**
+     * Загружает фикстуры mock провайдера из JSON файла
+     * @param {string|null} fixturesPath - Путь к файлу
+     * @returns {Array<Object>} - Фикстуры
+     */
+    static _loadFixtures(fixturesPath) {
+        if (!fixturesPath) {
+            return [];
+        }
+
+        return JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+    }
+}
+
+module.exports = LLMProviderFactory;
@@ -0,0 +1,53 @@
+/**
+ * Interface for LLM providers.
+ * Requests and responses use the OpenAI chat completion shape, whatever the backend.
+ */
+class ILLMProvider {
+    /**
+     * Creates a chat completion
+     * @param {Object} _params - { messages, max_tokens, temperature, model, tools }; model defaults to the
+     *                          provider model, tools are OpenAI function definitions the model may call
+     * @returns {Promise<Object>} - OpenAI-shaped completion:
+     *                              { id, model, choices: [{ index, message, finish_reason }], usage };
+     *                              message.tool_calls lists requested function calls (arguments as JSON strings)
+     * @param {Object} _options - { prompt, signal, cannedAnswer }: prompt template version (name@version) recorded
+     *                            with the usage, signal aborting the request; cannedAnswer lets ResilientProvider
+     *                            answer with a "mainframe busy" notice when no model responds
+     */
+    createChatCompletion(_params, _options) {
+        throw new Error('Method createChatCompletion() must be implemented');
+    }
+
+    /**
+     * Streams a chat completion
+     * @param {Object} _params - Same parameters as createChatCompletion()
+     * @param {Object} _options - { signal, onUsage, prompt, cannedAnswer, onDegraded }: signal aborts the
+     *                            underlying request, onUsage receives
+     *                            { prompt_tokens, completion_tokens, total_tokens } when reported,
+     *                            prompt is the template version recorded with the usage;
+     *                            onDegraded receives 'fallback_model' or 'canned' when ResilientProvider
+     *                            answers without the main model
+     * @returns {AsyncIterable<string>} - Content deltas in arrival order
+     */
+    streamChatCompletion(_params, _options) {
+        throw new Error('Method streamChatCompletion() must be implemented');
+    }
+
+    /**
+     * Checks whether the backend answers
+     * @returns {Promise<boolean>} - Whether the provider is available
+     */
+    isAvailable() {
+        throw new Error('Method isAvailable() must be implemented');
+    }
+
+    /**
+     * Gets the provider name
+     * @returns {string} - Provider name (openai, local, mock)
+     */
+    getName() {
+        throw new Error('Method getName() must be implemented');
+    }
+}
+
+module.exports = ILLMProvider;
@@ -1,11 +1,20 @@
 const authManager = require('../modules/auth');
 const { logInfo, logError } = require('../utils/logger');
 
+/**
+ * Получает токен сессии из cookie или заголовка X-Session-Token
+ * @param {Object} req - Express request
+ * @returns {string|null} - Токен сессии
+ */
+function getSessionToken(req) {
+    return req.cookies?.sessionToken || req.headers['x-session-token'] || null;
+}
+
 /**
  * Middleware для проверки аутентификации
  */
 function requireAuth(req, res, next) {
-    const sessionToken = req.cookies?.sessionToken || req.headers['x-session-token'];
+    const sessionToken = getSessionToken(req);
     
     if (!sessionToken) {
         return res.status(401).json({
@@ -77,7 +86,7 @@ function getClientIP(req) {
  * Middleware для установки пользователя в запрос
  */
 function setUserFromSession(req, res, next) {
-    const sessionToken = req.cookies?.sessionToken || req.headers['x-session-token'];
+    const sessionToken = getSessionToken(req);
     
     if (sessionToken) {
         authManager.validateSession(sessionToken)
@@ -100,5 +109,6 @@ module.exports = {
     requireAuth,
     requireAdmin,
     getClientIP,
+    getSessionToken,
     setUserFromSession
 }; 
\ No newline at end of file
@@ -78,7 +78,8 @@ class ErrorHandler {
                 ip: req.ip
             });
             
-            return res.status(500).json({
+            // 503 when no model answered, 429 when the AI budget is spent
+            return res.status(error.status || 500).json({
                 error: 'AI processing failed',
                 details: error.message
             });
@@ -0,0 +1,34 @@
+const UsageContext = require('../context/UsageContext');
+const ConversationService = require('../services/conversationService');
+const container = require('../container/DIContainer');
+const { getSessionToken } = require('./auth');
+
+/**
+ * Middleware для учёта AI-вызовов: относит вызовы запроса к пользователю и отклоняет запрос (429),
+ * когда дневной бюджет исчерпан
+ * @param {string} requestType - Тип запроса, сохраняемый с каждым вызовом модели
+ * @returns {Function} - Express middleware
+ */
+const meterAI = (requestType) => async(req, res, next) => {
+    try {
+        await container.get('usageService').assertWithinBudget(req.ip);
+    } catch (error) {
+        return res.status(error.status || 500).json({
+            error: error.status === 429 ? 'AI budget exceeded' : 'AI usage check failed',
+            details: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    const scope = {
+        userIp: req.ip,
+        sessionId: ConversationService.sessionKey(getSessionToken(req)),
+        requestType
+    };
+
+    return UsageContext.run(scope, next);
+};
+
+module.exports = {
+    meterAI
+};
@@ -0,0 +1,145 @@
+const NetworkService = require('../services/networkService');
+const SecurityManager = require('./security');
+
+/**
+ * Builds the JSON schema of a tool with one required string parameter
+ * @param {string} name - Parameter name
+ * @param {string} description - Parameter description
+ * @returns {Object} - JSON schema
+ */
+const singleParam = (name, description) => ({
+    type: 'object',
+    properties: { [name]: { type: 'string', description } },
+    required: [name]
+});
+
+/**
+ * Tools the agent may call. Network tools run the whitelisted terminal command named by `command`
+ * with the `target` argument; tools without a command only receive free-text arguments.
+ */
+const TOOLS = [
+    {
+        name: 'ping',
+        description: 'Send ICMP echo requests to check whether a host is up and how fast it answers',
+        parameters: singleParam('hostname', 'Hostname or IP address'),
+        command: 'ping',
+        target: 'hostname',
+        run: async(args, context) => (await NetworkService.ping(args.hostname, { userIp: context.userIp })).output
+    },
+    {
+        name: 'nslookup',
+        description: 'Resolve a hostname to its IP addresses',
+        parameters: singleParam('hostname', 'Hostname to resolve'),
+        command: 'nslookup',
+        target: 'hostname',
+        run: async(args) => (await NetworkService.nslookup(args.hostname)).output
+    },
+    {
+        name: 'whois',
+        description: 'Look up the registrar, owner and dates of a domain',
+        parameters: singleParam('domain', 'Registered domain, e.g. example.com'),
+        command: 'whois',
+        target: 'domain',
+        run: async(args) => (await NetworkService.whois(args.domain)).output
+    },
+    {
+        name: 'traceroute',
+        description: 'Trace the network path to a host',
+        parameters: singleParam('hostname', 'Hostname or IP address'),
+        command: 'traceroute',
+        target: 'hostname',
+        run: async(args, context) => (await NetworkService.traceroute(args.hostname, { userIp: context.userIp })).output
+    },
+    {
+        name: 'search_court_decisions',
+        description: 'Search Ukrainian court decisions (Zakon Online) by keywords, case number or article',
+        parameters: {
+            type: 'object',
+            properties: {
+                query: { type: 'string', description: 'Search query' },
+                limit: { type: 'integer', description: 'Number of decisions (1-10)' }
+            },
+            required: ['query']
+        },
+        run: async(args) => {
+            // Required here: the container itself loads this module through AIRequestContext
+            const container = require('../container/DIContainer');
+            const ZakonOnlineService = require('../services/zakonOnlineService');
+            const zakonService = container.has('zakonOnlineService')
+                ? container.get('zakonOnlineService')
+                : new ZakonOnlineService();
+            const limit = Math.min(Math.max(parseInt(args.limit) || 5, 1), 10);
+            const result = await zakonService.searchDecisions(args.query, { limit });
+
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            return JSON.stringify(result.data);
+        }
+    }
+];
+
+/**
+ * Registry of the functions the tool-using agent can call
+ */
+class AgentTools {
+    /**
+     * Lists the tools
+     * @returns {Array<Object>} - Tool definitions
+     */
+    static list() {
+        return TOOLS;
+    }
+
+    /**
+     * Converts a tool to an OpenAI function definition
+     * @param {Object} tool - Tool definition
+     * @returns {Object} - { type: 'function', function: { name, description, parameters } }
+     */
+    static toFunction(tool) {
+        return {
+            type: 'function',
+            function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+        };
+    }
+
+    /**
+     * Checks whether a user may call a tool at all (the terminal's admin-only commands stay admin-only)
+     * @param {Object} tool - Tool definition
+     * @param {boolean} isAdmin - Whether user is admin
+     * @returns {boolean} - Whether the tool is permitted
+     */
+    static isPermitted(tool, isAdmin) {
+        return !tool.command || isAdmin || !SecurityManager.requiresAdmin(tool.command);
+    }
+
+    /**
+     * Validates the arguments of a tool call with the same SecurityManager checks as typed commands
+     * @param {Object} tool - Tool definition
+     * @param {Object} args - Arguments chosen by the model
+     * @param {boolean} isAdmin - Whether user is admin
+     * @returns {Object} - { isValid, error }
+     */
+    static validate(tool, args, isAdmin) {
+        if (!this.isPermitted(tool, isAdmin)) {
+            return { isValid: false, error: 'Admin access required' };
+        }
+
+        if (tool.command) {
+            const target = args[tool.target];
+
+            if (typeof target !== 'string' || !SecurityManager.isCommandSafe(tool.command, [target])) {
+                return { isValid: false, error: `Invalid ${tool.target}: ${target}` };
+            }
+
+            return { isValid: true };
+        }
+
+        const validation = SecurityManager.validateRequestBody(args);
+
+        return validation.isValid ? { isValid: true } : { isValid: false, error: validation.errors[0] };
+    }
+}
+
+module.exports = AgentTools;
@@ -1,14 +1,17 @@
-const OpenAI = require('openai');
-const config = require('../../config/app');
+const LLMProviderFactory = require('../../factories/LLMProviderFactory');
+const PromptService = require('../../services/promptService');
 
 /**
  * Processor for handling unknown commands
  */
 class CommandProcessor {
-    constructor() {
-        this.openai = new OpenAI({
-            apiKey: config.openai.apiKey
-        });
+    /**
+     * @param {ILLMProvider} llmClient - LLM provider (defaults to the provider configured in config.openai)
+     * @param {PromptService} promptService - Prompt templates (defaults to the built-in ones)
+     */
+    constructor(llmClient = LLMProviderFactory.create(), promptService = new PromptService()) {
+        this.llmClient = llmClient;
+        this.promptService = promptService;
     }
 
     /**
@@ -19,15 +22,12 @@ class CommandProcessor {
      */
     async process(command, context = {}) {
         try {
-            const completion = await this.openai.chat.completions.create({
-                model: config.openai.model,
+            const prompt = await this.promptService.render('command.unknown');
+            const completion = await this.llmClient.createChatCompletion({
                 messages: [
                     {
                         role: 'system',
-                        content: `You are a helpful assistant for a retro terminal server. 
-                        The user is asking about a command that doesn't exist in the system.
-                        Provide a helpful response explaining what they might want to do instead.
-                        Keep the response concise and retro-style.`
+                        content: prompt.content
                     },
                     {
                         role: 'user',
@@ -36,12 +36,13 @@ class CommandProcessor {
                 ],
                 max_tokens: 150,
                 temperature: 0.7
-            });
+            }, { prompt: prompt.ref, cannedAnswer: true });
 
             return {
                 success: true,
                 response: completion.choices[0].message.content,
-                command: command
+                command: command,
+                degraded: completion.degraded
             };
         } catch (error) {
             return {
@@ -53,17 +54,12 @@ class CommandProcessor {
     }
 
     /**
-     * Checks OpenAI API availability
-     * @returns {Promise<boolean>} - Whether API is available
+     * Checks LLM provider availability
+     * @returns {Promise<boolean>} - Whether the provider is available
      */
     async isAvailable() {
         try {
-            await this.openai.chat.completions.create({
-                model: config.openai.model,
-                messages: [{ role: 'user', content: 'test' }],
-                max_tokens: 1
-            });
-            return true;
+            return await this.llmClient.isAvailable();
         } catch (error) {
             return false;
         }
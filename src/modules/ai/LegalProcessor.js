@@ -1,14 +1,19 @@
-const OpenAI = require('openai');
-const config = require('../../config/app');
+const LLMProviderFactory = require('../../factories/LLMProviderFactory');
+const PromptService = require('../../services/promptService');
+const StructuredOutput = require('../llm/StructuredOutput');
 
 /**
  * Processor for legal request detection and processing
  */
 class LegalProcessor {
-    constructor() {
-        this.openai = new OpenAI({
-            apiKey: config.openai.apiKey
-        });
+    /**
+     * @param {ILLMProvider} llmClient - LLM provider (defaults to the provider configured in config.openai)
+     * @param {PromptService} promptService - Prompt templates (defaults to the built-in ones)
+     */
+    constructor(llmClient = LLMProviderFactory.create(), promptService = new PromptService()) {
+        this.llmClient = llmClient;
+        this.promptService = promptService;
+        this.structuredOutput = new StructuredOutput(llmClient, promptService);
     }
 
     /**
@@ -19,27 +24,11 @@ class LegalProcessor {
      */
     async detectLegalRequest(query, context = {}) {
         try {
-            const completion = await this.openai.chat.completions.create({
-                model: config.openai.model,
-                messages: [
-                    {
-                        role: 'system',
-                        content: `You are a legal request detector. 
-                        Determine if the user's query is related to legal matters, court cases, or Ukrainian law.
-                        Respond with JSON: {"isLegal": true/false, "confidence": 0-1, "reason": "explanation"}`
-                    },
-                    {
-                        role: 'user',
-                        content: query
-                    }
-                ],
+            const result = await this.structuredOutput.request('legal.detect', query, {
                 max_tokens: 200,
                 temperature: 0.3
             });
 
-            const response = completion.choices[0].message.content;
-            const result = JSON.parse(response);
-
             return {
                 success: true,
                 isLegal: result.isLegal,
@@ -64,27 +53,11 @@ class LegalProcessor {
      */
     async extractSearchQuery(query, context = {}) {
         try {
-            const completion = await this.openai.chat.completions.create({
-                model: config.openai.model,
-                messages: [
-                    {
-                        role: 'system',
-                        content: `Extract a search query for Ukrainian legal database from the user's request.
-                        Focus on key legal terms, court cases, or legal issues mentioned.
-                        Respond with JSON: {"searchQuery": "extracted query", "confidence": 0-1}`
-                    },
-                    {
-                        role: 'user',
-                        content: query
-                    }
-                ],
+            const result = await this.structuredOutput.request('legal.search_query', query, {
                 max_tokens: 150,
                 temperature: 0.3
             });
 
-            const response = completion.choices[0].message.content;
-            const result = JSON.parse(response);
-
             return {
                 success: true,
                 searchQuery: result.searchQuery,
@@ -146,6 +119,18 @@ class LegalProcessor {
             };
         }
     }
+
+    /**
+     * Checks LLM provider availability
+     * @returns {Promise<boolean>} - Whether the provider is available
+     */
+    async isAvailable() {
+        try {
+            return await this.llmClient.isAvailable();
+        } catch (error) {
+            return false;
+        }
+    }
 }
 
 module.exports = LegalProcessor; 
\ No newline at end of file
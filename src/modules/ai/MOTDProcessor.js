@@ -1,17 +1,20 @@
-const OpenAI = require('openai');
+const LLMProviderFactory = require('../../factories/LLMProviderFactory');
+const PromptService = require('../../services/promptService');
 const IAIProcessor = require('../../interfaces/IAIProcessor');
 const { logError, logInfo } = require('../../utils/logger');
-const config = require('../../config/app');
 
 /**
  * Процессор для генерации MOTD сообщений
  */
 class MOTDProcessor extends IAIProcessor {
-    constructor() {
+    /**
+     * @param {ILLMProvider} llmClient - LLM провайдер (по умолчанию из config.openai)
+     * @param {PromptService} promptService - Шаблоны промптов (по умолчанию встроенные)
+     */
+    constructor(llmClient = LLMProviderFactory.create(), promptService = new PromptService()) {
         super();
-        this.openai = new OpenAI({
-            apiKey: config.openai.apiKey
-        });
+        this.llmClient = llmClient;
+        this.promptService = promptService;
     }
 
     /**
@@ -30,12 +33,14 @@ class MOTDProcessor extends IAIProcessor {
                 ? `${basePrompt}\n\nPrevious messages to avoid repeating:\n${previousMessages.join('\n')}\n\nGenerate something completely different and unique in ${this._getLanguageName(language)}:`
                 : basePrompt;
 
-            const completion = await this.openai.chat.completions.create({
-                model: config.openai.model,
+            const prompt = await this.promptService.render('motd.bender', {
+                language: this._getLanguageName(language)
+            });
+            const completion = await this.llmClient.createChatCompletion({
                 messages: [
                     {
                         role: 'system',
-                        content: `You are a retro UNIX system from 1975. Generate a 1-line message of the day (MOTD) that Bender from Futurama would say in ${this._getLanguageName(language)}. Keep it short, witty, and in character. Use only ASCII characters - NO emojis. Style it like old computer terminals with simple text only.`
+                        content: prompt.content
                     },
                     {
                         role: 'user',
@@ -44,7 +49,7 @@ class MOTDProcessor extends IAIProcessor {
                 ],
                 max_tokens: 100,
                 temperature: 0.9
-            });
+            }, { prompt: prompt.ref });
 
             const motd = completion.choices[0].message.content;
             const cleanMotd = motd.replace(/^MOTD:\s*/i, '').replace(/^Message of the day:\s*/i, '');
@@ -94,19 +99,14 @@ class MOTDProcessor extends IAIProcessor {
     }
 
     /**
-     * Проверяет доступность OpenAI API
-     * @returns {Promise<boolean>} - Доступен ли API
+     * Проверяет доступность LLM провайдера
+     * @returns {Promise<boolean>} - Доступен ли провайдер
      */
     async isAvailable() {
         try {
-            await this.openai.chat.completions.create({
-                model: config.openai.model,
-                messages: [{ role: 'user', content: 'test' }],
-                max_tokens: 5
-            });
-            return true;
+            return await this.llmClient.isAvailable();
         } catch (error) {
-            logError('OpenAI API not available', error);
+            logError('LLM provider not available', error);
             return false;
         }
     }
@@ -1,7 +1,7 @@
-require('openai/shims/node');
-const OpenAI = require('openai');
+const LLMProviderFactory = require('../factories/LLMProviderFactory');
+const PromptService = require('../services/promptService');
+const RequestClassifier = require('./classifier/RequestClassifier');
 const { logError, logInfo } = require('../utils/logger');
-const config = require('../config/app');
 const databaseManager = require('./database');
 const cacheManager = require('./cache');
 
@@ -12,10 +12,16 @@ const { CacheManager } = require('./cache');
  * Процессор AI запросов
  */
 class AIProcessor {
-    constructor() {
-        this.openai = new OpenAI({
-            apiKey: config.openai.apiKey
-        });
+    /**
+     * @param {ILLMProvider} llmClient - LLM провайдер (по умолчанию из config.openai)
+     * @param {PromptService} promptService - Шаблоны промптов (по умолчанию встроенные)
+     * @param {SemanticCacheService} semanticCache - Кэш ответов по смысловому сходству (без кэша, если не задан)
+     */
+    constructor(llmClient = LLMProviderFactory.create(), promptService = new PromptService(), semanticCache = null) {
+        this.llmClient = llmClient;
+        this.promptService = promptService;
+        this.semanticCache = semanticCache;
+        this.classifier = new RequestClassifier(llmClient, promptService);
     }
 
     /**
@@ -35,12 +41,14 @@ class AIProcessor {
                     ? `${basePrompt}\n\nPrevious messages to avoid repeating:\n${previousMessages.join('\n')}\n\nGenerate something completely different and unique in ${this._getLanguageName(language)}:`
                     : basePrompt;
 
-                const completion = await this.openai.chat.completions.create({
-                    model: config.openai.model,
+                const prompt = await this.promptService.render('motd.bender', {
+                    language: this._getLanguageName(language)
+                });
+                const completion = await this.llmClient.createChatCompletion({
                     messages: [
                         {
                             role: 'system',
-                            content: `You are a retro UNIX system from 1975. Generate a 1-line message of the day (MOTD) that Bender from Futurama would say in ${this._getLanguageName(language)}. Keep it short, witty, and in character. Use only ASCII characters - NO emojis. Style it like old computer terminals with simple text only.`
+                            content: prompt.content
                         },
                         {
                             role: 'user',
@@ -49,7 +57,7 @@ class AIProcessor {
                     ],
                     max_tokens: 100,
                     temperature: 0.9
-                });
+                }, { prompt: prompt.ref });
 
                 const motd = completion.choices[0].message.content;
                 const cleanMotd = motd.replace(/^MOTD:\s*/i, '').replace(/^Message of the day:\s*/i, '');
@@ -108,14 +116,15 @@ class AIProcessor {
      */
     async intelligentlyProcessCommand(command, isAdmin = false) {
         try {
-            // 1. Сначала проверяем, есть ли уже готовый ответ в базе
-            const existingResponse = await databaseManager.findExistingResponse(command);
+            // 1. Сначала проверяем, есть ли уже ответ на похожий по смыслу запрос
+            const existingResponse = this.semanticCache ? await this.semanticCache.lookup(command) : null;
             if (existingResponse) {
                 return {
-                    type: existingResponse.request_type,
+                    type: existingResponse.requestType,
                     response: existingResponse.response,
                     cached: true,
-                    source: 'database'
+                    similarity: existingResponse.similarity,
+                    source: 'semantic_cache'
                 };
             }
 
@@ -146,6 +155,8 @@ class AIProcessor {
                     break;
             }
 
+            await this._storeInSemanticCache(requestType, command, response);
+
             // Для юридических запросов возвращаем структурированный ответ
             if (responseType === 'legal_response' && typeof response === 'object') {
                 return {
@@ -173,49 +184,40 @@ class AIProcessor {
     }
 
     /**
-     * Определяет тип запроса через OpenAI API
+     * Сохраняет ответ в кэш по смысловому сходству (MOTD и структурированные ответы не кэшируются)
+     * @param {string} requestType - Тип запроса
+     * @param {string} command - Команда/запрос
+     * @param {string|Object} response - Ответ
+     */
+    async _storeInSemanticCache(requestType, command, response) {
+        if (!this.semanticCache) {
+            return;
+        }
+
+        const cacheType = requestType === 'court_case' ? 'court_case_numbers_request' : requestType;
+        const text = typeof response === 'object' && response !== null ? response.fullResponse : response;
+
+        if (typeof text === 'string') {
+            await this.semanticCache.store(cacheType, command, text);
+        }
+    }
+
+    /**
+     * Определяет тип запроса: локальный классификатор, LLM - только при низкой уверенности
      * @param {string} command - Команда/запрос
      * @returns {Promise<string>} - Тип запроса
      */
     async determineRequestType(command) {
         try {
-            const systemPrompt = `You are an AI classifier that determines the type of user request.
-Analyze the user's input and classify it into one of these categories:
+            const classification = await this.classifier.classify(command);
 
-- 'legal_request': Legal questions, law-related queries, attorney advice requests
-- 'court_case': Court case numbers, legal proceedings, judicial matters
-- 'tcc_request': Military service, TCC (Territorial Recruitment Center) related questions
-- 'motd': Message of the day requests, greetings, general chat
-- 'unknown_command': Technical commands, system help, general assistance
-
-Respond with ONLY the category name, nothing else.`;
-
-            const completion = await this.openai.chat.completions.create({
-                model: config.openai.model,
-                messages: [
-                    {
-                        role: 'system',
-                        content: systemPrompt
-                    },
-                    {
-                        role: 'user',
-                        content: command
-                    }
-                ],
-                max_tokens: 50,
-                temperature: 0.1
+            logInfo('Request type determined', {
+                label: classification.label,
+                confidence: classification.confidence,
+                source: classification.source
             });
 
-            const response = completion.choices[0].message.content.trim().toLowerCase();
-            
-            // Нормализуем ответ
-            if (response.includes('legal') || response.includes('law')) return 'legal_request';
-            if (response.includes('court') || response.includes('case')) return 'court_case';
-            if (response.includes('tcc') || response.includes('military')) return 'tcc_request';
-            if (response.includes('motd') || response.includes('greeting')) return 'motd';
-            
-            return 'unknown_command';
-
+            return classification.label;
         } catch (error) {
             logError('Request type determination failed', error);
             return 'unknown_command'; // Fallback
@@ -241,8 +243,7 @@ Focus on:
 Return ONLY the keywords/phrases separated by commas, nothing else.
 Example: "трудовой договор, увольнение, компенсация"`;
 
-            const completion = await this.openai.chat.completions.create({
-                model: config.openai.model,
+            const completion = await this.llmClient.createChatCompletion({
                 messages: [
                     {
                         role: 'system',
@@ -281,21 +282,13 @@ Example: "трудовой договор, увольнение, компенс
             const cacheKey = CacheManager.createAIKey(command, 'unknown_command');
 
             return await cacheManager.getOrSet(cacheKey, async() => {
-                let systemPrompt = `You are a helpful AI assistant in a retro UNIX terminal environment. 
-The user has entered a command that doesn't exist in the system. 
-Provide a helpful response that explains what they might have meant or suggest alternatives.
-Keep responses concise and in the style of a 1970s computer terminal.`;
+                const prompt = await this.promptService.render(isAdmin ? 'command.unknown_admin' : 'command.unknown');
 
-                if (isAdmin) {
-                    systemPrompt += ' The user is an admin, so you can provide more detailed technical information.';
-                }
-
-                const completion = await this.openai.chat.completions.create({
-                    model: config.openai.model,
+                const completion = await this.llmClient.createChatCompletion({
                     messages: [
                         {
                             role: 'system',
-                            content: systemPrompt
+                            content: prompt.content
                         },
                         {
                             role: 'user',
@@ -304,7 +297,7 @@ Keep responses concise and in the style of a 1970s computer terminal.`;
                     ],
                     max_tokens: 500,
                     temperature: 0.7
-                });
+                }, { prompt: prompt.ref });
 
                 const response = completion.choices[0].message.content;
 
@@ -337,8 +330,7 @@ Provide accurate legal information and guidance. Always recommend consulting wit
 Respond in ${this._getLanguageName(language)}.
 Keep responses professional and informative.`;
 
-                const completion = await this.openai.chat.completions.create({
-                    model: config.openai.model,
+                const completion = await this.llmClient.createChatCompletion({
                     messages: [
                         {
                             role: 'system',
@@ -362,9 +354,12 @@ Keep responses professional and informative.`;
                 let courtCases = [];
                 if (searchKeywords.length > 0) {
                     try {
+                        const container = require('../container/DIContainer');
                         const ZakonOnlineService = require('../services/zakonOnlineService');
-                        const zakonService = new ZakonOnlineService();
-                        await zakonService.initialize();
+                        // Сервис из контейнера сохраняет поиски в базу
+                        const zakonService = container.has('zakonOnlineService')
+                            ? container.get('zakonOnlineService')
+                            : new ZakonOnlineService();
                         
                         // Ищем по каждому ключевому слову
                         for (const keyword of searchKeywords) {
@@ -437,20 +432,12 @@ Keep responses professional and informative.`;
             const cacheKey = CacheManager.createAIKey(query, 'court_case');
 
             return await cacheManager.getOrSet(cacheKey, async() => {
-                const completion = await this.openai.chat.completions.create({
-                    model: config.openai.model,
+                const prompt = await this.promptService.render('legal.court_cases');
+                const completion = await this.llmClient.createChatCompletion({
                     messages: [
                         {
                             role: 'system',
-                            content: `You are a Ukrainian legal database assistant specializing in court case numbers.
-The user is asking for court case numbers related to their legal query.
-Provide a comprehensive response about relevant court cases, including:
-- Case numbers and references
-- Court decisions and rulings
-- Legal precedents
-- Relevant legal articles and codes
-Respond in Ukrainian or Russian based on the user's language.
-Keep the response informative and professional.`
+                            content: prompt.content
                         },
                         {
                             role: 'user',
@@ -459,7 +446,7 @@ Keep the response informative and professional.`
                     ],
                     max_tokens: 1000,
                     temperature: 0.3
-                });
+                }, { prompt: prompt.ref });
 
                 const response = completion.choices[0].message.content;
 
@@ -485,20 +472,12 @@ Keep the response informative and professional.`
             const cacheKey = CacheManager.createAIKey(command, 'tcc_request');
 
             return await cacheManager.getOrSet(cacheKey, async() => {
-                const completion = await this.openai.chat.completions.create({
-                    model: config.openai.model,
+                const prompt = await this.promptService.render('legal.tcc');
+                const completion = await this.llmClient.createChatCompletion({
                     messages: [
                         {
                             role: 'system',
-                            content: `You are a military legal database assistant specializing in Territorial Recruitment Centers (ТЦК - Территориальные центры комплектования).
-The user is asking about military cases related to TCC. Provide a comprehensive response about TCC-related legal cases and procedures.
-Respond in Russian or Ukrainian based on the user's language.
-Include information about:
-- TCC functions and responsibilities
-- Common legal cases involving TCC
-- Military service procedures
-- Legal rights and obligations
-Keep the response informative and professional.`
+                            content: prompt.content
                         },
                         {
                             role: 'user',
@@ -507,7 +486,7 @@ Keep the response informative and professional.`
                     ],
                     max_tokens: 1000,
                     temperature: 0.3
-                });
+                }, { prompt: prompt.ref });
 
                 const response = completion.choices[0].message.content;
 
@@ -541,19 +520,14 @@ Keep the response informative and professional.`
     }
 
     /**
-     * Проверяет доступность OpenAI API
-     * @returns {Promise<boolean>} - Доступен ли API
+     * Проверяет доступность LLM провайдера
+     * @returns {Promise<boolean>} - Доступен ли провайдер
      */
     async isOpenAIAvailable() {
         try {
-            await this.openai.chat.completions.create({
-                model: config.openai.model,
-                messages: [{ role: 'user', content: 'test' }],
-                max_tokens: 5
-            });
-            return true;
+            return await this.llmClient.isAvailable();
         } catch (error) {
-            logError('OpenAI API not available', error);
+            logError('LLM provider not available', error);
             return false;
         }
     }
@@ -0,0 +1,66 @@
+/**
+ * Multinomial naive Bayes over text features with Laplace smoothing and uniform class priors
+ * (the training corpus is not a sample of real traffic, so its class sizes mean nothing).
+ */
+class NaiveBayes {
+    /**
+     * @param {Array<string>} labels - Class labels
+     */
+    constructor(labels) {
+        this.labels = labels;
+        this.counts = {};
+        this.totals = {};
+        this.vocabulary = new Set();
+
+        for (const label of labels) {
+            this.counts[label] = {};
+            this.totals[label] = 0;
+        }
+    }
+
+    /**
+     * Adds a training example
+     * @param {string} label - Class label
+     * @param {Array<string>} features - Features of the example
+     */
+    learn(label, features) {
+        if (!this.counts[label]) {
+            throw new Error(`Unknown label: ${label}`);
+        }
+
+        for (const feature of features) {
+            this.counts[label][feature] = (this.counts[label][feature] || 0) + 1;
+            this.totals[label]++;
+            this.vocabulary.add(feature);
+        }
+    }
+
+    /**
+     * Computes the smoothed log-likelihood of a feature under a class
+     * @param {string} label - Class label
+     * @param {string} feature - Feature
+     * @returns {number} - ln P(feature | label)
+     */
+    logLikelihood(label, feature) {
+        const count = this.counts[label][feature] || 0;
+        return Math.log((count + 1) / (this.totals[label] + this.vocabulary.size));
+    }
+
+    /**
+     * Scores the features of a text. Features never seen in training are ignored.
+     * @param {Array<string>} features - Features
+     * @returns {Object} - { scores: label -> log-likelihood, known: features seen in training }
+     */
+    score(features) {
+        const known = features.filter(feature => this.vocabulary.has(feature));
+        const scores = {};
+
+        for (const label of this.labels) {
+            scores[label] = known.reduce((sum, feature) => sum + this.logLikelihood(label, feature), 0);
+        }
+
+        return { scores, known };
+    }
+}
+
+module.exports = NaiveBayes;
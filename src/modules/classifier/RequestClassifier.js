@@ -0,0 +1,322 @@
+const NaiveBayes = require('./NaiveBayes');
+const { KEYWORDS, PATTERNS } = require('./lexicon');
+const TRAINING_CORPUS = require('./trainingCorpus');
+const StructuredOutput = require('../llm/StructuredOutput');
+const { tokenize } = require('../../utils/textVector');
+const { logWarning } = require('../../utils/logger');
+const config = require('../../config/app');
+
+/** Request types; unknown_command first, so it wins when nothing points elsewhere */
+const LABELS = ['unknown_command', 'legal_request', 'court_case', 'tcc_request', 'motd'];
+
+/** Request types answered by the legal strategies */
+const LEGAL_LABELS = ['legal_request', 'court_case', 'tcc_request'];
+
+// Scale of the naive Bayes log-likelihoods against the keyword and pattern weights
+const BAYES_WEIGHT = 0.5;
+
+// Letters and words that tell Ukrainian from Russian
+const UK_LETTERS = /[іїєґ]/i;
+const RU_LETTERS = /[ыэъё]/i;
+const UK_WORDS = new Set([
+    'що', 'як', 'та', 'це', 'мені', 'чи', 'або', 'треба', 'дайте', 'знайди', 'виведи', 'розкажи', 'який', 'яка',
+    'яке', 'які', 'чому', 'де', 'від', 'з', 'щодо', 'справа', 'справі', 'справу', 'справи'
+]);
+const RU_WORDS = new Set([
+    'что', 'как', 'это', 'мне', 'или', 'надо', 'нужна', 'найди', 'выведи', 'расскажи', 'какой', 'какая',
+    'какое', 'какие', 'почему', 'где', 'от', 'с', 'насчет', 'дело', 'дела', 'делу', 'помогите'
+]);
+
+let matchers = null;
+let model = null;
+
+/**
+ * Escapes a string for use in a regular expression
+ * @param {string} text - Text
+ * @returns {string} - Escaped text
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Compiles the lexicon into matchers (once)
+ * @returns {Array<Object>} - { stage, label, value, weight, pattern }
+ */
+const getMatchers = () => {
+    if (matchers) {
+        return matchers;
+    }
+
+    matchers = [];
+
+    for (const [label, languages] of Object.entries(KEYWORDS)) {
+        for (const keywords of Object.values(languages)) {
+            for (const [term, weight] of keywords) {
+                const body = escapeRegExp(term).replace(/ /g, '\\s+');
+                const ending = (/[а-яіїєґё]/i).test(term) ? '' : '(?:s|es|ed|ing|ers?)?(?![\\p{L}\\p{N}])';
+
+                matchers.push({
+                    stage: 'keyword',
+                    label,
+                    value: term,
+                    weight,
+                    pattern: new RegExp(`(?<![\\p{L}\\p{N}])${body}${ending}`, 'iu')
+                });
+            }
+        }
+    }
+
+    for (const [label, patterns] of Object.entries(PATTERNS)) {
+        for (const [name, pattern, weight] of patterns) {
+            matchers.push({ stage: 'pattern', label, value: name, weight, pattern });
+        }
+    }
+
+    return matchers;
+};
+
+/**
+ * Turns a text into naive Bayes features: words, 5-letter stems of longer words
+ * (so inflected forms share a feature) and '0' for numbers
+ * @param {string} text - Text
+ * @returns {Array<string>} - Features
+ */
+const textFeatures = (text) => {
+    const features = [];
+
+    for (const word of tokenize(text)) {
+        if ((/^\d+$/).test(word)) {
+            features.push('0');
+        } else {
+            features.push(word);
+
+            if (word.length > 5) {
+                features.push(`~${word.slice(0, 5)}`);
+            }
+        }
+    }
+
+    return features;
+};
+
+/**
+ * Trains the naive Bayes stage on the built-in corpus (once)
+ * @returns {NaiveBayes} - Model
+ */
+const getModel = () => {
+    if (!model) {
+        model = new NaiveBayes(LABELS);
+
+        for (const [label, examples] of Object.entries(TRAINING_CORPUS)) {
+            examples.forEach(example => model.learn(label, textFeatures(example)));
+        }
+    }
+
+    return model;
+};
+
+/**
+ * Converts log-odds into probabilities
+ * @param {Object} logits - Log-odds by label
+ * @returns {Object} - Probabilities by label
+ */
+const softmax = (logits) => {
+    const max = Math.max(...Object.values(logits));
+    const exponents = {};
+    let sum = 0;
+
+    for (const [label, logit] of Object.entries(logits)) {
+        exponents[label] = Math.exp(logit - max);
+        sum += exponents[label];
+    }
+
+    for (const label of Object.keys(exponents)) {
+        exponents[label] /= sum;
+    }
+
+    return exponents;
+};
+
+/**
+ * @typedef {Object} Classification
+ * @property {string} label - Request type: unknown_command, legal_request, court_case, tcc_request or motd
+ * @property {number} confidence - Probability of the label, from 0 to 1
+ * @property {string|null} language - uk, ru or en (null for texts without letters)
+ * @property {Array<Object>} features - Matched evidence: { stage: keyword|pattern|bayes, label, value, weight }
+ * @property {string} source - 'local', or 'llm' when the model decided
+ * @property {Object} [local] - Local { label, confidence } when the model decided
+ */
+
+/**
+ * Classifies free text into a request type. A local stage (weighted keywords and patterns from
+ * lexicon.js plus naive Bayes trained on trainingCorpus.js) runs first; the LLM is only asked
+ * (prompt classifier.request_type) when the local confidence is below config.ai.classifier.threshold.
+ */
+class RequestClassifier {
+    /**
+     * @param {ILLMProvider} llmClient - LLM provider (local classification only when not set)
+     * @param {PromptService} promptService - Prompt templates
+     */
+    constructor(llmClient = null, promptService = null) {
+        this.llmClient = llmClient;
+        this.structuredOutput = llmClient ? new StructuredOutput(llmClient, promptService) : null;
+    }
+
+    /**
+     * Request types
+     * @returns {Array<string>} - Labels
+     */
+    static get LABELS() {
+        return LABELS;
+    }
+
+    /**
+     * Checks whether a request type is a legal one
+     * @param {string} label - Request type
+     * @returns {boolean} - Whether legal strategies answer it
+     */
+    static isLegalLabel(label) {
+        return LEGAL_LABELS.includes(label);
+    }
+
+    /**
+     * Detects the language of a text
+     * @param {string} text - Text
+     * @returns {string|null} - uk, ru or en (null for texts without letters)
+     */
+    static detectLanguage(text) {
+        const value = String(text || '').toLowerCase();
+        const cyrillic = (value.match(/[а-яіїєґё]/g) || []).length;
+        const latin = (value.match(/[a-z]/g) || []).length;
+
+        if (!cyrillic && !latin) {
+            return null;
+        }
+
+        if (latin > cyrillic) {
+            return 'en';
+        }
+
+        if (UK_LETTERS.test(value)) {
+            return 'uk';
+        }
+
+        if (RU_LETTERS.test(value)) {
+            return 'ru';
+        }
+
+        const words = value.split(/[^а-яіїєґё]+/);
+        const uk = words.filter(word => UK_WORDS.has(word)).length;
+        const ru = words.filter(word => RU_WORDS.has(word)).length;
+
+        return uk > ru ? 'uk' : 'ru';
+    }
+
+    /**
+     * Classifies a text without the LLM
+     * @param {string} text - Text
+     * @returns {Classification} - Classification with source 'local'
+     */
+    classifyLocally(text) {
+        const value = String(text || '').normalize('NFKC').toLowerCase();
+        const features = [];
+        const logits = {};
+
+        LABELS.forEach(label => {
+            logits[label] = 0;
+        });
+
+        for (const matcher of getMatchers()) {
+            if (matcher.pattern.test(value)) {
+                const { stage, label, weight } = matcher;
+
+                logits[label] += weight;
+                features.push({ stage, label, value: matcher.value, weight });
+            }
+        }
+
+        const bayes = getModel();
+        const { scores, known } = bayes.score(textFeatures(value));
+
+        LABELS.forEach(label => {
+            logits[label] += BAYES_WEIGHT * scores[label];
+        });
+
+        const probabilities = softmax(logits);
+        const label = LABELS.reduce((best, candidate) => (
+            probabilities[candidate] > probabilities[best] ? candidate : best
+        ), LABELS[0]);
+
+        return {
+            label,
+            confidence: Math.round(probabilities[label] * 1000) / 1000,
+            language: RequestClassifier.detectLanguage(value),
+            features: features.concat(RequestClassifier._bayesFeatures(bayes, label, known)),
+            source: 'local'
+        };
+    }
+
+    /**
+     * Classifies a text, asking the LLM when the local stage is not confident enough.
+     * LLM failures are logged and the local classification is returned.
+     * @param {string} text - Text
+     * @param {Object} options - Options
+     * @param {boolean} options.useLLM - Allow the LLM stage (default true)
+     * @returns {Promise<Classification>} - Classification
+     */
+    async classify(text, options = {}) {
+        const { useLLM = true } = options;
+        const { threshold, llmFallback } = config.ai.classifier;
+        const local = this.classifyLocally(text);
+
+        if (local.confidence >= threshold || !useLLM || !llmFallback || !this.structuredOutput) {
+            return local;
+        }
+
+        try {
+            const answer = await this.structuredOutput.request('classifier.request_type', String(text), {
+                max_tokens: 60,
+                temperature: 0.1
+            });
+
+            return {
+                ...local,
+                label: answer.label,
+                confidence: answer.confidence,
+                source: 'llm',
+                local: { label: local.label, confidence: local.confidence }
+            };
+        } catch (error) {
+            logWarning('LLM request classification failed, using the local result', {
+                label: local.label,
+                confidence: local.confidence,
+                error: error.message
+            });
+            return local;
+        }
+    }
+
+    /**
+     * Picks the known words that favour the chosen label most
+     * @param {NaiveBayes} bayes - Model
+     * @param {string} label - Chosen label
+     * @param {Array<string>} known - Features of the text seen in training
+     * @returns {Array<Object>} - Up to 3 bayes features
+     * @private
+     */
+    static _bayesFeatures(bayes, label, known) {
+        const others = LABELS.filter(candidate => candidate !== label);
+
+        return [...new Set(known)]
+            .map(feature => {
+                const rest = others.reduce((sum, other) => sum + bayes.logLikelihood(other, feature), 0);
+                const weight = bayes.logLikelihood(label, feature) - (rest / others.length);
+
+                return { stage: 'bayes', label, value: feature, weight: Math.round(weight * 100) / 100 };
+            })
+            .filter(feature => feature.weight > 0)
+            .sort((a, b) => b.weight - a.weight)
+            .slice(0, 3);
+    }
+}
+
+module.exports = RequestClassifier;
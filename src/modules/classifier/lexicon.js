@@ -0,0 +1,144 @@
+/**
+ * Weighted keywords and patterns of the request types (Ukrainian, Russian, English).
+ * A matched weight is added to the log-odds of its request type, so one strong term outweighs
+ * a few generic ones. Cyrillic keywords match word beginnings (договір / договору), Latin keywords
+ * whole words with English endings (lawyer / lawyers).
+ */
+
+/** Keywords by request type and language: [term, weight] */
+const KEYWORDS = {
+    legal_request: {
+        uk: [
+            ['закон', 3], ['законодавств', 3], ['юрид', 3], ['адвокат', 3], ['юрист', 3], ['позов', 3],
+            ['правов', 2.5], ['право', 2], ['права', 1.5], ['нотаріус', 3], ['спадщин', 3], ['спадок', 3],
+            ['аліменти', 3], ['розлуч', 3], ['приватизац', 2.5], ['консультаці', 2], ['договір', 2],
+            ['угод', 1.5], ['порушен', 1.5], ['штраф', 1.5], ['ліценз', 1], ['патент', 1.5], ['авторськ', 1.5],
+            ['нерухом', 2], ['реєстрац', 1], ['зареєстр', 1], ['громадянств', 2], ['заяв', 1], ['документ', 0.5],
+            ['свідоцтв', 1], ['власник', 1.5], ['власність', 1.5], ['майн', 1.5], ['борг', 1.5], ['кредит', 1],
+            ['страхов', 1], ['житл', 1], ['мешкан', 1.5], ['місце проживання', 2], ['відповідальн', 1.5],
+            ['оренд', 1.5], ['звільн', 1], ['трудов', 1.5], ['виселен', 2], ['оформ', 1], ['пенсі', 1],
+            ['суд', 1.5], ['кодекс', 2]
+        ],
+        ru: [
+            ['законодательств', 3], ['договор', 2], ['соглашени', 1.5], ['ответственност', 1.5],
+            ['нарушени', 1.5], ['лицензи', 1], ['авторск', 1.5], ['наследств', 3], ['развод', 3],
+            ['алимент', 3], ['недвижимост', 2], ['регистрац', 1], ['гражданств', 2], ['заявлени', 1],
+            ['нотариус', 3], ['свидетельств', 1], ['собственн', 1.5], ['имуществ', 1.5], ['долг', 1.5],
+            ['жиль', 1], ['жилищ', 1.5], ['высел', 2], ['прописк', 1.5], ['аренд', 1.5], ['увольн', 1.5],
+            ['консультаци', 2], ['правово', 2.5]
+        ],
+        en: [
+            ['law', 3], ['legal', 3], ['attorney', 3], ['lawyer', 3], ['lawsuit', 3], ['sue', 2],
+            ['contract', 2], ['agreement', 1.5], ['legislation', 3], ['regulation', 1.5], ['liability', 2],
+            ['violation', 1.5], ['fine', 1], ['license', 1], ['patent', 1.5], ['copyright', 2],
+            ['inheritance', 3], ['divorce', 3], ['alimony', 3], ['custody', 2], ['real estate', 2],
+            ['citizenship', 2], ['notary', 3], ['property', 1.5], ['debt', 1.5], ['tenant', 2],
+            ['landlord', 2], ['lease', 2], ['evict', 2], ['eviction', 2], ['rights', 1.5], ['insurance', 1],
+            ['court', 1.5], ['legal advice', 2]
+        ]
+    },
+    court_case: {
+        uk: [
+            ['справа', 1], ['справи', 1], ['справі', 1], ['справу', 1], ['номер справи', 3], ['судов', 1.5],
+            ['судова практика', 3], ['судову практику', 3], ['рішення суду', 3], ['рішен', 1], ['єдрср', 3],
+            ['реєстр судових', 3], ['ухвал', 2], ['постанов', 1], ['апеляц', 2], ['касац', 2], ['верховн', 1.5],
+            ['засідан', 2], ['судд', 2], ['знайди', 0.5], ['виведи', 0.5], ['список', 0.5], ['номер', 1]
+        ],
+        ru: [
+            ['номер дела', 3], ['судебн', 1.5], ['судебная практика', 3], ['судебную практику', 3],
+            ['решени', 1], ['определени', 1], ['апелляц', 2], ['кассац', 2], ['заседани', 2], ['судья', 2],
+            ['найди', 0.5], ['выведи', 0.5]
+        ],
+        en: [
+            ['case number', 3], ['court case', 3], ['court decision', 3], ['ruling', 2], ['judgment', 2],
+            ['hearing', 1.5], ['appeal', 2], ['docket', 3], ['precedent', 2], ['judge', 1.5], ['case law', 3],
+            ['case', 1], ['court', 1.5]
+        ]
+    },
+    tcc_request: {
+        uk: [
+            ['тцк', 4], ['мобіліз', 3], ['демобіліз', 3], ['повістк', 3], ['військкомат', 3], ['військов', 2],
+            ['відстрочк', 3], ['влк', 3], ['призов', 2.5], ['облік', 1], ['резерв+', 2], ['бронюван', 2],
+            ['комплектуван', 2], ['армі', 2], ['зсу', 3], ['сзч', 3]
+        ],
+        ru: [
+            ['мобилиз', 3], ['повестк', 3], ['военкомат', 3], ['военн', 2], ['отсрочк', 3], ['призыв', 2.5],
+            ['воинск', 2], ['учет', 1], ['арми', 2], ['комплектовани', 2], ['территориальн', 1], ['бронирован', 1.5]
+        ],
+        en: [
+            ['tcc', 4], ['military', 2.5], ['draft', 2], ['conscription', 3], ['mobilization', 3],
+            ['mobilisation', 3], ['summons', 2], ['deferral', 3], ['deferment', 3], ['enlistment', 2],
+            ['army', 2], ['recruitment', 1.5], ['recruitment center', 3], ['reservist', 2], ['soldier', 1.5]
+        ]
+    },
+    motd: {
+        uk: [
+            ['повідомлення дня', 4], ['привіт', 2], ['жарт', 2.5], ['анекдот', 2.5], ['добрий день', 1.5],
+            ['доброго ранку', 2], ['розсміши', 2.5], ['цитат', 1.5], ['побажан', 1.5], ['настрій', 1],
+            ['як справи', 3.5]
+        ],
+        ru: [
+            ['сообщение дня', 4], ['привет', 2], ['шутк', 2.5], ['пошути', 2.5], ['добрый день', 1.5],
+            ['доброе утро', 2], ['рассмеши', 2.5], ['пожелани', 1.5], ['настроени', 1], ['как дела', 3.5]
+        ],
+        en: [
+            ['motd', 5], ['message of the day', 5], ['hello', 2], ['hi', 1.5], ['hey', 1.5], ['greeting', 2],
+            ['joke', 2.5], ['funny', 1.5], ['good morning', 2], ['quote', 1.5], ['bender', 2], ['fortune', 2],
+            ['how are you', 3], ['cheer', 1.5], ['make me laugh', 3]
+        ]
+    },
+    unknown_command: {
+        uk: [
+            ['команд', 1.5], ['сервер', 1.5], ['мереж', 2], ['порт', 1.5], ['погод', 2], ['файл', 1.5],
+            ['програм', 1.5], ['каталог', 1.5], ['інтернет', 1.5], ['пароль', 1.5], ['налаштув', 1.5]
+        ],
+        ru: [
+            ['сеть', 1.5], ['сети', 1.5], ['программ', 1.5], ['интернет', 1.5], ['настрои', 1]
+        ],
+        en: [
+            ['ping', 2], ['traceroute', 3], ['nslookup', 3], ['dns', 2], ['ip', 2], ['ip address', 2], ['port', 1.5],
+            ['docker', 2.5], ['container', 1.5], ['linux', 2], ['bash', 2], ['shell', 1.5], ['command', 1.5],
+            ['server', 1.5], ['network', 2], ['netstat', 3], ['curl', 2.5], ['ssh', 2.5], ['git', 2],
+            ['npm', 2.5], ['javascript', 2], ['python', 2], ['weather', 2], ['compile', 2], ['directory', 2],
+            ['ls', 2], ['uptime', 3], ['whoami', 3], ['memory', 1.5], ['cpu', 2], ['disk', 2]
+        ]
+    }
+};
+
+/** Patterns by request type: [name, pattern, weight] */
+const PATTERNS = {
+    legal_request: [
+        ['uk_legal_question', /(?:питання|консультація|допомога).*(?:щодо|про|стосовно).*(?:закон|право|юридич)/i, 2],
+        ['uk_how_law', /(?:як|що|де).*(?:закон|право|юридич)/i, 1],
+        ['uk_need_advice', /(?:потрібна|потрібно|треба).*(?:юридична|правова).*(?:консультація|допомога)/i, 2],
+        ['uk_lawyer_situation', /(?:адвокат|юрист).*(?:ситуація|випадок)/i, 1.5],
+        ['ru_legal_question', /(?:вопрос|консультация|помощь).*(?:по|о|насчет).*(?:закон|право|юридич)/i, 2],
+        ['ru_how_law', /(?:как|что|где).*(?:закон|право|юридич)/i, 1],
+        ['ru_need_advice', /(?:требуется|нужна).*(?:юридическая|правовая).*(?:консультация|помощь)/i, 2],
+        ['ru_lawsuit', /(?<![\p{L}])иск(?:а|у|ом|е|и|ов)?(?![\p{L}])/iu, 2.5],
+        ['en_legal_question', /(?:question|consultation|help).*(?:regarding|about|concerning).*(?:law|legal)/i, 2],
+        ['en_how_law', /(?:how|what|where).*\b(?:law|legal)\b/i, 1],
+        ['en_need_advice', /(?:need|require).*legal.*(?:advice|consultation|help)/i, 2]
+    ],
+    court_case: [
+        // Ukrainian case numbers: 910/1234/23, 757/12345/21-ц
+        ['case_number', /(?<!\d)\d{1,4}\/\d{1,7}\/\d{2,4}(?:-[\p{L}\d]+)?/u, 4],
+        // Proceeding numbers: 2-123/2020, 1-кп/123/21
+        ['proceeding_number', /(?<!\d)\d{1,3}-(?:[\p{L}]{1,3}\/)?\d{1,6}\/\d{2,4}/u, 3],
+        ['ru_case', /(?<![\p{L}])дел(?:о|а|у|е|ом)(?![\p{L}])/iu, 1.5],
+        ['numero_sign', /№\s*\d/, 1],
+        ['uk_find_practice', /(?:прошу|запитую).*надати.*(?:судову практику|юридичну практику)/i, 2]
+    ],
+    tcc_request: [],
+    motd: [],
+    unknown_command: [
+        ['command_flag', /(?:^|\s)-{1,2}[a-z][\w-]*/i, 2],
+        ['ip_address', /(?<![\d.])\d{1,3}(?:\.\d{1,3}){3}(?![\d.])/, 2.5],
+        ['domain', /\b[a-z0-9-]+\.(?:com|net|org|ua|io|dev|ru|local)\b/i, 2]
+    ]
+};
+
+module.exports = {
+    KEYWORDS,
+    PATTERNS
+};
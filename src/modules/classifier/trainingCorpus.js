@@ -0,0 +1,116 @@
+/**
+ * Labelled examples the naive Bayes stage of RequestClassifier is trained on.
+ * Keep them short and realistic; the held-out evaluation set is tests/fixtures/classifier-corpus.json.
+ */
+module.exports = {
+    legal_request: [
+        'Як подати позов до суду про стягнення боргу?',
+        'Потрібна юридична консультація щодо договору оренди',
+        'Що робити, якщо роботодавець не виплачує зарплату?',
+        'Як оформити спадщину після смерті батька?',
+        'Чи можна виписати колишнього мешканця з квартири без його згоди?',
+        'Які права має орендар при достроковому розірванні договору?',
+        'Як стягнути аліменти з колишнього чоловіка?',
+        'Порядок приватизації житла',
+        'Як зареєструвати місце проживання дитини?',
+        'Как подать иск о разводе?',
+        'Нужна консультация юриста по наследству',
+        'Что делать, если сосед затопил квартиру и отказывается платить?',
+        'Как выселить бывшего жильца из квартиры?',
+        'Какая ответственность за нарушение договора поставки?',
+        'Можно ли вернуть товар без чека по закону?',
+        'Как оформить право собственности на дом?',
+        'How do I file a lawsuit against my landlord?',
+        'I need legal advice about a contract dispute',
+        'What are my rights if my employer fires me without notice?',
+        'How does inheritance work when there is no will?',
+        'Can my landlord keep the security deposit?',
+        'What is the penalty for copyright infringement?',
+        'How to get divorced and split property?',
+        'Is a verbal agreement legally binding?'
+    ],
+    court_case: [
+        'Знайди судову практику щодо виселення з житла',
+        'Покажи рішення у справі 910/1234/23',
+        'Номер справи 757/12345/21-ц',
+        'Знайди судові рішення Верховного Суду про аліменти',
+        'Виведи список справ про стягнення боргу',
+        'Які ухвали є у справі 2-123/2020?',
+        'Прошу надати судову практику щодо оренди землі',
+        'Коли засідання у справі 369/100/22?',
+        'Найди судебную практику по выселению',
+        'Покажи решения по делу 910/5555/21',
+        'Номер дела 2-456/2019',
+        'Найди решения апелляционного суда по кредитам',
+        'Судебные решения о разделе имущества',
+        'Find court decisions about eviction',
+        'Show the ruling in case 910/1234/23',
+        'Find case law on wrongful dismissal',
+        'What was the judgment in the appeal hearing?',
+        'Search court cases about unpaid alimony',
+        'List precedents of the Supreme Court on leases'
+    ],
+    tcc_request: [
+        'Чи можуть у ТЦК забрати паспорт?',
+        'Як отримати відстрочку від мобілізації?',
+        'Мені прийшла повістка, що робити?',
+        'Як оновити військово-облікові дані через Резерв+?',
+        'Чи мають право працівники ТЦК зупиняти на вулиці?',
+        'Хто підлягає мобілізації у 2024 році?',
+        'Як пройти ВЛК?',
+        'Бронювання працівників від мобілізації',
+        'Что делать, если пришла повестка из военкомата?',
+        'Как получить отсрочку от призыва?',
+        'Могут ли сотрудники ТЦК задержать на улице?',
+        'Как встать на воинский учет?',
+        'How to get a deferral from military service in Ukraine?',
+        'Can the TCC stop me on the street?',
+        'What happens if I ignore a draft summons?',
+        'Who is exempt from mobilization?',
+        'How do I update my military registration?'
+    ],
+    motd: [
+        'Привіт!',
+        'Розкажи жарт',
+        'Повідомлення дня',
+        'Доброго ранку, як справи?',
+        'Розсміши мене',
+        'Дай цитату на сьогодні',
+        'Привет, как дела?',
+        'Расскажи шутку',
+        'Сообщение дня',
+        'Рассмеши меня',
+        'Hello there',
+        'Tell me a joke',
+        'Message of the day',
+        'Good morning! How are you?',
+        'motd',
+        'Give me a funny quote',
+        'Say something in the voice of Bender'
+    ],
+    unknown_command: [
+        'Як перевірити відкриті порти на сервері?',
+        'Яка погода завтра?',
+        'Як налаштувати мережу в Linux?',
+        'Покажи вільне місце на диску',
+        'Як скопіювати файл через ssh?',
+        'Напиши програму на Python',
+        'Как проверить DNS запись домена?',
+        'Какая погода в Киеве?',
+        'Как настроить сеть в докере?',
+        'Сколько памяти занято на сервере?',
+        'Как перезапустить nginx?',
+        'ping google.com',
+        'traceroute 8.8.8.8',
+        'ls -la /var/log',
+        'How do I check open ports on my server?',
+        'What is the weather tomorrow?',
+        'Explain how DNS works',
+        'How to list docker containers?',
+        'Write a bash script that backs up a directory',
+        'What is the uptime of this machine?',
+        'Show CPU and memory usage',
+        'git status',
+        'npm install express'
+    ]
+};
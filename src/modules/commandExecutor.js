@@ -1,5 +1,6 @@
-const { exec } = require('child_process');
+const ProcessRunner = require('./processRunner');
 const SecurityManager = require('./security');
+const CommandRegistry = require('./commandRegistry');
 const { logCommand, logError } = require('../utils/logger');
 const config = require('../config/app');
 
@@ -26,7 +27,7 @@ class CommandExecutor {
             const safeCommand = SecurityManager.createSafeCommand(command, args);
 
             // Execute command with timeout
-            const result = await this._executeCommand(safeCommand.fullCommand, safeCommand.timeout);
+            const result = await this._executeCommand(safeCommand.command, safeCommand.args, safeCommand.timeout);
 
             const duration = Date.now() - startTime;
 
@@ -52,63 +53,123 @@ class CommandExecutor {
 
     /**
      * Internal method for command execution with timeout
-     * @param {string} fullCommand - Full command string
+     * @param {string} binary - Binary to spawn
+     * @param {Array} argv - Argument vector (no shell is involved)
      * @param {number} timeout - Timeout in milliseconds
      * @returns {Promise<string>} - Command output
      */
-    static _executeCommand(fullCommand, timeout = config.security.commandTimeout) {
-        return new Promise((resolve, reject) => {
-            const child = exec(fullCommand, {
-                timeout,
-                maxBuffer: config.security.maxBufferSize,
-                encoding: 'utf8'
-            }, (error, stdout, stderr) => {
-                if (error) {
-                    // Handle different types of errors
-                    if (error.code === 'ETIMEDOUT') {
-                        reject(new Error(`Command timed out after ${timeout}ms`));
-                    } else if (error.code === 'ENOBUFS') {
-                        reject(new Error('Command output too large'));
-                    } else {
-                        reject(new Error(`Command failed: ${error.message}`));
-                    }
-                } else {
-                    // Return stdout or stderr
-                    resolve(stdout || stderr || '');
-                }
-            });
+    static async _executeCommand(binary, argv = [], timeout = config.security.commandTimeout) {
+        const result = await this.run(binary, argv, { timeout });
+
+        // Tools like ping exit non-zero on packet loss but still print useful output
+        if (result.exitCode !== 0 && !result.stdout) {
+            throw new Error(`Command failed with exit code ${result.exitCode}: ${result.stderr.trim()}`);
+        }
+
+        // Return stdout or stderr
+        return result.stdout || result.stderr || '';
+    }
 
-            // Handle process events
-            child.on('error', (error) => {
-                reject(new Error(`Process error: ${error.message}`));
+    /**
+     * Spawns a binary with an explicit argument vector
+     * @param {string} binary - Binary to spawn
+     * @param {Array} argv - Argument vector
+     * @param {Object} options - Run options (timeout, maxBuffer, onLine, signal)
+     * @returns {Promise<Object>} - { stdout, stderr, output, exitCode, signal, duration }
+     */
+    static run(binary, argv = [], options = {}) {
+        return ProcessRunner.run(binary, argv, options);
+    }
+
+    /**
+     * Executes a command and reports its output line by line
+     * @param {string} command - Command to execute
+     * @param {Array} args - Command arguments
+     * @param {Object} options - Stream options
+     * @param {Function} options.onLine - Called with { stream, line } for every output line
+     * @param {AbortSignal} options.signal - Aborts the command and kills the child process
+     * @returns {Promise<string>} - Full command output
+     */
+    static async stream(command, args = [], options = {}) {
+        const startTime = Date.now();
+
+        if (!SecurityManager.isCommandSafe(command, args)) {
+            throw new Error('Command not allowed or invalid arguments');
+        }
+
+        const safeCommand = SecurityManager.createSafeCommand(command, args);
+
+        try {
+            const result = await this._streamCommand(safeCommand.command, safeCommand.args, options);
+
+            logCommand(command, args, result, Date.now() - startTime);
+
+            return result;
+        } catch (error) {
+            logError('Command stream failed', {
+                command,
+                args,
+                error: error.message,
+                duration: Date.now() - startTime
             });
-        });
+
+            throw new Error(`Command execution failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Internal method for streaming command execution
+     * @param {string} binary - Binary to spawn
+     * @param {Array} argv - Argument vector
+     * @param {Object} options - Stream options
+     * @returns {Promise<string>} - Full command output
+     */
+    static async _streamCommand(binary, argv, options = {}) {
+        const {
+            onLine = null,
+            signal = null,
+            timeout = config.security.streamTimeout
+        } = options;
+
+        const result = await this.run(binary, argv, { onLine, signal, timeout });
+
+        if (result.exitCode !== 0 && !result.output) {
+            throw new Error(`Command failed with exit code ${result.exitCode}`);
+        }
+
+        return result.output;
     }
 
     /**
      * Executes ping command
      * @param {string} hostname - Hostname to ping
+     * @param {Object} options - Options
+     * @param {number} options.family - Address family (4 or 6); IPv6 literals select 6 automatically
      * @returns {Promise<string>} - Ping output
      */
-    static async ping(hostname) {
+    static async ping(hostname, options = {}) {
         if (!SecurityManager.validateNetworkTarget(hostname)) {
             throw new Error('Invalid hostname or IP address');
         }
 
-        return await this.execute('ping', [hostname]);
+        const command = SecurityManager.getFamilyCommand('ping', hostname, options.family);
+        return await this.execute(command, [hostname]);
     }
 
     /**
      * Executes traceroute command
      * @param {string} hostname - Hostname to trace
+     * @param {Object} options - Options
+     * @param {number} options.family - Address family (4 or 6); IPv6 literals select 6 automatically
      * @returns {Promise<string>} - Traceroute output
      */
-    static async traceroute(hostname) {
+    static async traceroute(hostname, options = {}) {
         if (!SecurityManager.validateNetworkTarget(hostname)) {
             throw new Error('Invalid hostname or IP address');
         }
 
-        return await this.execute('traceroute', [hostname]);
+        const command = SecurityManager.getFamilyCommand('traceroute', hostname, options.family);
+        return await this.execute(command, [hostname]);
     }
 
     /**
@@ -170,8 +231,10 @@ class CommandExecutor {
      */
     static async isCommandAvailable(command) {
         try {
-            const result = await this._executeCommand(`which ${command}`, 5000);
-            return result.trim().length > 0;
+            // Family variants (ping6, traceroute4, ...) map to their underlying binary
+            const binary = SecurityManager.getCommandConfig(command)?.command || command;
+            const result = await this.run('which', [binary], { timeout: 5000 });
+            return result.exitCode === 0 && result.stdout.trim().length > 0;
         } catch (error) {
             return false;
         }
@@ -231,9 +294,9 @@ class CommandExecutor {
                 return false;
             }
 
-            // Test with a safe argument
-            const testArgs = command === 'ping' ? ['localhost'] : 
-                           command === 'whois' ? ['example.com'] : [];
+            // Test with the first example argument of the command definition
+            const example = CommandRegistry.get(command)?.examples[0];
+            const testArgs = example ? [example] : [];
 
             await this.execute(command, testArgs);
             return true;
@@ -274,7 +337,7 @@ class CommandExecutor {
      */
     static async _getOSInfo() {
         try {
-            const result = await this._executeCommand('uname -a', 5000);
+            const result = await this._executeCommand('uname', ['-a'], 5000);
             return { uname: result.trim() };
         } catch (error) {
             return null;
@@ -287,7 +350,7 @@ class CommandExecutor {
      */
     static async _getCPUInfo() {
         try {
-            const result = await this._executeCommand('nproc', 5000);
+            const result = await this._executeCommand('nproc', [], 5000);
             return { cores: parseInt(result.trim()) || 1 };
         } catch (error) {
             return { cores: 1 };
@@ -300,7 +363,7 @@ class CommandExecutor {
      */
     static async _getMemoryInfo() {
         try {
-            const result = await this._executeCommand('free -h', 5000);
+            const result = await this._executeCommand('free', ['-h'], 5000);
             return { free: result.trim() };
         } catch (error) {
             return null;
@@ -0,0 +1,250 @@
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const OutputParser = require('../utils/parsers');
+const OutputFormatter = require('../utils/formatters');
+
+// Every module in this directory defines one whitelisted command
+const COMMANDS_DIR = path.join(__dirname, '..', 'commands');
+
+const handlerSchema = Joi.alternatives().try(Joi.string(), Joi.function());
+
+const variantSchema = Joi.object({
+    binary: Joi.string(),
+    args: Joi.array().items(Joi.string()).required()
+});
+
+const definitionSchema = Joi.object({
+    name: Joi.string().pattern(/^[a-z][a-z0-9-]*$/).required(),
+    // Display name used in messages, defaults to the capitalized name
+    title: Joi.string(),
+    description: Joi.string().required(),
+    usage: Joi.string().required(),
+    binary: Joi.string().required(),
+    // Fixed arguments placed before the user arguments
+    args: Joi.array().items(Joi.string()).default([]),
+    // Address family variants, registered as <name>4 / <name>6
+    variants: Joi.object().pattern(Joi.string().valid('4', '6'), variantSchema).default({}),
+    // Joi schemas of the request body fields
+    params: Joi.object().pattern(Joi.string(), Joi.object().schema()).required(),
+    // Request fields passed to the binary, in order
+    positional: Joi.array().items(Joi.string()).default([]),
+    // Terminal flags mapped to request fields, e.g. { '-6': { family: 6 } }
+    flags: Joi.object().pattern(Joi.string().pattern(/^-/), Joi.object()).default({}),
+    // Request field holding the remote target (cache key subject and network policy check);
+    // streamable commands need one
+    target: Joi.string().when('streamable', { is: true, then: Joi.required() }),
+    validate: Joi.string().valid('hostname', 'domain'),
+    networkPolicy: Joi.boolean().default(false),
+    maxArgs: Joi.number().integer().min(0),
+    timeout: Joi.number().integer().min(1).required(),
+    cacheTtl: Joi.number().integer().min(0).required(),
+    // OutputParser/OutputFormatter method names or functions taking the output
+    parser: handlerSchema,
+    formatter: handlerSchema.default('formatOutput'),
+    streamable: Joi.boolean().default(false),
+    admin: Joi.boolean().default(false),
+    examples: Joi.array().items(Joi.string()).default([])
+});
+
+const definitions = new Map();
+
+/**
+ * Resolves a parser/formatter given as a method name or a function.
+ * Names are looked up on every call so replaced (mocked) methods are honored.
+ * @param {string|Function} handler - Handler
+ * @param {Object} owner - Object providing named handlers
+ * @returns {Function|null} - Handler function
+ */
+const resolveHandler = (handler, owner) => {
+    if (typeof handler === 'function') {
+        return handler;
+    }
+
+    return typeof owner[handler] === 'function' ? (output) => owner[handler](output) : null;
+};
+
+/**
+ * Registry of the whitelisted system commands. Each command is described by one module in src/commands
+ * (binary, argument schema, validation, timeout, cache TTL, parser and formatter); the security whitelist,
+ * the API routes, GET /api/commands metadata and the terminal autocomplete are all generated from it.
+ */
+class CommandRegistry {
+    /**
+     * Registers every command module in a directory
+     * @param {string} directory - Directory with command modules
+     * @returns {number} - Number of registered commands
+     */
+    static load(directory = COMMANDS_DIR) {
+        const files = fs.readdirSync(directory)
+            .filter(file => file.endsWith('.js'))
+            .sort();
+
+        files.forEach(file => this.register(require(path.join(directory, file))));
+        return files.length;
+    }
+
+    /**
+     * Validates and registers a command definition
+     * @param {Object} definition - Command definition
+     * @returns {Object} - Normalized definition
+     * @throws {Error} - When the definition is invalid or the name is taken
+     */
+    static register(definition) {
+        const { error, value } = definitionSchema.validate(definition);
+
+        if (error) {
+            throw new Error(`Invalid command definition ${definition?.name || ''}: ${error.message}`);
+        }
+
+        if (definitions.has(value.name)) {
+            throw new Error(`Command ${value.name} is already registered`);
+        }
+
+        const unknownFields = [...value.positional, value.target]
+            .filter(field => field && !value.params[field]);
+
+        if (unknownFields.length > 0) {
+            throw new Error(`Command ${value.name} references unknown params: ${unknownFields.join(', ')}`);
+        }
+
+        const parse = value.parser ? resolveHandler(value.parser, OutputParser) : () => null;
+        const format = resolveHandler(value.formatter, OutputFormatter);
+
+        if (!parse || !format) {
+            throw new Error(`Command ${value.name} references an unknown parser or formatter`);
+        }
+
+        const normalized = {
+            ...value,
+            title: value.title || value.name.charAt(0).toUpperCase() + value.name.slice(1),
+            schema: Joi.object(value.params),
+            parse,
+            format
+        };
+
+        definitions.set(value.name, normalized);
+        return normalized;
+    }
+
+    /**
+     * Removes a command (used by tests and plugins that replace a built-in)
+     * @param {string} name - Command name
+     * @returns {boolean} - Whether the command existed
+     */
+    static unregister(name) {
+        return definitions.delete(name);
+    }
+
+    /**
+     * Gets a command definition
+     * @param {string} name - Command name
+     * @returns {Object|null} - Definition
+     */
+    static get(name) {
+        return definitions.get(name) || null;
+    }
+
+    /**
+     * Checks whether a command is registered
+     * @param {string} name - Command name
+     * @returns {boolean} - Whether the command exists
+     */
+    static has(name) {
+        return definitions.has(name);
+    }
+
+    /**
+     * Lists command definitions in registration order
+     * @returns {Array<Object>} - Definitions
+     */
+    static list() {
+        return [...definitions.values()];
+    }
+
+    /**
+     * Builds the user part of the argument vector from validated request fields
+     * @param {Object} definition - Command definition
+     * @param {Object} input - Validated request fields
+     * @returns {Array<string>} - Arguments
+     */
+    static buildArgv(definition, input = {}) {
+        return definition.positional
+            .flatMap(field => (input[field] === undefined || input[field] === null ? [] : [].concat(input[field])))
+            .map(String);
+    }
+
+    /**
+     * Generates the SecurityManager whitelist, including address family variants (ping4, traceroute6, ...)
+     * @returns {Object} - Whitelist keyed by command name
+     */
+    static toAllowedCommands() {
+        const allowed = {};
+
+        this.list().forEach(definition => {
+            const base = {
+                command: definition.binary,
+                args: definition.args,
+                maxArgs: definition.maxArgs ?? definition.positional.length,
+                validateHostname: definition.validate === 'hostname',
+                validateDomain: definition.validate === 'domain',
+                timeout: definition.timeout
+            };
+
+            allowed[definition.name] = base;
+
+            Object.entries(definition.variants).forEach(([family, variant]) => {
+                allowed[`${definition.name}${family}`] = {
+                    ...base,
+                    command: variant.binary || definition.binary,
+                    args: variant.args
+                };
+            });
+        });
+
+        return allowed;
+    }
+
+    /**
+     * Describes a command for clients (GET /api/commands, terminal autocomplete)
+     * @param {Object} definition - Command definition
+     * @returns {Object} - Public metadata
+     */
+    static describe(definition) {
+        const { keys } = definition.schema.describe();
+
+        return {
+            name: definition.name,
+            description: definition.description,
+            usage: definition.usage,
+            route: `/api/${definition.name}`,
+            method: 'POST',
+            params: Object.entries(keys).map(([name, param]) => ({
+                name,
+                type: param.type,
+                required: param.flags?.presence === 'required',
+                values: param.allow || null
+            })),
+            positional: definition.positional,
+            flags: definition.flags,
+            families: Object.keys(definition.variants).map(Number),
+            timeout: definition.timeout,
+            cacheTtl: definition.cacheTtl,
+            streamable: definition.streamable,
+            admin: definition.admin,
+            examples: definition.examples
+        };
+    }
+
+    /**
+     * Describes all registered commands
+     * @returns {Array<Object>} - Public metadata
+     */
+    static describeAll() {
+        return this.list().map(definition => this.describe(definition));
+    }
+}
+
+CommandRegistry.load();
+
+module.exports = CommandRegistry;
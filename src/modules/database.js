@@ -2,6 +2,14 @@ const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const { logInfo, logError } = require('../utils/logger');
 
+// (Re)indexes zakon_online_cases rows, with the stored full text of each case, in zakon_online_fts
+const ZAKON_ONLINE_FTS_CASE_ROWS = `INSERT OR REPLACE INTO zakon_online_fts
+        (rowid, case_number, court_name, justice_kind, judgment_form, summary, full_text)
+    SELECT c.id, c.case_number, c.court_name, c.justice_kind, c.judgment_form, c.summary, (
+        SELECT f.full_text FROM zakon_online_full_texts f WHERE f.case_id = c.case_id ORDER BY f.id LIMIT 1
+    )
+    FROM zakon_online_cases c`;
+
 /**
  * Database management module
  */
@@ -65,6 +73,9 @@ class DatabaseManager {
                 query TEXT NOT NULL,
                 response TEXT,
                 model TEXT DEFAULT 'gpt-3.5-turbo',
+                request_type TEXT DEFAULT 'other',
+                prompt_tokens INTEGER DEFAULT 0,
+                completion_tokens INTEGER DEFAULT 0,
                 tokens_used INTEGER DEFAULT 0,
                 cost REAL DEFAULT 0,
                 user_ip TEXT,
@@ -100,6 +111,8 @@ class DatabaseManager {
                 total_count INTEGER DEFAULT 0,
                 page INTEGER DEFAULT 1,
                 page_size INTEGER DEFAULT 10,
+                result_case_ids TEXT DEFAULT '[]',
+                ai_summary TEXT,
                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP
             )`,
 
@@ -125,16 +138,179 @@ class DatabaseManager {
                 full_text TEXT,
                 highlights TEXT,
                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            )`
+            )`,
+
+            // Cases and full texts are looked up (and de-duplicated) by case_id
+            `CREATE INDEX IF NOT EXISTS idx_zakon_online_cases_case_id
+                ON zakon_online_cases (case_id)`,
+
+            `CREATE INDEX IF NOT EXISTS idx_zakon_online_full_texts_case_id
+                ON zakon_online_full_texts (case_id)`,
+
+            // Full-text index of the stored cases and their full texts (rowid = zakon_online_cases.id),
+            // kept in sync by the triggers below
+            `CREATE VIRTUAL TABLE IF NOT EXISTS zakon_online_fts USING fts5(
+                case_number, court_name, justice_kind, judgment_form, summary, full_text,
+                tokenize = 'unicode61'
+            )`,
+
+            `CREATE TRIGGER IF NOT EXISTS zakon_online_cases_fts_insert AFTER INSERT ON zakon_online_cases BEGIN
+                ${ZAKON_ONLINE_FTS_CASE_ROWS} WHERE c.id = NEW.id;
+            END`,
+
+            `CREATE TRIGGER IF NOT EXISTS zakon_online_cases_fts_update AFTER UPDATE ON zakon_online_cases BEGIN
+                ${ZAKON_ONLINE_FTS_CASE_ROWS} WHERE c.id = NEW.id;
+            END`,
+
+            `CREATE TRIGGER IF NOT EXISTS zakon_online_cases_fts_delete AFTER DELETE ON zakon_online_cases BEGIN
+                DELETE FROM zakon_online_fts WHERE rowid = OLD.id;
+            END`,
+
+            `CREATE TRIGGER IF NOT EXISTS zakon_online_full_texts_fts_insert
+                AFTER INSERT ON zakon_online_full_texts BEGIN
+                ${ZAKON_ONLINE_FTS_CASE_ROWS} WHERE c.case_id = NEW.case_id;
+            END`,
+
+            `CREATE TRIGGER IF NOT EXISTS zakon_online_full_texts_fts_update
+                AFTER UPDATE ON zakon_online_full_texts BEGIN
+                ${ZAKON_ONLINE_FTS_CASE_ROWS} WHERE c.case_id = NEW.case_id;
+            END`,
+
+            `CREATE TRIGGER IF NOT EXISTS zakon_online_full_texts_fts_delete
+                AFTER DELETE ON zakon_online_full_texts BEGIN
+                ${ZAKON_ONLINE_FTS_CASE_ROWS} WHERE c.case_id = OLD.case_id;
+            END`,
+
+            // Network monitors table
+            `CREATE TABLE IF NOT EXISTS monitors (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                type TEXT NOT NULL CHECK (type IN ('ping', 'tcp', 'http')),
+                target TEXT NOT NULL,
+                port INTEGER,
+                interval_seconds INTEGER NOT NULL DEFAULT 60,
+                status TEXT DEFAULT 'unknown',
+                is_enabled INTEGER DEFAULT 1,
+                last_checked_at DATETIME,
+                last_change_at DATETIME,
+                created_by TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`,
+
+            // Network monitor check results table
+            `CREATE TABLE IF NOT EXISTS monitor_results (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                monitor_id INTEGER NOT NULL,
+                status TEXT NOT NULL,
+                latency REAL,
+                error TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (monitor_id) REFERENCES monitors(id) ON DELETE CASCADE
+            )`,
+
+            `CREATE INDEX IF NOT EXISTS idx_monitor_results_monitor_created
+                ON monitor_results (monitor_id, created_at)`,
+
+            // AI assistant conversation threads, keyed by a hash of the session token
+            `CREATE TABLE IF NOT EXISTS conversation_messages (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                session_key TEXT NOT NULL,
+                role TEXT NOT NULL CHECK (role IN ('user', 'assistant', 'summary')),
+                content TEXT NOT NULL,
+                tokens INTEGER DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`,
+
+            `CREATE INDEX IF NOT EXISTS idx_conversation_messages_session
+                ON conversation_messages (session_key, id)`,
+
+            // Versions of the AI prompt templates (src/prompts/defaults.js is version 1)
+            `CREATE TABLE IF NOT EXISTS prompt_versions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                version INTEGER NOT NULL,
+                content TEXT NOT NULL,
+                note TEXT,
+                author TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (name, version)
+            )`,
+
+            // Version of each template used per environment (NODE_ENV or PROMPT_ENV)
+            `CREATE TABLE IF NOT EXISTS prompt_activations (
+                name TEXT NOT NULL,
+                environment TEXT NOT NULL,
+                version INTEGER NOT NULL,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (name, environment)
+            )`,
+
+            // Answered AI prompts with their term vectors, reused for similar prompts
+            `CREATE TABLE IF NOT EXISTS semantic_cache (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                request_type TEXT NOT NULL,
+                prompt_version TEXT,
+                query TEXT NOT NULL,
+                vector TEXT NOT NULL,
+                response TEXT NOT NULL,
+                hits INTEGER DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                last_hit_at DATETIME
+            )`,
+
+            `CREATE INDEX IF NOT EXISTS idx_semantic_cache_type
+                ON semantic_cache (request_type, created_at)`
         ];
 
         for (const table of tables) {
             await this.runQuery(table);
         }
 
+        await this.addMissingColumns();
+
+        // Needs the usage columns, which older databases only get from addMissingColumns()
+        await this.runQuery(`CREATE INDEX IF NOT EXISTS idx_openai_requests_created
+            ON openai_requests (created_at, user_ip)`);
+
+        // Cases stored before the full-text index existed
+        await this.runQuery(`${ZAKON_ONLINE_FTS_CASE_ROWS} WHERE c.id NOT IN (SELECT rowid FROM zakon_online_fts)`);
+
         logInfo('Database tables created successfully');
     }
 
+    /**
+     * Adds columns introduced after a table was first created (CREATE TABLE IF NOT EXISTS keeps old tables as-is)
+     * @returns {Promise<number>} - Number of added columns
+     */
+    async addMissingColumns() {
+        const columns = [
+            { table: 'openai_requests', name: 'request_type', definition: "TEXT DEFAULT 'other'" },
+            { table: 'openai_requests', name: 'prompt_tokens', definition: 'INTEGER DEFAULT 0' },
+            { table: 'openai_requests', name: 'completion_tokens', definition: 'INTEGER DEFAULT 0' },
+            { table: 'openai_requests', name: 'prompt_version', definition: 'TEXT' },
+            { table: 'zakon_online_searches', name: 'result_case_ids', definition: "TEXT DEFAULT '[]'" },
+            { table: 'zakon_online_searches', name: 'ai_summary', definition: 'TEXT' },
+            { table: 'monitors', name: 'created_by', definition: 'TEXT' }
+        ];
+        let added = 0;
+
+        for (const column of columns) {
+            const existing = await this.getAll(`PRAGMA table_info(${column.table})`);
+
+            if (!existing.some(info => info.name === column.name)) {
+                await this.runQuery(`ALTER TABLE ${column.table} ADD COLUMN ${column.name} ${column.definition}`);
+                added++;
+            }
+        }
+
+        if (added > 0) {
+            logInfo('Database columns added', { added });
+        }
+
+        return added;
+    }
+
     /**
      * Runs SQL query
      * @param {string} sql - SQL query
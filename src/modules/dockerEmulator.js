@@ -1,8 +1,11 @@
-const { exec } = require('child_process');
 const fs = require('fs').promises;
 const path = require('path');
+const ProcessRunner = require('./processRunner');
 const config = require('../config/app');
 
+// Workspace file and program names: no paths, quotes or shell syntax
+const FILE_NAME_PATTERN = /^[A-Za-z0-9_][A-Za-z0-9_.-]{0,63}$/;
+
 /**
  * Manages emulators in Docker containers
  */
@@ -23,10 +26,14 @@ class DockerEmulator {
             const fileName = options.fileName || 'program.asm';
             const filePath = path.join(this.workspacePath, 'asm', fileName);
             
-            // Run compilation in Docker
-            const command = `docker run --rm -v "${this.workspacePath}:/workspace" nasm:latest bash -c "cd /workspace/asm && nasm -f elf64 ${fileName} -o ${fileName.replace('.asm', '.o')} && ld ${fileName.replace('.asm', '.o')} -o ${fileName.replace('.asm', '')} && ./${fileName.replace('.asm', '')}"`;
-            
-            const result = await this.executeCommand(command);
+            this._validateFileName(fileName, '.asm');
+            const baseName = path.basename(fileName, '.asm');
+
+            // Run compilation in Docker; file names reach the script as positional parameters, never as code
+            const result = await this.executeCommand('docker', [
+                ...this._dockerRunArgs('nasm:latest', '/workspace/asm'),
+                'bash', '-c', 'nasm -f elf64 "$1" -o "$2.o" && ld "$2.o" -o "$2" && "./$2"', 'nasm', fileName, baseName
+            ]);
             
             return {
                 success: true,
@@ -54,10 +61,14 @@ class DockerEmulator {
             const fileName = options.fileName || 'program.pas';
             const filePath = path.join(this.workspacePath, 'pascal', fileName);
             
-            // Run compilation in Docker
-            const command = `docker run --rm -v "${this.workspacePath}:/workspace" fpc:latest bash -c "cd /workspace/pascal && fpc ${fileName} && ./${fileName.replace('.pas', '')}"`;
-            
-            const result = await this.executeCommand(command);
+            this._validateFileName(fileName, '.pas');
+            const baseName = path.basename(fileName, '.pas');
+
+            // Run compilation in Docker; file names reach the script as positional parameters, never as code
+            const result = await this.executeCommand('docker', [
+                ...this._dockerRunArgs('fpc:latest', '/workspace/pascal'),
+                'bash', '-c', 'fpc "$1" && "./$2"', 'fpc', fileName, baseName
+            ]);
             
             return {
                 success: true,
@@ -81,9 +92,12 @@ class DockerEmulator {
      */
     async runDOS(programName, options = {}) {
         try {
-            const command = `docker run --rm -v "${this.workspacePath}:/workspace" dosbox:latest bash -c "cd /workspace/dos && dosbox -c 'mount c /workspace/dos' -c 'c:' -c '${programName}' -c 'exit'"`;
-            
-            const result = await this.executeCommand(command);
+            this._validateFileName(programName);
+
+            const result = await this.executeCommand('docker', [
+                ...this._dockerRunArgs('dosbox:latest', '/workspace/dos'),
+                'dosbox', '-c', 'mount c /workspace/dos', '-c', 'c:', '-c', programName, '-c', 'exit'
+            ]);
             
             return {
                 success: true,
@@ -107,9 +121,13 @@ class DockerEmulator {
      */
     async runQEMU(imagePath, options = {}) {
         try {
-            const command = `docker run --rm -v "${this.workspacePath}:/workspace" qemu:latest qemu-system-x86_64 -hda /workspace/${imagePath} -m 512 -display sdl`;
-            
-            const result = await this.executeCommand(command);
+            // Images live in workspace subdirectories ("iso/disk.img"); ".." segments are rejected
+            imagePath.split('/').forEach(segment => this._validateFileName(segment));
+
+            const result = await this.executeCommand('docker', [
+                ...this._dockerRunArgs('qemu:latest', '/workspace'),
+                'qemu-system-x86_64', '-hda', `/workspace/${imagePath}`, '-m', '512', '-display', 'sdl'
+            ]);
             
             return {
                 success: true,
@@ -214,8 +232,9 @@ pause`
      */
     async getStatus() {
         try {
-            const command = 'docker ps --format "table {{.Names}}\t{{.Status}}\t{{.Ports}}"';
-            const result = await this.executeCommand(command);
+            const result = await this.executeCommand('docker', [
+                'ps', '--format', 'table {{.Names}}\t{{.Status}}\t{{.Ports}}'
+            ]);
             
             return {
                 success: true,
@@ -236,8 +255,7 @@ pause`
      */
     async startContainers() {
         try {
-            const command = 'docker-compose up -d';
-            const result = await this.executeCommand(command);
+            const result = await this.executeCommand('docker-compose', ['up', '-d']);
             
             return {
                 success: true,
@@ -258,8 +276,7 @@ pause`
      */
     async stopContainers() {
         try {
-            const command = 'docker-compose down';
-            const result = await this.executeCommand(command);
+            const result = await this.executeCommand('docker-compose', ['down']);
             
             return {
                 success: true,
@@ -275,20 +292,42 @@ pause`
     }
 
     /**
-     * Executes command in system
-     * @param {string} command - Command to execute
-     * @returns {Promise<string>} - Execution result
+     * Executes a binary with an argument vector (no shell)
+     * @param {string} binary - Binary to run (docker, docker-compose)
+     * @param {Array<string>} argv - Arguments
+     * @returns {Promise<string>} - Standard output
+     * @throws {Error} - On failure or non-zero exit; carries stdout, stderr and exitCode
      */
-    async executeCommand(command) {
-        return new Promise((resolve, reject) => {
-            exec(command, { timeout: 30000 }, (error, stdout, stderr) => {
-                if (error) {
-                    reject({ error, stdout, stderr });
-                } else {
-                    resolve(stdout);
-                }
-            });
-        });
+    async executeCommand(binary, argv = []) {
+        const result = await ProcessRunner.run(binary, argv, { timeout: config.commands.docker.timeout });
+
+        if (result.exitCode !== 0) {
+            const message = result.stderr.trim() || `${binary} exited with code ${result.exitCode}`;
+            throw Object.assign(new Error(message), result);
+        }
+
+        return result.stdout;
+    }
+
+    /**
+     * Builds "docker run" arguments with the workspace mounted
+     * @param {string} image - Image name
+     * @param {string} workdir - Working directory inside the container
+     * @returns {Array<string>} - Arguments
+     */
+    _dockerRunArgs(image, workdir) {
+        return ['run', '--rm', '-v', `${this.workspacePath}:/workspace`, '-w', workdir, image];
+    }
+
+    /**
+     * Rejects names that are not plain workspace file names
+     * @param {string} name - File or program name
+     * @param {string} extension - Required extension
+     */
+    _validateFileName(name, extension = '') {
+        if (!FILE_NAME_PATTERN.test(name) || name.includes('..') || !name.endsWith(extension)) {
+            throw new Error(`Invalid file name: ${name}`);
+        }
     }
 }
 
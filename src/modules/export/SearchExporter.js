@@ -0,0 +1,158 @@
+const TrueTypeFont = require('./TrueTypeFont');
+const { buildDossierDocument } = require('./dossier');
+const { renderMarkdown } = require('./markdown');
+const { renderHtml } = require('./html');
+const { renderPdf, transliterate } = require('./pdf');
+const { renderDocx } = require('./docx');
+const { logWarning } = require('../../utils/logger');
+const config = require('../../config/app');
+
+// Export formats by name: file extension, MIME type and renderer (document, options) => Buffer
+const FORMATS = {
+    markdown: {
+        extension: 'md',
+        contentType: 'text/markdown; charset=utf-8',
+        render: renderMarkdown
+    },
+    html: {
+        extension: 'html',
+        contentType: 'text/html; charset=utf-8',
+        render: renderHtml
+    },
+    pdf: {
+        extension: 'pdf',
+        contentType: 'application/pdf',
+        render: renderPdf
+    },
+    docx: {
+        extension: 'docx',
+        contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        render: renderDocx
+    }
+};
+
+const FORMAT_ALIASES = { md: 'markdown' };
+
+// Common system fonts with Cyrillic glyphs, tried after config.zakon.exportFont
+const SYSTEM_FONTS = [
+    '/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf',
+    '/usr/share/fonts/dejavu/DejaVuSans.ttf',
+    '/usr/share/fonts/TTF/DejaVuSans.ttf',
+    '/usr/share/fonts/truetype/liberation/LiberationSans-Regular.ttf',
+    '/usr/share/fonts/liberation/LiberationSans-Regular.ttf',
+    '/System/Library/Fonts/Supplemental/Arial.ttf',
+    '/Library/Fonts/Arial.ttf',
+    'C:\\Windows\\Fonts\\arial.ttf'
+];
+
+/**
+ * Renders the dossier of a stored search (metadata, AI summary, decisions with highlighted excerpts and
+ * full texts) as Markdown, HTML, PDF or DOCX. All formats are written in plain JavaScript; the PDF embeds
+ * the first TrueType font that loads from config.zakon.exportFont or the common system locations.
+ */
+class SearchExporter {
+    /**
+     * @param {Object} options - Exporter options
+     * @param {Array<string>} options.fontPaths - Font files to try for PDF, in order
+     *   (default: config.zakon.exportFont, then SYSTEM_FONTS)
+     */
+    constructor(options = {}) {
+        this.fontPaths = options.fontPaths || [config.zakon.exportFont, ...SYSTEM_FONTS].filter(Boolean);
+        this.font = undefined;
+    }
+
+    /**
+     * Resolves a format name or alias
+     * @param {string} format - Format name (markdown, md, html, pdf, docx; case-insensitive)
+     * @returns {string|null} - Format name (null when unknown)
+     */
+    static resolveFormat(format) {
+        const name = String(format || '').toLowerCase();
+        const resolved = FORMAT_ALIASES[name] || name;
+
+        return FORMATS[resolved] ? resolved : null;
+    }
+
+    /**
+     * Lists the export formats
+     * @returns {Array<string>} - Format names
+     */
+    static formats() {
+        return Object.keys(FORMATS);
+    }
+
+    /**
+     * Renders a dossier
+     * @param {Object} dossier - Dossier of ZakonOnlineService.getSearchDossier
+     * @param {string} format - Format name or alias
+     * @returns {Object} - { format, filename, contentType, body }
+     * @throws {Error} - With status 400 for an unknown format
+     */
+    render(dossier, format) {
+        const name = SearchExporter.resolveFormat(format);
+
+        if (!name) {
+            const expected = SearchExporter.formats().join(', ');
+            const error = new Error(`Unknown export format: ${format} (expected ${expected})`);
+            error.status = 400;
+            throw error;
+        }
+
+        const { extension, contentType, render } = FORMATS[name];
+        const created = new Date(dossier.exportedAt || Date.now());
+        const body = render(buildDossierDocument(dossier), {
+            created,
+            font: name === 'pdf' ? this._font() : null
+        });
+
+        return {
+            format: name,
+            filename: `${SearchExporter.basename(dossier)}.${extension}`,
+            contentType,
+            body
+        };
+    }
+
+    /**
+     * Builds the file name of an export without extension: search-<id>-<query in ASCII>
+     * @param {Object} dossier - { id, query }
+     * @returns {string} - File name
+     */
+    static basename(dossier) {
+        const slug = transliterate(dossier.query || '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .slice(0, 48)
+            .replace(/^-+|-+$/g, '');
+
+        return slug ? `search-${dossier.id}-${slug}` : `search-${dossier.id}`;
+    }
+
+    /**
+     * Loads the PDF font once: the first path that holds a TrueType font. Missing system fonts are
+     * skipped quietly, a configured font that fails to load is logged.
+     * @returns {TrueTypeFont|null} - Font (null when none loads; the PDF then uses Helvetica)
+     */
+    _font() {
+        if (this.font !== undefined) {
+            return this.font;
+        }
+
+        this.font = null;
+
+        for (const path of this.fontPaths) {
+            try {
+                this.font = TrueTypeFont.load(path);
+                break;
+            } catch (error) {
+                if (error.code !== 'ENOENT' || !SYSTEM_FONTS.includes(path)) {
+                    logWarning('Export font not usable', { path, error: error.message });
+                }
+            }
+        }
+
+        return this.font;
+    }
+}
+
+module.exports = SearchExporter;
@@ -0,0 +1,246 @@
+const fs = require('fs');
+
+/**
+ * Reads what a PDF needs to embed a TrueType font: the Unicode to glyph map (cmap formats 4 and 12),
+ * glyph advance widths and the font box. Only fonts with TrueType outlines (a glyf table) are accepted;
+ * font collections (.ttc) and CFF-based OpenType fonts are not.
+ */
+class TrueTypeFont {
+    /**
+     * @param {Buffer} data - Font file contents
+     * @throws {Error} - When the data is no TrueType font
+     */
+    constructor(data) {
+        this.data = data;
+        this.tables = this._readTables();
+
+        ['head', 'hhea', 'hmtx', 'cmap', 'maxp', 'glyf'].forEach(tag => {
+            if (!this.tables[tag]) {
+                throw new Error(`Not a TrueType font: no ${tag} table`);
+            }
+        });
+
+        const head = this.tables.head.offset;
+        const hhea = this.tables.hhea.offset;
+
+        this.unitsPerEm = data.readUInt16BE(head + 18);
+        this.bbox = [0, 2, 4, 6].map(delta => this._scale(data.readInt16BE(head + 36 + delta)));
+        this.ascent = this._scale(data.readInt16BE(hhea + 4));
+        this.descent = this._scale(data.readInt16BE(hhea + 6));
+        this.capHeight = this._readCapHeight();
+        this.italicAngle = this.tables.post ? data.readInt32BE(this.tables.post.offset + 4) / 65536 : 0;
+        this.numGlyphs = data.readUInt16BE(this.tables.maxp.offset + 4);
+        this.advances = this._readAdvances(data.readUInt16BE(hhea + 34));
+        this.glyphs = this._readCmap();
+        this.postScriptName = this._readName(6) || 'EmbeddedFont';
+    }
+
+    /**
+     * Loads a font file
+     * @param {string} path - Path to a .ttf file
+     * @returns {TrueTypeFont} - Font
+     * @throws {Error} - When the file cannot be read or is no TrueType font
+     */
+    static load(path) {
+        return new TrueTypeFont(fs.readFileSync(path));
+    }
+
+    /**
+     * Gets the glyph of a character
+     * @param {number} codePoint - Unicode code point
+     * @returns {number} - Glyph ID (0, the missing glyph, when the font has none)
+     */
+    glyph(codePoint) {
+        return this.glyphs.get(codePoint) || 0;
+    }
+
+    /**
+     * Gets the advance width of a glyph
+     * @param {number} glyph - Glyph ID
+     * @returns {number} - Width in 1/1000 of the font size
+     */
+    width(glyph) {
+        return this.advances[Math.min(glyph, this.advances.length - 1)];
+    }
+
+    /**
+     * Reads the table directory
+     * @returns {Object} - { tag: { offset, length } }
+     */
+    _readTables() {
+        const version = this.data.readUInt32BE(0);
+
+        if (version !== 0x00010000 && version !== 0x74727565) {
+            throw new Error('Not a TrueType font');
+        }
+
+        const tables = {};
+
+        for (let index = 0; index < this.data.readUInt16BE(4); index++) {
+            const entry = 12 + (index * 16);
+
+            tables[this.data.toString('latin1', entry, entry + 4).trim()] = {
+                offset: this.data.readUInt32BE(entry + 8),
+                length: this.data.readUInt32BE(entry + 12)
+            };
+        }
+
+        return tables;
+    }
+
+    /**
+     * Reads the advance widths of all glyphs (glyphs past the metrics repeat the last width)
+     * @param {number} count - Number of long metrics in hmtx
+     * @returns {Array<number>} - Widths in 1/1000 em
+     */
+    _readAdvances(count) {
+        const { offset } = this.tables.hmtx;
+
+        return Array.from({ length: Math.max(1, count) }, (_, glyph) => this._scale(
+            this.data.readUInt16BE(offset + (glyph * 4))
+        ));
+    }
+
+    /**
+     * Reads the Unicode cmap (format 12 when present, otherwise format 4)
+     * @returns {Map<number, number>} - Code point to glyph ID
+     */
+    _readCmap() {
+        const cmap = this.tables.cmap.offset;
+        const subtables = Array.from({ length: this.data.readUInt16BE(cmap + 2) }, (_, index) => {
+            const entry = cmap + 4 + (index * 8);
+
+            return {
+                platform: this.data.readUInt16BE(entry),
+                encoding: this.data.readUInt16BE(entry + 2),
+                offset: cmap + this.data.readUInt32BE(entry + 4)
+            };
+        }).filter(table => table.platform === 0 || (table.platform === 3 && [1, 10].includes(table.encoding)));
+
+        const full = subtables.find(table => this.data.readUInt16BE(table.offset) === 12);
+        const basic = subtables.find(table => this.data.readUInt16BE(table.offset) === 4);
+
+        if (full) {
+            return this._readCmap12(full.offset);
+        }
+
+        if (basic) {
+            return this._readCmap4(basic.offset);
+        }
+
+        throw new Error('TrueType font has no Unicode cmap');
+    }
+
+    /**
+     * Reads a format 4 cmap subtable (Basic Multilingual Plane)
+     * @param {number} offset - Subtable offset
+     * @returns {Map<number, number>} - Code point to glyph ID
+     */
+    _readCmap4(offset) {
+        const { data } = this;
+        const segments = data.readUInt16BE(offset + 6) / 2;
+        const ends = offset + 14;
+        const starts = ends + (segments * 2) + 2;
+        const deltas = starts + (segments * 2);
+        const rangeOffsets = deltas + (segments * 2);
+        const glyphs = new Map();
+
+        for (let segment = 0; segment < segments; segment++) {
+            const start = data.readUInt16BE(starts + (segment * 2));
+            const end = data.readUInt16BE(ends + (segment * 2));
+            const delta = data.readInt16BE(deltas + (segment * 2));
+            const rangeOffset = data.readUInt16BE(rangeOffsets + (segment * 2));
+
+            for (let code = start; code <= end && code !== 0xFFFF; code++) {
+                // idRangeOffset points from its own position into the glyph index array
+                const index = rangeOffset === 0
+                    ? code
+                    : data.readUInt16BE(rangeOffsets + (segment * 2) + rangeOffset + ((code - start) * 2));
+                const glyph = index ? (index + delta + 0x10000) % 0x10000 : 0;
+
+                if (glyph) {
+                    glyphs.set(code, glyph);
+                }
+            }
+        }
+
+        return glyphs;
+    }
+
+    /**
+     * Reads a format 12 cmap subtable (all planes)
+     * @param {number} offset - Subtable offset
+     * @returns {Map<number, number>} - Code point to glyph ID
+     */
+    _readCmap12(offset) {
+        const glyphs = new Map();
+
+        for (let group = 0; group < this.data.readUInt32BE(offset + 12); group++) {
+            const entry = offset + 16 + (group * 12);
+            const first = this.data.readUInt32BE(entry);
+            const last = Math.min(this.data.readUInt32BE(entry + 4), first + 0xFFFF);
+            const glyph = this.data.readUInt32BE(entry + 8);
+
+            for (let code = first; code <= last; code++) {
+                glyphs.set(code, glyph + code - first);
+            }
+        }
+
+        return glyphs;
+    }
+
+    /**
+     * Reads the cap height from the OS/2 table (version 2 and later), else estimates it
+     * @returns {number} - Cap height in 1/1000 em
+     */
+    _readCapHeight() {
+        const os2 = this.tables['OS/2'];
+
+        if (os2 && this.data.readUInt16BE(os2.offset) >= 2) {
+            return this._scale(this.data.readInt16BE(os2.offset + 88));
+        }
+
+        return Math.round(this.ascent * 0.7);
+    }
+
+    /**
+     * Reads a name record (Windows Unicode or Macintosh Roman)
+     * @param {number} nameId - Name ID, e.g. 6 for the PostScript name
+     * @returns {string|null} - Name without characters PDF names cannot hold
+     */
+    _readName(nameId) {
+        const table = this.tables.name;
+
+        if (!table) {
+            return null;
+        }
+
+        const strings = table.offset + this.data.readUInt16BE(table.offset + 4);
+
+        for (let index = 0; index < this.data.readUInt16BE(table.offset + 2); index++) {
+            const entry = table.offset + 6 + (index * 12);
+            const [platform, , , id, length, offset] = [0, 2, 4, 6, 8, 10]
+                .map(delta => this.data.readUInt16BE(entry + delta));
+
+            if (id === nameId && (platform === 3 || platform === 1)) {
+                const raw = Buffer.from(this.data.subarray(strings + offset, strings + offset + length));
+                const name = platform === 3 ? raw.swap16().toString('utf16le') : raw.toString('latin1');
+
+                return name.replace(/[^A-Za-z0-9+\-_.]/g, '') || null;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Converts font units to 1/1000 em
+     * @param {number} value - Value in font units
+     * @returns {number} - Rounded value
+     */
+    _scale(value) {
+        return Math.round((value * 1000) / this.unitsPerEm);
+    }
+}
+
+module.exports = TrueTypeFont;
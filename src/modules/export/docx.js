@@ -0,0 +1,150 @@
+const { createZip } = require('./zip');
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const W_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const RELS_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const DOC_RELS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+const CONTENT_TYPES = `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/word/document.xml" \
+ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+<Override PartName="/word/styles.xml" \
+ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+<Override PartName="/docProps/app.xml" \
+ContentType="application/vnd.openxmlformats-officedocument.extended-properties+xml"/>
+</Types>`;
+
+const PACKAGE_RELS = `${XML_HEADER}<Relationships xmlns="${RELS_NS}">
+<Relationship Id="rId1" Type="${DOC_RELS}/officeDocument" Target="word/document.xml"/>
+<Relationship Id="rId2" \
+Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" \
+Target="docProps/core.xml"/>
+<Relationship Id="rId3" Type="${DOC_RELS}/extended-properties" Target="docProps/app.xml"/>
+</Relationships>`;
+
+const DOCUMENT_RELS = `${XML_HEADER}<Relationships xmlns="${RELS_NS}">
+<Relationship Id="rId1" Type="${DOC_RELS}/styles" Target="styles.xml"/>
+</Relationships>`;
+
+const APP = `${XML_HEADER}<Properties \
+xmlns="http://schemas.openxmlformats.org/officeDocument/2006/extended-properties">
+<Application>Retro Terminal</Application>
+</Properties>`;
+
+// Heading sizes in half-points by level
+const HEADING_SIZES = { 1: 36, 2: 30, 3: 26, 4: 22 };
+
+const STYLES = `${XML_HEADER}<w:styles xmlns:w="${W_NS}">
+<w:docDefaults>
+<w:rPrDefault><w:rPr><w:rFonts w:ascii="Times New Roman" w:hAnsi="Times New Roman" w:cs="Times New Roman" \
+w:eastAsia="Times New Roman"/><w:sz w:val="22"/><w:lang w:val="uk-UA"/></w:rPr></w:rPrDefault>
+<w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+</w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/></w:style>
+${Object.entries(HEADING_SIZES).map(([level, size]) => `<w:style w:type="paragraph" w:styleId="Heading${level}">\
+<w:name w:val="heading ${level}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>\
+<w:pPr><w:keepNext/><w:spacing w:before="${level < 3 ? 360 : 240}" w:after="120"/>\
+<w:outlineLvl w:val="${level - 1}"/></w:pPr>\
+<w:rPr><w:rFonts w:ascii="Arial" w:hAnsi="Arial" w:cs="Arial"/><w:b/><w:sz w:val="${size}"/></w:rPr></w:style>`)
+        .join('\n')}
+<w:style w:type="paragraph" w:styleId="Quote"><w:name w:val="Quote"/><w:basedOn w:val="Normal"/>\
+<w:pPr><w:pBdr><w:left w:val="single" w:sz="18" w:space="8" w:color="E0B000"/></w:pBdr>\
+<w:ind w:left="400"/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="Note"><w:name w:val="Note"/><w:basedOn w:val="Normal"/>\
+<w:rPr><w:i/><w:color w:val="666666"/></w:rPr></w:style>
+</w:styles>`;
+
+/**
+ * Escapes text for XML, dropping the control characters XML cannot hold (all below U+0020 but tab and newlines)
+ * @param {string} text - Plain text
+ * @returns {string} - Escaped text
+ */
+const escapeXml = (text) => [...String(text)]
+    .filter(char => char >= ' ' || char === '\t' || char === '\n' || char === '\r')
+    .join('')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Renders a run
+ * @param {Object} run - { text, mark, bold }
+ * @returns {string} - WordprocessingML run
+ */
+const renderRun = (run) => {
+    const properties = `${run.bold ? '<w:b/>' : ''}${run.mark ? '<w:highlight w:val="yellow"/>' : ''}`;
+
+    return `<w:r>${properties ? `<w:rPr>${properties}</w:rPr>` : ''}\
+<w:t xml:space="preserve">${escapeXml(run.text)}</w:t></w:r>`;
+};
+
+/**
+ * Renders a paragraph
+ * @param {string} style - Paragraph style ID (null for Normal)
+ * @param {Array<Object>} runs - Runs: { text, mark, bold }
+ * @returns {string} - WordprocessingML paragraph
+ */
+const renderParagraph = (style, runs) => `<w:p>${style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : ''}\
+${runs.map(renderRun).join('')}</w:p>`;
+
+/**
+ * Renders a dossier document as a DOCX file (A4, headings usable for the navigation pane, highlighted marks)
+ * @param {Object} document - Document of buildDossierDocument
+ * @param {Object} options - Render options
+ * @param {Date} options.created - Creation time stored in the document properties (default now)
+ * @returns {Buffer} - DOCX (ZIP) file
+ */
+const renderDocx = (document, options = {}) => {
+    const created = options.created || new Date();
+    const body = document.blocks.map(block => {
+        switch (block.type) {
+            case 'heading':
+                return renderParagraph(`Heading${block.level}`, [{ text: block.text }]);
+            case 'fields':
+                return block.rows
+                    .map(([label, value]) => renderParagraph(null, [
+                        { text: `${label}: `, bold: true },
+                        { text: value }
+                    ]))
+                    .join('\n');
+            case 'quote':
+                return renderParagraph('Quote', block.runs);
+            default:
+                return renderParagraph(block.note ? 'Note' : null, block.runs);
+        }
+    });
+
+    const documentXml = `${XML_HEADER}<w:document xmlns:w="${W_NS}"><w:body>
+${body.join('\n')}
+<w:sectPr><w:pgSz w:w="11906" w:h="16838"/>\
+<w:pgMar w:top="1134" w:right="1134" w:bottom="1134" w:left="1134" w:header="567" w:footer="567" w:gutter="0"/>\
+</w:sectPr>
+</w:body></w:document>`;
+
+    const core = `${XML_HEADER}<cp:coreProperties \
+xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" \
+xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" \
+xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+<dc:title>${escapeXml(document.title)}</dc:title>
+<dc:language>${document.language}</dc:language>
+<dcterms:created xsi:type="dcterms:W3CDTF">${created.toISOString().replace(/\.\d+Z$/, 'Z')}</dcterms:created>
+</cp:coreProperties>`;
+
+    return createZip([
+        { name: '[Content_Types].xml', data: CONTENT_TYPES },
+        { name: '_rels/.rels', data: PACKAGE_RELS },
+        { name: 'docProps/core.xml', data: core },
+        { name: 'docProps/app.xml', data: APP },
+        { name: 'word/_rels/document.xml.rels', data: DOCUMENT_RELS },
+        { name: 'word/styles.xml', data: STYLES },
+        { name: 'word/document.xml', data: documentXml }
+    ], created);
+};
+
+module.exports = {
+    renderDocx
+};
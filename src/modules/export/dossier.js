@@ -0,0 +1,215 @@
+const { STOP_WORDS, stem } = require('../../utils/ftsQuery');
+
+// Words of a text with apostrophes kept inside (обов'язок)
+const WORD = /[\p{L}\p{N}]+(?:['’ʼ][\p{L}\p{N}]+)*/gu;
+
+/**
+ * Gets the terms to mark in a decision: its stored highlights and the query words (Cyrillic words by stem)
+ * @param {string} query - Search query
+ * @param {Array<string>} highlights - Highlighted words of the API
+ * @returns {Array<string>} - Lowercase terms, matched as word prefixes
+ */
+const markTerms = (query, highlights = []) => {
+    const words = (String(query || '').toLowerCase().match(WORD) || [])
+        .filter(word => !STOP_WORDS.has(word))
+        .map(word => ((/^[а-яіїєґё]+$/).test(word) ? stem(word) : word));
+
+    return [...new Set([...highlights.map(word => String(word).toLowerCase()), ...words])].filter(Boolean);
+};
+
+/**
+ * Splits a text into runs with the words that start with a term marked
+ * @param {string} text - Text
+ * @param {Array<string>} terms - Lowercase terms
+ * @returns {Array<Object>} - Runs: { text, mark }
+ */
+const markRuns = (text, terms) => {
+    const runs = [];
+    let last = 0;
+
+    for (const match of text.matchAll(WORD)) {
+        const word = match[0].toLowerCase();
+
+        if (terms.some(term => word.startsWith(term))) {
+            if (match.index > last) {
+                runs.push({ text: text.slice(last, match.index), mark: false });
+            }
+
+            runs.push({ text: match[0], mark: true });
+            last = match.index + match[0].length;
+        }
+    }
+
+    if (last < text.length) {
+        runs.push({ text: text.slice(last), mark: false });
+    }
+
+    return runs;
+};
+
+/**
+ * Finds the passages of a text around the marked terms
+ * @param {string} text - Full text
+ * @param {Array<string>} terms - Lowercase terms (see markTerms)
+ * @param {Object} options - Excerpt options
+ * @param {number} options.max - Maximum number of excerpts (default 3)
+ * @param {number} options.radius - Characters kept on each side of a match (default 160)
+ * @returns {Array<Array<Object>>} - Excerpts as runs ({ text, mark }), cut ends marked with …
+ */
+const findExcerpts = (text, terms, options = {}) => {
+    const { max = 3, radius = 160 } = options;
+    const source = String(text || '').replace(/\s+/g, ' ').trim();
+    const windows = [];
+
+    for (const match of source.matchAll(WORD)) {
+        const word = match[0].toLowerCase();
+        const previous = windows[windows.length - 1];
+
+        const marked = terms.some(term => word.startsWith(term));
+
+        // Windows that would overlap are merged
+        if (marked && previous && match.index - radius <= previous.end) {
+            previous.end = Math.min(source.length, match.index + match[0].length + radius);
+        } else if (marked && windows.length < max) {
+            windows.push({
+                start: Math.max(0, match.index - radius),
+                end: Math.min(source.length, match.index + match[0].length + radius)
+            });
+        }
+    }
+
+    return windows.map(({ start, end }) => {
+        // Cut at word boundaries
+        const from = start === 0 ? 0 : source.indexOf(' ', start) + 1;
+        const cut = source.lastIndexOf(' ', end);
+        const to = end === source.length || cut <= from ? end : cut;
+        const runs = markRuns(source.slice(from, to), terms);
+
+        return [
+            ...(from > 0 ? [{ text: '… ', mark: false }] : []),
+            ...runs,
+            ...(to < source.length ? [{ text: ' …', mark: false }] : [])
+        ];
+    });
+};
+
+/**
+ * Builds the material an AI summary of a dossier is written from: the query and, per decision, its
+ * metadata and highlighted excerpts (full texts are too long to send)
+ * @param {Object} dossier - Dossier without summary (see buildDossierDocument)
+ * @param {number} maxLength - Maximum length in characters (default 12000)
+ * @returns {string} - Plain text
+ */
+const buildSummaryMaterial = (dossier, maxLength = 12000) => {
+    const sections = dossier.cases.map((decision, index) => {
+        const excerpts = findExcerpts(decision.fullText, markTerms(dossier.query, decision.highlights), { max: 2 })
+            .map(runs => `> ${runs.map(run => run.text).join('')}`);
+
+        return [
+            `${index + 1}. ${[decision.number, decision.courtName, decision.date, decision.judgmentForm]
+                .filter(Boolean).join(', ')}`,
+            ...(decision.summary ? [decision.summary] : []),
+            ...excerpts
+        ].join('\n');
+    });
+
+    return `Query: ${dossier.query}\nDecisions found: ${dossier.totalCount ?? dossier.cases.length}\n\n\
+${sections.join('\n\n')}`.slice(0, maxLength);
+};
+
+/**
+ * Builds the document of a research dossier: search metadata, AI summary and, per decision, its metadata,
+ * highlighted excerpts and full text. The renderers (Markdown, HTML, PDF, DOCX) all draw this document.
+ * @param {Object} dossier - { id, query, totalCount, createdAt, exportedAt, summary, cases } from
+ *   ZakonOnlineService.getSearchDossier; summary is { text, error } (null leaves the section out), cases
+ *   carry highlights and fullText
+ * @returns {Object} - { title, language, blocks }; blocks are { type: 'heading', level (1-4), text },
+ *   { type: 'fields', rows: [[label, value]] }, { type: 'paragraph', runs, note } and { type: 'quote', runs }
+ *   with runs { text, mark }
+ */
+const buildDossierDocument = (dossier) => {
+    const paragraph = (text, note = false) => ({ type: 'paragraph', note, runs: [{ text, mark: false }] });
+    const blocks = [
+        { type: 'heading', level: 1, text: `Legal research: ${dossier.query}` },
+        {
+            type: 'fields',
+            rows: [
+                ['Query', dossier.query],
+                ['Search ID', String(dossier.id)],
+                ['Searched at', dossier.createdAt || '-'],
+                ['Decisions found', String(dossier.totalCount ?? dossier.cases.length)],
+                ['Decisions in dossier', String(dossier.cases.length)],
+                ['Exported at', dossier.exportedAt]
+            ]
+        }
+    ];
+
+    if (dossier.summary) {
+        blocks.push({ type: 'heading', level: 2, text: 'AI summary' });
+    }
+
+    if (dossier.summary?.text) {
+        dossier.summary.text.split(/\n\s*\n/).forEach(text => blocks.push(paragraph(text.trim())));
+        blocks.push(paragraph('Generated by an AI model from the decisions below; verify it against them.', true));
+    } else if (dossier.summary) {
+        blocks.push(paragraph(`Not available${dossier.summary.error ? `: ${dossier.summary.error}` : '.'}`, true));
+    }
+
+    blocks.push({ type: 'heading', level: 2, text: 'Decisions' });
+
+    if (dossier.cases.length === 0) {
+        blocks.push(paragraph('The search stored no decisions.', true));
+    }
+
+    dossier.cases.forEach((decision, index) => {
+        const terms = markTerms(dossier.query, decision.highlights);
+        const excerpts = findExcerpts(decision.fullText, terms);
+
+        blocks.push(
+            {
+                type: 'heading',
+                level: 3,
+                text: `${index + 1}. ${decision.number || 'No number'} - ${decision.courtName || 'Unknown court'}`
+            },
+            {
+                type: 'fields',
+                rows: [
+                    ['Case number', decision.number],
+                    ['Court', decision.courtName],
+                    ['Date', decision.date],
+                    ['Judgment form', decision.judgmentForm],
+                    ['Justice kind', decision.justiceKind],
+                    ['Decision ID', decision.id],
+                    ['Summary', decision.summary]
+                ].filter(([, value]) => value)
+            }
+        );
+
+        if (excerpts.length > 0) {
+            blocks.push({ type: 'heading', level: 4, text: 'Highlighted excerpts' });
+            excerpts.forEach(runs => blocks.push({ type: 'quote', runs }));
+        }
+
+        if (decision.fullText) {
+            blocks.push({ type: 'heading', level: 4, text: 'Full text' });
+            decision.fullText.split(/\n+/).map(text => text.trim()).filter(Boolean).forEach(text => {
+                blocks.push({ type: 'paragraph', note: false, runs: markRuns(text, terms) });
+            });
+        } else {
+            blocks.push(paragraph('Full text was not downloaded.', true));
+        }
+    });
+
+    return {
+        title: `Legal research: ${dossier.query}`,
+        language: 'uk',
+        blocks
+    };
+};
+
+module.exports = {
+    buildDossierDocument,
+    buildSummaryMaterial,
+    findExcerpts,
+    markTerms
+};
@@ -0,0 +1,75 @@
+const STYLE = `
+body { font-family: Georgia, "Times New Roman", serif; max-width: 50em; margin: 2em auto; padding: 0 1em;
+    line-height: 1.5; color: #222; }
+h1, h2, h3, h4 { font-family: Arial, Helvetica, sans-serif; line-height: 1.25; }
+h2 { border-bottom: 1px solid #ccc; padding-bottom: .2em; margin-top: 2em; }
+h4 { margin-bottom: .3em; color: #555; }
+dl { display: grid; grid-template-columns: max-content 1fr; gap: .2em 1em; }
+dt { font-weight: bold; }
+dd { margin: 0; }
+blockquote { margin: .6em 0; padding: .3em 1em; border-left: 3px solid #e0b000; background: #fdfaf0; }
+mark { background: #ffe98a; }
+.note { color: #666; font-style: italic; }
+@media print { body { margin: 0; max-width: none; } h3 { page-break-after: avoid; } }`;
+
+/**
+ * Escapes text for HTML
+ * @param {string} text - Plain text
+ * @returns {string} - Escaped text
+ */
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Renders runs; marked words are wrapped in <mark>
+ * @param {Array<Object>} runs - Runs: { text, mark }
+ * @returns {string} - HTML
+ */
+const renderRuns = (runs) => runs
+    .map(run => (run.mark ? `<mark>${escapeHtml(run.text)}</mark>` : escapeHtml(run.text)))
+    .join('');
+
+/**
+ * Renders a dossier document as a standalone HTML page (styles inline, prints cleanly)
+ * @param {Object} document - Document of buildDossierDocument
+ * @returns {Buffer} - UTF-8 HTML
+ */
+const renderHtml = (document) => {
+    const body = document.blocks.map(block => {
+        switch (block.type) {
+            case 'heading':
+                return `<h${block.level}>${escapeHtml(block.text)}</h${block.level}>`;
+            case 'fields':
+                return `<dl>\n${block.rows
+                    .map(([label, value]) => `  <dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`)
+                    .join('\n')}\n</dl>`;
+            case 'quote':
+                return `<blockquote>${renderRuns(block.runs)}</blockquote>`;
+            default:
+                return `<p${block.note ? ' class="note"' : ''}>${renderRuns(block.runs)}</p>`;
+        }
+    });
+
+    return Buffer.from([
+        '<!DOCTYPE html>',
+        `<html lang="${document.language}">`,
+        '<head>',
+        '<meta charset="utf-8">',
+        `<title>${escapeHtml(document.title)}</title>`,
+        `<style>${STYLE}\n</style>`,
+        '</head>',
+        '<body>',
+        ...body,
+        '</body>',
+        '</html>',
+        ''
+    ].join('\n'), 'utf8');
+};
+
+module.exports = {
+    escapeHtml,
+    renderHtml
+};
@@ -0,0 +1,45 @@
+/**
+ * Escapes the characters Markdown would read as formatting
+ * @param {string} text - Plain text
+ * @returns {string} - Escaped text
+ */
+const escapeMarkdown = (text) => String(text).replace(/([\\`*_[\]<>|#])/g, '\\$1');
+
+/**
+ * Renders runs; marked words are set in bold (Markdown has no highlight). A leading list marker
+ * (1. or -) is escaped so that the text stays a paragraph.
+ * @param {Array<Object>} runs - Runs: { text, mark }
+ * @returns {string} - Markdown
+ */
+const renderRuns = (runs) => runs
+    .map(run => (run.mark ? `**${escapeMarkdown(run.text)}**` : escapeMarkdown(run.text)))
+    .join('')
+    .replace(/^(\d+)\.(\s)/, '$1\\.$2')
+    .replace(/^([-+])(\s)/, '\\$1$2');
+
+/**
+ * Renders a dossier document as Markdown
+ * @param {Object} document - Document of buildDossierDocument
+ * @returns {Buffer} - UTF-8 Markdown
+ */
+const renderMarkdown = (document) => {
+    const parts = document.blocks.map(block => {
+        switch (block.type) {
+            case 'heading':
+                return `${'#'.repeat(block.level)} ${escapeMarkdown(block.text)}`;
+            case 'fields':
+                return block.rows.map(([label, value]) => `- **${label}:** ${escapeMarkdown(value)}`).join('\n');
+            case 'quote':
+                return `> ${renderRuns(block.runs)}`;
+            default:
+                return block.note ? `_${renderRuns(block.runs)}_` : renderRuns(block.runs);
+        }
+    });
+
+    return Buffer.from(`${parts.join('\n\n')}\n`, 'utf8');
+};
+
+module.exports = {
+    escapeMarkdown,
+    renderMarkdown
+};
@@ -0,0 +1,506 @@
+const zlib = require('zlib');
+
+// A4 in points
+const PAGE = { width: 595.28, height: 841.89, margin: 56 };
+
+// Font size, space before and color (RGB 0-1) of the block styles
+const STYLES = {
+    heading1: { size: 18, before: 0, color: [0.1, 0.1, 0.1] },
+    heading2: { size: 14, before: 18, color: [0.1, 0.1, 0.1] },
+    heading3: { size: 12, before: 14, color: [0.1, 0.1, 0.1] },
+    heading4: { size: 10, before: 8, color: [0.35, 0.35, 0.35] },
+    paragraph: { size: 10, before: 5, color: [0.13, 0.13, 0.13] },
+    note: { size: 9, before: 5, color: [0.4, 0.4, 0.4] },
+    quote: { size: 9.5, before: 5, color: [0.2, 0.2, 0.2], indent: 14 },
+    field: { size: 10, before: 1, color: [0.13, 0.13, 0.13] }
+};
+
+const LINE_HEIGHT = 1.4;
+const MARK_COLOR = [1, 0.91, 0.54];
+const QUOTE_BAR_COLOR = [0.88, 0.69, 0];
+
+// Helvetica advance widths of the printable ASCII characters (32-126) in 1/1000 em
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556,
+    556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278,
+    500, 667, 556, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469,
+    556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556, 556, 556, 333, 500,
+    278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+// Ukrainian national transliteration (2010); Russian letters added. Word-initial forms are in INITIAL.
+const TRANSLITERATION = {
+    а: 'a', б: 'b', в: 'v', г: 'h', ґ: 'g', д: 'd', е: 'e', є: 'ie', ж: 'zh', з: 'z', и: 'y', і: 'i', ї: 'i',
+    й: 'i', к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't', у: 'u', ф: 'f', х: 'kh',
+    ц: 'ts', ч: 'ch', ш: 'sh', щ: 'shch', ь: '', ю: 'iu', я: 'ia', ё: 'io', ы: 'y', э: 'e', ъ: ''
+};
+const INITIAL = { є: 'ye', ї: 'yi', й: 'y', ю: 'yu', я: 'ya', ё: 'yo' };
+
+// Typographic characters outside ASCII
+const PUNCTUATION = {
+    '«': '"', '»': '"', '“': '"', '”': '"', '„': '"', '‘': "'", '’': "'", ʼ: "'", '–': '-', '—': '-',
+    '…': '...', '№': 'No.', ' ': ' '
+};
+
+/**
+ * Transliterates a text to ASCII (Cyrillic letters, typographic punctuation; anything else becomes ?)
+ * @param {string} text - Text
+ * @returns {string} - ASCII text
+ */
+const transliterate = (text) => String(text)
+    .replace(/['’ʼ](?=[а-яіїєґё])/giu, '')
+    .replace(/[\p{L}\p{N}]+/gu, word => Array.from(word, (char, index) => {
+        const lower = char.toLowerCase();
+        const latin = (index === 0 && INITIAL[lower]) || TRANSLITERATION[lower];
+
+        if (latin === undefined) {
+            return char;
+        }
+
+        return char === lower ? latin : latin.charAt(0).toUpperCase() + latin.slice(1);
+    }).join(''))
+    .replace(/[^\x20-\x7E]/g, char => PUNCTUATION[char] ?? '?');
+
+/**
+ * Builds a compressed stream object
+ * @param {string} dictionary - Extra dictionary entries
+ * @param {Buffer} data - Stream data
+ * @returns {Buffer} - Object body
+ */
+const stream = (dictionary, data) => {
+    const compressed = zlib.deflateSync(data);
+    const extra = dictionary ? ` ${dictionary}` : '';
+
+    return Buffer.concat([
+        Buffer.from(`<< /Filter /FlateDecode /Length ${compressed.length}${extra} >>\nstream\n`),
+        compressed,
+        Buffer.from('\nendstream')
+    ]);
+};
+
+/**
+ * Helvetica with WinAnsi encoding: every PDF viewer has it, but it has no Cyrillic, so text is transliterated
+ */
+class StandardFont {
+    constructor() {
+        this.transliterates = true;
+    }
+
+    /**
+     * Encodes a text for a content stream
+     * @param {string} text - Text
+     * @returns {Object} - { hex, width } with width in 1/1000 of the font size
+     */
+    encode(text) {
+        const ascii = transliterate(text);
+
+        return {
+            hex: Buffer.from(ascii, 'latin1').toString('hex'),
+            width: Array.from(ascii).reduce((sum, char) => sum + HELVETICA_WIDTHS[char.charCodeAt(0) - 32], 0)
+        };
+    }
+
+    /**
+     * Writes the font objects
+     * @param {Function} add - Adds an object, returns its number
+     * @returns {number} - Number of the font object
+     */
+    write(add) {
+        return add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    }
+}
+
+/**
+ * Embedded TrueType font addressed by glyph ID (Identity-H); characters the font has no glyph for are
+ * transliterated. Glyph widths and a ToUnicode map (for copying and searching text) cover the used glyphs.
+ */
+class EmbeddedFont {
+    /**
+     * @param {TrueTypeFont} font - Parsed font
+     */
+    constructor(font) {
+        this.font = font;
+        this.used = new Map([[0, '']]);
+        this.transliterates = !font.glyph(0x0416) || !font.glyph(0x0457);
+    }
+
+    /**
+     * Encodes a text for a content stream
+     * @param {string} text - Text
+     * @returns {Object} - { hex, width } with width in 1/1000 of the font size
+     */
+    encode(text) {
+        const glyphs = [];
+
+        for (const char of text) {
+            const glyph = this.font.glyph(char.codePointAt(0));
+
+            if (glyph) {
+                glyphs.push([glyph, char]);
+            } else {
+                Array.from(transliterate(char), latin => glyphs.push([this.font.glyph(latin.charCodeAt(0)), latin]));
+            }
+        }
+
+        glyphs.forEach(([glyph, char]) => this.used.set(glyph, this.used.get(glyph) || char));
+
+        return {
+            hex: glyphs.map(([glyph]) => glyph.toString(16).padStart(4, '0')).join(''),
+            width: glyphs.reduce((sum, [glyph]) => sum + this.font.width(glyph), 0)
+        };
+    }
+
+    /**
+     * Writes the font objects: Type0 font, CID font, descriptor, font file and ToUnicode map
+     * @param {Function} add - Adds an object (string or Buffer), returns its number
+     * @returns {number} - Number of the Type0 font object
+     */
+    write(add) {
+        const { font } = this;
+        const name = `/${font.postScriptName}`;
+        const file = add(stream(`/Length1 ${font.data.length}`, font.data));
+        const descriptor = add(`<< /Type /FontDescriptor /FontName ${name} /Flags 32 \
+/FontBBox [${font.bbox.join(' ')}] /ItalicAngle ${font.italicAngle} /Ascent ${font.ascent} /Descent ${font.descent} \
+/CapHeight ${font.capHeight} /StemV 80 /FontFile2 ${file} 0 R >>`);
+        const glyphs = [...this.used.keys()].sort((a, b) => a - b);
+        const widths = glyphs.map(glyph => `${glyph} [${font.width(glyph)}]`).join(' ');
+        const cidFont = add(`<< /Type /Font /Subtype /CIDFontType2 /BaseFont ${name} \
+/CIDSystemInfo << /Registry (Adobe) /Ordering (Identity) /Supplement 0 >> /FontDescriptor ${descriptor} 0 R \
+/CIDToGIDMap /Identity /DW 1000 /W [${widths}] >>`);
+        const toUnicode = add(stream('', Buffer.from(this._toUnicode(glyphs), 'latin1')));
+
+        return add(`<< /Type /Font /Subtype /Type0 /BaseFont ${name} /Encoding /Identity-H \
+/DescendantFonts [${cidFont} 0 R] /ToUnicode ${toUnicode} 0 R >>`);
+    }
+
+    /**
+     * Builds the ToUnicode CMap of the used glyphs
+     * @param {Array<number>} glyphs - Glyph IDs
+     * @returns {string} - CMap program
+     */
+    _toUnicode(glyphs) {
+        const entries = glyphs.filter(glyph => this.used.get(glyph)).map(glyph => {
+            const unicode = Buffer.from(this.used.get(glyph), 'utf16le').swap16().toString('hex');
+
+            return `<${glyph.toString(16).padStart(4, '0')}> <${unicode}>`;
+        });
+        // bfchar sections hold at most 100 entries
+        const sections = [];
+
+        for (let index = 0; index < entries.length; index += 100) {
+            const chunk = entries.slice(index, index + 100);
+            sections.push(`${chunk.length} beginbfchar\n${chunk.join('\n')}\nendbfchar`);
+        }
+
+        return [
+            '/CIDInit /ProcSet findresource begin',
+            '12 dict begin',
+            'begincmap',
+            '/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def',
+            '/CMapName /Adobe-Identity-UCS def',
+            '/CMapType 2 def',
+            '1 begincodespacerange',
+            '<0000> <FFFF>',
+            'endcodespacerange',
+            ...sections,
+            'endcmap',
+            'CMapName currentdict /CMap defineresource pop',
+            'end',
+            'end'
+        ].join('\n');
+    }
+}
+
+/**
+ * Writes a text as a PDF text string (UTF-16BE with byte order mark)
+ * @param {string} text - Text
+ * @returns {string} - Hex string
+ */
+const textString = (text) => `<FEFF${Buffer.from(String(text), 'utf16le').swap16().toString('hex')}>`;
+
+/**
+ * Formats a number for a content stream
+ * @param {number} value - Number
+ * @returns {string} - Number with at most two decimals
+ */
+const num = (value) => String(Math.round(value * 100) / 100);
+
+/**
+ * Lays out blocks on A4 pages: wraps words to the text width, breaks pages, marks words with a yellow box
+ */
+class PageLayout {
+    /**
+     * @param {StandardFont|EmbeddedFont} font - Font
+     */
+    constructor(font) {
+        this.font = font;
+        this.pages = [];
+        this.width = PAGE.width - (2 * PAGE.margin);
+        this._newPage();
+    }
+
+    /**
+     * Adds a block of runs
+     * @param {Array<Object>} runs - Runs: { text, mark }
+     * @param {Object} style - Block style (STYLES)
+     * @param {Object} options - { keepWithNext: lines that must fit below the block, bar: quote bar }
+     */
+    add(runs, style, options = {}) {
+        const indent = style.indent || 0;
+        const lineHeight = style.size * LINE_HEIGHT;
+        const lines = this._wrap(runs, style.size, this.width - indent);
+        const needed = (Math.min(lines.length, 2) + (options.keepWithNext || 0)) * lineHeight;
+
+        if (this.y !== this.top) {
+            this.y -= style.before;
+        }
+
+        if (this.y - needed < PAGE.margin) {
+            this._newPage();
+        }
+
+        for (const line of lines) {
+            if (this.y - lineHeight < PAGE.margin) {
+                this._newPage();
+            }
+
+            this.y -= lineHeight;
+            this._drawLine(line, PAGE.margin + indent, this.y + (style.size * 0.3), style);
+
+            if (options.bar) {
+                this.ops.push(`${QUOTE_BAR_COLOR.join(' ')} RG 1.5 w ${num(PAGE.margin + 4)} ${num(this.y)} m \
+${num(PAGE.margin + 4)} ${num(this.y + lineHeight)} l S`);
+            }
+        }
+    }
+
+    /**
+     * Adds vertical space
+     * @param {number} points - Space
+     */
+    space(points) {
+        this.y = Math.max(PAGE.margin, this.y - points);
+    }
+
+    /**
+     * Breaks runs into lines of pieces no wider than the text width (overlong words are split)
+     * @param {Array<Object>} runs - Runs: { text, mark }
+     * @param {number} size - Font size
+     * @param {number} width - Line width
+     * @returns {Array<Array<Object>>} - Lines of pieces: { text, mark, width }
+     */
+    _wrap(runs, size, width) {
+        const measure = (text) => (this.font.encode(text).width * size) / 1000;
+        const lines = [[]];
+        let lineWidth = 0;
+
+        const place = (text, mark) => {
+            const pieceWidth = measure(text);
+            const line = lines[lines.length - 1];
+
+            if ((/^\s+$/).test(text)) {
+                if (line.length > 0) {
+                    line.push({ text: ' ', mark: false, width: measure(' ') });
+                    lineWidth += measure(' ');
+                }
+            } else if (lineWidth + pieceWidth <= width || line.length === 0) {
+                line.push({ text, mark, width: pieceWidth });
+                lineWidth += pieceWidth;
+            } else {
+                while (line.length > 0 && line[line.length - 1].text === ' ') {
+                    line.pop();
+                }
+
+                lines.push([{ text, mark, width: pieceWidth }]);
+                lineWidth = pieceWidth;
+            }
+        };
+
+        for (const run of runs) {
+            for (const piece of run.text.replace(/\s+/g, ' ').split(/( )/).filter(Boolean)) {
+                this._splitWord(piece, measure, width).forEach(part => place(part, run.mark));
+            }
+        }
+
+        return lines.filter(line => line.length > 0);
+    }
+
+    /**
+     * Splits a word wider than a line into parts that fit
+     * @param {string} word - Word
+     * @param {Function} measure - Text width
+     * @param {number} width - Line width
+     * @returns {Array<string>} - Parts
+     */
+    _splitWord(word, measure, width) {
+        if (measure(word) <= width) {
+            return [word];
+        }
+
+        const parts = [''];
+
+        for (const char of word) {
+            if (measure(parts[parts.length - 1] + char) > width) {
+                parts.push('');
+            }
+
+            parts[parts.length - 1] += char;
+        }
+
+        return parts;
+    }
+
+    /**
+     * Draws a line: mark boxes first, then the text of each piece
+     * @param {Array<Object>} line - Pieces: { text, mark, width }
+     * @param {number} x - Left edge
+     * @param {number} baseline - Baseline
+     * @param {Object} style - Block style
+     */
+    _drawLine(line, x, baseline, style) {
+        let position = x;
+        // Neighbouring pieces that are both marked or both plain are drawn as one text
+        const segments = line.reduce((merged, piece) => {
+            const last = merged[merged.length - 1];
+
+            if (last && last.mark === piece.mark) {
+                last.text += piece.text;
+                last.width += piece.width;
+            } else {
+                merged.push({ ...piece });
+            }
+
+            return merged;
+        }, []);
+
+        for (const piece of segments) {
+            if (piece.mark) {
+                const bottom = baseline - (style.size * 0.25);
+
+                this.ops.push(`${MARK_COLOR.join(' ')} rg ${num(position - 0.5)} ${num(bottom)} \
+${num(piece.width + 1)} ${num(style.size * 1.15)} re f`);
+            }
+
+            this.ops.push(`BT /F1 ${style.size} Tf ${style.color.join(' ')} rg ${num(position)} ${num(baseline)} Td \
+<${this.font.encode(piece.text).hex}> Tj ET`);
+            position += piece.width;
+        }
+    }
+
+    /**
+     * Starts a page
+     */
+    _newPage() {
+        this.ops = [];
+        this.pages.push(this.ops);
+        this.top = PAGE.height - PAGE.margin;
+        this.y = this.top;
+    }
+}
+
+/**
+ * Renders a dossier document as a PDF (A4, page numbers, marked words on a yellow background). Cyrillic needs
+ * a TrueType font with Cyrillic glyphs; without one Helvetica is used and the text is transliterated.
+ * @param {Object} document - Document of buildDossierDocument
+ * @param {Object} options - Render options
+ * @param {TrueTypeFont} options.font - Font to embed (Helvetica when not set)
+ * @param {Date} options.created - Creation time stored in the document information (default now)
+ * @returns {Buffer} - PDF file
+ */
+const renderPdf = (document, options = {}) => {
+    const font = options.font ? new EmbeddedFont(options.font) : new StandardFont();
+    const created = options.created || new Date();
+    const layout = new PageLayout(font);
+    const plain = (text) => [{ text, mark: false }];
+
+    if (font.transliterates) {
+        layout.add(plain('Cyrillic text is transliterated: no TrueType font with Cyrillic glyphs is configured '
+            + '(ZAKON_EXPORT_FONT).'), STYLES.note);
+    }
+
+    document.blocks.forEach((block, index) => {
+        const next = document.blocks[index + 1];
+
+        switch (block.type) {
+            case 'heading':
+                layout.add(plain(block.text), STYLES[`heading${block.level}`], { keepWithNext: next ? 2 : 0 });
+                break;
+            case 'fields':
+                block.rows.forEach(([label, value]) => layout.add([
+                    { text: `${label}: `, mark: false },
+                    { text: String(value), mark: false }
+                ], STYLES.field));
+                layout.space(4);
+                break;
+            case 'quote':
+                layout.add(block.runs, STYLES.quote, { bar: true });
+                break;
+            default:
+                layout.add(block.runs, block.note ? STYLES.note : STYLES.paragraph);
+        }
+    });
+
+    layout.pages.forEach((ops, index) => {
+        const label = `${index + 1} / ${layout.pages.length}`;
+        const encoded = font.encode(label);
+
+        ops.push(`BT /F1 8 Tf 0.5 0.5 0.5 rg ${num((PAGE.width - ((encoded.width * 8) / 1000)) / 2)} \
+${num(PAGE.margin / 2)} Td <${encoded.hex}> Tj ET`);
+    });
+
+    // Objects 1 and 2 are the catalog and the page tree; the pages point back to the page tree
+    const objects = [null, null];
+    // Object numbers start at 1, so the new length is the number of the added object
+    const add = (body) => objects.push(body);
+    const fontObject = font.write(add);
+    const pageObjects = layout.pages.map(ops => {
+        const contents = add(stream('', Buffer.from(ops.join('\n'), 'latin1')));
+
+        return add(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE.width} ${PAGE.height}] \
+/Resources << /Font << /F1 ${fontObject} 0 R >> >> /Contents ${contents} 0 R >>`);
+    });
+    const stamp = created.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+    const info = add(`<< /Title ${textString(document.title)} /Producer (Retro Terminal) \
+/CreationDate (D:${stamp}Z) >>`);
+
+    objects[0] = `<< /Type /Catalog /Pages 2 0 R /Lang (${document.language}) >>`;
+    objects[1] = `<< /Type /Pages /Kids [${pageObjects.map(page => `${page} 0 R`).join(' ')}] \
+/Count ${pageObjects.length} >>`;
+
+    const header = Buffer.from('%PDF-1.7\n%\xE2\xE3\xCF\xD3\n', 'latin1');
+    const chunks = [header];
+    const offsets = [];
+    let { length } = header;
+
+    objects.forEach((body, index) => {
+        const chunk = Buffer.concat([
+            Buffer.from(`${index + 1} 0 obj\n`),
+            Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1'),
+            Buffer.from('\nendobj\n')
+        ]);
+
+        offsets.push(length);
+        chunks.push(chunk);
+        length += chunk.length;
+    });
+
+    chunks.push(Buffer.from([
+        'xref',
+        `0 ${objects.length + 1}`,
+        '0000000000 65535 f ',
+        ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+        'trailer',
+        `<< /Size ${objects.length + 1} /Root 1 0 R /Info ${info} 0 R >>`,
+        'startxref',
+        String(length),
+        '%%EOF',
+        ''
+    ].join('\n'), 'latin1'));
+
+    return Buffer.concat(chunks);
+};
+
+module.exports = {
+    renderPdf,
+    transliterate
+};
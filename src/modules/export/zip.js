@@ -0,0 +1,128 @@
+const zlib = require('zlib');
+
+/**
+ * Computes the CRC-32 of data. A gzip member ends with the CRC-32 (IEEE) of its input and the input size,
+ * so the checksum is read from an uncompressed gzip of the data (zlib.crc32 needs Node 20.15 or later).
+ * @param {Buffer} data - Data
+ * @returns {number} - Unsigned CRC-32
+ */
+const crc32 = (data) => {
+    const gzip = zlib.gzipSync(data, { level: 0 });
+
+    return gzip.readUInt32LE(gzip.length - 8);
+};
+
+/**
+ * Converts a date to MS-DOS time and date fields
+ * @param {Date} date - Date (local time, years 1980-2107)
+ * @returns {Array<number>} - [time, date]
+ */
+const dosDateTime = (date) => [
+    // hours (5 bits), minutes (6 bits), seconds / 2 (5 bits)
+    (date.getHours() * 2048) + (date.getMinutes() * 32) + Math.floor(date.getSeconds() / 2),
+    // years since 1980 (7 bits), month (4 bits), day (5 bits)
+    ((Math.max(1980, date.getFullYear()) - 1980) * 512) + ((date.getMonth() + 1) * 32) + date.getDate()
+];
+
+/**
+ * Writes an unsigned little-endian integer
+ * @param {number} value - Value
+ * @param {number} size - Bytes (2 or 4)
+ * @returns {Buffer} - Bytes
+ */
+const uint = (value, size) => {
+    const buffer = Buffer.alloc(size);
+
+    if (size === 2) {
+        buffer.writeUInt16LE(value);
+    } else {
+        buffer.writeUInt32LE(value);
+    }
+
+    return buffer;
+};
+
+/**
+ * Builds a ZIP archive (deflated entries, UTF-8 names), as used by DOCX files
+ * @param {Array<Object>} entries - { name, data } in archive order; data is a Buffer or a UTF-8 string
+ * @param {Date} modified - Modification time of the entries (default now)
+ * @returns {Buffer} - Archive
+ */
+const createZip = (entries, modified = new Date()) => {
+    const [time, date] = dosDateTime(modified);
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const name = Buffer.from(entry.name, 'utf8');
+        const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(entry.data, 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        // version, flags (bit 11: UTF-8 names), method 8 (deflate), time, date, crc, sizes, name length
+        const fields = [
+            [20, 2], [0x0800, 2], [8, 2], [time, 2], [date, 2],
+            [crc32(data), 4], [compressed.length, 4], [data.length, 4], [name.length, 2], [0, 2]
+        ];
+        const local = Buffer.concat([uint(0x04034B50, 4), ...fields.map(([value, size]) => uint(value, size)), name]);
+        const central = Buffer.concat([
+            uint(0x02014B50, 4),
+            uint(20, 2),
+            ...fields.map(([value, size]) => uint(value, size)),
+            // comment length, disk, internal and external attributes, offset of the local header
+            uint(0, 2), uint(0, 2), uint(0, 2), uint(0, 4), uint(offset, 4),
+            name
+        ]);
+
+        locals.push(local, compressed);
+        centrals.push(central);
+        offset += local.length + compressed.length;
+    }
+
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.concat([
+        uint(0x06054B50, 4), uint(0, 2), uint(0, 2),
+        uint(entries.length, 2), uint(entries.length, 2),
+        uint(directory.length, 4), uint(offset, 4), uint(0, 2)
+    ]);
+
+    return Buffer.concat([...locals, directory, end]);
+};
+
+/**
+ * Reads the entries of a ZIP archive written by createZip (stored or deflated entries)
+ * @param {Buffer} archive - Archive
+ * @returns {Object} - { name: Buffer }
+ * @throws {Error} - When the archive has no end of central directory record
+ */
+const readZip = (archive) => {
+    const end = archive.lastIndexOf(Buffer.from([0x50, 0x4B, 0x05, 0x06]));
+
+    if (end < 0) {
+        throw new Error('Not a ZIP archive');
+    }
+
+    const files = {};
+    let position = archive.readUInt32LE(end + 16);
+
+    for (let index = 0; index < archive.readUInt16LE(end + 10); index++) {
+        const method = archive.readUInt16LE(position + 10);
+        const size = archive.readUInt32LE(position + 20);
+        const nameLength = archive.readUInt16LE(position + 28);
+        const extraLength = archive.readUInt16LE(position + 30) + archive.readUInt16LE(position + 32);
+        const local = archive.readUInt32LE(position + 42);
+        const name = archive.toString('utf8', position + 46, position + 46 + nameLength);
+        const start = local + 30 + archive.readUInt16LE(local + 26) + archive.readUInt16LE(local + 28);
+        const data = archive.subarray(start, start + size);
+
+        files[name] = method === 8 ? zlib.inflateRawSync(data) : data;
+        position += 46 + nameLength + extraLength;
+    }
+
+    return files;
+};
+
+module.exports = {
+    crc32,
+    createZip,
+    readZip
+};
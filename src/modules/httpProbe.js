@@ -0,0 +1,221 @@
+const http = require('http');
+const https = require('https');
+const NetworkPolicy = require('./networkPolicy');
+const Validators = require('../utils/validators');
+const { logError } = require('../utils/logger');
+const config = require('../config/app');
+
+// Response headers worth showing in the terminal
+const SELECTED_HEADERS = [
+    'server', 'content-type', 'content-length', 'content-encoding', 'cache-control',
+    'last-modified', 'etag', 'location', 'strict-transport-security', 'x-powered-by', 'via', 'date'
+];
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * HTTP(S) prober measuring per-phase timings and inspecting TLS certificates
+ */
+class HttpProbe {
+    /**
+     * Probes a URL, following redirects
+     * @param {string} url - http(s) URL
+     * @param {Object} options - Probe options
+     * @param {string} options.method - HEAD or GET
+     * @param {boolean} options.followRedirects - Follows 3xx responses
+     * @param {Object} options.context - { tool, userIp } recorded with network policy denials
+     * @returns {Promise<Object>} - { url, finalUrl, status, statusText, httpVersion, headers, redirects, timings,
+     *                               certificate, bodyBytes, bodyTruncated }
+     */
+    static async probe(url, options = {}) {
+        const { method = 'GET', followRedirects = true, context = { tool: 'http-probe' } } = options;
+        const { maxRedirects } = config.commands.httpProbe;
+        const redirects = [];
+        let currentUrl = url;
+
+        try {
+            for (;;) {
+                const hop = await this._request(currentUrl, method, context);
+                const { location } = hop.headers;
+
+                if (!followRedirects || !location || hop.status < 300 || hop.status >= 400) {
+                    return { url, finalUrl: currentUrl, ...hop, redirects };
+                }
+
+                if (redirects.length >= maxRedirects) {
+                    throw new Error(`Too many redirects (max ${maxRedirects})`);
+                }
+
+                const nextUrl = new URL(location, currentUrl).toString();
+                redirects.push({ url: currentUrl, status: hop.status, location: nextUrl });
+                currentUrl = nextUrl;
+            }
+        } catch (error) {
+            logError('HTTP probe failed', { url: currentUrl, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Performs a single request on a fresh connection.
+     * Every hop (including redirects) connects only to addresses allowed by the network policy.
+     * The whole request must finish within the probe timeout, and the body is read up to maxBodyBytes only.
+     * @param {string} url - Request URL
+     * @param {string} method - HTTP method
+     * @param {Object} context - { tool, userIp } recorded with network policy denials
+     * @returns {Promise<Object>} - Response summary with timings and certificate
+     */
+    static async _request(url, method, context) {
+        const target = new URL(url);
+
+        if (!['http:', 'https:'].includes(target.protocol)) {
+            throw new Error(`Unsupported protocol: ${target.protocol}`);
+        }
+
+        // IP literals never reach the lookup hook, so they are checked up front
+        if (Validators.getIPFamily(target.hostname)) {
+            await NetworkPolicy.resolve(target.hostname, { context });
+        }
+
+        const client = target.protocol === 'https:' ? https : http;
+        const marks = { start: process.hrtime.bigint() };
+        const mark = (name) => {
+            marks[name] = process.hrtime.bigint();
+        };
+
+        const { timeout, maxBodyBytes, userAgent } = config.commands.httpProbe;
+
+        return new Promise((resolve, reject) => {
+            const req = client.request(target, {
+                method,
+                agent: false,
+                lookup: NetworkPolicy.createLookup(context),
+                // Certificates are inspected and reported instead of rejected
+                rejectUnauthorized: false,
+                headers: { 'User-Agent': userAgent }
+            });
+            // Overall deadline: a socket timeout alone never fires while a server keeps trickling data
+            const deadline = setTimeout(() => {
+                req.destroy(new Error(`Request timed out after ${timeout}ms`));
+            }, timeout);
+            let certificate = null;
+
+            req.on('socket', (socket) => {
+                socket.once('lookup', () => mark('lookup'));
+                socket.once('connect', () => mark('connect'));
+                socket.once('secureConnect', () => {
+                    mark('secureConnect');
+                    certificate = this._describeCertificate(socket);
+                });
+            });
+
+            req.on('response', (res) => {
+                let bodyBytes = 0;
+                const finish = (bodyTruncated) => {
+                    clearTimeout(deadline);
+                    mark('end');
+                    resolve({
+                        status: res.statusCode,
+                        statusText: res.statusMessage,
+                        httpVersion: res.httpVersion,
+                        headers: this._selectHeaders(res.headers),
+                        timings: this._timings(marks),
+                        certificate,
+                        bodyBytes,
+                        bodyTruncated
+                    });
+                };
+
+                mark('firstByte');
+
+                res.on('data', (chunk) => {
+                    bodyBytes += chunk.length;
+
+                    if (bodyBytes >= maxBodyBytes) {
+                        bodyBytes = maxBodyBytes;
+                        finish(true);
+                        req.destroy();
+                    }
+                });
+                res.on('end', () => finish(false));
+            });
+
+            req.on('error', (error) => {
+                clearTimeout(deadline);
+                reject(error);
+            });
+            req.end();
+        });
+    }
+
+    /**
+     * Converts hrtime marks into phase durations in ms
+     * @param {Object} marks - hrtime marks
+     * @returns {Object} - { dns, connect, tls, ttfb, total }
+     */
+    static _timings(marks) {
+        const between = (from, to) => {
+            if (!marks[from] || !marks[to]) {
+                return null;
+            }
+            return Math.round(Number(marks[to] - marks[from]) / 1e4) / 100;
+        };
+
+        // IP literals skip the lookup phase, so connect is measured from the start
+        const connectFrom = marks.lookup ? 'lookup' : 'start';
+
+        return {
+            dns: between('start', 'lookup'),
+            connect: between(connectFrom, 'connect'),
+            tls: between('connect', 'secureConnect'),
+            ttfb: between('start', 'firstByte'),
+            total: between('start', 'end')
+        };
+    }
+
+    /**
+     * Extracts certificate details from a TLS socket
+     * @param {tls.TLSSocket} socket - Connected TLS socket
+     * @returns {Object|null} - Certificate summary
+     */
+    static _describeCertificate(socket) {
+        const cert = socket.getPeerCertificate();
+
+        if (!cert || Object.keys(cert).length === 0) {
+            return null;
+        }
+
+        const validTo = new Date(cert.valid_to);
+
+        return {
+            subject: cert.subject ? cert.subject.CN || null : null,
+            issuer: cert.issuer ? [cert.issuer.CN, cert.issuer.O].filter(Boolean).join(', ') : null,
+            san: (cert.subjectaltname || '')
+                .split(',')
+                .map(name => name.trim().replace(/^(DNS|IP Address):/, ''))
+                .filter(Boolean),
+            validFrom: new Date(cert.valid_from).toISOString(),
+            validTo: validTo.toISOString(),
+            daysUntilExpiry: Math.floor((validTo.getTime() - Date.now()) / MS_PER_DAY),
+            authorized: socket.authorized,
+            authorizationError: socket.authorizationError ? String(socket.authorizationError) : null,
+            protocol: socket.getProtocol()
+        };
+    }
+
+    /**
+     * Picks the headers shown in probe results
+     * @param {Object} headers - Response headers
+     * @returns {Object} - Selected headers
+     */
+    static _selectHeaders(headers) {
+        return SELECTED_HEADERS.reduce((selected, name) => {
+            if (headers[name] !== undefined) {
+                selected[name] = headers[name];
+            }
+            return selected;
+        }, {});
+    }
+}
+
+module.exports = HttpProbe;
@@ -0,0 +1,76 @@
+/**
+ * Circuit breaker of one model: opens after a run of consecutive failures, rejects calls while open
+ * and lets a trial call through (half-open) once the reset timeout has passed. The trial closes the
+ * circuit on success and reopens it on failure.
+ */
+class CircuitBreaker {
+    /**
+     * @param {Object} options - Breaker options
+     * @param {number} options.threshold - Consecutive failures that open the circuit
+     * @param {number} options.resetTimeout - Time in ms the circuit stays open
+     * @param {Function} options.now - Clock (ms), replaceable in tests
+     */
+    constructor(options = {}) {
+        this.threshold = options.threshold || 5;
+        this.resetTimeout = options.resetTimeout || 30000;
+        this.now = options.now || Date.now;
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.lastError = null;
+    }
+
+    /**
+     * Checks whether a call may be made, moving an expired open circuit to half-open
+     * @returns {boolean} - Whether the call is allowed
+     */
+    canRequest() {
+        if (this.state === 'open' && this.now() - this.openedAt >= this.resetTimeout) {
+            this.state = 'half_open';
+        }
+
+        return this.state !== 'open';
+    }
+
+    /**
+     * Records a successful call
+     */
+    recordSuccess() {
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+    }
+
+    /**
+     * Records a failed call
+     * @param {Error} error - Failure
+     */
+    recordFailure(error) {
+        this.failures++;
+        this.lastError = error.message;
+
+        if (this.state === 'half_open' || this.failures >= this.threshold) {
+            this.state = 'open';
+            this.openedAt = this.now();
+        }
+    }
+
+    /**
+     * Gets the breaker state for status reports
+     * @returns {Object} - { state, failures, threshold, openedAt, retryAt, lastError }
+     */
+    getStatus() {
+        this.canRequest();
+
+        return {
+            state: this.state,
+            failures: this.failures,
+            threshold: this.threshold,
+            openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+            retryAt: this.state === 'open' ? new Date(this.openedAt + this.resetTimeout).toISOString() : null,
+            lastError: this.lastError
+        };
+    }
+}
+
+module.exports = CircuitBreaker;
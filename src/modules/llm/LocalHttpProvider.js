@@ -0,0 +1,304 @@
+const http = require('http');
+const https = require('https');
+const ILLMProvider = require('../../interfaces/ILLMProvider');
+
+/**
+ * Local LLM server with an Ollama-style HTTP API (POST /api/chat, GET /api/tags).
+ * Responses are converted to the OpenAI completion shape.
+ */
+class LocalHttpProvider extends ILLMProvider {
+    /**
+     * @param {Object} options - Provider options
+     * @param {string} options.url - Server URL, e.g. http://127.0.0.1:11434
+     * @param {string} options.model - Default model
+     * @param {number} options.timeout - Request timeout in ms
+     */
+    constructor(options = {}) {
+        super();
+        this.url = options.url;
+        this.model = options.model;
+        this.timeout = options.timeout || 30000;
+    }
+
+    /**
+     * Creates a chat completion
+     * @param {Object} params - { messages, max_tokens, temperature, model }
+     * @param {Object} options - { signal }: aborts the request
+     * @returns {Promise<Object>} - OpenAI-style completion
+     */
+    async createChatCompletion(params, options = {}) {
+        const body = this._chatBody(params, false);
+        const response = await this._request('POST', '/api/chat', body, options.signal);
+
+        return {
+            id: `local-${Date.now()}`,
+            object: 'chat.completion',
+            model: response.model || body.model,
+            choices: [{
+                index: 0,
+                message: this._completionMessage(response.message || {}),
+                finish_reason: response.message?.tool_calls?.length ? 'tool_calls' : response.done_reason || 'stop'
+            }],
+            usage: this._usage(response)
+        };
+    }
+
+    /**
+     * Streams a chat completion; the server sends one JSON object per line
+     * @param {Object} params - { messages, max_tokens, temperature, model }
+     * @param {Object} options - { signal, onUsage }; usage arrives with the final line
+     * @returns {AsyncIterable<string>} - Content deltas
+     */
+    async *streamChatCompletion(params, options = {}) {
+        const response = await this._open('POST', '/api/chat', this._chatBody(params, true), options.signal);
+
+        if (response.statusCode < 200 || response.statusCode >= 300) {
+            throw this._statusError(response.statusCode, await this._readBody(response));
+        }
+
+        const onUsage = options.onUsage || null;
+        let pending = '';
+
+        for await (const chunk of response) {
+            const lines = (pending + chunk).split('\n');
+            pending = lines.pop();
+
+            for (const line of lines) {
+                const content = this._parseStreamLine(line, onUsage);
+
+                if (content) {
+                    yield content;
+                }
+            }
+        }
+
+        const content = this._parseStreamLine(pending, onUsage);
+
+        if (content) {
+            yield content;
+        }
+    }
+
+    /**
+     * Checks that the server answers
+     * @returns {Promise<boolean>} - Whether the server is available
+     */
+    async isAvailable() {
+        try {
+            await this._request('GET', '/api/tags');
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Gets the provider name
+     * @returns {string} - Provider name
+     */
+    getName() {
+        return 'local';
+    }
+
+    /**
+     * Converts OpenAI chat parameters to an /api/chat request body
+     * @param {Object} params - { messages, max_tokens, temperature, model }
+     * @param {boolean} stream - Whether the server should stream the answer
+     * @returns {Object} - Request body
+     */
+    _chatBody(params, stream) {
+        const { messages, max_tokens: maxTokens, temperature, tools, model = this.model } = params;
+        const options = {};
+
+        if (maxTokens !== undefined) {
+            options.num_predict = maxTokens;
+        }
+        if (temperature !== undefined) {
+            options.temperature = temperature;
+        }
+
+        const body = { model, messages: messages.map(message => this._requestMessage(message)), options, stream };
+
+        if (tools) {
+            body.tools = tools;
+        }
+
+        return body;
+    }
+
+    /**
+     * Converts an OpenAI chat message to the server format (tool call arguments are objects there)
+     * @param {Object} message - OpenAI chat message
+     * @returns {Object} - Server chat message
+     */
+    _requestMessage(message) {
+        if (!message.tool_calls) {
+            return message;
+        }
+
+        return {
+            role: message.role,
+            content: message.content || '',
+            tool_calls: message.tool_calls.map(call => ({
+                function: { name: call.function.name, arguments: JSON.parse(call.function.arguments || '{}') }
+            }))
+        };
+    }
+
+    /**
+     * Converts a server reply message to the OpenAI format
+     * @param {Object} message - Server chat message
+     * @returns {Object} - OpenAI chat message, with tool_calls when the model requested functions
+     */
+    _completionMessage(message) {
+        const result = { role: 'assistant', content: message.content || '' };
+
+        if (message.tool_calls?.length) {
+            result.tool_calls = message.tool_calls.map((call, index) => ({
+                id: `call_${index}`,
+                type: 'function',
+                function: { name: call.function.name, arguments: JSON.stringify(call.function.arguments || {}) }
+            }));
+        }
+
+        return result;
+    }
+
+    /**
+     * Extracts the content delta from one streamed line
+     * @param {string} line - JSON line
+     * @param {Function} onUsage - Receives the token counts of the final line
+     * @returns {string} - Content ('' for empty and final lines)
+     * @throws {Error} - When the server reports an error mid-stream
+     */
+    _parseStreamLine(line, onUsage = null) {
+        if (!line.trim()) {
+            return '';
+        }
+
+        let data;
+
+        try {
+            data = JSON.parse(line);
+        } catch (error) {
+            throw new Error(`Invalid JSON from local LLM: ${error.message}`);
+        }
+
+        if (data.error) {
+            throw new Error(`Local LLM error: ${data.error}`);
+        }
+
+        if (data.done && onUsage) {
+            onUsage(this._usage(data));
+        }
+
+        return data.message?.content || '';
+    }
+
+    /**
+     * Converts the server token counts to OpenAI usage
+     * @param {Object} data - Final /api/chat response or stream line
+     * @returns {Object} - { prompt_tokens, completion_tokens, total_tokens }
+     */
+    _usage(data) {
+        const promptTokens = data.prompt_eval_count || 0;
+        const completionTokens = data.eval_count || 0;
+
+        return {
+            prompt_tokens: promptTokens,
+            completion_tokens: completionTokens,
+            total_tokens: promptTokens + completionTokens
+        };
+    }
+
+    /**
+     * Sends a JSON request to the server
+     * @param {string} method - HTTP method
+     * @param {string} path - Request path
+     * @param {Object} body - JSON body
+     * @param {AbortSignal} signal - Destroys the request when aborted
+     * @returns {Promise<Object>} - Parsed JSON response
+     * @throws {Error} - On connection errors, timeouts and non-2xx responses (with status)
+     */
+    async _request(method, path, body = null, signal = undefined) {
+        const response = await this._open(method, path, body, signal);
+        const text = await this._readBody(response);
+
+        if (response.statusCode < 200 || response.statusCode >= 300) {
+            throw this._statusError(response.statusCode, text);
+        }
+
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid JSON from local LLM: ${error.message}`);
+        }
+    }
+
+    /**
+     * Opens a request and resolves with the response once headers arrive
+     * @param {string} method - HTTP method
+     * @param {string} path - Request path
+     * @param {Object} body - JSON body
+     * @param {AbortSignal} signal - Destroys the request when aborted
+     * @returns {Promise<http.IncomingMessage>} - Response with utf8 encoding set
+     */
+    _open(method, path, body = null, signal = undefined) {
+        const url = new URL(path, this.url);
+        const transport = url.protocol === 'https:' ? https : http;
+        const payload = body ? JSON.stringify(body) : null;
+
+        return new Promise((resolve, reject) => {
+            const request = transport.request(url, {
+                method,
+                headers: payload
+                    ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) }
+                    : {},
+                timeout: this.timeout,
+                signal
+            }, (response) => {
+                response.setEncoding('utf8');
+                resolve(response);
+            });
+
+            request.on('timeout', () => {
+                request.destroy(new Error(`Local LLM request timed out after ${this.timeout}ms`));
+            });
+            request.on('error', reject);
+
+            if (payload) {
+                request.write(payload);
+            }
+            request.end();
+        });
+    }
+
+    /**
+     * Reads a whole response body
+     * @param {http.IncomingMessage} response - Response
+     * @returns {Promise<string>} - Body text
+     */
+    async _readBody(response) {
+        let text = '';
+
+        for await (const chunk of response) {
+            text += chunk;
+        }
+
+        return text;
+    }
+
+    /**
+     * Creates the error for a non-2xx response
+     * @param {number} status - HTTP status
+     * @param {string} text - Response body
+     * @returns {Error} - Error with status
+     */
+    _statusError(status, text) {
+        const error = new Error(`Local LLM request failed with status ${status}: ${text}`);
+        error.status = status;
+        return error;
+    }
+}
+
+module.exports = LocalHttpProvider;
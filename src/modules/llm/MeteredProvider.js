@@ -0,0 +1,145 @@
+const ILLMProvider = require('../../interfaces/ILLMProvider');
+const UsageContext = require('../../context/UsageContext');
+
+/**
+ * Estimates tokens for backends that report no usage (about four characters per token)
+ * @param {string} text - Text
+ * @returns {number} - Approximate token count
+ */
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+/**
+ * Decorator that meters every completion of the wrapped provider: checks the daily budgets before
+ * the call and records model, prompt/completion tokens and cost afterwards. Calls are attributed
+ * to the user and request type of the current UsageContext.
+ */
+class MeteredProvider extends ILLMProvider {
+    /**
+     * @param {ILLMProvider} provider - Wrapped provider
+     * @param {UsageService} usageService - Budget checks and usage records
+     */
+    constructor(provider, usageService) {
+        super();
+        this.provider = provider;
+        this.usageService = usageService;
+    }
+
+    /**
+     * Default model of the wrapped provider
+     * @returns {string} - Model name
+     */
+    get model() {
+        return this.provider.model;
+    }
+
+    /**
+     * Creates a chat completion and records its usage
+     * @param {Object} params - { messages, max_tokens, temperature, model }
+     * @param {Object} options - { prompt, signal }: template version stored with the record, request abort signal
+     * @returns {Promise<Object>} - Completion of the wrapped provider
+     */
+    async createChatCompletion(params, options = {}) {
+        const scope = UsageContext.get();
+
+        await this.usageService.assertWithinBudget(scope.userIp);
+
+        const completion = await this.provider.createChatCompletion(params, { signal: options.signal });
+
+        await this._record(scope, params, {
+            model: completion.model || this._model(params),
+            response: completion.choices[0]?.message?.content || '',
+            usage: completion.usage,
+            prompt: options.prompt
+        });
+
+        return completion;
+    }
+
+    /**
+     * Streams a chat completion and records its usage once the stream ends (also when aborted)
+     * @param {Object} params - { messages, max_tokens, temperature, model }
+     * @param {Object} options - { signal, prompt }
+     * @returns {AsyncIterable<string>} - Content deltas
+     */
+    async *streamChatCompletion(params, options = {}) {
+        const scope = UsageContext.get();
+        let response = '';
+        let usage = null;
+
+        await this.usageService.assertWithinBudget(scope.userIp);
+
+        try {
+            const stream = this.provider.streamChatCompletion(params, {
+                ...options,
+                onUsage: (reported) => {
+                    usage = reported;
+                }
+            });
+
+            for await (const piece of stream) {
+                response += piece;
+                yield piece;
+            }
+        } finally {
+            if (response) {
+                await this._record(scope, params, {
+                    model: this._model(params), response, usage, prompt: options.prompt
+                });
+            }
+        }
+    }
+
+    /**
+     * Checks whether the wrapped backend answers (not metered)
+     * @returns {Promise<boolean>} - Whether the provider is available
+     */
+    isAvailable() {
+        return this.provider.isAvailable();
+    }
+
+    /**
+     * Gets the wrapped provider name
+     * @returns {string} - Provider name
+     */
+    getName() {
+        return this.provider.getName();
+    }
+
+    /**
+     * Stores one completion; usage is estimated when the backend reported none
+     * @param {Object} scope - UsageContext scope of the call
+     * @param {Object} params - Request parameters
+     * @param {Object} result - { model, response, usage, prompt }
+     * @returns {Promise<Object>} - Recorded tokens and cost
+     */
+    async _record(scope, params, result) {
+        const messages = params.messages || [];
+        const lastUser = [...messages].reverse().find(message => message.role === 'user');
+        const usage = result.usage || {
+            prompt_tokens: estimateTokens(messages.map(message => message.content).join('\n')),
+            completion_tokens: estimateTokens(result.response)
+        };
+
+        return await this.usageService.record({
+            query: lastUser ? lastUser.content : '',
+            response: result.response,
+            model: result.model,
+            usage,
+            requestType: scope.requestType,
+            promptVersion: result.prompt,
+            userIp: scope.userIp,
+            sessionId: scope.sessionId
+        });
+    }
+
+    /**
+     * Gets the model a request is sent to
+     * @param {Object} params - Request parameters
+     * @returns {string} - Model name
+     */
+    _model(params) {
+        return params.model || this.model;
+    }
+}
+
+module.exports = MeteredProvider;
@@ -0,0 +1,205 @@
+const ILLMProvider = require('../../interfaces/ILLMProvider');
+
+// "/pattern/flags" strings in JSON fixture files are treated as regular expressions
+const REGEX_LITERAL = /^\/(.+)\/([gimsuy]*)$/;
+
+/**
+ * Counts whitespace-separated words as a stand-in for tokens
+ * @param {string} text - Text
+ * @returns {number} - Word count
+ */
+const countTokens = (text) => (text.trim() ? text.trim().split(/\s+/).length : 0);
+
+/**
+ * Deterministic offline provider answering from fixtures.
+ * A fixture is { match, response }, { match, toolCalls } or { match, error, status }: match is a substring
+ * (case-insensitive) or RegExp tested against all message contents; object responses are returned as JSON;
+ * toolCalls ([{ name, arguments }]) answers with function calls instead of content.
+ * Unmatched requests get a fixed answer derived from the last user message.
+ */
+class MockProvider extends ILLMProvider {
+    /**
+     * @param {Object} options - Provider options
+     * @param {Array<Object>} options.fixtures - Fixtures, checked in order
+     * @param {string} options.model - Reported model name
+     */
+    constructor(options = {}) {
+        super();
+        this.fixtures = [];
+        this.model = options.model || 'mock';
+        this.calls = [];
+
+        (options.fixtures || []).forEach(fixture => this.addFixture(fixture));
+    }
+
+    /**
+     * Adds a fixture
+     * @param {Object} fixture - { match, response }, { match, toolCalls } or { match, error, status }
+     */
+    addFixture(fixture) {
+        const literal = typeof fixture.match === 'string' ? fixture.match.match(REGEX_LITERAL) : null;
+        const match = literal ? new RegExp(literal[1], literal[2]) : fixture.match;
+
+        this.fixtures.push({ ...fixture, match });
+    }
+
+    /**
+     * Clears fixtures and recorded calls
+     */
+    reset() {
+        this.fixtures = [];
+        this.calls = [];
+    }
+
+    /**
+     * Answers a chat completion from the fixtures
+     * @param {Object} params - { messages, max_tokens, temperature, model }
+     * @returns {Promise<Object>} - OpenAI-style completion
+     */
+    createChatCompletion(params) {
+        const messages = params.messages || [];
+        const prompt = messages.map(message => message.content).join('\n');
+        const fixture = this.fixtures.find(item => this._matches(item.match, prompt));
+
+        this.calls.push({ params, fixture: fixture || null });
+
+        if (fixture?.error) {
+            const error = new Error(fixture.error);
+            error.status = fixture.status || 500;
+            return Promise.reject(error);
+        }
+
+        if (fixture?.toolCalls) {
+            return Promise.resolve(this._toolCallCompletion(params, fixture.toolCalls, countTokens(prompt)));
+        }
+
+        const content = fixture ? this._stringify(fixture.response) : this._defaultResponse(messages);
+        const promptTokens = countTokens(prompt);
+        const completionTokens = countTokens(content);
+
+        return Promise.resolve({
+            id: `mock-${this.calls.length}`,
+            object: 'chat.completion',
+            model: params.model || this.model,
+            choices: [{
+                index: 0,
+                message: { role: 'assistant', content },
+                finish_reason: 'stop'
+            }],
+            usage: {
+                prompt_tokens: promptTokens,
+                completion_tokens: completionTokens,
+                total_tokens: promptTokens + completionTokens
+            }
+        });
+    }
+
+    /**
+     * Streams the fixture answer word by word
+     * @param {Object} params - { messages, max_tokens, temperature, model }
+     * @param {Object} options - { signal, onUsage }; signal stops the stream
+     * @returns {AsyncIterable<string>} - Content deltas
+     */
+    async *streamChatCompletion(params, options = {}) {
+        const completion = await this.createChatCompletion(params);
+        const pieces = completion.choices[0].message.content.match(/\s*\S+\s*/g) || [];
+
+        for (const piece of pieces) {
+            if (options.signal?.aborted) {
+                throw Object.assign(new Error('Request aborted'), { name: 'AbortError' });
+            }
+
+            yield piece;
+        }
+
+        if (options.onUsage) {
+            options.onUsage(completion.usage);
+        }
+    }
+
+    /**
+     * The mock backend is always available
+     * @returns {Promise<boolean>} - true
+     */
+    isAvailable() {
+        return Promise.resolve(true);
+    }
+
+    /**
+     * Gets the provider name
+     * @returns {string} - Provider name
+     */
+    getName() {
+        return 'mock';
+    }
+
+    /**
+     * Tests a fixture matcher against the prompt
+     * @param {string|RegExp} match - Matcher (missing matches everything)
+     * @param {string} prompt - All message contents
+     * @returns {boolean} - Whether the fixture applies
+     */
+    _matches(match, prompt) {
+        if (!match) {
+            return true;
+        }
+
+        if (match instanceof RegExp) {
+            return match.test(prompt);
+        }
+
+        return prompt.toLowerCase().includes(String(match).toLowerCase());
+    }
+
+    /**
+     * Builds a completion requesting function calls
+     * @param {Object} params - Request parameters
+     * @param {Array<Object>} toolCalls - [{ name, arguments }]
+     * @param {number} promptTokens - Prompt token count
+     * @returns {Object} - OpenAI-style completion with message.tool_calls
+     */
+    _toolCallCompletion(params, toolCalls, promptTokens) {
+        const calls = toolCalls.map((call, index) => ({
+            id: `call_${this.calls.length}_${index}`,
+            type: 'function',
+            function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+        }));
+
+        return {
+            id: `mock-${this.calls.length}`,
+            object: 'chat.completion',
+            model: params.model || this.model,
+            choices: [{
+                index: 0,
+                message: { role: 'assistant', content: '', tool_calls: calls },
+                finish_reason: 'tool_calls'
+            }],
+            usage: {
+                prompt_tokens: promptTokens,
+                completion_tokens: calls.length,
+                total_tokens: promptTokens + calls.length
+            }
+        };
+    }
+
+    /**
+     * Converts a fixture response to message content
+     * @param {string|Object} response - Fixture response
+     * @returns {string} - Content
+     */
+    _stringify(response) {
+        return typeof response === 'string' ? response : JSON.stringify(response);
+    }
+
+    /**
+     * Builds the answer for requests without a fixture
+     * @param {Array<Object>} messages - Chat messages
+     * @returns {string} - Content
+     */
+    _defaultResponse(messages) {
+        const lastUser = [...messages].reverse().find(message => message.role === 'user');
+        return `MOCK RESPONSE: ${lastUser ? lastUser.content : ''}`.trim();
+    }
+}
+
+module.exports = MockProvider;
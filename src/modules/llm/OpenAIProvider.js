@@ -0,0 +1,104 @@
+const ILLMProvider = require('../../interfaces/ILLMProvider');
+
+/**
+ * OpenAI chat completions, or any OpenAI-compatible server (llama.cpp, vLLM, ...) via baseUrl
+ */
+class OpenAIProvider extends ILLMProvider {
+    /**
+     * @param {Object} options - Provider options
+     * @param {string} options.apiKey - API key
+     * @param {string} options.baseUrl - API base URL for OpenAI-compatible servers
+     * @param {string} options.model - Default model
+     * @param {number} options.timeout - Request timeout in ms
+     */
+    constructor(options = {}) {
+        super();
+        this.apiKey = options.apiKey;
+        this.baseUrl = options.baseUrl || undefined;
+        this.model = options.model;
+        this.timeout = options.timeout;
+        this.client = null;
+    }
+
+    /**
+     * Creates a chat completion
+     * @param {Object} params - { messages, max_tokens, temperature, model }
+     * @param {Object} options - { signal }: aborts the request
+     * @returns {Promise<Object>} - OpenAI completion
+     */
+    async createChatCompletion(params, options = {}) {
+        return await this._getClient().chat.completions.create(
+            { model: this.model, ...params },
+            { signal: options.signal }
+        );
+    }
+
+    /**
+     * Streams a chat completion
+     * @param {Object} params - { messages, max_tokens, temperature, model }
+     * @param {Object} options - { signal, onUsage }; usage arrives with the last chunk
+     * @returns {AsyncIterable<string>} - Content deltas
+     */
+    async *streamChatCompletion(params, options = {}) {
+        const stream = await this._getClient().chat.completions.create(
+            { model: this.model, ...params, stream: true, stream_options: { include_usage: true } },
+            { signal: options.signal }
+        );
+
+        for await (const chunk of stream) {
+            const content = chunk.choices[0]?.delta?.content;
+
+            if (content) {
+                yield content;
+            }
+
+            if (chunk.usage && options.onUsage) {
+                options.onUsage(chunk.usage);
+            }
+        }
+    }
+
+    /**
+     * Checks API availability with a one-token request
+     * @returns {Promise<boolean>} - Whether the API is available
+     */
+    async isAvailable() {
+        try {
+            await this.createChatCompletion({ messages: [{ role: 'user', content: 'test' }], max_tokens: 1 });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Gets the provider name
+     * @returns {string} - Provider name
+     */
+    getName() {
+        return 'openai';
+    }
+
+    /**
+     * Creates the SDK client on first use, so other providers never load the SDK.
+     * SDK retries are off: ResilientProvider retries with backoff and counts failures for its circuit breaker.
+     * @returns {OpenAI} - SDK client
+     */
+    _getClient() {
+        if (!this.client) {
+            require('openai/shims/node');
+            const OpenAI = require('openai');
+
+            this.client = new OpenAI({
+                apiKey: this.apiKey,
+                baseURL: this.baseUrl,
+                timeout: this.timeout,
+                maxRetries: 0
+            });
+        }
+
+        return this.client;
+    }
+}
+
+module.exports = OpenAIProvider;
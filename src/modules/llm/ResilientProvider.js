@@ -0,0 +1,414 @@
+const ILLMProvider = require('../../interfaces/ILLMProvider');
+const CircuitBreaker = require('./CircuitBreaker');
+const { logWarning } = require('../../utils/logger');
+const config = require('../../config/app');
+const retry = require('../../utils/retry');
+
+// LLM APIs also answer 409 to requests worth repeating
+const RETRYABLE_STATUSES = new Set([...retry.RETRYABLE_STATUSES, 409]);
+
+// Answer given when neither the main nor the fallback model responds
+const MAINFRAME_BUSY = [
+    '*** MAINFRAME BUSY ***',
+    'ALL TIME-SHARING LINES TO THE AI COMPUTER ARE IN USE.',
+    'YOUR JOB HAS BEEN RETURNED TO THE CARD READER. PLEASE RESUBMIT IN A FEW MINUTES.'
+].join('\n');
+
+/**
+ * Checks whether a failed call may succeed when repeated
+ * @param {Error} error - Provider error
+ * @returns {boolean} - Whether the error is transient
+ */
+const isRetryable = (error) => {
+    // Spent AI budgets and cancelled requests are final
+    if (error.code === 'EBUDGET' || error.name === 'AbortError') {
+        return false;
+    }
+
+    return retry.isRetryable(error, RETRYABLE_STATUSES) ||
+        (!error.status && (/^APIConnection/).test(error.constructor?.name || ''));
+};
+
+/**
+ * Decorator that makes the wrapped provider survive transient failures: every attempt has a timeout,
+ * retryable errors (429, 5xx, network) are repeated with exponential backoff and jitter, and a circuit
+ * breaker per model stops calling a model that keeps failing. When the main model gives up the
+ * configured fallback model is tried; callers that pass cannedAnswer get a retro "mainframe busy"
+ * notice instead of an error when no model responds.
+ */
+class ResilientProvider extends ILLMProvider {
+    /**
+     * @param {ILLMProvider} provider - Wrapped provider
+     * @param {Object} options - Resilience settings (defaults from config.openai)
+     * @param {string} options.fallbackModel - Model tried after the main one (none when empty)
+     * @param {number} options.timeout - Time limit of one attempt in ms
+     * @param {number} options.retries - Retries per model after the first attempt
+     * @param {number} options.retryDelay - First backoff step in ms, doubled per retry
+     * @param {number} options.retryMaxDelay - Longest backoff in ms
+     * @param {number} options.breakerThreshold - Consecutive failures that open a circuit
+     * @param {number} options.breakerResetTimeout - Time in ms a circuit stays open
+     * @param {boolean} options.cannedAnswer - Whether the "mainframe busy" answer may be given
+     * @param {Function} options.now - Clock (ms) of the circuit breakers
+     */
+    constructor(provider, options = {}) {
+        super();
+        const settings = { ...config.openai, ...options };
+
+        this.provider = provider;
+        this.fallbackModel = settings.fallbackModel;
+        this.timeout = settings.timeout;
+        this.retries = settings.retries;
+        this.retryDelay = settings.retryDelay;
+        this.retryMaxDelay = settings.retryMaxDelay;
+        this.cannedAnswer = settings.cannedAnswer;
+        this.breakerOptions = {
+            threshold: settings.breakerThreshold,
+            resetTimeout: settings.breakerResetTimeout,
+            now: settings.now
+        };
+        this.breakers = new Map();
+    }
+
+    /**
+     * Default model of the wrapped provider
+     * @returns {string} - Model name
+     */
+    get model() {
+        return this.provider.model;
+    }
+
+    /**
+     * Creates a chat completion, retrying and falling back as needed
+     * @param {Object} params - { messages, max_tokens, temperature, model }
+     * @param {Object} options - { prompt, signal, cannedAnswer }
+     * @returns {Promise<Object>} - Completion; degraded is 'fallback_model' or 'canned' when the main model
+     *                              did not answer
+     */
+    async createChatCompletion(params, options = {}) {
+        let lastError = null;
+
+        for (const { model, request, fallback } of this._tiers(params)) {
+            const breaker = this._breaker(model);
+
+            for (let attempt = 0; breaker.canRequest(); attempt++) {
+                try {
+                    const completion = await this._withTimeout(
+                        (signal) => this.provider.createChatCompletion(request, { ...options, signal }),
+                        options.signal
+                    );
+
+                    breaker.recordSuccess();
+
+                    return fallback ? { ...completion, degraded: 'fallback_model' } : completion;
+                } catch (error) {
+                    if (!isRetryable(error)) {
+                        throw error;
+                    }
+
+                    lastError = error;
+                    breaker.recordFailure(error);
+                    this._logFailure(model, attempt, error);
+
+                    if (attempt >= this.retries) {
+                        break;
+                    }
+
+                    await retry.sleep(retry.backoffDelay(attempt, error, this), options.signal);
+                }
+            }
+        }
+
+        if (!this._mayAnswerCanned(options)) {
+            throw this._unavailableError(lastError);
+        }
+
+        return this._cannedCompletion(params);
+    }
+
+    /**
+     * Streams a chat completion. Attempts are only repeated before the first token; a stream that
+     * fails midway is not restarted. The timeout limits the wait for the first token.
+     * @param {Object} params - { messages, max_tokens, temperature, model }
+     * @param {Object} options - { signal, prompt, onUsage, cannedAnswer, onDegraded }; onDegraded receives
+     *                           'fallback_model' once a fallback model answer is complete, 'canned' before
+     *                           the canned notice
+     * @returns {AsyncIterable<string>} - Content deltas
+     */
+    async *streamChatCompletion(params, options = {}) {
+        let lastError = null;
+
+        for (const { model, request, fallback } of this._tiers(params)) {
+            const breaker = this._breaker(model);
+
+            for (let attempt = 0; breaker.canRequest(); attempt++) {
+                const progress = { started: false };
+
+                try {
+                    yield* this._timedStream(request, options, progress);
+
+                    if (fallback && progress.started && options.onDegraded) {
+                        options.onDegraded('fallback_model');
+                    }
+
+                    breaker.recordSuccess();
+                    return;
+                } catch (error) {
+                    if (progress.started || !isRetryable(error)) {
+                        throw error;
+                    }
+
+                    lastError = error;
+                    breaker.recordFailure(error);
+                    this._logFailure(model, attempt, error);
+
+                    if (attempt >= this.retries) {
+                        break;
+                    }
+
+                    await retry.sleep(retry.backoffDelay(attempt, error, this), options.signal);
+                }
+            }
+        }
+
+        if (!this._mayAnswerCanned(options)) {
+            throw this._unavailableError(lastError);
+        }
+
+        if (options.onDegraded) {
+            options.onDegraded('canned');
+        }
+
+        yield MAINFRAME_BUSY;
+    }
+
+    /**
+     * Checks whether requests can be answered: by the wrapped provider while its circuit is closed,
+     * otherwise by the fallback model or the canned answer
+     * @returns {Promise<boolean>} - Whether the provider is available
+     */
+    async isAvailable() {
+        if (this._breaker(this._mainModel({})).canRequest()) {
+            try {
+                if (await this._withTimeout(() => this.provider.isAvailable())) {
+                    return true;
+                }
+            } catch (error) {
+                // Unreachable backends count as unavailable
+            }
+        }
+
+        return this.cannedAnswer || Boolean(this.fallbackModel && this._breaker(this.fallbackModel).canRequest());
+    }
+
+    /**
+     * Gets the wrapped provider name
+     * @returns {string} - Provider name
+     */
+    getName() {
+        return this.provider.getName();
+    }
+
+    /**
+     * Gets the resilience state for GET /api/status
+     * @returns {Object} - { state, model, fallbackModel, cannedAnswer, timeout, retries, circuits }; state is the
+     *                     circuit state of the main model
+     */
+    getStatus() {
+        const model = this._mainModel({});
+        const circuits = {};
+
+        for (const [name, breaker] of this.breakers) {
+            circuits[name] = breaker.getStatus();
+        }
+
+        return {
+            state: this._breaker(model).getStatus().state,
+            model,
+            fallbackModel: this.fallbackModel,
+            cannedAnswer: this.cannedAnswer,
+            timeout: this.timeout,
+            retries: this.retries,
+            circuits
+        };
+    }
+
+    /**
+     * Lists the models to try, main model first
+     * @param {Object} params - Request parameters
+     * @returns {Array<Object>} - [{ model, request, fallback }]
+     */
+    _tiers(params) {
+        const model = this._mainModel(params);
+        const tiers = [{ model, request: params, fallback: false }];
+
+        if (this.fallbackModel && this.fallbackModel !== model) {
+            tiers.push({
+                model: this.fallbackModel,
+                request: { ...params, model: this.fallbackModel },
+                fallback: true
+            });
+        }
+
+        return tiers;
+    }
+
+    /**
+     * Gets the model a request is sent to
+     * @param {Object} params - Request parameters
+     * @returns {string} - Model name (provider name for providers without models)
+     */
+    _mainModel(params) {
+        return params.model || this.provider.model || this.provider.getName();
+    }
+
+    /**
+     * Gets the circuit breaker of a model
+     * @param {string} model - Model name
+     * @returns {CircuitBreaker} - Breaker
+     */
+    _breaker(model) {
+        if (!this.breakers.has(model)) {
+            this.breakers.set(model, new CircuitBreaker(this.breakerOptions));
+        }
+
+        return this.breakers.get(model);
+    }
+
+    /**
+     * Runs one attempt with the time limit; the attempt's signal is aborted on timeout and with the caller's
+     * @param {Function} task - Receives an AbortSignal and returns a promise
+     * @param {AbortSignal} signal - Caller's signal
+     * @returns {Promise<*>} - Task result
+     * @throws {Error} - ETIMEDOUT when the attempt takes longer than the timeout
+     */
+    async _withTimeout(task, signal = undefined) {
+        const controller = new AbortController();
+        const abort = () => controller.abort();
+        let timer;
+
+        signal?.addEventListener('abort', abort, { once: true });
+
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                controller.abort();
+                reject(this._timeoutError());
+            }, this.timeout);
+        });
+
+        try {
+            return await Promise.race([task(controller.signal), timeout]);
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', abort);
+        }
+    }
+
+    /**
+     * Streams one attempt, aborting it when the first token takes longer than the timeout
+     * @param {Object} params - Request parameters
+     * @param {Object} options - Stream options of the caller
+     * @param {Object} progress - { started }: set once the first token has been passed on
+     * @returns {AsyncIterable<string>} - Content deltas
+     */
+    async *_timedStream(params, options, progress) {
+        const controller = new AbortController();
+        const abort = () => controller.abort();
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, this.timeout);
+
+        options.signal?.addEventListener('abort', abort, { once: true });
+
+        try {
+            for await (const piece of this.provider.streamChatCompletion(params, {
+                ...options,
+                signal: controller.signal
+            })) {
+                clearTimeout(timer);
+                progress.started = true;
+                yield piece;
+            }
+        } catch (error) {
+            throw timedOut ? this._timeoutError() : error;
+        } finally {
+            clearTimeout(timer);
+            options.signal?.removeEventListener('abort', abort);
+        }
+    }
+
+    /**
+     * Checks whether a request may be answered with the canned notice
+     * @param {Object} options - Request options
+     * @returns {boolean} - Whether the canned answer is allowed
+     */
+    _mayAnswerCanned(options) {
+        return Boolean(this.cannedAnswer && options.cannedAnswer && !options.signal?.aborted);
+    }
+
+    /**
+     * Builds the completion carrying the canned notice
+     * @param {Object} params - Request parameters
+     * @returns {Object} - OpenAI-style completion marked as degraded
+     */
+    _cannedCompletion(params) {
+        logWarning('No AI model answered, sending the canned answer', { model: this._mainModel(params) });
+
+        return {
+            id: `canned-${Date.now()}`,
+            object: 'chat.completion',
+            model: 'canned',
+            choices: [{
+                index: 0,
+                message: { role: 'assistant', content: MAINFRAME_BUSY },
+                finish_reason: 'stop'
+            }],
+            usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+            degraded: 'canned'
+        };
+    }
+
+    /**
+     * Logs a failed attempt
+     * @param {string} model - Model name
+     * @param {number} attempt - Attempt (0-based)
+     * @param {Error} error - Failure
+     */
+    _logFailure(model, attempt, error) {
+        logWarning('AI request attempt failed', {
+            model,
+            attempt: attempt + 1,
+            status: error.status,
+            error: error.message,
+            circuit: this._breaker(model).state
+        });
+    }
+
+    /**
+     * Creates the error of an attempt that ran out of time
+     * @returns {Error} - Error with code ETIMEDOUT
+     */
+    _timeoutError() {
+        return Object.assign(new Error(`AI request timed out after ${this.timeout}ms`), { code: 'ETIMEDOUT' });
+    }
+
+    /**
+     * Creates the error given when no model answered
+     * @param {Error} lastError - Last failure (null when every circuit was open)
+     * @returns {Error} - Error with status 503
+     */
+    _unavailableError(lastError) {
+        const reason = lastError ? lastError.message : 'circuit open';
+        const error = new Error(`AI service is temporarily unavailable: ${reason}`);
+
+        error.status = 503;
+        error.code = 'EAIUNAVAILABLE';
+
+        return error;
+    }
+}
+
+ResilientProvider.MAINFRAME_BUSY = MAINFRAME_BUSY;
+
+module.exports = ResilientProvider;
@@ -0,0 +1,178 @@
+const SCHEMAS = require('../../prompts/schemas');
+const { logWarning } = require('../../utils/logger');
+const config = require('../../config/app');
+
+const CODE_FENCE = /```(?:json)?\s*([\s\S]*?)```/i;
+
+/**
+ * Finds the end of the JSON object or array starting at a position, skipping brackets inside strings
+ * @param {string} text - Text
+ * @param {number} start - Index of the opening { or [
+ * @returns {number} - Index after the closing bracket (-1 when unbalanced)
+ */
+const balancedEnd = (text, start) => {
+    const closing = [];
+    let inString = false;
+
+    for (let i = start; i < text.length; i++) {
+        const char = text[i];
+
+        if (inString) {
+            if (char === '\\') {
+                i++;
+            } else if (char === '"') {
+                inString = false;
+            }
+        } else if (char === '"') {
+            inString = true;
+        } else if (char === '{' || char === '[') {
+            closing.push(char === '{' ? '}' : ']');
+        } else if (char === '}' || char === ']') {
+            if (closing.pop() !== char) {
+                return -1;
+            }
+
+            if (closing.length === 0) {
+                return i + 1;
+            }
+        }
+    }
+
+    return -1;
+};
+
+/**
+ * Asks the model for JSON answers of prompt templates and returns them validated against the
+ * template's Joi schema (src/prompts/schemas.js). JSON is taken from code fences and surrounding prose;
+ * an answer that cannot be parsed or fails the schema is sent back to the model with the error,
+ * up to config.ai.structuredOutput.retries times.
+ */
+class StructuredOutput {
+    /**
+     * @param {ILLMProvider} llmClient - LLM provider
+     * @param {PromptService} promptService - Prompt templates
+     */
+    constructor(llmClient, promptService) {
+        this.llmClient = llmClient;
+        this.promptService = promptService;
+    }
+
+    /**
+     * Extracts the first JSON object or array from a model answer
+     * @param {string} text - Model answer
+     * @returns {*} - Parsed JSON
+     * @throws {Error} - When the answer contains no parsable JSON
+     */
+    static extractJSON(text) {
+        const fenced = String(text || '').match(CODE_FENCE);
+        const source = (fenced ? fenced[1] : String(text || '')).trim();
+
+        try {
+            return JSON.parse(source);
+        } catch (error) {
+            // Prose around the JSON: parse the first balanced object or array
+        }
+
+        const start = source.search(/[{[]/);
+        const end = start === -1 ? -1 : balancedEnd(source, start);
+
+        if (end === -1) {
+            throw new Error('the answer contains no JSON object');
+        }
+
+        try {
+            return JSON.parse(source.slice(start, end));
+        } catch (error) {
+            throw new Error(`the answer is not valid JSON (${error.message})`);
+        }
+    }
+
+    /**
+     * Parses and validates a model answer of a template
+     * @param {string} templateName - Prompt template name
+     * @param {string} text - Model answer
+     * @returns {Object} - Validated value with schema defaults and conversions applied
+     * @throws {Error} - When the answer is not JSON or fails the schema
+     */
+    static parse(templateName, text) {
+        const { error, value } = StructuredOutput.getSchema(templateName)
+            .validate(StructuredOutput.extractJSON(text), { stripUnknown: true });
+
+        if (error) {
+            throw new Error(`the JSON does not match the schema (${error.message})`);
+        }
+
+        return value;
+    }
+
+    /**
+     * Gets the answer schema of a template
+     * @param {string} templateName - Prompt template name
+     * @returns {Joi.Schema} - Schema
+     * @throws {Error} - When the template does not answer with JSON
+     */
+    static getSchema(templateName) {
+        if (!Object.prototype.hasOwnProperty.call(SCHEMAS, templateName)) {
+            throw new Error(`Prompt ${templateName} has no answer schema`);
+        }
+
+        return SCHEMAS[templateName];
+    }
+
+    /**
+     * Sends an input with a template as system prompt and returns the validated JSON answer
+     * @param {string} templateName - Prompt template name (with a schema in src/prompts/schemas.js)
+     * @param {string} input - User message
+     * @param {Object} options - Request options
+     * @param {Object} options.variables - Template variables
+     * @param {number} options.max_tokens - Completion token limit
+     * @param {number} options.temperature - Sampling temperature
+     * @param {number} options.retries - Re-asks after an invalid answer (default from config)
+     * @returns {Promise<Object>} - Validated answer
+     * @throws {Error} - Provider errors, or code ESTRUCTURED when no answer passed validation
+     */
+    async request(templateName, input, options = {}) {
+        const { variables = {}, retries = config.ai.structuredOutput.retries, ...params } = options;
+        const prompt = await this.promptService.render(templateName, variables);
+        const messages = [
+            { role: 'system', content: prompt.content },
+            { role: 'user', content: input }
+        ];
+        let lastError = null;
+
+        for (let attempt = 0; attempt <= retries; attempt++) {
+            const completion = await this.llmClient.createChatCompletion(
+                { messages, ...params },
+                { prompt: prompt.ref }
+            );
+            const content = completion.choices[0].message.content || '';
+
+            try {
+                return StructuredOutput.parse(templateName, content);
+            } catch (error) {
+                lastError = error;
+                logWarning('Structured AI answer rejected', {
+                    prompt: prompt.ref,
+                    attempt: attempt + 1,
+                    error: error.message
+                });
+
+                messages.push(
+                    { role: 'assistant', content },
+                    {
+                        role: 'user',
+                        content: `Your previous answer could not be used: ${error.message}. ` +
+                            'Reply with only the JSON object described in the instructions, ' +
+                            'without prose or code fences.'
+                    }
+                );
+            }
+        }
+
+        const error = new Error(`Invalid ${templateName} answer after ${retries + 1} attempts: ${lastError.message}`);
+        error.code = 'ESTRUCTURED';
+        throw error;
+    }
+}
+
+module.exports = StructuredOutput;
@@ -0,0 +1,189 @@
+const dns = require('dns');
+const net = require('net');
+const Validators = require('../utils/validators');
+const { logSecurity, logError } = require('../utils/logger');
+const config = require('../config/app');
+
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1, ::ffff:7f00:1) are checked as IPv4
+const MAPPED_DOTTED = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i;
+const MAPPED_HEX = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i;
+
+// Database manager used to store denials in security_events (set on startup)
+let securityEventStore = null;
+
+/**
+ * Outbound network policy: resolves targets and checks every address against allowed and denied networks.
+ * Callers connect to the returned address instead of the hostname, so the name cannot be re-pointed
+ * (DNS rebinding) between the check and the actual connection.
+ */
+class NetworkPolicy {
+    /**
+     * Sets the database manager that stores denials as security events
+     * @param {DatabaseManager|null} databaseManager - Initialized database manager
+     */
+    static setDatabase(databaseManager) {
+        securityEventStore = databaseManager;
+    }
+
+    /**
+     * Resolves a target and checks all of its addresses
+     * @param {string} target - Hostname or IP literal
+     * @param {Object} options - Options
+     * @param {number} options.family - Address family to resolve (4 or 6)
+     * @param {Object} options.context - { tool, userIp } recorded with denials
+     * @returns {Promise<Object>} - { target, address, family, addresses }
+     * @throws {Error} - With code ENETPOLICY and status 403 when an address is denied
+     */
+    static async resolve(target, options = {}) {
+        const { family = null, context = {} } = options;
+        const literal = Validators.parseIPLiteral(target);
+        const addresses = literal
+            ? [{ address: literal.address, family: literal.family }]
+            : await dns.promises.lookup(target, { all: true, family: family || 0 });
+
+        if (addresses.length === 0) {
+            throw new Error(`No addresses found for ${target}`);
+        }
+
+        addresses.forEach(({ address }) => this.assertAllowed(target, address, context));
+
+        return {
+            target,
+            // Literals keep their zone id (fe80::1%eth0)
+            address: literal ? literal.normalized : addresses[0].address,
+            family: addresses[0].family,
+            addresses
+        };
+    }
+
+    /**
+     * Creates a dns.lookup replacement for http/net that only yields allowed addresses
+     * @param {Object} context - { tool, userIp } recorded with denials
+     * @returns {Function} - lookup(hostname, options, callback)
+     */
+    static createLookup(context = {}) {
+        return (hostname, options, callback) => {
+            this.resolve(hostname, { family: options.family || null, context })
+                .then(({ addresses }) => {
+                    if (options.all) {
+                        callback(null, addresses);
+                    } else {
+                        callback(null, addresses[0].address, addresses[0].family);
+                    }
+                })
+                .catch(error => callback(error));
+        };
+    }
+
+    /**
+     * Throws when an address is not allowed by the policy
+     * @param {string} target - Requested target (for messages)
+     * @param {string} address - Resolved IP address
+     * @param {Object} context - { tool, userIp }
+     */
+    static assertAllowed(target, address, context = {}) {
+        const { allowed, network } = this.evaluate(address);
+
+        if (allowed) {
+            return;
+        }
+
+        const details = { target, address, network, tool: context.tool || null, userIp: context.userIp || null };
+        logSecurity('Outbound target blocked by network policy', details);
+        this._recordDenial(details);
+
+        const error = new Error(`Target ${target} is not allowed: ${address} is in blocked network ${network}`);
+        error.code = 'ENETPOLICY';
+        error.status = 403;
+        throw error;
+    }
+
+    /**
+     * Checks an address against the configured networks
+     * @param {string} address - IP address
+     * @returns {Object} - { allowed, network } where network is the matching CIDR (or null)
+     */
+    static evaluate(address) {
+        const { enabled, allow, deny } = config.networkPolicy;
+
+        if (!enabled) {
+            return { allowed: true, network: null };
+        }
+
+        const ip = this._unmapIPv4(address.split('%')[0]);
+        const allowedBy = this._findNetwork(ip, allow);
+
+        if (allowedBy) {
+            return { allowed: true, network: allowedBy };
+        }
+
+        const deniedBy = this._findNetwork(ip, deny);
+        return { allowed: !deniedBy, network: deniedBy };
+    }
+
+    /**
+     * Finds the first CIDR containing an address
+     * @param {string} address - IP address
+     * @param {Array<string>} networks - CIDR list ("10.0.0.0/8", "fc00::/7", "192.0.2.1")
+     * @returns {string|null} - Matching CIDR
+     */
+    static _findNetwork(address, networks) {
+        const family = net.isIP(address);
+
+        return networks.find(cidr => {
+            const [network, prefix] = cidr.trim().split('/');
+
+            if (net.isIP(network) !== family) {
+                return false;
+            }
+
+            const type = `ipv${family}`;
+            const hostPrefix = family === 6 ? 128 : 32;
+            const list = new net.BlockList();
+            list.addSubnet(network, prefix === undefined ? hostPrefix : parseInt(prefix), type);
+
+            return list.check(address, type);
+        }) || null;
+    }
+
+    /**
+     * Converts an IPv4-mapped IPv6 address to plain IPv4
+     * @param {string} address - IP address
+     * @returns {string} - IPv4 address for mapped addresses, the input otherwise
+     */
+    static _unmapIPv4(address) {
+        const dotted = address.match(MAPPED_DOTTED);
+
+        if (dotted) {
+            return dotted[1];
+        }
+
+        const hex = address.match(MAPPED_HEX);
+
+        if (!hex) {
+            return address;
+        }
+
+        const value = (parseInt(hex[1], 16) * 65536) + parseInt(hex[2], 16);
+        return [24, 16, 8, 0].map(shift => Math.floor(value / (2 ** shift)) % 256).join('.');
+    }
+
+    /**
+     * Stores a denial in the security_events table when a database is set
+     * @param {Object} details - Denial details
+     */
+    static _recordDenial(details) {
+        if (!securityEventStore) {
+            return;
+        }
+
+        const description = `${details.tool || 'network'}: ${details.target} (${details.address}) ` +
+            `blocked by ${details.network}`;
+
+        securityEventStore
+            .saveSecurityEvent('network_policy_denied', description, { userIp: details.userIp, severity: 'warning' })
+            .catch(error => logError('Failed to record network policy denial', { error: error.message }));
+    }
+}
+
+module.exports = NetworkPolicy;
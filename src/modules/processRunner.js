@@ -0,0 +1,168 @@
+const { spawn } = require('child_process');
+const config = require('../config/app');
+
+const IS_WINDOWS = process.platform === 'win32';
+
+/**
+ * Creates an execution error carrying the partial result
+ * @param {string} message - Error message
+ * @param {string} code - Error code (ETIMEDOUT, ENOBUFS, ABORT_ERR, ...)
+ * @param {Object} result - Output collected so far
+ * @returns {Error} - Error
+ */
+const createError = (message, code, result) => Object.assign(new Error(message), { code, ...result });
+
+/**
+ * Runs binaries with an explicit argument vector (never through a shell)
+ */
+class ProcessRunner {
+    /**
+     * Spawns a binary and collects its output
+     * @param {string} binary - Binary to spawn
+     * @param {Array<string>} argv - Argument vector, passed to the process as-is
+     * @param {Object} options - Run options
+     * @param {number} options.timeout - Kills the process tree after this many ms
+     * @param {number} options.maxBuffer - Maximum combined stdout/stderr size in bytes
+     * @param {Function} options.onLine - Called with { stream, line } for every output line
+     * @param {AbortSignal} options.signal - Kills the process tree when aborted
+     * @param {string} options.cwd - Working directory
+     * @returns {Promise<Object>} - { stdout, stderr, output, exitCode, signal, duration }
+     * @throws {Error} - On spawn failure, timeout (ETIMEDOUT), output overflow (ENOBUFS) or abort (ABORT_ERR);
+     *                   the error carries the partial stdout/stderr/output
+     */
+    static run(binary, argv = [], options = {}) {
+        const {
+            timeout = config.security.commandTimeout,
+            maxBuffer = config.security.maxBufferSize,
+            onLine = null,
+            signal = null,
+            cwd
+        } = options;
+
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(createError('Command aborted', 'ABORT_ERR', { stdout: '', stderr: '', output: '' }));
+                return;
+            }
+
+            const startTime = Date.now();
+            // A separate process group lets the whole tree be killed, not just the direct child
+            const child = spawn(binary, argv, { shell: false, detached: !IS_WINDOWS, cwd });
+            const chunks = { stdout: [], stderr: [] };
+            const pending = { stdout: '', stderr: '' };
+            let output = '';
+            let bytes = 0;
+            let settled = false;
+
+            const emit = (stream, line) => {
+                if (onLine) {
+                    onLine({ stream, line });
+                }
+            };
+
+            const collected = () => ({
+                stdout: Buffer.concat(chunks.stdout).toString('utf8'),
+                stderr: Buffer.concat(chunks.stderr).toString('utf8'),
+                output
+            });
+
+            const finish = (error, exit = {}) => {
+                if (settled) {
+                    return;
+                }
+                settled = true;
+                clearTimeout(timer);
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+
+                // Flush trailing partial lines
+                for (const stream of ['stdout', 'stderr']) {
+                    if (pending[stream]) {
+                        emit(stream, pending[stream]);
+                        pending[stream] = '';
+                    }
+                }
+
+                if (error) {
+                    reject(Object.assign(error, collected()));
+                } else {
+                    resolve({
+                        ...collected(),
+                        exitCode: exit.code,
+                        signal: exit.signal,
+                        duration: Date.now() - startTime
+                    });
+                }
+            };
+
+            const fail = (message, code) => {
+                this.killTree(child);
+                finish(createError(message, code, {}));
+            };
+
+            const onAbort = () => fail('Command aborted', 'ABORT_ERR');
+
+            const timer = setTimeout(() => fail(`Command timed out after ${timeout}ms`, 'ETIMEDOUT'), timeout);
+
+            const handleChunk = (stream) => (chunk) => {
+                if (settled) {
+                    return;
+                }
+
+                bytes += chunk.length;
+
+                if (bytes > maxBuffer) {
+                    fail('Command output too large', 'ENOBUFS');
+                    return;
+                }
+
+                const text = chunk.toString('utf8');
+                chunks[stream].push(chunk);
+                output += text;
+
+                const lines = (pending[stream] + text).split(/\r?\n/);
+                pending[stream] = lines.pop();
+                lines.forEach(line => emit(stream, line));
+            };
+
+            if (signal) {
+                signal.addEventListener('abort', onAbort);
+            }
+
+            child.stdout.on('data', handleChunk('stdout'));
+            child.stderr.on('data', handleChunk('stderr'));
+
+            child.on('error', (error) => {
+                finish(createError(`Process error: ${error.message}`, error.code, {}));
+            });
+
+            child.on('close', (code, exitSignal) => {
+                finish(null, { code, signal: exitSignal });
+            });
+        });
+    }
+
+    /**
+     * Kills a spawned process together with its children
+     * @param {ChildProcess} child - Process started by run()
+     */
+    static killTree(child) {
+        if (!child.pid) {
+            return;
+        }
+
+        try {
+            if (IS_WINDOWS) {
+                child.kill('SIGKILL');
+            } else {
+                process.kill(-child.pid, 'SIGKILL');
+            }
+        } catch (error) {
+            // The group may already be gone; make sure the direct child is
+            child.kill('SIGKILL');
+        }
+    }
+}
+
+module.exports = ProcessRunner;
@@ -1,49 +1,18 @@
 const { logSecurity } = require('../utils/logger');
 const Validators = require('../utils/validators');
-const config = require('../config/app');
+const CommandRegistry = require('./commandRegistry');
 
 /**
  * Security manager for command validation and sanitization
  */
 class SecurityManager {
-    // Whitelist of allowed commands with configuration
-    static ALLOWED_COMMANDS = {
-        ping: {
-            command: 'ping',
-            args: ['-c', config.commands.ping.count.toString()],
-            maxArgs: 2,
-            validateHostname: true,
-            timeout: config.commands.ping.timeout
-        },
-        traceroute: {
-            command: 'traceroute',
-            args: ['-m', config.commands.traceroute.maxHops.toString()],
-            maxArgs: 1,
-            validateHostname: true,
-            timeout: config.commands.traceroute.timeout
-        },
-        nslookup: {
-            command: 'nslookup',
-            args: [],
-            maxArgs: 1,
-            validateHostname: true,
-            timeout: config.commands.nslookup.timeout
-        },
-        netstat: {
-            command: 'netstat',
-            args: ['-an'],
-            maxArgs: 3,
-            validateHostname: false,
-            timeout: config.security.commandTimeout
-        },
-        whois: {
-            command: 'whois',
-            args: [],
-            maxArgs: 1,
-            validateDomain: true,
-            timeout: config.commands.whois.timeout
-        }
-    };
+    /**
+     * Whitelist of allowed commands, generated from the command definitions in src/commands
+     * @returns {Object} - Command configurations keyed by name
+     */
+    static get ALLOWED_COMMANDS() {
+        return CommandRegistry.toAllowedCommands();
+    }
 
     /**
      * Validates a command
@@ -202,10 +171,12 @@ class SecurityManager {
     }
 
     /**
-     * Creates a safe command for execution
+     * Creates a safe command for execution.
+     * The result is an argument vector for spawn() without a shell, so arguments are passed verbatim;
+     * they must already have passed isCommandSafe().
      * @param {string} command - Command
      * @param {Array} args - Arguments
-     * @returns {Object} - Safe command object
+     * @returns {Object} - Safe command object ({ command, args, timeout })
      */
     static createSafeCommand(command, args = []) {
         const normalizedCommand = command.toLowerCase().trim();
@@ -215,20 +186,28 @@ class SecurityManager {
             throw new Error('Command not allowed');
         }
 
-        // Sanitize arguments
-        const sanitizedArgs = args.map(arg => this.sanitizeInput(arg));
-
         // Combine base command arguments with user arguments
-        const finalArgs = [...commandConfig.args, ...sanitizedArgs];
-
         return {
             command: commandConfig.command,
-            args: finalArgs,
-            fullCommand: `${commandConfig.command} ${finalArgs.join(' ')}`,
+            args: [...commandConfig.args, ...args],
             timeout: commandConfig.timeout
         };
     }
 
+    /**
+     * Gets the whitelisted command variant for an address family
+     * @param {string} command - Base command (ping or traceroute)
+     * @param {string} target - Hostname or IP literal
+     * @param {number} family - Requested address family (4 or 6), autodetected from IP literals when omitted
+     * @returns {string} - Command name, e.g. ping6
+     */
+    static getFamilyCommand(command, target, family = null) {
+        const resolvedFamily = family || (Validators.getIPFamily(target) === 6 ? 6 : null);
+        const variant = resolvedFamily ? `${command}${resolvedFamily}` : command;
+
+        return this.ALLOWED_COMMANDS[variant] ? variant : command;
+    }
+
     /**
      * Validates network target (hostname or IP)
      * @param {string} target - Target to validate
@@ -300,8 +279,7 @@ class SecurityManager {
      */
     static requiresAdmin(command) {
         const normalizedCommand = command.toLowerCase().trim();
-        const adminCommands = ['netstat', 'system'];
-        return adminCommands.includes(normalizedCommand);
+        return normalizedCommand === 'system' || Boolean(CommandRegistry.get(normalizedCommand)?.admin);
     }
 }
 
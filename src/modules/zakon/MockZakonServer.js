@@ -0,0 +1,223 @@
+const http = require('http');
+const { stem } = require('../../utils/ftsQuery');
+const { logInfo } = require('../../utils/logger');
+const config = require('../../config/app');
+const DEFAULT_FIXTURES = require('./fixtures.json');
+
+/**
+ * Splits a text into lowercase search words; Cyrillic words are cut to their stem
+ * @param {string} text - Text
+ * @returns {Array<string>} - Words
+ */
+const searchWords = (text) => String(text || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .map(word => ((/^[а-яіїєґё]+$/).test(word) ? stem(word) : word));
+
+/**
+ * Stand-in for the Zakon Online API serving fixture data (fixtures.json by default), so the service,
+ * the terminal and the tests work without network access or an API token. It answers GET /search,
+ * /decisions/:id/full-text, /courts, /judgment-forms and /justice-kinds like the API does, and can be
+ * told to fail the next requests (failNext) to exercise retries.
+ * Run it with `npm run zakon:mock` and set ZAKON_BASE_URL to the printed URL.
+ */
+class MockZakonServer {
+    /**
+     * @param {Object} options - Server options
+     * @param {Object} options.fixtures - { courts, judgmentForms, justiceKinds, decisions }
+     * @param {string} options.token - Bearer token required from clients (any or none when not set)
+     */
+    constructor(options = {}) {
+        this.fixtures = options.fixtures || DEFAULT_FIXTURES;
+        this.token = options.token || null;
+        this.failures = [];
+        this.requests = [];
+        this.server = http.createServer((req, res) => this._handle(req, res));
+    }
+
+    /**
+     * Base URL of the running server
+     * @returns {string|null} - URL (null when not listening)
+     */
+    get url() {
+        const address = this.server.address();
+
+        return address ? `http://127.0.0.1:${address.port}` : null;
+    }
+
+    /**
+     * Starts listening
+     * @param {number} port - Port (0 picks a free one)
+     * @returns {Promise<string>} - Base URL
+     */
+    start(port = 0) {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, '127.0.0.1', () => resolve(this.url));
+        });
+    }
+
+    /**
+     * Stops listening
+     * @returns {Promise<void>} - Resolves once closed
+     */
+    stop() {
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    /**
+     * Makes the next requests fail
+     * @param {number} status - HTTP status to answer with
+     * @param {Object} options - Failure options
+     * @param {number} options.times - Number of requests to fail (default 1)
+     * @param {string} options.path - Only fail requests to this path
+     * @param {number} options.retryAfter - Retry-After header in seconds
+     */
+    failNext(status, options = {}) {
+        const { times = 1, path = null, retryAfter = null } = options;
+
+        this.failures.push({ status, times, path, retryAfter });
+    }
+
+    /**
+     * Handles a request
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     */
+    _handle(req, res) {
+        const url = new URL(req.url, 'http://127.0.0.1');
+        const params = Object.fromEntries(url.searchParams);
+        const failure = this.failures.find(candidate => !candidate.path || candidate.path === url.pathname);
+
+        this.requests.push({ method: req.method, path: url.pathname, params, headers: req.headers });
+
+        if (failure) {
+            failure.times--;
+            this.failures = this.failures.filter(candidate => candidate.times > 0);
+            const headers = failure.retryAfter === null ? {} : { 'Retry-After': String(failure.retryAfter) };
+
+            this._send(res, failure.status, { error: http.STATUS_CODES[failure.status] }, headers);
+            return;
+        }
+
+        if (this.token && req.headers.authorization !== `Bearer ${this.token}`) {
+            this._send(res, 401, { error: 'Invalid or missing API token' });
+            return;
+        }
+
+        const fullText = url.pathname.match(/^\/decisions\/([^/]+)\/full-text$/);
+        const lists = {
+            '/courts': this.fixtures.courts,
+            '/judgment-forms': this.fixtures.judgmentForms,
+            '/justice-kinds': this.fixtures.justiceKinds
+        };
+
+        if (req.method !== 'GET') {
+            this._send(res, 405, { error: 'Method not allowed' });
+        } else if (url.pathname === '/search') {
+            this._send(res, 200, this._search(params));
+        } else if (fullText) {
+            this._sendFullText(res, decodeURIComponent(fullText[1]));
+        } else if (lists[url.pathname]) {
+            this._send(res, 200, lists[url.pathname]);
+        } else {
+            this._send(res, 404, { error: 'Not found' });
+        }
+    }
+
+    /**
+     * Searches the fixture decisions: every query word (by stem) must occur in the case number, court,
+     * summary or full text; court, judgment_form, justice_kind, date_from and date_to filter
+     * @param {Object} params - Query parameters: q, page, limit and the filters
+     * @returns {Object} - { total, page, limit, results }
+     */
+    _search(params) {
+        const page = Math.max(1, parseInt(params.page) || 1);
+        const limit = Math.max(1, parseInt(params.limit) || 20);
+        const words = searchWords(params.q);
+        const filters = [
+            ['court', 'court_id'],
+            ['judgment_form', 'judgment_form_id'],
+            ['justice_kind', 'justice_kind_id']
+        ].filter(([param]) => params[param]);
+
+        const found = this.fixtures.decisions
+            .map(decision => this._decision(decision))
+            .filter(decision => {
+                const text = searchWords([
+                    decision.case_number, decision.court_name, decision.summary, decision.full_text
+                ].join(' ')).join(' ');
+
+                return words.every(word => text.includes(word)) &&
+                    filters.every(([param, field]) => String(decision[field]) === String(params[param])) &&
+                    (!params.date_from || decision.date >= params.date_from) &&
+                    (!params.date_to || decision.date <= params.date_to);
+            })
+            .sort((a, b) => b.date.localeCompare(a.date));
+
+        return {
+            total: found.length,
+            page,
+            limit,
+            results: found.slice((page - 1) * limit, page * limit).map(({ full_text: text, ...decision }) => ({
+                ...decision,
+                highlights: words.filter(word => searchWords(text).some(candidate => candidate.startsWith(word)))
+            }))
+        };
+    }
+
+    /**
+     * Sends the full text of a fixture decision
+     * @param {http.ServerResponse} res - Response
+     * @param {string} id - Decision ID
+     */
+    _sendFullText(res, id) {
+        const decision = this.fixtures.decisions.find(candidate => String(candidate.id) === id);
+
+        if (decision) {
+            this._send(res, 200, { id: decision.id, text: decision.full_text });
+        } else {
+            this._send(res, 404, { error: `Decision ${id} not found` });
+        }
+    }
+
+    /**
+     * Adds the names of the court, judgment form and justice kind to a fixture decision
+     * @param {Object} decision - Fixture decision
+     * @returns {Object} - Decision as the API lists it
+     */
+    _decision(decision) {
+        const name = (list, id) => list.find(item => item.id === id)?.name || null;
+
+        return {
+            ...decision,
+            court_name: name(this.fixtures.courts, decision.court_id),
+            judgment_form: name(this.fixtures.judgmentForms, decision.judgment_form_id),
+            justice_kind: name(this.fixtures.justiceKinds, decision.justice_kind_id)
+        };
+    }
+
+    /**
+     * Sends a JSON answer
+     * @param {http.ServerResponse} res - Response
+     * @param {number} status - HTTP status
+     * @param {*} body - Body
+     * @param {Object} headers - Extra headers
+     */
+    _send(res, status, body, headers = {}) {
+        res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+        res.end(JSON.stringify(body));
+    }
+}
+
+if (require.main === module) {
+    const server = new MockZakonServer();
+
+    server.start(config.zakon.mockPort).then(url => {
+        logInfo('Zakon Online stand-in API listening', { url, hint: `ZAKON_BASE_URL=${url}` });
+    });
+}
+
+module.exports = MockZakonServer;
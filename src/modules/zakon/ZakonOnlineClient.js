@@ -0,0 +1,194 @@
+const http = require('http');
+const https = require('https');
+const { logWarning } = require('../../utils/logger');
+const config = require('../../config/app');
+const { isRetryable, sleep, backoffDelay } = require('../../utils/retry');
+
+/**
+ * Gets the decisions of a search answer (the API lists them as results or items)
+ * @param {Object} data - Search answer
+ * @returns {Array<Object>} - Decisions
+ */
+const pageItems = (data) => {
+    if (Array.isArray(data)) {
+        return data;
+    }
+
+    return data?.results || data?.items || data?.data?.items || [];
+};
+
+/**
+ * Gets the number of all decisions found by a search
+ * @param {Object} data - Search answer
+ * @returns {number|null} - Total (null when the answer has none)
+ */
+const pageTotal = (data) => {
+    const total = [data?.total, data?.totalCount, data?.total_count, data?.data?.totalCount]
+        .find(value => value !== undefined && value !== null);
+
+    return total === undefined ? null : Number(total);
+};
+
+/**
+ * HTTP client of the Zakon Online court decisions API. Base URL, token, timeout and retries come from
+ * config.zakon; rate limits (429), server errors (5xx) and network failures are retried with exponential
+ * backoff and jitter (at least the Retry-After of the answer), other errors are thrown at once.
+ */
+class ZakonOnlineClient {
+    /**
+     * @param {Object} options - Client settings (defaults from config.zakon)
+     * @param {string} options.baseUrl - API URL, e.g. https://court.searcher.api.zakononline.com.ua/api
+     * @param {string} options.token - API token, sent as a Bearer token
+     * @param {number} options.timeout - Time limit of one attempt in ms
+     * @param {number} options.maxRetries - Retries after the first attempt
+     * @param {number} options.retryDelay - First backoff step in ms, doubled per retry
+     * @param {number} options.retryMaxDelay - Longest backoff in ms
+     */
+    constructor(options = {}) {
+        const settings = { ...config.zakon, ...options };
+
+        this.baseUrl = settings.baseUrl.replace(/\/+$/, '');
+        this.token = settings.token;
+        this.timeout = settings.timeout;
+        this.maxRetries = settings.maxRetries;
+        this.retryDelay = settings.retryDelay;
+        this.retryMaxDelay = settings.retryMaxDelay;
+    }
+
+    /**
+     * Sends a GET request, retrying transient failures
+     * @param {string} endpoint - API endpoint, e.g. /search
+     * @param {Object} params - Query parameters (empty values are left out)
+     * @returns {Promise<*>} - Parsed JSON answer
+     * @throws {Error} - With status (HTTP errors) or code (network errors) once the retries are spent
+     */
+    async get(endpoint, params = {}) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this._request(endpoint, params);
+            } catch (error) {
+                if (!isRetryable(error) || attempt >= this.maxRetries) {
+                    throw error;
+                }
+
+                const delay = backoffDelay(attempt, error, this);
+
+                logWarning('Zakon Online request attempt failed', {
+                    endpoint,
+                    attempt: attempt + 1,
+                    status: error.status,
+                    error: error.message,
+                    retryIn: Math.round(delay)
+                });
+
+                await sleep(delay);
+            }
+        }
+    }
+
+    /**
+     * Iterates over the pages of a paginated endpoint, requesting the next page only when asked for it
+     * @param {string} endpoint - API endpoint, e.g. /search
+     * @param {Object} params - Query parameters
+     * @param {Object} options - Paging options
+     * @param {number} options.page - First page (default 1)
+     * @param {number} options.limit - Decisions per page (default 20)
+     * @param {number} options.maxPages - Stop after this many pages (default: until the last page)
+     * @returns {AsyncIterable<Object>} - { page, limit, total, items } per page
+     */
+    async *pages(endpoint, params = {}, options = {}) {
+        const { page: firstPage = 1, limit = 20, maxPages = Infinity } = options;
+
+        for (let page = firstPage; page < firstPage + maxPages; page++) {
+            const data = await this.get(endpoint, { ...params, page, limit });
+            const items = pageItems(data);
+            const total = pageTotal(data);
+
+            yield { page, limit, total, items };
+
+            const lastPage = total === null ? items.length < limit : ((page - 1) * limit) + items.length >= total;
+
+            if (items.length === 0 || lastPage) {
+                return;
+            }
+        }
+    }
+
+    /**
+     * Sends one GET request
+     * @param {string} endpoint - API endpoint
+     * @param {Object} params - Query parameters
+     * @returns {Promise<*>} - Parsed JSON answer
+     * @throws {Error} - On connection errors, timeouts (code ETIMEDOUT) and non-2xx answers (with status)
+     */
+    _request(endpoint, params) {
+        const url = new URL(`${this.baseUrl}${endpoint}`);
+        const transport = url.protocol === 'https:' ? https : http;
+
+        Object.entries(params).forEach(([name, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                url.searchParams.set(name, value);
+            }
+        });
+
+        return new Promise((resolve, reject) => {
+            const request = transport.get(url, {
+                headers: {
+                    Accept: 'application/json',
+                    ...(this.token ? { Authorization: `Bearer ${this.token}` } : {})
+                },
+                timeout: this.timeout
+            }, (response) => {
+                let text = '';
+
+                response.setEncoding('utf8');
+                response.on('data', chunk => {
+                    text += chunk;
+                });
+                response.on('error', reject);
+                response.on('end', () => {
+                    try {
+                        resolve(this._parse(response, text));
+                    } catch (error) {
+                        reject(error);
+                    }
+                });
+            });
+
+            request.on('timeout', () => {
+                const error = new Error(`Zakon Online request timed out after ${this.timeout}ms`);
+                error.code = 'ETIMEDOUT';
+                request.destroy(error);
+            });
+            request.on('error', reject);
+        });
+    }
+
+    /**
+     * Parses an answer
+     * @param {http.IncomingMessage} response - Response
+     * @param {string} text - Body
+     * @returns {*} - Parsed JSON
+     * @throws {Error} - With status and headers for non-2xx answers
+     */
+    _parse(response, text) {
+        if (response.statusCode < 200 || response.statusCode >= 300) {
+            const error = new Error(`Request failed with status code ${response.statusCode}`);
+            error.status = response.statusCode;
+            error.headers = response.headers;
+            error.body = text;
+            throw error;
+        }
+
+        try {
+            return text ? JSON.parse(text) : null;
+        } catch (error) {
+            throw new Error(`Invalid JSON from Zakon Online: ${error.message}`);
+        }
+    }
+}
+
+ZakonOnlineClient.pageItems = pageItems;
+ZakonOnlineClient.pageTotal = pageTotal;
+
+module.exports = ZakonOnlineClient;
@@ -0,0 +1,49 @@
+const Joi = require('joi');
+
+/**
+ * @typedef {Object} LegalDetection
+ * @property {boolean} isLegal - Whether the query is a legal question
+ * @property {number} confidence - Confidence from 0 to 1
+ * @property {string} reason - Short explanation
+ */
+
+/**
+ * @typedef {Object} LegalSearchQuery
+ * @property {string} searchQuery - Query for the legal database
+ * @property {number} confidence - Confidence from 0 to 1
+ */
+
+/**
+ * @typedef {Object} RequestTypeAnswer
+ * @property {string} label - Request type
+ * @property {number} confidence - Confidence from 0 to 1
+ */
+
+const confidence = Joi.number().min(0).max(1);
+
+/**
+ * Answer schemas of the prompt templates that reply with JSON, keyed by template name.
+ * Answers are validated (and converted, e.g. "0.8" to 0.8) by StructuredOutput; extra keys are dropped.
+ */
+module.exports = {
+    /** @type {Joi.ObjectSchema<RequestTypeAnswer>} */
+    'classifier.request_type': Joi.object({
+        label: Joi.string().trim().lowercase()
+            .valid('unknown_command', 'legal_request', 'court_case', 'tcc_request', 'motd')
+            .required(),
+        confidence: confidence.default(0.5)
+    }),
+
+    /** @type {Joi.ObjectSchema<LegalDetection>} */
+    'legal.detect': Joi.object({
+        isLegal: Joi.boolean().required(),
+        confidence: confidence.required(),
+        reason: Joi.string().allow('').default('')
+    }),
+
+    /** @type {Joi.ObjectSchema<LegalSearchQuery>} */
+    'legal.search_query': Joi.object({
+        searchQuery: Joi.string().trim().min(1).max(500).required(),
+        confidence: confidence.default(0.5)
+    })
+};
@@ -0,0 +1,227 @@
+const IRepository = require('../interfaces/IRepository');
+
+/**
+ * Repository for AI assistant conversation threads.
+ * A thread is the list of messages stored under one session key; older turns are folded into
+ * a single 'summary' message.
+ */
+class ConversationRepository extends IRepository {
+    constructor(database) {
+        super();
+        this.database = database;
+        this.tableName = 'conversation_messages';
+    }
+
+    /**
+     * Saves a message to a thread
+     * @param {Object} messageData - { sessionKey, role, content, tokens }
+     * @returns {Promise<Object>} - Save result
+     */
+    async save(messageData) {
+        try {
+            const sql = `
+                INSERT INTO ${this.tableName} (session_key, role, content, tokens)
+                VALUES (?, ?, ?, ?)
+            `;
+
+            const result = await this.database.runQuery(sql, [
+                messageData.sessionKey,
+                messageData.role,
+                messageData.content,
+                messageData.tokens || 0
+            ]);
+
+            return {
+                success: true,
+                id: result.lastID
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Gets message by ID
+     * @param {string} id - Message ID
+     * @returns {Promise<Object>} - Found message
+     */
+    async getById(id) {
+        try {
+            const sql = `SELECT * FROM ${this.tableName} WHERE id = ?`;
+            const result = await this.database.get(sql, [id]);
+
+            return {
+                success: true,
+                data: result
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Gets messages of a thread in chronological order
+     * @param {Object} options - Query options
+     * @param {string} options.sessionKey - Thread key
+     * @param {number} options.limit - Maximum number of messages
+     * @returns {Promise<Object>} - Messages
+     */
+    async getAll(options = {}) {
+        try {
+            const { sessionKey, limit = 1000 } = options;
+
+            const sql = `
+                SELECT * FROM ${this.tableName}
+                WHERE session_key = ?
+                ORDER BY id ASC
+                LIMIT ?
+            `;
+
+            const results = await this.database.getAll(sql, [sessionKey, limit]);
+
+            return {
+                success: true,
+                data: results,
+                count: results.length
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Updates message content
+     * @param {string} id - Message ID
+     * @param {Object} data - { content, tokens }
+     * @returns {Promise<Object>} - Update result
+     */
+    async update(id, data) {
+        try {
+            const sql = `UPDATE ${this.tableName} SET content = ?, tokens = ? WHERE id = ?`;
+            const result = await this.database.runQuery(sql, [data.content, data.tokens || 0, id]);
+
+            return {
+                success: true,
+                affectedRows: result.changes
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Deletes a message
+     * @param {string} id - Message ID
+     * @returns {Promise<Object>} - Delete result
+     */
+    async delete(id) {
+        try {
+            const result = await this.database.runQuery(`DELETE FROM ${this.tableName} WHERE id = ?`, [id]);
+
+            return {
+                success: true,
+                affectedRows: result.changes
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Deletes a whole thread
+     * @param {string} sessionKey - Thread key
+     * @returns {Promise<Object>} - Delete result
+     */
+    async deleteThread(sessionKey) {
+        try {
+            const sql = `DELETE FROM ${this.tableName} WHERE session_key = ?`;
+            const result = await this.database.runQuery(sql, [sessionKey]);
+
+            return {
+                success: true,
+                affectedRows: result.changes
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Deletes the threads whose newest message is older than the retention period
+     * @param {number} retentionDays - Days a thread is kept after its last message
+     * @returns {Promise<Object>} - Delete result
+     */
+    async pruneThreads(retentionDays) {
+        try {
+            const sql = `
+                DELETE FROM ${this.tableName} WHERE session_key IN (
+                    SELECT session_key FROM ${this.tableName}
+                    GROUP BY session_key
+                    HAVING MAX(created_at) < datetime('now', ?)
+                )
+            `;
+            const result = await this.database.runQuery(sql, [`-${retentionDays} days`]);
+
+            return {
+                success: true,
+                affectedRows: result.changes
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Replaces the summary and every message up to a given ID with a new summary
+     * @param {string} sessionKey - Thread key
+     * @param {number} upToId - Last summarised message ID
+     * @param {Object} summary - { content, tokens }; an empty content drops the summary
+     * @returns {Promise<Object>} - Result with the number of removed messages
+     */
+    async replaceWithSummary(sessionKey, upToId, summary) {
+        try {
+            const sql = `DELETE FROM ${this.tableName} WHERE session_key = ? AND (id <= ? OR role = 'summary')`;
+            const result = await this.database.runQuery(sql, [sessionKey, upToId]);
+
+            if (summary.content) {
+                await this.database.runQuery(
+                    `INSERT INTO ${this.tableName} (session_key, role, content, tokens) VALUES (?, 'summary', ?, ?)`,
+                    [sessionKey, summary.content, summary.tokens || 0]
+                );
+            }
+
+            return {
+                success: true,
+                affectedRows: result.changes
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+}
+
+module.exports = ConversationRepository;
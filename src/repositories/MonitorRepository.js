@@ -0,0 +1,275 @@
+const IRepository = require('../interfaces/IRepository');
+
+/**
+ * Repository for network monitors and their check results
+ */
+class MonitorRepository extends IRepository {
+    constructor(database) {
+        super();
+        this.database = database;
+        this.tableName = 'monitors';
+        this.resultsTableName = 'monitor_results';
+    }
+
+    /**
+     * Saves monitor to database
+     * @param {Object} monitorData - Monitor data
+     * @returns {Promise<Object>} - Save result
+     */
+    async save(monitorData) {
+        try {
+            const sql = `
+                INSERT INTO ${this.tableName} (
+                    name,
+                    type,
+                    target,
+                    port,
+                    interval_seconds,
+                    created_by
+                ) VALUES (?, ?, ?, ?, ?, ?)
+            `;
+
+            const params = [
+                monitorData.name,
+                monitorData.type,
+                monitorData.target,
+                monitorData.port || null,
+                monitorData.interval,
+                monitorData.createdBy || null
+            ];
+
+            const result = await this.database.runQuery(sql, params);
+
+            return {
+                success: true,
+                id: result.lastID
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Gets monitor by ID
+     * @param {string} id - Monitor ID
+     * @returns {Promise<Object>} - Found monitor
+     */
+    async getById(id) {
+        try {
+            const sql = `SELECT * FROM ${this.tableName} WHERE id = ?`;
+            const result = await this.database.get(sql, [id]);
+
+            return {
+                success: true,
+                data: result
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Gets all monitors with optional filtering
+     * @param {Object} options - Query options
+     * @returns {Promise<Object>} - Monitors
+     */
+    async getAll(options = {}) {
+        try {
+            const { enabledOnly = false } = options;
+
+            let sql = `SELECT * FROM ${this.tableName}`;
+
+            if (enabledOnly) {
+                sql += ' WHERE is_enabled = 1';
+            }
+
+            sql += ' ORDER BY id ASC';
+
+            const results = await this.database.getAll(sql);
+
+            return {
+                success: true,
+                data: results,
+                count: results.length
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Updates monitor data
+     * @param {string} id - Monitor ID
+     * @param {Object} data - Data to update
+     * @returns {Promise<Object>} - Update result
+     */
+    async update(id, data) {
+        try {
+            const columns = {
+                name: 'name',
+                interval: 'interval_seconds',
+                status: 'status',
+                lastCheckedAt: 'last_checked_at',
+                lastChangeAt: 'last_change_at'
+            };
+            const updateFields = [];
+            const params = [];
+
+            Object.entries(columns).forEach(([key, column]) => {
+                if (data[key] !== undefined) {
+                    updateFields.push(`${column} = ?`);
+                    params.push(data[key]);
+                }
+            });
+
+            if (data.enabled !== undefined) {
+                updateFields.push('is_enabled = ?');
+                params.push(data.enabled ? 1 : 0);
+            }
+
+            if (updateFields.length === 0) {
+                return {
+                    success: false,
+                    error: 'No fields to update'
+                };
+            }
+
+            updateFields.push('updated_at = CURRENT_TIMESTAMP');
+            params.push(id);
+
+            const sql = `UPDATE ${this.tableName} SET ${updateFields.join(', ')} WHERE id = ?`;
+            const result = await this.database.runQuery(sql, params);
+
+            return {
+                success: true,
+                affectedRows: result.changes
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Deletes monitor together with its results
+     * @param {string} id - Monitor ID
+     * @returns {Promise<Object>} - Delete result
+     */
+    async delete(id) {
+        try {
+            await this.database.runQuery(`DELETE FROM ${this.resultsTableName} WHERE monitor_id = ?`, [id]);
+            const result = await this.database.runQuery(`DELETE FROM ${this.tableName} WHERE id = ?`, [id]);
+
+            return {
+                success: true,
+                affectedRows: result.changes
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Saves a check result
+     * @param {number} monitorId - Monitor ID
+     * @param {Object} result - Check result ({ status, latency, error })
+     * @returns {Promise<Object>} - Save result
+     */
+    async saveResult(monitorId, result) {
+        try {
+            const sql = `
+                INSERT INTO ${this.resultsTableName} (monitor_id, status, latency, error)
+                VALUES (?, ?, ?, ?)
+            `;
+
+            const saved = await this.database.runQuery(sql, [
+                monitorId,
+                result.status,
+                result.latency === undefined ? null : result.latency,
+                result.error || null
+            ]);
+
+            return {
+                success: true,
+                id: saved.lastID
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Gets check results of a monitor, newest first
+     * @param {number} monitorId - Monitor ID
+     * @param {Object} options - Query options
+     * @param {number} options.sinceHours - Only results from the last N hours
+     * @param {number} options.limit - Maximum number of results
+     * @returns {Promise<Object>} - Results
+     */
+    async getResults(monitorId, options = {}) {
+        try {
+            const { sinceHours = 24, limit = 10000 } = options;
+
+            const sql = `
+                SELECT * FROM ${this.resultsTableName}
+                WHERE monitor_id = ? AND created_at >= datetime('now', ?)
+                ORDER BY created_at DESC, id DESC
+                LIMIT ?
+            `;
+
+            const results = await this.database.getAll(sql, [monitorId, `-${sinceHours} hours`, limit]);
+
+            return {
+                success: true,
+                data: results,
+                count: results.length
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Deletes check results older than the retention period
+     * @param {number} retentionDays - Days to keep
+     * @returns {Promise<Object>} - Delete result
+     */
+    async pruneResults(retentionDays) {
+        try {
+            const sql = `DELETE FROM ${this.resultsTableName} WHERE created_at < datetime('now', ?)`;
+            const result = await this.database.runQuery(sql, [`-${retentionDays} days`]);
+
+            return {
+                success: true,
+                affectedRows: result.changes
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+}
+
+module.exports = MonitorRepository;
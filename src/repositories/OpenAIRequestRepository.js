@@ -14,35 +14,54 @@ class OpenAIRequestRepository extends IRepository {
     /**
      * Saves OpenAI request
      * @param {Object} requestData - Request data
+     * @param {string} requestData.query - Prompt (last user message)
+     * @param {string} requestData.response - Completion text
+     * @param {string} requestData.model - Model that answered
+     * @param {string} requestData.requestType - unknown_command, legal_request, motd, ...
+     * @param {number} requestData.promptTokens - Prompt tokens
+     * @param {number} requestData.completionTokens - Completion tokens
+     * @param {number} requestData.cost - Cost in USD
+     * @param {string} requestData.promptVersion - Prompt template used (name@version)
      * @returns {Promise<Object>} - Save result
      */
     async save(requestData) {
         try {
             const sql = `
                 INSERT INTO ${this.tableName} (
-                    query, 
-                    response, 
-                    model, 
-                    tokens_used, 
-                    cost, 
-                    user_ip, 
-                    session_id, 
+                    query,
+                    response,
+                    model,
+                    request_type,
+                    prompt_tokens,
+                    completion_tokens,
+                    tokens_used,
+                    cost,
+                    prompt_version,
+                    user_ip,
+                    session_id,
                     created_at
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
             `;
-            
+
+            const promptTokens = requestData.promptTokens || 0;
+            const completionTokens = requestData.completionTokens || 0;
+
             const params = [
                 requestData.query,
                 requestData.response,
                 requestData.model || 'gpt-3.5-turbo',
-                requestData.tokensUsed || 0,
+                requestData.requestType || 'other',
+                promptTokens,
+                completionTokens,
+                requestData.tokensUsed || promptTokens + completionTokens,
                 requestData.cost || 0,
+                requestData.promptVersion || null,
                 requestData.userIp || '',
                 requestData.sessionId || ''
             ];
 
             const result = await this.database.runQuery(sql, params);
-            
+
             return {
                 success: true,
                 id: result.lastID,
@@ -233,6 +252,95 @@ class OpenAIRequestRepository extends IRepository {
         }
     }
 
+    /**
+     * Sums cost and tokens since a point in time
+     * @param {Object} options - Query options
+     * @param {string} options.since - SQLite datetime (UTC), e.g. the start of the day
+     * @param {string} options.userIp - Only requests of this user
+     * @returns {Promise<Object>} - { requests, tokens, cost }
+     */
+    async getSpend(options = {}) {
+        try {
+            const { since, userIp = null } = options;
+            const params = [since];
+            let sql = `
+                SELECT COUNT(*) AS requests, COALESCE(SUM(tokens_used), 0) AS tokens, COALESCE(SUM(cost), 0) AS cost
+                FROM ${this.tableName}
+                WHERE created_at >= ?
+            `;
+
+            if (userIp) {
+                sql += ' AND user_ip = ?';
+                params.push(userIp);
+            }
+
+            const result = await this.database.get(sql, params);
+
+            return {
+                success: true,
+                data: result
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Aggregates token usage and cost grouped by a column
+     * @param {Object} options - Query options
+     * @param {string} options.since - SQLite datetime (UTC)
+     * @param {string} options.groupBy - model, request_type, user_ip or day
+     * @param {number} options.limit - Maximum number of groups, most expensive first (by date for day)
+     * @returns {Promise<Object>} - Groups with requests, prompt/completion/total tokens and cost
+     */
+    async getUsage(options = {}) {
+        try {
+            const { since, groupBy = 'model', limit = 50 } = options;
+            const groupColumns = {
+                model: 'model',
+                request_type: 'request_type',
+                user_ip: 'user_ip',
+                day: 'date(created_at)'
+            };
+            const column = groupColumns[groupBy];
+
+            if (!column) {
+                throw new Error(`Unknown usage grouping: ${groupBy}`);
+            }
+
+            const sql = `
+                SELECT
+                    ${column} AS ${groupBy === 'day' ? 'day' : groupBy},
+                    COUNT(*) AS requests,
+                    COALESCE(SUM(prompt_tokens), 0) AS prompt_tokens,
+                    COALESCE(SUM(completion_tokens), 0) AS completion_tokens,
+                    COALESCE(SUM(tokens_used), 0) AS tokens,
+                    COALESCE(SUM(cost), 0) AS cost
+                FROM ${this.tableName}
+                WHERE created_at >= ?
+                GROUP BY ${column}
+                ORDER BY ${groupBy === 'day' ? 'day DESC' : 'cost DESC, requests DESC'}
+                LIMIT ?
+            `;
+
+            const results = await this.database.getAll(sql, [since, limit]);
+
+            return {
+                success: true,
+                data: results,
+                count: results.length
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
     /**
      * Gets recent requests
      * @param {number} limit - Number of requests to get
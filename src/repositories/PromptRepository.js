@@ -0,0 +1,247 @@
+const IRepository = require('../interfaces/IRepository');
+
+/**
+ * Repository for prompt template versions and the version active in each environment.
+ * Versions are immutable once saved; editing a template adds the next version.
+ */
+class PromptRepository extends IRepository {
+    constructor(database) {
+        super();
+        this.database = database;
+        this.tableName = 'prompt_versions';
+        this.activationTable = 'prompt_activations';
+    }
+
+    /**
+     * Saves a new version of a template
+     * @param {Object} promptData - { name, version, content, note, author }
+     * @returns {Promise<Object>} - Save result
+     */
+    async save(promptData) {
+        try {
+            const sql = `
+                INSERT INTO ${this.tableName} (name, version, content, note, author)
+                VALUES (?, ?, ?, ?, ?)
+            `;
+
+            const result = await this.database.runQuery(sql, [
+                promptData.name,
+                promptData.version,
+                promptData.content,
+                promptData.note || null,
+                promptData.author || null
+            ]);
+
+            return {
+                success: true,
+                id: result.lastID
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Gets version by ID
+     * @param {string} id - Version ID
+     * @returns {Promise<Object>} - Found version
+     */
+    async getById(id) {
+        try {
+            const sql = `SELECT * FROM ${this.tableName} WHERE id = ?`;
+            const result = await this.database.get(sql, [id]);
+
+            return {
+                success: true,
+                data: result
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Gets versions, newest first
+     * @param {Object} options - Query options
+     * @param {string} options.name - Only versions of this template
+     * @param {number} options.limit - Maximum number of versions
+     * @returns {Promise<Object>} - Versions
+     */
+    async getAll(options = {}) {
+        try {
+            const { name, limit = 1000 } = options;
+            const params = [];
+            let sql = `SELECT * FROM ${this.tableName}`;
+
+            if (name) {
+                sql += ' WHERE name = ?';
+                params.push(name);
+            }
+
+            sql += ' ORDER BY name ASC, version DESC LIMIT ?';
+            params.push(limit);
+
+            const results = await this.database.getAll(sql, params);
+
+            return {
+                success: true,
+                data: results,
+                count: results.length
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Updates the note of a version (content is immutable)
+     * @param {string} id - Version ID
+     * @param {Object} data - { note }
+     * @returns {Promise<Object>} - Update result
+     */
+    async update(id, data) {
+        try {
+            const sql = `UPDATE ${this.tableName} SET note = ? WHERE id = ?`;
+            const result = await this.database.runQuery(sql, [data.note || null, id]);
+
+            return {
+                success: true,
+                affectedRows: result.changes
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Deletes a version
+     * @param {string} id - Version ID
+     * @returns {Promise<Object>} - Delete result
+     */
+    async delete(id) {
+        try {
+            const result = await this.database.runQuery(`DELETE FROM ${this.tableName} WHERE id = ?`, [id]);
+
+            return {
+                success: true,
+                affectedRows: result.changes
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Gets one version of a template
+     * @param {string} name - Template name
+     * @param {number} version - Version number
+     * @returns {Promise<Object>} - Found version (data is undefined when missing)
+     */
+    async getVersion(name, version) {
+        try {
+            const sql = `SELECT * FROM ${this.tableName} WHERE name = ? AND version = ?`;
+            const result = await this.database.get(sql, [name, version]);
+
+            return {
+                success: true,
+                data: result
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Gets the highest version number of a template
+     * @param {string} name - Template name
+     * @returns {Promise<Object>} - Version number (0 when the template has no versions)
+     */
+    async getLatestVersion(name) {
+        try {
+            const sql = `SELECT MAX(version) AS version FROM ${this.tableName} WHERE name = ?`;
+            const result = await this.database.get(sql, [name]);
+
+            return {
+                success: true,
+                data: result?.version || 0
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Gets the active version of every template in an environment
+     * @param {string} environment - Environment name
+     * @returns {Promise<Object>} - Activations { name, environment, version, updated_at }
+     */
+    async getActivations(environment) {
+        try {
+            const sql = `SELECT * FROM ${this.activationTable} WHERE environment = ? ORDER BY name ASC`;
+            const results = await this.database.getAll(sql, [environment]);
+
+            return {
+                success: true,
+                data: results,
+                count: results.length
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Makes a version the active one of a template in an environment
+     * @param {string} name - Template name
+     * @param {string} environment - Environment name
+     * @param {number} version - Version number
+     * @returns {Promise<Object>} - Update result
+     */
+    async setActive(name, environment, version) {
+        try {
+            const sql = `
+                INSERT INTO ${this.activationTable} (name, environment, version, updated_at)
+                VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+                ON CONFLICT (name, environment)
+                DO UPDATE SET version = excluded.version, updated_at = CURRENT_TIMESTAMP
+            `;
+            const result = await this.database.runQuery(sql, [name, environment, version]);
+
+            return {
+                success: true,
+                affectedRows: result.changes
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+}
+
+module.exports = PromptRepository;
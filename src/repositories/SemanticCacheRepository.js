@@ -0,0 +1,215 @@
+const IRepository = require('../interfaces/IRepository');
+
+/**
+ * Repository for the semantic AI response cache.
+ * Each entry is an answered prompt with its term vector (JSON) and the prompt template version
+ * that produced the answer.
+ */
+class SemanticCacheRepository extends IRepository {
+    constructor(database) {
+        super();
+        this.database = database;
+        this.tableName = 'semantic_cache';
+    }
+
+    /**
+     * Saves an answered prompt
+     * @param {Object} entryData - { requestType, promptVersion, query, vector, response }
+     * @returns {Promise<Object>} - Save result
+     */
+    async save(entryData) {
+        try {
+            const sql = `
+                INSERT INTO ${this.tableName} (request_type, prompt_version, query, vector, response)
+                VALUES (?, ?, ?, ?, ?)
+            `;
+
+            const result = await this.database.runQuery(sql, [
+                entryData.requestType,
+                entryData.promptVersion || null,
+                entryData.query,
+                JSON.stringify(entryData.vector),
+                entryData.response
+            ]);
+
+            return {
+                success: true,
+                id: result.lastID
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Gets entry by ID
+     * @param {string} id - Entry ID
+     * @returns {Promise<Object>} - Found entry
+     */
+    async getById(id) {
+        try {
+            const sql = `SELECT * FROM ${this.tableName} WHERE id = ?`;
+            const result = await this.database.get(sql, [id]);
+
+            return {
+                success: true,
+                data: result
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Gets entries, newest first
+     * @param {Object} options - Query options
+     * @param {string} options.requestType - Only entries of this request type
+     * @param {string} options.since - Only entries created at or after this SQLite datetime
+     * @param {number} options.limit - Maximum number of entries
+     * @returns {Promise<Object>} - Entries
+     */
+    async getAll(options = {}) {
+        try {
+            const { requestType, since, limit = 100 } = options;
+            const conditions = [];
+            const params = [];
+
+            if (requestType) {
+                conditions.push('request_type = ?');
+                params.push(requestType);
+            }
+
+            if (since) {
+                conditions.push('created_at >= ?');
+                params.push(since);
+            }
+
+            const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+            const sql = `SELECT * FROM ${this.tableName} ${where} ORDER BY id DESC LIMIT ?`;
+            const results = await this.database.getAll(sql, [...params, limit]);
+
+            return {
+                success: true,
+                data: results,
+                count: results.length
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Replaces the stored answer of an entry
+     * @param {string} id - Entry ID
+     * @param {Object} data - { response }
+     * @returns {Promise<Object>} - Update result
+     */
+    async update(id, data) {
+        try {
+            const sql = `UPDATE ${this.tableName} SET response = ? WHERE id = ?`;
+            const result = await this.database.runQuery(sql, [data.response, id]);
+
+            return {
+                success: true,
+                affectedRows: result.changes
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Counts a reuse of an entry
+     * @param {string} id - Entry ID
+     * @returns {Promise<Object>} - Update result
+     */
+    async recordHit(id) {
+        try {
+            const sql = `UPDATE ${this.tableName} SET hits = hits + 1, last_hit_at = CURRENT_TIMESTAMP WHERE id = ?`;
+            const result = await this.database.runQuery(sql, [id]);
+
+            return {
+                success: true,
+                affectedRows: result.changes
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Deletes an entry
+     * @param {string} id - Entry ID
+     * @returns {Promise<Object>} - Delete result
+     */
+    async delete(id) {
+        try {
+            const result = await this.database.runQuery(`DELETE FROM ${this.tableName} WHERE id = ?`, [id]);
+
+            return {
+                success: true,
+                affectedRows: result.changes
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Deletes entries of a request type, or all entries
+     * @param {Object} options - Options
+     * @param {string} options.requestType - Only entries of this request type
+     * @param {string} options.before - Only entries created before this SQLite datetime
+     * @returns {Promise<Object>} - Delete result
+     */
+    async deleteAll(options = {}) {
+        try {
+            const { requestType, before } = options;
+            const conditions = [];
+            const params = [];
+
+            if (requestType) {
+                conditions.push('request_type = ?');
+                params.push(requestType);
+            }
+
+            if (before) {
+                conditions.push('created_at < ?');
+                params.push(before);
+            }
+
+            const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+            const result = await this.database.runQuery(`DELETE FROM ${this.tableName} ${where}`, params);
+
+            return {
+                success: true,
+                affectedRows: result.changes
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+}
+
+module.exports = SemanticCacheRepository;
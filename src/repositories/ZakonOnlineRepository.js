@@ -0,0 +1,537 @@
+const IRepository = require('../interfaces/IRepository');
+
+// Snippet markers that cannot occur in decision texts, replaced by the requested ones
+const MARK_OPEN = '\u0002';
+const MARK_CLOSE = '\u0003';
+
+/**
+ * Repository for Zakon Online searches, the court cases they returned and downloaded full texts.
+ * Cases and full texts are stored once per case_id; a search keeps the ordered case_ids of its
+ * results (result_case_ids, JSON), so every search still lists all of its cases.
+ * Stored cases and full texts are indexed in zakon_online_fts for offline search.
+ */
+class ZakonOnlineRepository extends IRepository {
+    constructor(database) {
+        super();
+        this.database = database;
+        this.tableName = 'zakon_online_searches';
+        this.casesTableName = 'zakon_online_cases';
+        this.fullTextsTableName = 'zakon_online_full_texts';
+        this.searchTableName = 'zakon_online_fts';
+    }
+
+    /**
+     * Saves a search
+     * @param {Object} searchData - { query, totalCount, page, pageSize, caseIds }
+     * @returns {Promise<Object>} - Save result
+     */
+    async save(searchData) {
+        try {
+            const sql = `
+                INSERT INTO ${this.tableName} (query, total_count, page, page_size, result_case_ids)
+                VALUES (?, ?, ?, ?, ?)
+            `;
+
+            const result = await this.database.runQuery(sql, [
+                searchData.query,
+                searchData.totalCount || 0,
+                searchData.page || 1,
+                searchData.pageSize || 10,
+                JSON.stringify(searchData.caseIds || [])
+            ]);
+
+            return {
+                success: true,
+                id: result.lastID
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Gets search by ID
+     * @param {string} id - Search ID
+     * @returns {Promise<Object>} - Found search
+     */
+    async getById(id) {
+        try {
+            const sql = `SELECT * FROM ${this.tableName} WHERE id = ?`;
+            const result = await this.database.get(sql, [id]);
+
+            return {
+                success: true,
+                data: result
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Gets searches, newest first
+     * @param {Object} options - Query options
+     * @param {number} options.limit - Maximum number of searches
+     * @returns {Promise<Object>} - Searches
+     */
+    async getAll(options = {}) {
+        try {
+            const { limit = 20 } = options;
+            const sql = `SELECT * FROM ${this.tableName} ORDER BY id DESC LIMIT ?`;
+            const results = await this.database.getAll(sql, [limit]);
+
+            return {
+                success: true,
+                data: results,
+                count: results.length
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Updates the totals of a search
+     * @param {string} id - Search ID
+     * @param {Object} data - { totalCount, caseIds }
+     * @returns {Promise<Object>} - Update result
+     */
+    async update(id, data) {
+        try {
+            const sql = `UPDATE ${this.tableName} SET total_count = ?, result_case_ids = ? WHERE id = ?`;
+            const result = await this.database.runQuery(sql, [
+                data.totalCount || 0,
+                JSON.stringify(data.caseIds || []),
+                id
+            ]);
+
+            return {
+                success: true,
+                affectedRows: result.changes
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Stores the AI summary of a search's results
+     * @param {string} id - Search ID
+     * @param {string} summary - Summary text
+     * @returns {Promise<Object>} - Update result
+     */
+    async saveSummary(id, summary) {
+        try {
+            const sql = `UPDATE ${this.tableName} SET ai_summary = ? WHERE id = ?`;
+            const result = await this.database.runQuery(sql, [summary, id]);
+
+            return {
+                success: true,
+                affectedRows: result.changes
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Deletes a search (its cases and full texts stay stored)
+     * @param {string} id - Search ID
+     * @returns {Promise<Object>} - Delete result
+     */
+    async delete(id) {
+        try {
+            const result = await this.database.runQuery(`DELETE FROM ${this.tableName} WHERE id = ?`, [id]);
+
+            return {
+                success: true,
+                affectedRows: result.changes
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Deletes searches older than a number of days (their cases and full texts stay stored)
+     * @param {number} days - Age in days
+     * @returns {Promise<Object>} - Delete result
+     */
+    async deleteOlderThan(days) {
+        try {
+            const sql = `DELETE FROM ${this.tableName} WHERE created_at < datetime('now', ?)`;
+            const result = await this.database.runQuery(sql, [`-${days} days`]);
+
+            return {
+                success: true,
+                affectedRows: result.changes
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Stores a case, or refreshes the metadata of an already stored case with the same case_id
+     * (the search that found it first is kept)
+     * @param {string} searchId - Search that returned the case
+     * @param {Object} caseData - { caseId, courtName, judgmentForm, justiceKind, date, number, summary }
+     * @returns {Promise<Object>} - Save result with created = false for known cases
+     */
+    async saveCase(searchId, caseData) {
+        try {
+            const existing = await this.database.get(
+                `SELECT id FROM ${this.casesTableName} WHERE case_id = ? ORDER BY id LIMIT 1`,
+                [caseData.caseId]
+            );
+            const values = [
+                caseData.courtName || null,
+                caseData.judgmentForm || null,
+                caseData.justiceKind || null,
+                caseData.date || null,
+                caseData.number || null,
+                caseData.summary || null
+            ];
+
+            if (existing) {
+                const sql = `
+                    UPDATE ${this.casesTableName} SET
+                        court_name = COALESCE(?, court_name),
+                        judgment_form = COALESCE(?, judgment_form),
+                        justice_kind = COALESCE(?, justice_kind),
+                        case_date = COALESCE(?, case_date),
+                        case_number = COALESCE(?, case_number),
+                        summary = COALESCE(?, summary)
+                    WHERE id = ?
+                `;
+                await this.database.runQuery(sql, [...values, existing.id]);
+
+                return {
+                    success: true,
+                    id: existing.id,
+                    created: false
+                };
+            }
+
+            const sql = `
+                INSERT INTO ${this.casesTableName} (
+                    search_id, case_id, court_name, judgment_form, justice_kind, case_date, case_number, summary
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `;
+            const result = await this.database.runQuery(sql, [searchId, caseData.caseId, ...values]);
+
+            return {
+                success: true,
+                id: result.lastID,
+                created: true
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Gets stored cases with a flag telling whether their full text is stored
+     * @param {Array<string>} caseIds - Case IDs
+     * @returns {Promise<Object>} - Cases in the order of caseIds
+     */
+    async getCases(caseIds) {
+        try {
+            if (caseIds.length === 0) {
+                return { success: true, data: [], count: 0 };
+            }
+
+            const sql = `
+                SELECT c.*, EXISTS (
+                    SELECT 1 FROM ${this.fullTextsTableName} f WHERE f.case_id = c.case_id
+                ) AS has_full_text
+                FROM ${this.casesTableName} c
+                WHERE c.case_id IN (${caseIds.map(() => '?').join(', ')})
+            `;
+            const rows = await this.database.getAll(sql, caseIds);
+            const results = caseIds
+                .map(caseId => rows.find(row => row.case_id === caseId))
+                .filter(Boolean);
+
+            return {
+                success: true,
+                data: results,
+                count: results.length
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Stores the full text of a case, replacing a previously stored one
+     * @param {string} caseId - Case ID
+     * @param {Object} data - { fullText, highlights }
+     * @returns {Promise<Object>} - Save result with created = false when a text was replaced
+     */
+    async saveFullText(caseId, data) {
+        try {
+            const highlights = JSON.stringify(data.highlights || []);
+            const existing = await this.database.get(
+                `SELECT id FROM ${this.fullTextsTableName} WHERE case_id = ? ORDER BY id LIMIT 1`,
+                [caseId]
+            );
+
+            if (existing) {
+                await this.database.runQuery(
+                    `UPDATE ${this.fullTextsTableName} SET full_text = ?, highlights = ? WHERE id = ?`,
+                    [data.fullText, highlights, existing.id]
+                );
+
+                return {
+                    success: true,
+                    id: existing.id,
+                    created: false
+                };
+            }
+
+            const result = await this.database.runQuery(
+                `INSERT INTO ${this.fullTextsTableName} (case_id, full_text, highlights) VALUES (?, ?, ?)`,
+                [caseId, data.fullText, highlights]
+            );
+
+            return {
+                success: true,
+                id: result.lastID,
+                created: true
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Gets the stored full text of a case
+     * @param {string} caseId - Case ID
+     * @returns {Promise<Object>} - Full text row (data is undefined when not stored)
+     */
+    async getFullText(caseId) {
+        try {
+            const sql = `SELECT * FROM ${this.fullTextsTableName} WHERE case_id = ? ORDER BY id LIMIT 1`;
+            const result = await this.database.get(sql, [caseId]);
+
+            return {
+                success: true,
+                data: result
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Searches the stored cases and full texts through the zakon_online_fts index, best matches first
+     * @param {Object} options - Search options
+     * @param {string} options.match - FTS5 MATCH expression (see utils/ftsQuery)
+     * @param {string} options.dateFrom - Earliest case date, YYYY-MM-DD
+     * @param {string} options.dateTo - Latest case date, YYYY-MM-DD
+     * @param {number} options.limit - Maximum number of cases
+     * @param {number} options.offset - Number of cases to skip
+     * @param {Array<string>} options.highlight - Snippet markers around matched words: [open, close]
+     * @returns {Promise<Object>} - Case rows with rank, snippet and has_full_text; total of all matches
+     */
+    async search(options) {
+        try {
+            const { match, dateFrom, dateTo, limit = 10, offset = 0, highlight = ['[', ']'] } = options;
+            const conditions = [`${this.searchTableName} MATCH ?`];
+            const params = [match];
+
+            if (dateFrom) {
+                conditions.push('substr(c.case_date, 1, 10) >= ?');
+                params.push(dateFrom);
+            }
+
+            if (dateTo) {
+                conditions.push('substr(c.case_date, 1, 10) <= ?');
+                params.push(dateTo);
+            }
+
+            const from = `
+                FROM ${this.searchTableName}
+                JOIN ${this.casesTableName} c ON c.id = ${this.searchTableName}.rowid
+                WHERE ${conditions.join(' AND ')}
+            `;
+            // Column weights follow the column order: case_number, court_name, justice_kind,
+            // judgment_form, summary, full_text
+            const snippet = (column) => (
+                `snippet(${this.searchTableName}, ${column}, '${MARK_OPEN}', '${MARK_CLOSE}', '…', 24)`
+            );
+            const sql = `
+                SELECT c.*,
+                    bm25(${this.searchTableName}, 10.0, 2.0, 1.0, 1.0, 4.0, 1.0) AS rank,
+                    ${snippet(5)} AS full_text_snippet,
+                    ${snippet(4)} AS summary_snippet,
+                    ${snippet(-1)} AS best_snippet,
+                    EXISTS (
+                        SELECT 1 FROM ${this.fullTextsTableName} f WHERE f.case_id = c.case_id
+                    ) AS has_full_text
+                ${from}
+                ORDER BY rank, c.id DESC
+                LIMIT ? OFFSET ?
+            `;
+            const rows = await this.database.getAll(sql, [...params, limit, offset]);
+            const results = rows.map(row => this._withSnippet(row, highlight));
+            const { total } = await this.database.get(`SELECT COUNT(*) AS total ${from}`, params);
+
+            return {
+                success: true,
+                data: results,
+                count: results.length,
+                total
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Gets totals of the stored searches, cases and full texts
+     * @returns {Promise<Object>} - Statistics
+     */
+    async getStats() {
+        try {
+            const sql = `
+                SELECT
+                    (SELECT COUNT(*) FROM ${this.tableName}) AS total_searches,
+                    (SELECT COUNT(*) FROM ${this.tableName}
+                        WHERE created_at >= datetime('now', '-1 day')) AS searches_last_24h,
+                    (SELECT MAX(created_at) FROM ${this.tableName}) AS last_search_at,
+                    (SELECT COUNT(DISTINCT case_id) FROM ${this.casesTableName}) AS total_cases,
+                    (SELECT COUNT(DISTINCT case_id) FROM ${this.fullTextsTableName}) AS total_full_texts
+            `;
+            const result = await this.database.get(sql);
+            const queries = await this._queryGroups();
+
+            return {
+                success: true,
+                data: { ...result, unique_queries: queries.length }
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Gets the most frequent queries (case-insensitive)
+     * @param {number} limit - Maximum number of queries
+     * @returns {Promise<Object>} - { query, search_count, last_searched_at, total_count } rows
+     */
+    async getTopSearches(limit = 10) {
+        try {
+            const results = (await this._queryGroups())
+                .sort((a, b) => (b.search_count - a.search_count) ||
+                    b.last_searched_at.localeCompare(a.last_searched_at))
+                .slice(0, limit);
+
+            return {
+                success: true,
+                data: results,
+                count: results.length
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Replaces the column snippets of a search row with one snippet: from the full text when the
+     * match is there, else from the summary, else from the best matching column
+     * @param {Object} row - Row with full_text_snippet, summary_snippet and best_snippet
+     * @param {Array<string>} highlight - Markers around matched words: [open, close]
+     * @returns {Object} - Row with snippet
+     * @private
+     */
+    _withSnippet(row, highlight) {
+        const { full_text_snippet: text, summary_snippet: summary, best_snippet: best, ...rest } = row;
+        const snippet = [text, summary].find(value => value && value.includes(MARK_OPEN)) || best || '';
+
+        return {
+            ...rest,
+            snippet: snippet.split(MARK_OPEN).join(highlight[0]).split(MARK_CLOSE).join(highlight[1])
+        };
+    }
+
+    /**
+     * Groups the stored searches by query. SQLite LOWER() only folds ASCII letters,
+     * so Cyrillic queries are compared in JavaScript.
+     * @returns {Promise<Array<Object>>} - { query, search_count, last_searched_at, total_count } per query
+     * @private
+     */
+    async _queryGroups() {
+        const rows = await this.database.getAll(`
+            SELECT query, COUNT(*) AS search_count, MAX(created_at) AS last_searched_at,
+                MAX(total_count) AS total_count
+            FROM ${this.tableName}
+            GROUP BY query
+        `);
+        const groups = new Map();
+
+        for (const row of rows) {
+            const key = row.query.trim().toLowerCase();
+            const group = groups.get(key);
+
+            if (group) {
+                group.search_count += row.search_count;
+                group.total_count = Math.max(group.total_count, row.total_count);
+
+                if (row.last_searched_at > group.last_searched_at) {
+                    group.last_searched_at = row.last_searched_at;
+                    group.query = row.query;
+                }
+            } else {
+                groups.set(key, { ...row });
+            }
+        }
+
+        return [...groups.values()];
+    }
+}
+
+module.exports = ZakonOnlineRepository;
@@ -1,8 +1,12 @@
 const express = require('express');
 const Joi = require('joi');
 const Validators = require('../utils/validators');
-const { logError } = require('../utils/logger');
+const { logError, logInfo } = require('../utils/logger');
+const { openEventStream, sendEvent, wantsEventStream } = require('../utils/sse');
 const SecurityMiddleware = require('../middleware/security');
+const { getSessionToken, requireAuth, requireAdmin, setUserFromSession } = require('../middleware/auth');
+const { meterAI } = require('../middleware/usage');
+const { formatUsageStats } = require('../utils/formatters');
 const container = require('../container/DIContainer');
 
 const router = express.Router();
@@ -15,6 +19,11 @@ const commandSchema = Joi.object({
     isAdmin: Validators.adminSchema
 });
 
+const agentSchema = Joi.object({
+    query: Validators.querySchema.required(),
+    isAdmin: Validators.adminSchema
+});
+
 const legalDetectionSchema = Joi.object({
     query: Validators.querySchema.required()
 });
@@ -36,11 +45,78 @@ const historySchema = Joi.object({
     limit: Validators.limitSchema
 });
 
+const statsSchema = Joi.object({
+    days: Joi.number().integer().min(1).max(90).default(7)
+});
+
+const cacheTypeSchema = Joi.string()
+    .valid('unknown_command', 'legal_request', 'court_case_numbers_request', 'tcc_request');
+
+const cacheListSchema = Joi.object({
+    requestType: cacheTypeSchema,
+    limit: Validators.limitSchema
+});
+
+const cacheClearSchema = Joi.object({
+    requestType: cacheTypeSchema
+});
+
+/**
+ * Streams the AI answer to an unknown command as Server-Sent Events:
+ * token events while the model generates, then done with the saved result (or error)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const streamCommandResponse = async(req, res) => {
+    const { command, isAdmin = false } = req.validatedBody;
+
+    openEventStream(res);
+
+    // Stop generating when the client goes away
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            controller.abort();
+            logInfo('Command stream aborted by client', { command, ip: req.ip });
+        }
+    });
+
+    try {
+        const aiService = container.get('aiService');
+        const result = await aiService.streamUnknownCommand(command, isAdmin, {
+            sessionToken: getSessionToken(req),
+            signal: controller.signal,
+            onToken: (content) => sendEvent(res, 'token', { content })
+        });
+
+        sendEvent(res, 'done', result);
+    } catch (error) {
+        if (!controller.signal.aborted) {
+            logError('Command streaming failed', {
+                command,
+                isAdmin,
+                error: error.message,
+                ip: req.ip
+            });
+
+            sendEvent(res, 'error', {
+                status: error.status || 500,
+                error: 'Command processing failed',
+                details: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    res.end();
+};
+
 /**
  * MOTD endpoint
  */
 router.post('/motd',
     SecurityMiddleware.aiRateLimiter,
+    meterAI('motd'),
     Validators.createValidationMiddleware(motdSchema),
     async(req, res) => {
         try {
@@ -53,7 +129,7 @@ router.post('/motd',
                 ip: req.ip
             });
             
-            res.status(500).json({ 
+            res.status(error.status || 500).json({ 
                 error: 'MOTD generation failed',
                 details: error.message,
                 timestamp: new Date().toISOString()
@@ -63,12 +139,17 @@ router.post('/motd',
 );
 
 /**
- * Process unknown command endpoint
+ * Process unknown command endpoint (streams with Accept: text/event-stream)
  */
 router.post('/process-command',
     SecurityMiddleware.aiRateLimiter,
+    meterAI('unknown_command'),
     Validators.createValidationMiddleware(commandSchema),
     async(req, res) => {
+        if (wantsEventStream(req)) {
+            return streamCommandResponse(req, res);
+        }
+
         // Handle request abortion
         req.on('aborted', () => {
             logInfo('Command request aborted by client', {
@@ -89,7 +170,9 @@ router.post('/process-command',
             }
             
             const aiService = container.get('aiService');
-            const result = await aiService.processUnknownCommand(command, isAdmin);
+            const result = await aiService.processUnknownCommand(command, isAdmin, {
+                sessionToken: getSessionToken(req)
+            });
             
             // Check again before sending response
             if (req.aborted) {
@@ -110,7 +193,7 @@ router.post('/process-command',
                     ip: req.ip
                 });
                 
-                res.status(500).json({ 
+                res.status(error.status || 500).json({ 
                     error: 'Command processing failed',
                     details: error.message,
                     timestamp: new Date().toISOString()
@@ -120,11 +203,88 @@ router.post('/process-command',
     }
 );
 
+/**
+ * Tool-using agent endpoint: the model may run network tools and legal search before answering
+ */
+router.post('/agent',
+    SecurityMiddleware.aiRateLimiter,
+    Validators.createValidationMiddleware(agentSchema),
+    meterAI('agent_request'),
+    async(req, res) => {
+        try {
+            const { query, isAdmin = false } = req.validatedBody;
+            const aiService = container.get('aiService');
+            const result = await aiService.processAgentRequest(query, isAdmin, {
+                sessionToken: getSessionToken(req),
+                userIp: req.ip
+            });
+            res.json(result);
+        } catch (error) {
+            logError('Agent request failed', {
+                query: req.validatedBody?.query,
+                error: error.message,
+                ip: req.ip
+            });
+
+            res.status(error.status || 500).json({
+                error: 'Agent request failed',
+                details: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+);
+
+/**
+ * Assistant conversation thread of the current session
+ */
+router.get('/conversation', async(req, res) => {
+    try {
+        const aiService = container.get('aiService');
+        const result = await aiService.getConversationHistory(getSessionToken(req));
+        res.json(result);
+    } catch (error) {
+        logError('Conversation history failed', {
+            error: error.message,
+            ip: req.ip
+        });
+
+        res.status(500).json({
+            error: 'Conversation history failed',
+            details: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * Clears the assistant conversation thread of the current session
+ */
+router.delete('/conversation', async(req, res) => {
+    try {
+        const aiService = container.get('aiService');
+        const result = await aiService.resetConversation(getSessionToken(req));
+        res.json(result);
+    } catch (error) {
+        logError('Conversation reset failed', {
+            error: error.message,
+            ip: req.ip
+        });
+
+        res.status(500).json({
+            error: 'Conversation reset failed',
+            details: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
 /**
  * Legal request detection endpoint
  */
 router.post('/detect-legal',
     SecurityMiddleware.aiRateLimiter,
+    meterAI('legal_detection'),
     Validators.createValidationMiddleware(legalDetectionSchema),
     async(req, res) => {
         try {
@@ -153,6 +313,7 @@ router.post('/detect-legal',
  */
 router.post('/legal-search',
     SecurityMiddleware.aiRateLimiter,
+    meterAI('legal_request'),
     Validators.createValidationMiddleware(legalSearchSchema),
     async(req, res) => {
         try {
@@ -168,7 +329,7 @@ router.post('/legal-search',
                 ip: req.ip
             });
             
-            res.status(500).json({ 
+            res.status(error.status || 500).json({ 
                 error: 'Legal search failed',
                 details: error.message,
                 timestamp: new Date().toISOString()
@@ -182,6 +343,7 @@ router.post('/legal-search',
  */
 router.post('/court-cases',
     SecurityMiddleware.aiRateLimiter,
+    meterAI('court_case_numbers_request'),
     Validators.createValidationMiddleware(courtCaseSchema),
     async(req, res) => {
         try {
@@ -196,7 +358,7 @@ router.post('/court-cases',
                 ip: req.ip
             });
             
-            res.status(500).json({ 
+            res.status(error.status || 500).json({ 
                 error: 'Court case processing failed',
                 details: error.message,
                 timestamp: new Date().toISOString()
@@ -210,6 +372,7 @@ router.post('/court-cases',
  */
 router.post('/tcc',
     SecurityMiddleware.aiRateLimiter,
+    meterAI('tcc_request'),
     Validators.createValidationMiddleware(tccSchema),
     async(req, res) => {
         try {
@@ -224,7 +387,7 @@ router.post('/tcc',
                 ip: req.ip
             });
             
-            res.status(500).json({ 
+            res.status(error.status || 500).json({ 
                 error: 'TCC request processing failed',
                 details: error.message,
                 timestamp: new Date().toISOString()
@@ -288,13 +451,20 @@ router.get('/openai/history',
 );
 
 /**
- * AI service status endpoint
+ * AI service status endpoint, including the circuit breaker state of the models
  */
 router.get('/status', async(req, res) => {
     try {
         const aiService = container.get('aiService');
         const result = await aiService.getServiceStatus();
-        res.json(result);
+        const resilience = container.get('llmClient').getStatus();
+
+        res.json({
+            ...result,
+            // Answers come from the fallback model or the canned notice while the main circuit is not closed
+            status: result.status === 'available' && resilience.state !== 'closed' ? 'degraded' : result.status,
+            resilience
+        });
     } catch (error) {
         logError('AI status check failed', {
             error: error.message,
@@ -310,26 +480,116 @@ router.get('/status', async(req, res) => {
 });
 
 /**
- * AI service statistics endpoint
+ * AI service statistics endpoint, including token usage and spending
  */
-router.get('/stats', async(req, res) => {
-    try {
-        const aiService = container.get('aiService');
-        const result = await aiService.getServiceStats();
-        res.json(result);
-    } catch (error) {
-        logError('AI stats failed', {
-            error: error.message,
-            ip: req.ip
-        });
-        
-        res.status(500).json({ 
-            error: 'AI stats failed',
-            details: error.message,
-            timestamp: new Date().toISOString()
-        });
+router.get('/stats',
+    setUserFromSession,
+    Validators.createQueryValidationMiddleware(statsSchema),
+    async(req, res) => {
+        try {
+            const { days } = req.validatedQuery;
+            const aiService = container.get('aiService');
+            const usageService = container.get('usageService');
+            const [result, usage] = await Promise.all([
+                aiService.getServiceStats(),
+                // Client IPs with their spend are listed for admins only
+                usageService.getStats({ days, topUsers: req.user?.isAdmin ? 10 : 0 })
+            ]);
+
+            res.json({
+                ...result,
+                usage: { ...usage, formatted: formatUsageStats(usage) }
+            });
+        } catch (error) {
+            logError('AI stats failed', {
+                error: error.message,
+                ip: req.ip
+            });
+
+            res.status(500).json({
+                error: 'AI stats failed',
+                details: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
     }
-});
+);
+
+/**
+ * Semantic cache entries endpoint (admin only)
+ */
+router.get('/ai-cache',
+    requireAuth,
+    requireAdmin,
+    Validators.createQueryValidationMiddleware(cacheListSchema),
+    async(req, res) => {
+        try {
+            const entries = await container.get('semanticCacheService').list(req.validatedQuery);
+            res.json({ success: true, entries, count: entries.length, timestamp: new Date().toISOString() });
+        } catch (error) {
+            logError('Semantic cache listing failed', { error: error.message, ip: req.ip });
+
+            res.status(500).json({
+                error: 'Semantic cache listing failed',
+                details: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+);
+
+/**
+ * Semantic cache entry invalidation endpoint (admin only)
+ */
+router.delete('/ai-cache/:id',
+    requireAuth,
+    requireAdmin,
+    async(req, res) => {
+        try {
+            const removed = await container.get('semanticCacheService').invalidate(req.params.id);
+
+            if (!removed) {
+                return res.status(404).json({
+                    error: 'Cache entry not found',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            return res.json({ success: true, id: req.params.id, timestamp: new Date().toISOString() });
+        } catch (error) {
+            logError('Semantic cache invalidation failed', { id: req.params.id, error: error.message, ip: req.ip });
+
+            return res.status(500).json({
+                error: 'Semantic cache invalidation failed',
+                details: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+);
+
+/**
+ * Semantic cache clearing endpoint, optionally for one request type (admin only)
+ */
+router.delete('/ai-cache',
+    requireAuth,
+    requireAdmin,
+    Validators.createQueryValidationMiddleware(cacheClearSchema),
+    async(req, res) => {
+        try {
+            const removed = await container.get('semanticCacheService').clear(req.validatedQuery);
+            res.json({ success: true, removed, timestamp: new Date().toISOString() });
+        } catch (error) {
+            logError('Semantic cache clearing failed', { error: error.message, ip: req.ip });
+
+            res.status(500).json({
+                error: 'Semantic cache clearing failed',
+                details: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+);
 
 /**
  * Available AI strategies endpoint
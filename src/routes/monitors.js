@@ -0,0 +1,136 @@
+const express = require('express');
+const Joi = require('joi');
+const Validators = require('../utils/validators');
+const { logError } = require('../utils/logger');
+const SecurityMiddleware = require('../middleware/security');
+const container = require('../container/DIContainer');
+const config = require('../config/app');
+
+const router = express.Router();
+
+// Validation schemas
+const intervalSchema = Joi.number()
+    .integer()
+    .min(config.monitors.minInterval)
+    .max(config.monitors.maxInterval);
+
+const createMonitorSchema = Joi.object({
+    type: Joi.string().valid('ping', 'tcp', 'http').required(),
+    target: Joi.when('type', {
+        is: 'http',
+        then: Joi.string().uri({ scheme: ['http', 'https'] }).max(2048).required(),
+        otherwise: Validators.hostnameSchema.required()
+    }),
+    port: Joi.when('type', {
+        is: 'tcp',
+        then: Joi.number().integer().min(1).max(65535).required(),
+        otherwise: Joi.forbidden()
+    }),
+    name: Joi.string().max(100),
+    interval: intervalSchema
+});
+
+const updateMonitorSchema = Joi.object({
+    name: Joi.string().max(100),
+    interval: intervalSchema,
+    enabled: Joi.boolean()
+}).min(1);
+
+const showMonitorSchema = Joi.object({
+    hours: Joi.number().integer().min(1).max(config.monitors.retentionDays * 24).default(24)
+});
+
+/**
+ * Sends a monitor service error with its status (500 when the error has none)
+ * @param {Object} res - Express response
+ * @param {string} message - Error message
+ * @param {Error} error - Error
+ */
+const sendError = (res, message, error) => {
+    res.status(error.status || 500).json({
+        error: message,
+        details: error.message,
+        timestamp: new Date().toISOString()
+    });
+};
+
+/**
+ * List monitors endpoint
+ */
+router.get('/', async(req, res) => {
+    try {
+        const result = await container.get('monitorService').list();
+        res.json({ success: true, ...result, timestamp: new Date().toISOString() });
+    } catch (error) {
+        logError('Failed to list monitors', { error: error.message, ip: req.ip });
+        sendError(res, 'Failed to list monitors', error);
+    }
+});
+
+/**
+ * Create monitor endpoint
+ */
+router.post('/',
+    SecurityMiddleware.rateLimiter,
+    Validators.createValidationMiddleware(createMonitorSchema),
+    async(req, res) => {
+        try {
+            const monitor = await container.get('monitorService').add(req.validatedBody, req.ip);
+            res.status(201).json({ success: true, monitor, timestamp: new Date().toISOString() });
+        } catch (error) {
+            logError('Failed to add monitor', { error: error.message, ip: req.ip });
+            sendError(res, 'Failed to add monitor', error);
+        }
+    }
+);
+
+/**
+ * Monitor details endpoint
+ */
+router.get('/:id',
+    Validators.createQueryValidationMiddleware(showMonitorSchema),
+    async(req, res) => {
+        try {
+            const result = await container.get('monitorService').show(req.params.id, req.validatedQuery.hours);
+            res.json({ success: true, ...result, timestamp: new Date().toISOString() });
+        } catch (error) {
+            logError('Failed to get monitor', { id: req.params.id, error: error.message, ip: req.ip });
+            sendError(res, 'Failed to get monitor', error);
+        }
+    }
+);
+
+/**
+ * Update monitor endpoint (creator only)
+ */
+router.patch('/:id',
+    SecurityMiddleware.rateLimiter,
+    Validators.createValidationMiddleware(updateMonitorSchema),
+    async(req, res) => {
+        try {
+            const monitor = await container.get('monitorService').update(req.params.id, req.validatedBody, req.ip);
+            res.json({ success: true, monitor, timestamp: new Date().toISOString() });
+        } catch (error) {
+            logError('Failed to update monitor', { id: req.params.id, error: error.message, ip: req.ip });
+            sendError(res, 'Failed to update monitor', error);
+        }
+    }
+);
+
+/**
+ * Delete monitor endpoint (creator only)
+ */
+router.delete('/:id',
+    SecurityMiddleware.rateLimiter,
+    async(req, res) => {
+        try {
+            const monitor = await container.get('monitorService').remove(req.params.id, req.ip);
+            res.json({ success: true, monitor, timestamp: new Date().toISOString() });
+        } catch (error) {
+            logError('Failed to remove monitor', { id: req.params.id, error: error.message, ip: req.ip });
+            sendError(res, 'Failed to remove monitor', error);
+        }
+    }
+);
+
+module.exports = router;
@@ -1,159 +1,206 @@
 const express = require('express');
 const Joi = require('joi');
 const NetworkService = require('../services/networkService');
+const CommandRegistry = require('../modules/commandRegistry');
+const DnsService = require('../services/dnsService');
+const PortService = require('../services/portService');
+const config = require('../config/app');
 const Validators = require('../utils/validators');
-const { logError } = require('../utils/logger');
+const { logError, logInfo } = require('../utils/logger');
+const { openEventStream, sendEvent } = require('../utils/sse');
 const SecurityMiddleware = require('../middleware/security');
 
 const router = express.Router();
 
 // Validation schemas
-const hostnameSchema = Joi.object({
-    hostname: Validators.hostnameSchema.required()
+const familySchema = Joi.number().valid(4, 6);
+
+const networkTargetSchema = Joi.object({
+    hostname: Validators.hostnameSchema.required(),
+    family: familySchema
+});
+
+const dnsSchema = Joi.object({
+    // Underscores are allowed for SRV/TXT names such as _sip._tcp.example.com
+    name: Joi.string()
+        .max(253)
+        .pattern(/^[\w]([\w-]{0,61}[a-zA-Z0-9])?(\.[\w]([\w-]{0,61}[a-zA-Z0-9])?)*\.?$|^[0-9a-fA-F:.]+$/)
+        .required()
+        .messages({ 'string.pattern.base': 'Invalid DNS name format' }),
+    // Defaults to A, or AAAA when family is 6
+    type: Joi.string()
+        .uppercase()
+        .valid(...DnsService.getSupportedTypes()),
+    family: familySchema,
+    server: Validators.ipSchema,
+    reverse: Joi.boolean().default(false)
 });
 
-const domainSchema = Joi.object({
-    domain: Validators.domainSchema.required()
+const tcpingSchema = Joi.object({
+    hostname: Validators.hostnameSchema.required(),
+    // "22,80,8000-8010" or [22, 80]; expanded and capped by PortService.parsePorts
+    ports: Joi.alternatives()
+        .try(
+            Joi.string().pattern(/^\d+(-\d+)?(,\s*\d+(-\d+)?)*$/),
+            Joi.array().items(Joi.number().integer().min(1).max(65535)).min(1)
+        )
+        .required(),
+    timeout: Joi.number().integer().min(100).max(config.commands.tcping.maxTimeout)
 });
 
-const netstatSchema = Joi.object({
-    args: Validators.argsSchema.default([])
+const httpProbeSchema = Joi.object({
+    url: Joi.string().uri({ scheme: ['http', 'https'] }).max(2048).required(),
+    method: Joi.string().uppercase().valid('GET', 'HEAD').default('GET'),
+    followRedirects: Joi.boolean().default(true)
 });
 
+/**
+ * Sends the 499 response for requests the client has already aborted
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {boolean} - Whether the request was aborted
+ */
+const rejectAborted = (req, res) => {
+    if (!req.aborted) {
+        return false;
+    }
 
+    res.status(499).json({
+        success: false,
+        error: 'Request aborted by client'
+    });
+    return true;
+};
 
 /**
- * Ping endpoint
+ * Command endpoints, one per definition in src/commands (POST /api/<name>)
  */
-router.post('/ping',
-    SecurityMiddleware.rateLimiter,
-    Validators.createValidationMiddleware(hostnameSchema),
-    async(req, res) => {
-        // Handle request abortion
-        req.on('aborted', () => {
-            logInfo('Ping request aborted by client', {
-                hostname: req.validatedBody?.hostname,
-                ip: req.ip
-            });
-        });
-        
-        try {
-            const { hostname } = req.validatedBody;
-            
-            // Check if request was aborted
-            if (req.aborted) {
-                return res.status(499).json({
-                    success: false,
-                    error: 'Request aborted by client'
-                });
-            }
-            
-            const result = await NetworkService.ping(hostname);
-            
-            // Check again before sending response
-            if (req.aborted) {
-                return res.status(499).json({
-                    success: false,
-                    error: 'Request aborted by client'
-                });
-            }
-            
-            res.json(result);
-        } catch (error) {
-            // Don't log if request was aborted
-            if (!req.aborted) {
-                logError('Ping command failed', {
-                    hostname: req.validatedBody?.hostname,
-                    error: error.message,
+CommandRegistry.list().forEach(definition => {
+    router.post(`/${definition.name}`,
+        SecurityMiddleware.rateLimiter,
+        Validators.createValidationMiddleware(definition.schema),
+        async(req, res) => {
+            // Handle request abortion
+            req.on('aborted', () => {
+                logInfo(`${definition.title} request aborted by client`, {
+                    input: req.validatedBody,
                     ip: req.ip
                 });
-                
-                res.status(500).json({ 
-                    error: 'Ping command failed',
-                    details: error.message,
-                    timestamp: new Date().toISOString()
-                });
+            });
+
+            try {
+                if (rejectAborted(req, res)) {
+                    return;
+                }
+
+                const result = await NetworkService.run(definition.name, req.validatedBody, { userIp: req.ip });
+
+                // Check again before sending response
+                if (rejectAborted(req, res)) {
+                    return;
+                }
+
+                res.json(result);
+            } catch (error) {
+                // Don't log if request was aborted
+                if (!req.aborted) {
+                    logError(`${definition.title} command failed`, {
+                        input: req.validatedBody,
+                        error: error.message,
+                        ip: req.ip
+                    });
+
+                    res.status(error.status || 500).json({
+                        error: `${definition.title} command failed`,
+                        details: error.message,
+                        timestamp: new Date().toISOString()
+                    });
+                }
             }
         }
-    }
-);
+    );
+});
 
 /**
- * Traceroute endpoint
+ * Streaming ping/traceroute endpoint (Server-Sent Events)
  */
-router.post('/traceroute',
+router.get('/stream/:command',
     SecurityMiddleware.rateLimiter,
-    Validators.createValidationMiddleware(hostnameSchema),
+    Validators.createQueryValidationMiddleware(networkTargetSchema),
     async(req, res) => {
-        // Handle request abortion
-        req.on('aborted', () => {
-            logInfo('Traceroute request aborted by client', {
-                hostname: req.validatedBody?.hostname,
-                ip: req.ip
+        const { command } = req.params;
+        const { hostname, family } = req.validatedQuery;
+
+        if (!NetworkService.getStreamableCommands().includes(command)) {
+            return res.status(404).json({
+                error: 'Streaming not supported',
+                details: `Streaming is available for: ${NetworkService.getStreamableCommands().join(', ')}`,
+                timestamp: new Date().toISOString()
             });
+        }
+
+        openEventStream(res);
+
+        // Kill the child process when the client goes away
+        const controller = new AbortController();
+        res.on('close', () => {
+            if (!res.writableEnded) {
+                controller.abort();
+                logInfo('Stream request aborted by client', { command, hostname, ip: req.ip });
+            }
         });
-        
+
         try {
-            const { hostname } = req.validatedBody;
-            
-            // Check if request was aborted
-            if (req.aborted) {
-                return res.status(499).json({
-                    success: false,
-                    error: 'Request aborted by client'
-                });
-            }
-            
-            const result = await NetworkService.traceroute(hostname);
-            
-            // Check again before sending response
-            if (req.aborted) {
-                return res.status(499).json({
-                    success: false,
-                    error: 'Request aborted by client'
-                });
-            }
-            
-            res.json(result);
+            const result = await NetworkService.stream(command, hostname, {
+                family,
+                userIp: req.ip,
+                signal: controller.signal,
+                onLine: ({ stream, line }) => sendEvent(res, 'line', { stream, line })
+            });
+
+            sendEvent(res, 'done', result);
         } catch (error) {
-            // Don't log if request was aborted
-            if (!req.aborted) {
-                logError('Traceroute command failed', {
-                    hostname: req.validatedBody?.hostname,
+            if (!controller.signal.aborted) {
+                logError('Stream command failed', {
+                    command,
+                    hostname,
                     error: error.message,
                     ip: req.ip
                 });
-                
-                res.status(500).json({ 
-                    error: 'Traceroute command failed',
+
+                sendEvent(res, 'error', {
+                    error: `${command} stream failed`,
                     details: error.message,
                     timestamp: new Date().toISOString()
                 });
             }
         }
+
+        res.end();
     }
 );
 
 /**
- * Nslookup endpoint
+ * DNS lookup endpoint (dig-like, resolved natively without the nslookup binary)
  */
-router.post('/nslookup',
+router.post('/dns',
     SecurityMiddleware.rateLimiter,
-    Validators.createValidationMiddleware(hostnameSchema),
+    Validators.createValidationMiddleware(dnsSchema),
     async(req, res) => {
         try {
-            const { hostname } = req.validatedBody;
-            const result = await NetworkService.nslookup(hostname);
+            const { name, type, family, server, reverse } = req.validatedBody;
+            const result = await DnsService.lookup(name, { type, family, server, reverse, userIp: req.ip });
             res.json(result);
         } catch (error) {
-            logError('Nslookup command failed', {
-                hostname: req.validatedBody?.hostname,
+            logError('DNS lookup failed', {
+                name: req.validatedBody?.name,
+                type: req.validatedBody?.type,
                 error: error.message,
                 ip: req.ip
             });
-            
-            res.status(500).json({ 
-                error: 'Nslookup command failed',
+
+            res.status(error.status || 500).json({
+                error: 'DNS lookup failed',
                 details: error.message,
                 timestamp: new Date().toISOString()
             });
@@ -162,25 +209,37 @@ router.post('/nslookup',
 );
 
 /**
- * Netstat endpoint
+ * TCP port check endpoint (tcping / portcheck)
  */
-router.post('/netstat',
+router.post('/tcping',
     SecurityMiddleware.rateLimiter,
-    Validators.createValidationMiddleware(netstatSchema),
+    Validators.createValidationMiddleware(tcpingSchema),
     async(req, res) => {
+        const { hostname, ports, timeout } = req.validatedBody;
+        let portList;
+
+        try {
+            portList = PortService.parsePorts(ports);
+        } catch (error) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: [error.message]
+            });
+        }
+
         try {
-            const { args = [] } = req.validatedBody;
-            const result = await NetworkService.netstat(args);
+            const context = { tool: 'tcping', userIp: req.ip };
+            const result = await PortService.check(hostname, portList, { timeout, context });
             res.json(result);
         } catch (error) {
-            logError('Netstat command failed', {
-                args: req.validatedBody?.args,
+            logError('TCP port check failed', {
+                hostname,
                 error: error.message,
                 ip: req.ip
             });
-            
-            res.status(500).json({ 
-                error: 'Netstat command failed',
+
+            res.status(error.status || 500).json({
+                error: 'TCP port check failed',
                 details: error.message,
                 timestamp: new Date().toISOString()
             });
@@ -189,25 +248,33 @@ router.post('/netstat',
 );
 
 /**
- * Whois endpoint
+ * HTTP(S) probe endpoint
  */
-router.post('/whois',
+router.post('/http-probe',
     SecurityMiddleware.rateLimiter,
-    Validators.createValidationMiddleware(domainSchema),
+    Validators.createValidationMiddleware(httpProbeSchema),
     async(req, res) => {
+        const { url, method, followRedirects } = req.validatedBody;
+
+        if (!Validators.validateHostname(new URL(url).hostname).isValid) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: ['Invalid hostname format']
+            });
+        }
+
         try {
-            const { domain } = req.validatedBody;
-            const result = await NetworkService.whois(domain);
+            const result = await NetworkService.httpProbe(url, { method, followRedirects, userIp: req.ip });
             res.json(result);
         } catch (error) {
-            logError('Whois command failed', {
-                domain: req.validatedBody?.domain,
+            logError('HTTP probe failed', {
+                url,
                 error: error.message,
                 ip: req.ip
             });
-            
-            res.status(500).json({ 
-                error: 'Whois command failed',
+
+            res.status(error.status || 500).json({
+                error: 'HTTP probe failed',
                 details: error.message,
                 timestamp: new Date().toISOString()
             });
@@ -0,0 +1,143 @@
+const express = require('express');
+const Joi = require('joi');
+const Validators = require('../utils/validators');
+const { logError } = require('../utils/logger');
+const SecurityMiddleware = require('../middleware/security');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const container = require('../container/DIContainer');
+
+const router = express.Router();
+
+// Every prompt endpoint is admin-only
+router.use(requireAuth, requireAdmin);
+
+// Validation schemas
+const environmentSchema = Joi.string().pattern(/^[\w.-]+$/).max(50);
+
+const listSchema = Joi.object({
+    environment: environmentSchema
+});
+
+const diffSchema = Joi.object({
+    from: Joi.number().integer().min(1).required(),
+    to: Joi.number().integer().min(1).required()
+});
+
+const updateSchema = Joi.object({
+    content: Joi.string().trim().min(1).max(20000).required(),
+    note: Joi.string().max(500),
+    author: Joi.string().max(100),
+    environment: environmentSchema,
+    activate: Joi.boolean().default(true)
+});
+
+const rollbackSchema = Joi.object({
+    version: Joi.number().integer().min(1),
+    environment: environmentSchema
+});
+
+/**
+ * Sends a prompt service error with its status (404 unknown template or version, 400 invalid content)
+ * @param {Object} res - Express response
+ * @param {string} message - Error message
+ * @param {Error} error - Error
+ */
+const sendError = (res, message, error) => {
+    res.status(error.status || 500).json({
+        error: message,
+        details: error.message,
+        timestamp: new Date().toISOString()
+    });
+};
+
+/**
+ * List prompt templates endpoint
+ */
+router.get('/',
+    Validators.createQueryValidationMiddleware(listSchema),
+    async(req, res) => {
+        try {
+            const prompts = await container.get('promptService').list(req.validatedQuery.environment);
+            res.json({ success: true, prompts, timestamp: new Date().toISOString() });
+        } catch (error) {
+            logError('Failed to list prompts', { error: error.message, ip: req.ip });
+            sendError(res, 'Failed to list prompts', error);
+        }
+    }
+);
+
+/**
+ * Prompt history endpoint
+ */
+router.get('/:name',
+    Validators.createQueryValidationMiddleware(listSchema),
+    async(req, res) => {
+        try {
+            const prompt = await container.get('promptService').getHistory(
+                req.params.name,
+                req.validatedQuery.environment
+            );
+            res.json({ success: true, ...prompt, timestamp: new Date().toISOString() });
+        } catch (error) {
+            logError('Failed to get prompt', { name: req.params.name, error: error.message, ip: req.ip });
+            sendError(res, 'Failed to get prompt', error);
+        }
+    }
+);
+
+/**
+ * Prompt version diff endpoint
+ */
+router.get('/:name/diff',
+    Validators.createQueryValidationMiddleware(diffSchema),
+    async(req, res) => {
+        try {
+            const { from, to } = req.validatedQuery;
+            const diff = await container.get('promptService').diff(req.params.name, from, to);
+            res.json({ success: true, ...diff, timestamp: new Date().toISOString() });
+        } catch (error) {
+            logError('Failed to diff prompt', { name: req.params.name, error: error.message, ip: req.ip });
+            sendError(res, 'Failed to diff prompt', error);
+        }
+    }
+);
+
+/**
+ * Edit prompt endpoint: stores the content as a new version
+ */
+router.put('/:name',
+    SecurityMiddleware.rateLimiter,
+    Validators.createValidationMiddleware(updateSchema),
+    async(req, res) => {
+        try {
+            const { content, author = `admin@${req.ip}`, ...options } = req.validatedBody;
+            const result = await container.get('promptService').update(req.params.name, content, {
+                ...options,
+                author
+            });
+            res.status(201).json({ success: true, ...result, timestamp: new Date().toISOString() });
+        } catch (error) {
+            logError('Failed to update prompt', { name: req.params.name, error: error.message, ip: req.ip });
+            sendError(res, 'Failed to update prompt', error);
+        }
+    }
+);
+
+/**
+ * Prompt rollback endpoint
+ */
+router.post('/:name/rollback',
+    SecurityMiddleware.rateLimiter,
+    Validators.createValidationMiddleware(rollbackSchema),
+    async(req, res) => {
+        try {
+            const result = await container.get('promptService').rollback(req.params.name, req.validatedBody);
+            res.json({ success: true, ...result, timestamp: new Date().toISOString() });
+        } catch (error) {
+            logError('Failed to roll back prompt', { name: req.params.name, error: error.message, ip: req.ip });
+            sendError(res, 'Failed to roll back prompt', error);
+        }
+    }
+);
+
+module.exports = router;
@@ -1,8 +1,38 @@
 const express = require('express');
+const Joi = require('joi');
 const router = express.Router();
-const ZakonOnlineService = require('../services/zakonOnlineService');
+const container = require('../container/DIContainer');
+const Validators = require('../utils/validators');
+const SecurityMiddleware = require('../middleware/security');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { meterAI } = require('../middleware/usage');
 const { logError, logInfo } = require('../utils/logger');
-const databaseManager = require('../modules/database');
+
+const isoDateSchema = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/, 'YYYY-MM-DD');
+
+const localSearchSchema = Joi.object({
+    query: Joi.string().trim().min(1).max(500).required(),
+    court: Joi.string().trim().max(200),
+    justiceKind: Joi.string().trim().max(200),
+    judgmentForm: Joi.string().trim().max(200),
+    dateFrom: isoDateSchema,
+    dateTo: isoDateSchema,
+    limit: Joi.number().integer().min(1).max(50).default(10),
+    offset: Joi.number().integer().min(0).default(0)
+});
+
+const caseLookupSchema = Joi.object({
+    limit: Joi.number().integer().min(1).max(50).default(20)
+});
+
+const exportSchema = Joi.object({
+    format: Joi.string().lowercase().valid('markdown', 'md', 'html', 'pdf', 'docx').required(),
+    summary: Joi.boolean().default(true)
+});
+
+const cleanupSchema = Joi.object({
+    daysOld: Joi.number().integer().min(1).max(3650).default(30)
+});
 
 /**
  * GET /api/zakon-online/search
@@ -19,8 +49,7 @@ router.get('/search', async (req, res) => {
             });
         }
 
-        const zakonService = new ZakonOnlineService();
-        await zakonService.initialize();
+        const zakonService = container.get('zakonOnlineService');
 
         const searchResults = await zakonService.performFullSearch(query, {
             page: parseInt(page),
@@ -51,14 +80,67 @@ router.get('/search', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/zakon-online/local-search
+ * Поиск по сохранённым решениям без обращения к API (индекс FTS5)
+ */
+router.get('/local-search',
+    Validators.createQueryValidationMiddleware(localSearchSchema),
+    async(req, res) => {
+        try {
+            const { query, ...options } = req.validatedQuery;
+            const { output, ...data } = await container.get('zakonOnlineService').searchStored(query, options);
+
+            res.json({
+                success: true,
+                data,
+                output
+            });
+
+        } catch (error) {
+            logError('Zakon Online local search error', error);
+            res.status(error.status || 500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+);
+
+/**
+ * GET /api/zakon-online/case/:number
+ * Решения по номеру дела (755/12345/23) или производства (2/755/678/23); слэши можно не кодировать
+ */
+router.get('/case/:number(*)',
+    Validators.createQueryValidationMiddleware(caseLookupSchema),
+    async(req, res) => {
+        try {
+            const { output, ...data } = await container.get('zakonOnlineService')
+                .lookupCase(req.params.number, req.validatedQuery);
+
+            res.json({
+                success: true,
+                data,
+                output
+            });
+
+        } catch (error) {
+            logError('Zakon Online case lookup error', error);
+            res.status(error.status || 500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+);
+
 /**
  * GET /api/zakon-online/courts
  * Получение списка судов
  */
 router.get('/courts', async (req, res) => {
     try {
-        const zakonService = new ZakonOnlineService();
-        await zakonService.initialize();
+        const zakonService = container.get('zakonOnlineService');
 
         const courts = await zakonService.getCourts();
 
@@ -82,8 +164,7 @@ router.get('/courts', async (req, res) => {
  */
 router.get('/judgment-forms', async (req, res) => {
     try {
-        const zakonService = new ZakonOnlineService();
-        await zakonService.initialize();
+        const zakonService = container.get('zakonOnlineService');
 
         const forms = await zakonService.getJudgmentForms();
 
@@ -107,8 +188,7 @@ router.get('/judgment-forms', async (req, res) => {
  */
 router.get('/justice-kinds', async (req, res) => {
     try {
-        const zakonService = new ZakonOnlineService();
-        await zakonService.initialize();
+        const zakonService = container.get('zakonOnlineService');
 
         const kinds = await zakonService.getJusticeKinds();
 
@@ -134,8 +214,7 @@ router.get('/history', async (req, res) => {
     try {
         const { limit = 20 } = req.query;
         
-        const zakonService = new ZakonOnlineService();
-        await zakonService.initialize();
+        const zakonService = container.get('zakonOnlineService');
 
         const history = await zakonService.getSearchHistory(parseInt(limit));
 
@@ -161,11 +240,17 @@ router.get('/search/:id', async (req, res) => {
     try {
         const { id } = req.params;
         
-        const zakonService = new ZakonOnlineService();
-        await zakonService.initialize();
+        const zakonService = container.get('zakonOnlineService');
 
         const details = await zakonService.getSearchDetails(parseInt(id));
 
+        if (!details) {
+            return res.status(404).json({
+                success: false,
+                error: 'Search not found'
+            });
+        }
+
         res.json({
             success: true,
             data: details
@@ -180,13 +265,43 @@ router.get('/search/:id', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/zakon-online/search/:id/export?format=markdown|html|pdf|docx
+ * Выгрузка сохранённого поиска в виде досье: метаданные, ИИ-резюме, выдержки с подсветкой и полные тексты решений
+ */
+router.get('/search/:id/export',
+    SecurityMiddleware.aiRateLimiter,
+    meterAI('legal_search_summary'),
+    Validators.createQueryValidationMiddleware(exportSchema),
+    async(req, res) => {
+        try {
+            const { format, summary } = req.validatedQuery;
+            const file = await container.get('zakonOnlineService')
+                .exportSearch(parseInt(req.params.id), format, { summary });
+
+            res.set({
+                'Content-Type': file.contentType,
+                'Content-Disposition': `attachment; filename="${file.filename}"`
+            });
+            res.send(file.body);
+
+        } catch (error) {
+            logError('Zakon Online search export error', error);
+            res.status(error.status || 500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+);
+
 /**
  * GET /api/zakon-online/stats
  * Получение статистики поисков
  */
 router.get('/stats', async (req, res) => {
     try {
-        const stats = await databaseManager.getZakonOnlineStats();
+        const stats = await container.get('zakonOnlineService').getStats();
 
         res.json({
             success: true,
@@ -210,7 +325,7 @@ router.get('/top-searches', async (req, res) => {
     try {
         const { limit = 10 } = req.query;
         
-        const topSearches = await databaseManager.getTopSearches(parseInt(limit));
+        const topSearches = await container.get('zakonOnlineService').getTopSearches(parseInt(limit));
 
         res.json({
             success: true,
@@ -228,27 +343,34 @@ router.get('/top-searches', async (req, res) => {
 
 /**
  * POST /api/zakon-online/cleanup
- * Очистка старых записей поисков
+ * Очистка старых записей поисков (только для администратора)
  */
-router.post('/cleanup', async (req, res) => {
-    try {
-        const { daysOld = 30 } = req.body;
-        
-        const deletedCount = await databaseManager.cleanupOldSearches(parseInt(daysOld));
-
-        res.json({
-            success: true,
-            message: `Cleaned up ${deletedCount} old searches`,
-            deletedCount
-        });
+router.post('/cleanup',
+    requireAuth,
+    requireAdmin,
+    SecurityMiddleware.rateLimiter,
+    Validators.createValidationMiddleware(cleanupSchema),
+    async(req, res) => {
+        try {
+            const { daysOld } = req.validatedBody;
+            const deletedCount = await container.get('zakonOnlineService').cleanupOldSearches(daysOld);
+
+            logInfo('Old Zakon Online searches deleted', { daysOld, deletedCount, user: req.user.username });
+
+            res.json({
+                success: true,
+                message: `Cleaned up ${deletedCount} old searches`,
+                deletedCount
+            });
 
-    } catch (error) {
-        logError('Error cleaning up old searches', error);
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        } catch (error) {
+            logError('Error cleaning up old searches', error);
+            res.status(error.status || 500).json({
+                success: false,
+                error: error.message
+            });
+        }
     }
-});
+);
 
 module.exports = router; 
\ No newline at end of file
@@ -7,12 +7,16 @@ const { logInfo, logError } = require('./utils/logger');
 const SecurityMiddleware = require('./middleware/security');
 const ErrorHandler = require('./middleware/errorHandler');
 const container = require('./container/DIContainer');
+const NetworkPolicy = require('./modules/networkPolicy');
+const CommandRegistry = require('./modules/commandRegistry');
 
 // Импорт маршрутов
 const networkRoutes = require('./routes/network');
 const aiRoutes = require('./routes/ai');
 const zakonOnlineRoutes = require('./routes/zakonOnline');
 const dockerRoutes = require('./routes/docker');
+const monitorRoutes = require('./routes/monitors');
+const promptRoutes = require('./routes/prompts');
 const authRoutes = require('./routes/auth');
 
 const app = express();
@@ -30,9 +34,18 @@ async function initializeApp() {
         logInfo('Database initialized successfully');
 
         // Инициализируем контейнер внедрения зависимостей
-        container.initialize();
+        container.initialize({ databaseManager });
         logInfo('Dependency injection container initialized successfully');
 
+        // Отказы сетевой политики сохраняются в security_events
+        NetworkPolicy.setDatabase(databaseManager);
+
+        // Запускаем сетевые мониторы
+        await container.get('monitorService').start();
+
+        // Удаляем устаревшие ветки диалогов с AI
+        await container.get('conversationService').start();
+
         // Парсинг JSON и cookies
         app.use(express.json({ limit: '1mb' }));
         app.use(express.urlencoded({ extended: true, limit: '1mb' }));
@@ -55,6 +68,8 @@ async function initializeApp() {
         app.use('/api', aiRoutes);
         app.use('/api/zakon-online', zakonOnlineRoutes);
         app.use('/api/docker', dockerRoutes);
+        app.use('/api/monitors', monitorRoutes);
+        app.use('/api/prompts', promptRoutes);
 
         // Обработчики ошибок
         ErrorHandler.getAllErrorHandlers().forEach(handler => {
@@ -85,13 +100,23 @@ async function startServer() {
         const server = app.listen(config.port, () => {
             logInfo(`🚀 Retro Terminal API Server running on http://localhost:${config.port}`);
             logInfo('📡 Available endpoints:');
-            logInfo('   POST /api/ping - Test connectivity');
-            logInfo('   POST /api/traceroute - Trace network path');
-            logInfo('   POST /api/nslookup - DNS lookup');
-            logInfo('   POST /api/netstat - Network statistics');
-            logInfo('   POST /api/whois - Domain information');
+            CommandRegistry.list().forEach(definition => {
+                logInfo(`   POST /api/${definition.name} - ${definition.description}`);
+            });
+            logInfo('   GET  /api/stream/:command - Stream ping/traceroute output (SSE)');
+            logInfo('   POST /api/dns - DNS lookup (A, AAAA, MX, TXT, NS, CNAME, SOA, SRV, CAA, PTR)');
+            logInfo('   POST /api/tcping - TCP port check');
+            logInfo('   POST /api/http-probe - HTTP(S) probe with timings and TLS certificate');
+            logInfo('   GET  /api/monitors - List network monitors');
+            logInfo('   POST /api/monitors - Add network monitor');
+            logInfo('   GET  /api/monitors/:id - Monitor details and statistics');
+            logInfo('   PATCH /api/monitors/:id - Update network monitor');
+            logInfo('   DELETE /api/monitors/:id - Remove network monitor');
             logInfo('   POST /api/motd - Generate Bender-style MOTD');
             logInfo('   POST /api/process-command - Process unknown commands with AI');
+            logInfo('   GET  /api/conversation - AI conversation thread of the session');
+            logInfo('   DELETE /api/conversation - Clear the AI conversation thread');
+            logInfo('   POST /api/agent - AI agent that runs network tools and legal search');
             logInfo('   POST /api/detect-legal - Detect legal requests');
             logInfo('   POST /api/legal-search - Search legal database');
             logInfo('   POST /api/court-cases - Process court case requests');
@@ -100,8 +125,17 @@ async function startServer() {
             logInfo('   GET  /api/openai/history - OpenAI requests history');
             logInfo('   GET  /api/system - System information');
             logInfo('   GET  /api/health - Health check');
-            logInfo('   GET  /api/commands - Available commands');
+            logInfo('   GET  /api/commands - Available commands and their definitions');
             logInfo('   GET  /api/status - AI service status');
+            logInfo('   GET  /api/stats - AI statistics, token usage and cost');
+            logInfo('   GET  /api/ai-cache - Semantic AI answer cache (admin)');
+            logInfo('   DELETE /api/ai-cache/:id - Invalidate a cached AI answer');
+            logInfo('   DELETE /api/ai-cache - Clear cached AI answers');
+            logInfo('   GET  /api/prompts - Prompt templates (admin)');
+            logInfo('   GET  /api/prompts/:name - Prompt version history');
+            logInfo('   GET  /api/prompts/:name/diff - Diff of two prompt versions');
+            logInfo('   PUT  /api/prompts/:name - Save a new prompt version');
+            logInfo('   POST /api/prompts/:name/rollback - Activate an earlier prompt version');
             logInfo('   GET  /api/zakon-online/search - Search legal database');
             logInfo('   GET  /api/zakon-online/courts - Get courts list');
             logInfo('   GET  /api/zakon-online/history - Search history');
@@ -121,6 +155,8 @@ async function startServer() {
         process.on('SIGTERM', async() => {
             logInfo('SIGTERM received, shutting down gracefully');
             server.close(async() => {
+                container.get('monitorService').stop();
+                container.get('conversationService').stop();
                 await databaseManager.close();
                 logInfo('Server closed');
                 process.exit(0);
@@ -130,6 +166,8 @@ async function startServer() {
         process.on('SIGINT', async() => {
             logInfo('SIGINT received, shutting down gracefully');
             server.close(async() => {
+                container.get('monitorService').stop();
+                container.get('conversationService').stop();
                 await databaseManager.close();
                 logInfo('Server closed');
                 process.exit(0);
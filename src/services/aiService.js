@@ -1,4 +1,5 @@
 const OutputFormatter = require('../utils/formatters');
+const RequestClassifier = require('../modules/classifier/RequestClassifier');
 const { logInfo, logError } = require('../utils/logger');
 const config = require('../config/app');
 
@@ -15,8 +16,14 @@ class AIService {
      * @param {Object} openaiRequestRepository - Репозиторий OpenAI запросов
      * @param {Object} cacheManager - Менеджер кэша
      * @param {Object} aiRequestContext - Контекст стратегий
+     * @param {Object} conversationService - Сервис истории диалогов
+     * @param {Object} semanticCache - Кэш ответов по смысловому сходству
+     * @param {RequestClassifier} requestClassifier - Классификатор запросов (без LLM, если не задан)
      */
-    constructor(motdProcessor, legalProcessor, commandProcessor, motdRepository, openaiRequestRepository, cacheManager, aiRequestContext) {
+    constructor(
+        motdProcessor, legalProcessor, commandProcessor, motdRepository, openaiRequestRepository,
+        cacheManager, aiRequestContext, conversationService, semanticCache, requestClassifier = new RequestClassifier()
+    ) {
         this.motdProcessor = motdProcessor;
         this.legalProcessor = legalProcessor;
         this.commandProcessor = commandProcessor;
@@ -24,6 +31,9 @@ class AIService {
         this.openaiRequestRepository = openaiRequestRepository;
         this.cacheManager = cacheManager;
         this.aiRequestContext = aiRequestContext;
+        this.conversationService = conversationService;
+        this.semanticCache = semanticCache;
+        this.requestClassifier = requestClassifier;
     }
 
     /**
@@ -72,28 +82,46 @@ class AIService {
      * Processes unknown command using strategy pattern
      * @param {string} command - Command to process
      * @param {boolean} isAdmin - Whether user is admin
+     * @param {Object} options - Options
+     * @param {string} options.sessionToken - Session whose conversation thread is used and extended
      * @returns {Promise<Object>} - Processing result
      */
-    async processUnknownCommand(command, isAdmin = false) {
+    async processUnknownCommand(command, isAdmin = false, options = {}) {
+        const { sessionToken = null } = options;
+
         try {
+            const history = await this.conversationService.getContext(sessionToken);
+            // Answers that depend on earlier turns are neither reused nor stored
+            const hit = history.length === 0
+                ? await this.semanticCache.lookup(command, { requestType: 'unknown_command' })
+                : null;
+
+            if (hit) {
+                await this.conversationService.recordTurn(sessionToken, command, hit.response);
+                return this._semanticResult(hit);
+            }
+
             // Check OpenAI availability
             if (!await this.commandProcessor.isAvailable()) {
                 throw new Error('AI service is currently unavailable');
             }
 
-            const result = await this.aiRequestContext.processRequest('command', command, { isAdmin });
+            const result = await this.aiRequestContext.processRequest('command', command, { isAdmin, history });
+
+            if (!result.success) {
+                throw this._strategyError(result);
+            }
 
-            // Save to database
-            await this.openaiRequestRepository.save({
-                requestType: 'unknown_command',
-                prompt: command,
-                response: result.response
+            await this._rememberAnswer(sessionToken, command, result.response, {
+                reusable: history.length === 0,
+                degraded: result.degraded
             });
 
             return {
                 success: true,
                 output: result.response,
                 cached: false,
+                degraded: result.degraded,
                 timestamp: new Date().toISOString()
             };
         } catch (error) {
@@ -107,31 +135,182 @@ class AIService {
     }
 
     /**
-     * Detects legal requests
+     * Processes unknown command, passing response tokens to onToken as they are generated
+     * @param {string} command - Command to process
+     * @param {boolean} isAdmin - Whether user is admin
+     * @param {Object} options - Stream options
+     * @param {Function} options.onToken - Called with every response token
+     * @param {AbortSignal} options.signal - Aborts generation; aborted responses are not saved
+     * @param {string} options.sessionToken - Session whose conversation thread is used and extended
+     * @returns {Promise<Object>} - Processing result with the complete response
+     */
+    async streamUnknownCommand(command, isAdmin = false, options = {}) {
+        const { onToken = null, signal, sessionToken = null } = options;
+
+        try {
+            const history = await this.conversationService.getContext(sessionToken);
+            const hit = history.length === 0
+                ? await this.semanticCache.lookup(command, { requestType: 'unknown_command' })
+                : null;
+
+            if (hit) {
+                if (onToken) {
+                    onToken(hit.response);
+                }
+
+                await this.conversationService.recordTurn(sessionToken, command, hit.response);
+                return this._semanticResult(hit);
+            }
+
+            if (!await this.commandProcessor.isAvailable()) {
+                throw new Error('AI service is currently unavailable');
+            }
+
+            let degraded;
+            const tokens = this.aiRequestContext.streamRequest('command', command, {
+                isAdmin,
+                history,
+                signal,
+                onDegraded: (kind) => {
+                    degraded = kind;
+                }
+            });
+            let response = '';
+
+            for await (const token of tokens) {
+                response += token;
+
+                if (onToken) {
+                    onToken(token);
+                }
+            }
+
+            response = response.trim();
+
+            await this._rememberAnswer(sessionToken, command, response, {
+                reusable: history.length === 0,
+                degraded
+            });
+
+            return {
+                success: true,
+                output: response,
+                cached: false,
+                degraded,
+                timestamp: new Date().toISOString()
+            };
+        } catch (error) {
+            if (!signal?.aborted) {
+                logError('Command streaming service failed', {
+                    command,
+                    isAdmin,
+                    error: error.message
+                });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Answers a question with the tool-using agent, which may run network tools and legal search
+     * @param {string} query - User question
+     * @param {boolean} isAdmin - Whether user is admin (network tools are admin-only)
+     * @param {Object} options - Options
+     * @param {string} options.sessionToken - Session whose conversation thread is used and extended
+     * @param {string} options.userIp - Client IP recorded with network policy denials
+     * @returns {Promise<Object>} - Answer with the transcript of the tools that ran
+     */
+    async processAgentRequest(query, isAdmin = false, options = {}) {
+        const { sessionToken = null, userIp = null } = options;
+
+        try {
+            if (!await this.aiRequestContext.isStrategyAvailable('agent')) {
+                throw new Error('AI service is currently unavailable');
+            }
+
+            const history = await this.conversationService.getContext(sessionToken);
+            const result = await this.aiRequestContext.processRequest('agent', query, { isAdmin, history, userIp });
+
+            if (!result.success) {
+                throw this._strategyError(result);
+            }
+
+            await this.conversationService.recordTurn(sessionToken, query, result.response);
+
+            return {
+                success: true,
+                output: OutputFormatter.formatAgentResult(result),
+                response: result.response,
+                transcript: result.transcript,
+                truncated: result.truncated,
+                timestamp: new Date().toISOString()
+            };
+        } catch (error) {
+            logError('Agent request service failed', {
+                query,
+                isAdmin,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Gets the assistant conversation thread of a session
+     * @param {string} sessionToken - Session token
+     * @returns {Promise<Object>} - Thread with a terminal-formatted output
+     */
+    async getConversationHistory(sessionToken) {
+        try {
+            const history = await this.conversationService.getHistory(sessionToken);
+
+            return {
+                success: true,
+                ...history,
+                output: OutputFormatter.formatConversation(history),
+                timestamp: new Date().toISOString()
+            };
+        } catch (error) {
+            logError('Conversation history service failed', { error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Clears the assistant conversation thread of a session
+     * @param {string} sessionToken - Session token
+     * @returns {Promise<Object>} - Reset result
+     */
+    async resetConversation(sessionToken) {
+        try {
+            const deleted = await this.conversationService.reset(sessionToken);
+
+            return {
+                success: true,
+                deleted,
+                output: deleted > 0 ? 'AI conversation cleared.' : 'AI conversation is already empty.',
+                timestamp: new Date().toISOString()
+            };
+        } catch (error) {
+            logError('Conversation reset service failed', { error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Detects legal requests with the request classifier (legal_request, court_case and tcc_request are legal)
      * @param {string} query - Query to analyze
-     * @returns {Promise<Object>} - Detection result
+     * @returns {Promise<Object>} - Detection result: isLegal plus the classification
+     *   (label, confidence, language, features, source)
      */
     async detectLegalRequest(query) {
         try {
-            // Simple legal request detection
-            const legalKeywords = [
-                'закон', 'право', 'юридический', 'адвокат', 'суд', 'позов', 'договор',
-                'law', 'legal', 'attorney', 'lawyer', 'court', 'case', 'contract'
-            ];
-
-            const lowerQuery = query.toLowerCase();
-            const isLegal = legalKeywords.some(keyword => lowerQuery.includes(keyword));
-
-            let detectedLanguage = 'en';
-            if ((/[а-яё]/i).test(query)) {
-                detectedLanguage = 'ru';
-            }
+            const classification = await this.requestClassifier.classify(query);
 
             return {
                 success: true,
-                isLegal,
-                confidence: isLegal ? 0.8 : 0.2,
-                language: detectedLanguage,
+                isLegal: RequestClassifier.isLegalLabel(classification.label),
+                ...classification,
                 timestamp: new Date().toISOString()
             };
         } catch (error) {
@@ -148,6 +327,12 @@ class AIService {
      */
     async searchLegalDatabase(query, language = 'ru') {
         try {
+            const hit = await this.semanticCache.lookup(query, { requestType: 'legal_request' });
+
+            if (hit) {
+                return this._semanticResult(hit);
+            }
+
             // Check OpenAI availability
             if (!await this.legalProcessor.isAvailable()) {
                 throw new Error('AI service is currently unavailable');
@@ -155,12 +340,7 @@ class AIService {
 
             const result = await this.aiRequestContext.processRequest('legal', query, { language });
 
-            // Save to database
-            await this.openaiRequestRepository.save({
-                requestType: 'legal_request',
-                prompt: query,
-                response: result.response
-            });
+            await this.semanticCache.store('legal_request', query, result.response);
 
             return {
                 success: true,
@@ -185,6 +365,12 @@ class AIService {
      */
     async processCourtCaseRequest(query) {
         try {
+            const hit = await this.semanticCache.lookup(query, { requestType: 'court_case_numbers_request' });
+
+            if (hit) {
+                return this._semanticResult(hit);
+            }
+
             // Check OpenAI availability
             if (!await this.legalProcessor.isAvailable()) {
                 throw new Error('AI service is currently unavailable');
@@ -193,12 +379,11 @@ class AIService {
             const legalStrategy = this.aiRequestContext.getLegalStrategy();
             const result = await legalStrategy.processCourtCaseRequest(query);
 
-            // Save to database
-            await this.openaiRequestRepository.save({
-                requestType: 'court_case_numbers_request',
-                prompt: query,
-                response: result.response
-            });
+            if (!result.success) {
+                throw this._strategyError(result);
+            }
+
+            await this.semanticCache.store('court_case_numbers_request', query, result.response);
 
             return {
                 success: true,
@@ -222,6 +407,12 @@ class AIService {
      */
     async processTCCRequest(command) {
         try {
+            const hit = await this.semanticCache.lookup(command, { requestType: 'tcc_request' });
+
+            if (hit) {
+                return this._semanticResult(hit);
+            }
+
             // Check OpenAI availability
             if (!await this.legalProcessor.isAvailable()) {
                 throw new Error('AI service is currently unavailable');
@@ -230,12 +421,11 @@ class AIService {
             const legalStrategy = this.aiRequestContext.getLegalStrategy();
             const result = await legalStrategy.processTCCRequest(command);
 
-            // Save to database
-            await this.openaiRequestRepository.save({
-                requestType: 'tcc_request',
-                prompt: command,
-                response: result.response
-            });
+            if (!result.success) {
+                throw this._strategyError(result);
+            }
+
+            await this.semanticCache.store('tcc_request', command, result.response);
 
             return {
                 success: true,
@@ -324,25 +514,13 @@ class AIService {
     async getServiceStats() {
         try {
             const [motdStats, openaiStats] = await Promise.all([
-                this.motdRepository.getMOTDStats(),
-                this.openaiRequestRepository.getRequestStats()
+                this.motdRepository.getStatistics(),
+                this.openaiRequestRepository.getStatistics()
             ]);
 
             const stats = {
-                motd: {
-                    total: motdStats.reduce((sum, item) => sum + item.total_count, 0),
-                    languages: motdStats.reduce((acc, item) => {
-                        acc[item.language] = item.total_count;
-                        return acc;
-                    }, {})
-                },
-                openai: {
-                    total: openaiStats.reduce((sum, item) => sum + item.total_count, 0),
-                    types: openaiStats.reduce((acc, item) => {
-                        acc[item.request_type] = item.total_count;
-                        return acc;
-                    }, {})
-                },
+                motd: motdStats.statistics || {},
+                openai: openaiStats.statistics || {},
                 strategies: {
                     available: this.aiRequestContext.getAvailableTypes(),
                     count: this.aiRequestContext.getAvailableTypes().length
@@ -384,6 +562,56 @@ class AIService {
             throw error;
         }
     }
+
+    /**
+     * Adds a model answer to the conversation thread and, when it does not depend on earlier turns,
+     * to the semantic cache. The canned "mainframe busy" notice is neither.
+     * @param {string} sessionToken - Session token
+     * @param {string} command - Command
+     * @param {string} response - Answer
+     * @param {Object} options - { reusable, degraded }
+     */
+    async _rememberAnswer(sessionToken, command, response, options) {
+        if (options.degraded === 'canned') {
+            return;
+        }
+
+        await this.conversationService.recordTurn(sessionToken, command, response);
+
+        if (options.reusable) {
+            await this.semanticCache.store('unknown_command', command, response);
+        }
+    }
+
+    /**
+     * Creates the error of a failed strategy result, keeping the provider status (429, 503)
+     * @param {Object} result - Strategy result
+     * @returns {Error} - Error with status
+     */
+    _strategyError(result) {
+        const error = new Error(result.error);
+        error.status = result.status;
+        return error;
+    }
+
+    /**
+     * Builds the result of an answer reused from the semantic cache
+     * @param {Object} hit - Semantic cache hit
+     * @returns {Object} - Result marked as a semantic hit
+     */
+    _semanticResult(hit) {
+        return {
+            success: true,
+            output: hit.response,
+            cached: true,
+            semanticHit: {
+                id: hit.id,
+                similarity: hit.similarity,
+                query: hit.query
+            },
+            timestamp: new Date().toISOString()
+        };
+    }
 }
 
 module.exports = AIService; 
\ No newline at end of file
@@ -0,0 +1,285 @@
+const crypto = require('crypto');
+const { logInfo, logError } = require('../utils/logger');
+const { unwrap } = require('../utils/repositoryResult');
+const config = require('../config/app');
+const UsageContext = require('../context/UsageContext');
+const PromptService = require('./promptService');
+
+/**
+ * Estimates the token count of a text (about four characters per token for English and code)
+ * @param {string} text - Text
+ * @returns {number} - Approximate token count
+ */
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+const PRUNE_INTERVAL = 60 * 60 * 1000; // expired threads are deleted hourly
+
+/**
+ * Per-session conversation threads for the unknown-command assistant.
+ * The newest turns (within a turn window and token budget) are sent to the model verbatim;
+ * older turns are folded into a running summary written by the model.
+ */
+class ConversationService {
+    /**
+     * @param {ConversationRepository} conversationRepository - Thread storage
+     * @param {ILLMProvider} llmClient - LLM provider used for summaries
+     * @param {PromptService} promptService - Prompt templates (defaults to the built-in ones)
+     */
+    constructor(conversationRepository, llmClient, promptService = new PromptService()) {
+        this.conversationRepository = conversationRepository;
+        this.llmClient = llmClient;
+        this.promptService = promptService;
+        this.pruneTimer = null;
+    }
+
+    /**
+     * Deletes expired threads now and every hour after
+     * @returns {Promise<number>} - Number of deleted messages
+     */
+    async start() {
+        const deleted = await this.prune();
+
+        clearInterval(this.pruneTimer);
+        this.pruneTimer = setInterval(() => this.prune(), PRUNE_INTERVAL);
+        this.pruneTimer.unref();
+
+        return deleted;
+    }
+
+    /**
+     * Cancels the pruning
+     */
+    stop() {
+        clearInterval(this.pruneTimer);
+        this.pruneTimer = null;
+    }
+
+    /**
+     * Deletes the threads without a new message for config.ai.conversation.retentionDays
+     * @returns {Promise<number>} - Number of deleted messages (0 when pruning failed)
+     */
+    async prune() {
+        const { retentionDays } = config.ai.conversation;
+        const result = await this.conversationRepository.pruneThreads(retentionDays);
+
+        if (!result.success) {
+            logError('Failed to prune conversation threads', { error: result.error });
+            return 0;
+        }
+
+        if (result.affectedRows > 0) {
+            logInfo('Expired conversation threads deleted', { messages: result.affectedRows, retentionDays });
+        }
+
+        return result.affectedRows;
+    }
+
+    /**
+     * Derives the thread key from a session token, so raw tokens are never stored
+     * @param {string} sessionToken - Session token
+     * @returns {string|null} - Thread key (null without a session)
+     */
+    static sessionKey(sessionToken) {
+        if (!sessionToken) {
+            return null;
+        }
+
+        return crypto.createHash('sha256').update(String(sessionToken)).digest('hex');
+    }
+
+    /**
+     * Builds the chat messages that precede a new question
+     * @param {string} sessionToken - Session token
+     * @returns {Promise<Array<Object>>} - Chat messages (summary first, then recent turns)
+     */
+    async getContext(sessionToken) {
+        const sessionKey = ConversationService.sessionKey(sessionToken);
+
+        if (!sessionKey) {
+            return [];
+        }
+
+        const { summary, turns } = await this._loadThread(sessionKey);
+        const messages = this._selectRecent(turns).map(turn => ({ role: turn.role, content: turn.content }));
+
+        if (summary) {
+            messages.unshift({ role: 'system', content: `Summary of the earlier conversation: ${summary.content}` });
+        }
+
+        return messages;
+    }
+
+    /**
+     * Appends a question and its answer to the thread and summarises turns outside the window
+     * @param {string} sessionToken - Session token
+     * @param {string} question - User input
+     * @param {string} answer - Assistant response
+     * @returns {Promise<boolean>} - Whether the turn was stored
+     */
+    async recordTurn(sessionToken, question, answer) {
+        const sessionKey = ConversationService.sessionKey(sessionToken);
+
+        if (!sessionKey) {
+            return false;
+        }
+
+        await unwrap(this.conversationRepository.save({
+            sessionKey, role: 'user', content: question, tokens: estimateTokens(question)
+        }), 'id');
+        await unwrap(this.conversationRepository.save({
+            sessionKey, role: 'assistant', content: answer, tokens: estimateTokens(answer)
+        }), 'id');
+
+        await this.compact(sessionKey);
+        return true;
+    }
+
+    /**
+     * Folds turns outside the window into the summary
+     * @param {string} sessionKey - Thread key
+     * @returns {Promise<number>} - Number of summarised messages
+     */
+    async compact(sessionKey) {
+        const { summary, turns } = await this._loadThread(sessionKey);
+        const recent = this._selectRecent(turns);
+        const older = turns.slice(0, turns.length - recent.length);
+
+        if (older.length === 0) {
+            return 0;
+        }
+
+        let content;
+
+        try {
+            content = await this._summarize(summary ? summary.content : '', older);
+        } catch (error) {
+            // The old turns are dropped either way; the thread keeps the previous summary
+            logError('Conversation summary failed', { error: error.message });
+            content = summary ? summary.content : '';
+        }
+
+        await unwrap(this.conversationRepository.replaceWithSummary(
+            sessionKey,
+            older[older.length - 1].id,
+            { content, tokens: estimateTokens(content) }
+        ), 'affectedRows');
+
+        return older.length;
+    }
+
+    /**
+     * Gets the thread of a session
+     * @param {string} sessionToken - Session token
+     * @returns {Promise<Object>} - { summary, messages, tokens }
+     */
+    async getHistory(sessionToken) {
+        const sessionKey = ConversationService.sessionKey(sessionToken);
+
+        if (!sessionKey) {
+            return { summary: null, messages: [], tokens: 0 };
+        }
+
+        const { summary, turns } = await this._loadThread(sessionKey);
+
+        return {
+            summary: summary ? summary.content : null,
+            messages: turns.map(turn => ({ role: turn.role, content: turn.content, createdAt: turn.created_at })),
+            tokens: [summary, ...turns].reduce((sum, message) => sum + (message ? message.tokens : 0), 0)
+        };
+    }
+
+    /**
+     * Deletes the thread of a session
+     * @param {string} sessionToken - Session token
+     * @returns {Promise<number>} - Number of deleted messages
+     */
+    async reset(sessionToken) {
+        const sessionKey = ConversationService.sessionKey(sessionToken);
+
+        if (!sessionKey) {
+            return 0;
+        }
+
+        return await unwrap(this.conversationRepository.deleteThread(sessionKey), 'affectedRows');
+    }
+
+    /**
+     * Loads a thread split into its summary and turns
+     * @param {string} sessionKey - Thread key
+     * @returns {Promise<Object>} - { summary, turns }
+     */
+    async _loadThread(sessionKey) {
+        const messages = await unwrap(this.conversationRepository.getAll({ sessionKey }));
+
+        return {
+            summary: messages.find(message => message.role === 'summary') || null,
+            turns: messages.filter(message => message.role !== 'summary')
+        };
+    }
+
+    /**
+     * Picks the newest turns that fit the turn window and token budget.
+     * The selection always starts with a user message so no answer loses its question.
+     * @param {Array<Object>} turns - Messages in chronological order
+     * @returns {Array<Object>} - Recent messages in chronological order
+     */
+    _selectRecent(turns) {
+        const { maxTurns, maxTokens } = config.ai.conversation;
+        const recent = [];
+        let tokens = 0;
+
+        for (let index = turns.length - 1; index >= 0; index--) {
+            const turn = turns[index];
+
+            if (recent.length >= maxTurns * 2 || tokens + turn.tokens > maxTokens) {
+                break;
+            }
+
+            recent.unshift(turn);
+            tokens += turn.tokens;
+        }
+
+        while (recent.length > 0 && recent[0].role !== 'user') {
+            recent.shift();
+        }
+
+        return recent;
+    }
+
+    /**
+     * Asks the model to merge the previous summary and older turns into a new summary
+     * @param {string} previousSummary - Current summary ('' when none)
+     * @param {Array<Object>} turns - Turns to fold in
+     * @returns {Promise<string>} - New summary
+     */
+    async _summarize(previousSummary, turns) {
+        const transcript = turns
+            .map(turn => `${turn.role === 'user' ? 'User' : 'Assistant'}: ${turn.content}`)
+            .join('\n');
+
+        const prompt = await this.promptService.render('conversation.summary');
+        const params = {
+            messages: [
+                {
+                    role: 'system',
+                    content: prompt.content
+                },
+                {
+                    role: 'user',
+                    content: `Previous summary: ${previousSummary || '(none)'}\n\nConversation:\n${transcript}`
+                }
+            ],
+            max_tokens: config.ai.conversation.summaryMaxTokens,
+            temperature: 0.2
+        };
+
+        const completion = await UsageContext.withRequestType(
+            'conversation_summary',
+            () => this.llmClient.createChatCompletion(params, { prompt: prompt.ref })
+        );
+
+        return completion.choices[0].message.content.trim();
+    }
+}
+
+module.exports = ConversationService;
@@ -0,0 +1,237 @@
+const dns = require('dns');
+const net = require('net');
+const cacheManager = require('../modules/cache');
+const NetworkPolicy = require('../modules/networkPolicy');
+const OutputFormatter = require('../utils/formatters');
+const { logError } = require('../utils/logger');
+const config = require('../config/app');
+
+// Get CacheManager class from the module exports
+const { CacheManager } = require('../modules/cache');
+
+// Supported record types and the Resolver method that answers them
+const RECORD_TYPES = {
+    A: 'resolve4',
+    AAAA: 'resolve6',
+    MX: 'resolveMx',
+    TXT: 'resolveTxt',
+    NS: 'resolveNs',
+    CNAME: 'resolveCname',
+    SOA: 'resolveSoa',
+    SRV: 'resolveSrv',
+    CAA: 'resolveCaa',
+    PTR: 'resolvePtr'
+};
+
+// Resolver error codes mapped to DNS response statuses
+const ERROR_STATUSES = {
+    ENODATA: 'NOERROR',
+    ENOTFOUND: 'NXDOMAIN',
+    ESERVFAIL: 'SERVFAIL',
+    EREFUSED: 'REFUSED',
+    ETIMEOUT: 'TIMEOUT',
+    ECONNREFUSED: 'REFUSED'
+};
+
+/**
+ * DNS service backed by node:dns instead of the nslookup binary
+ */
+class DnsService {
+    /**
+     * Resolves DNS records with caching
+     * @param {string} name - Name to resolve (IP address in reverse mode)
+     * @param {Object} options - Lookup options
+     * @param {string} options.type - Record type (defaults to A, or AAAA for family 6)
+     * @param {number} options.family - Address family (4 or 6)
+     * @param {string} options.server - Custom resolver address
+     * @param {boolean} options.reverse - Performs a reverse (PTR) lookup of an IP address
+     * @param {string} options.userIp - Client IP recorded with network policy denials
+     * @returns {Promise<Object>} - Lookup result with dig-style output
+     */
+    static async lookup(name, options = {}) {
+        const { family = null, server = null, reverse = false } = options;
+        const type = options.type || (family === 6 ? 'AAAA' : 'A');
+        const recordType = reverse ? 'PTR' : type.toUpperCase();
+
+        if (!RECORD_TYPES[recordType]) {
+            throw new Error(`Unsupported record type: ${type}`);
+        }
+
+        if (reverse && !net.isIP(name)) {
+            throw new Error('Reverse lookup requires an IP address');
+        }
+
+        // A custom resolver is an outbound target of its own
+        if (server) {
+            await NetworkPolicy.resolve(server, { context: { tool: 'dns', userIp: options.userIp || null } });
+        }
+
+        try {
+            const cacheKey = CacheManager.createNetworkKey(`${name}|${recordType}|${server || ''}|${reverse}`, 'dns');
+
+            const result = await cacheManager.getOrSet(cacheKey, async() => {
+                return await this._query(name, recordType, server, reverse);
+            }, config.cache.ttl * 6); // Same cache window as nslookup
+
+            return {
+                success: true,
+                ...result,
+                output: OutputFormatter.formatDigOutput(result),
+                cached: true,
+                timestamp: new Date().toISOString()
+            };
+        } catch (error) {
+            logError('DNS lookup service failed', { name, type: recordType, server, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Gets supported record types
+     * @returns {Array<string>} - Record types
+     */
+    static getSupportedTypes() {
+        return Object.keys(RECORD_TYPES);
+    }
+
+    /**
+     * Performs the actual DNS query
+     * @param {string} name - Name or IP address
+     * @param {string} type - Record type
+     * @param {string|null} server - Custom resolver address
+     * @param {boolean} reverse - Reverse lookup mode
+     * @returns {Promise<Object>} - Query result
+     */
+    static async _query(name, type, server, reverse) {
+        const resolver = new dns.promises.Resolver({
+            timeout: config.commands.dns.timeout,
+            tries: config.commands.dns.tries
+        });
+
+        if (server) {
+            resolver.setServers([server]);
+        }
+
+        const questionName = reverse ? this.toReverseName(name) : name;
+        const startTime = Date.now();
+        let status = 'NOERROR';
+        let answers = [];
+
+        try {
+            const records = reverse
+                ? await resolver.reverse(name)
+                : await this._resolve(resolver, name, type);
+
+            answers = records.map(record => this._normalizeRecord(questionName, type, record));
+        } catch (error) {
+            if (!ERROR_STATUSES[error.code]) {
+                throw error;
+            }
+            status = ERROR_STATUSES[error.code];
+        }
+
+        return {
+            query: {
+                name: questionName,
+                type,
+                server: server || resolver.getServers()[0] || null,
+                reverse
+            },
+            status,
+            answers,
+            queryTime: Date.now() - startTime
+        };
+    }
+
+    /**
+     * Calls the resolver method for a record type
+     * @param {dns.promises.Resolver} resolver - Resolver instance
+     * @param {string} name - Name to resolve
+     * @param {string} type - Record type
+     * @returns {Promise<Array>} - Raw records
+     */
+    static async _resolve(resolver, name, type) {
+        const method = RECORD_TYPES[type];
+
+        if (type === 'A' || type === 'AAAA') {
+            return await resolver[method](name, { ttl: true });
+        }
+
+        const records = await resolver[method](name);
+
+        // SOA resolves to a single object
+        return Array.isArray(records) ? records : [records];
+    }
+
+    /**
+     * Converts a raw resolver record into { name, type, ttl, value, data }
+     * @param {string} name - Question name
+     * @param {string} type - Record type
+     * @param {*} record - Raw record
+     * @returns {Object} - Normalized record
+     */
+    static _normalizeRecord(name, type, record) {
+        const fqdn = (host) => (host.endsWith('.') ? host : `${host}.`);
+        let value;
+
+        switch (type) {
+            case 'A':
+            case 'AAAA':
+                value = record.address;
+                break;
+            case 'MX':
+                value = `${record.priority} ${fqdn(record.exchange)}`;
+                break;
+            case 'TXT':
+                value = record.map(chunk => `"${chunk}"`).join(' ');
+                break;
+            case 'SOA':
+                value = [
+                    fqdn(record.nsname), fqdn(record.hostmaster), record.serial,
+                    record.refresh, record.retry, record.expire, record.minttl
+                ].join(' ');
+                break;
+            case 'SRV':
+                value = `${record.priority} ${record.weight} ${record.port} ${fqdn(record.name)}`;
+                break;
+            case 'CAA': {
+                const tag = Object.keys(record).find(key => key !== 'critical');
+                value = `${record.critical} ${tag} "${record[tag]}"`;
+                break;
+            }
+            default:
+                // NS, CNAME and PTR resolve to plain host names
+                value = fqdn(record);
+        }
+
+        return {
+            name: fqdn(name),
+            type,
+            ttl: record.ttl === undefined ? null : record.ttl,
+            value,
+            data: record
+        };
+    }
+
+    /**
+     * Builds the in-addr.arpa / ip6.arpa name for an IP address
+     * @param {string} ip - IP address
+     * @returns {string} - Reverse lookup name
+     */
+    static toReverseName(ip) {
+        if (net.isIPv4(ip)) {
+            return `${ip.split('.').reverse().join('.')}.in-addr.arpa`;
+        }
+
+        const [head, tail = ''] = ip.split('::');
+        const headGroups = head ? head.split(':') : [];
+        const tailGroups = tail ? tail.split(':') : [];
+        const missing = 8 - headGroups.length - tailGroups.length;
+        const groups = [...headGroups, ...Array(Math.max(missing, 0)).fill('0'), ...tailGroups];
+        const nibbles = groups.map(group => group.padStart(4, '0')).join('').split('');
+
+        return `${nibbles.reverse().join('.')}.ip6.arpa`;
+    }
+}
+
+module.exports = DnsService;
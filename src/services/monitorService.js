@@ -0,0 +1,367 @@
+const EventEmitter = require('events');
+const CommandExecutor = require('../modules/commandExecutor');
+const HttpProbe = require('../modules/httpProbe');
+const NetworkPolicy = require('../modules/networkPolicy');
+const PortService = require('./portService');
+const OutputParser = require('../utils/parsers');
+const OutputFormatter = require('../utils/formatters');
+const { logInfo, logWarning, logError } = require('../utils/logger');
+const { unwrap } = require('../utils/repositoryResult');
+const config = require('../config/app');
+
+const PERCENTILES = [50, 90, 95, 99];
+const PRUNE_INTERVAL = 60 * 60 * 1000; // results older than the retention period are deleted hourly
+
+const createError = (message, status) => Object.assign(new Error(message), { status });
+
+/**
+ * Scheduled network monitors (ping, TCP, HTTP) with history and up/down alerts.
+ * Emits 'check' after every check and 'alert' when a monitor flips between up and down.
+ */
+class MonitorService extends EventEmitter {
+    constructor(monitorRepository) {
+        super();
+        this.monitorRepository = monitorRepository;
+        this.timers = new Map();
+        this.pruneTimer = null;
+    }
+
+    /**
+     * Schedules all enabled monitors and the hourly pruning of old results
+     * @returns {Promise<number>} - Number of scheduled monitors
+     */
+    async start() {
+        const monitors = await unwrap(this.monitorRepository.getAll({ enabledOnly: true }));
+        monitors.forEach(monitor => this._schedule(monitor));
+
+        await this.prune();
+
+        clearInterval(this.pruneTimer);
+        this.pruneTimer = setInterval(() => this.prune(), PRUNE_INTERVAL);
+        this.pruneTimer.unref();
+
+        logInfo('Network monitors started', { count: monitors.length });
+        return monitors.length;
+    }
+
+    /**
+     * Cancels all scheduled checks and the pruning
+     */
+    stop() {
+        this.timers.forEach(timer => clearInterval(timer));
+        this.timers.clear();
+
+        clearInterval(this.pruneTimer);
+        this.pruneTimer = null;
+    }
+
+    /**
+     * Deletes check results older than config.monitors.retentionDays
+     * @returns {Promise<number>} - Number of deleted results (0 when pruning failed)
+     */
+    async prune() {
+        const result = await this.monitorRepository.pruneResults(config.monitors.retentionDays);
+
+        if (!result.success) {
+            logError('Failed to prune monitor results', { error: result.error });
+            return 0;
+        }
+
+        return result.affectedRows;
+    }
+
+    /**
+     * Registers a new monitor and runs its first check
+     * @param {Object} data - { name, type, target, port, interval }
+     * @param {string} userIp - Client IP, recorded as the monitor's creator and with network policy denials
+     * @returns {Promise<Object>} - Created monitor
+     * @throws {Error} - With status 429 when the total or per-client monitor limit is reached
+     */
+    async add(data, userIp = null) {
+        const existing = await unwrap(this.monitorRepository.getAll());
+        const { maxMonitors, maxPerClient } = config.monitors;
+
+        if (existing.length >= maxMonitors) {
+            throw createError(`Monitor limit reached (max ${maxMonitors})`, 429);
+        }
+
+        if (userIp && existing.filter(monitor => monitor.created_by === userIp).length >= maxPerClient) {
+            throw createError(`Monitor limit per client reached (max ${maxPerClient})`, 429);
+        }
+
+        // Rejects blocked targets up front; every scheduled check is guarded again at connect time
+        const host = data.type === 'http' ? new URL(data.target).hostname : data.target;
+        await NetworkPolicy.resolve(host, { context: { tool: 'monitor', userIp } });
+
+        const defaultName = data.type === 'tcp' ? OutputFormatter.formatHostPort(data.target, data.port) : data.target;
+        const monitorData = {
+            ...data,
+            name: data.name || defaultName,
+            interval: data.interval || config.monitors.defaultInterval,
+            createdBy: userIp
+        };
+
+        const id = await unwrap(this.monitorRepository.save(monitorData), 'id');
+        const monitor = await this.get(id);
+
+        this._schedule(monitor);
+        logInfo('Monitor added', { id, type: monitor.type, target: monitor.target });
+
+        return monitor;
+    }
+
+    /**
+     * Updates name, interval or enabled flag of a monitor
+     * @param {number} id - Monitor ID
+     * @param {Object} data - { name, interval, enabled }
+     * @param {string} userIp - Client IP; when given, only the monitor's creator may update it
+     * @returns {Promise<Object>} - Updated monitor
+     */
+    async update(id, data, userIp = null) {
+        this._assertOwner(await this.get(id), userIp);
+        await unwrap(this.monitorRepository.update(id, data), 'affectedRows');
+
+        const monitor = await this.get(id);
+        this._unschedule(id);
+
+        if (monitor.is_enabled) {
+            this._schedule(monitor);
+        }
+
+        return monitor;
+    }
+
+    /**
+     * Removes a monitor and its history
+     * @param {number} id - Monitor ID
+     * @param {string} userIp - Client IP; when given, only the monitor's creator may remove it
+     * @returns {Promise<Object>} - Removed monitor
+     */
+    async remove(id, userIp = null) {
+        const monitor = await this.get(id);
+        this._assertOwner(monitor, userIp);
+
+        this._unschedule(id);
+        await unwrap(this.monitorRepository.delete(id), 'affectedRows');
+        logInfo('Monitor removed', { id });
+
+        return monitor;
+    }
+
+    /**
+     * Gets a monitor
+     * @param {number} id - Monitor ID
+     * @returns {Promise<Object>} - Monitor
+     */
+    async get(id) {
+        const monitor = await unwrap(this.monitorRepository.getById(id));
+
+        if (!monitor) {
+            throw createError(`Monitor ${id} not found`, 404);
+        }
+
+        return monitor;
+    }
+
+    /**
+     * Lists monitors with their 24h statistics
+     * @returns {Promise<Object>} - { monitors, output }
+     */
+    async list() {
+        const monitors = await unwrap(this.monitorRepository.getAll());
+        const withStats = await Promise.all(monitors.map(async(monitor) => {
+            const results = await unwrap(this.monitorRepository.getResults(monitor.id, { sinceHours: 24 }));
+            return { ...monitor, stats: MonitorService.computeStats(results) };
+        }));
+
+        return {
+            monitors: withStats,
+            output: OutputFormatter.formatMonitorList(withStats)
+        };
+    }
+
+    /**
+     * Shows a monitor with statistics and recent results
+     * @param {number} id - Monitor ID
+     * @param {number} sinceHours - Statistics window in hours
+     * @returns {Promise<Object>} - { monitor, stats, results, output }
+     */
+    async show(id, sinceHours = 24) {
+        const monitor = await this.get(id);
+        const results = await unwrap(this.monitorRepository.getResults(id, { sinceHours }));
+        const stats = MonitorService.computeStats(results);
+        const recent = results.slice(0, 20);
+
+        return {
+            monitor,
+            stats,
+            results: recent,
+            output: OutputFormatter.formatMonitorDetails(monitor, stats, recent)
+        };
+    }
+
+    /**
+     * Runs a single check, stores the result and fires an alert on up/down flips
+     * @param {Object} monitor - Monitor row
+     * @returns {Promise<Object>} - Check result
+     */
+    async runCheck(monitor) {
+        const result = await MonitorService.check(monitor);
+        const now = new Date().toISOString();
+        const changed = monitor.status !== result.status;
+
+        await this.monitorRepository.saveResult(monitor.id, result);
+        await this.monitorRepository.update(monitor.id, {
+            status: result.status,
+            lastCheckedAt: now,
+            lastChangeAt: changed ? now : undefined
+        });
+
+        this.emit('check', { monitor, result });
+
+        // The first check only establishes the state; alerts are for flips between up and down
+        if (changed && monitor.status !== 'unknown') {
+            const alert = { monitor, from: monitor.status, to: result.status, result, timestamp: now };
+
+            logWarning('Monitor state changed', {
+                id: monitor.id,
+                name: monitor.name,
+                from: alert.from,
+                to: alert.to,
+                error: result.error
+            });
+            this.emit('alert', alert);
+        }
+
+        monitor.status = result.status;
+        return result;
+    }
+
+    /**
+     * Performs a check without storing it
+     * @param {Object} monitor - Monitor row ({ type, target, port })
+     * @returns {Promise<Object>} - { status: 'up'|'down', latency, error }
+     */
+    static async check(monitor) {
+        const timeout = config.monitors.checkTimeout;
+        const context = { tool: 'monitor' };
+
+        try {
+            if (monitor.type === 'ping') {
+                const { address } = await NetworkPolicy.resolve(monitor.target, { context });
+                const parsed = OutputParser.parsePing(await CommandExecutor.ping(address));
+                return parsed.received > 0
+                    ? { status: 'up', latency: parsed.avg, error: null }
+                    : { status: 'down', latency: null, error: `${parsed.loss}% packet loss` };
+            }
+
+            if (monitor.type === 'tcp') {
+                const { results } = await PortService.check(monitor.target, [monitor.port], { timeout, context });
+                const [port] = results;
+                return port.state === 'open'
+                    ? { status: 'up', latency: port.latency, error: null }
+                    : { status: 'down', latency: null, error: `${port.state} (${port.error})` };
+            }
+
+            const probe = await HttpProbe.probe(monitor.target, { context });
+            return probe.status < 400
+                ? { status: 'up', latency: probe.timings.total, error: null }
+                : { status: 'down', latency: probe.timings.total, error: `HTTP ${probe.status}` };
+        } catch (error) {
+            return { status: 'down', latency: null, error: error.message };
+        }
+    }
+
+    /**
+     * Computes uptime and latency percentiles for a set of results
+     * @param {Array} results - Check results
+     * @returns {Object} - { checks, up, down, uptime, latency: { min, avg, max, p50, p90, p95, p99 } }
+     */
+    static computeStats(results) {
+        const up = results.filter(result => result.status === 'up');
+        const latencies = up
+            .map(result => result.latency)
+            .filter(latency => latency !== null && latency !== undefined)
+            .sort((a, b) => a - b);
+
+        const stats = {
+            checks: results.length,
+            up: up.length,
+            down: results.length - up.length,
+            uptime: results.length > 0 ? Math.round((up.length / results.length) * 10000) / 100 : null,
+            latency: { min: null, avg: null, max: null }
+        };
+
+        PERCENTILES.forEach(percentile => {
+            stats.latency[`p${percentile}`] = MonitorService.percentile(latencies, percentile);
+        });
+
+        if (latencies.length > 0) {
+            const sum = latencies.reduce((total, latency) => total + latency, 0);
+            stats.latency.min = latencies[0];
+            stats.latency.max = latencies[latencies.length - 1];
+            stats.latency.avg = Math.round((sum / latencies.length) * 100) / 100;
+        }
+
+        return stats;
+    }
+
+    /**
+     * Nearest-rank percentile
+     * @param {Array<number>} sorted - Ascending values
+     * @param {number} percentile - Percentile (0-100)
+     * @returns {number|null} - Value
+     */
+    static percentile(sorted, percentile) {
+        if (sorted.length === 0) {
+            return null;
+        }
+
+        const rank = Math.ceil((percentile / 100) * sorted.length);
+        return sorted[Math.max(rank, 1) - 1];
+    }
+
+    /**
+     * Starts the periodic check of a monitor
+     * @param {Object} monitor - Monitor row
+     */
+    _schedule(monitor) {
+        const run = () => this.runCheck(monitor).catch(error => {
+            logError('Monitor check failed', { id: monitor.id, error: error.message });
+        });
+
+        const timer = setInterval(run, monitor.interval_seconds * 1000);
+        timer.unref();
+
+        this.timers.set(monitor.id, timer);
+        run();
+    }
+
+    /**
+     * Stops the periodic check of a monitor
+     * @param {number} id - Monitor ID
+     */
+    _unschedule(id) {
+        const monitorId = Number(id);
+
+        if (this.timers.has(monitorId)) {
+            clearInterval(this.timers.get(monitorId));
+            this.timers.delete(monitorId);
+        }
+    }
+
+    /**
+     * Rejects changes to a monitor by anyone but the client that created it
+     * @param {Object} monitor - Monitor row
+     * @param {string} userIp - Client IP (null for internal callers, which may change any monitor)
+     * @throws {Error} - With status 403 for another client
+     */
+    _assertOwner(monitor, userIp) {
+        if (userIp && monitor.created_by !== userIp) {
+            logWarning('Monitor change denied', { id: monitor.id, userIp });
+            throw createError(`Monitor ${monitor.id} belongs to another client`, 403);
+        }
+    }
+}
+
+module.exports = MonitorService;
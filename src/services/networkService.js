@@ -1,4 +1,8 @@
 const CommandExecutor = require('../modules/commandExecutor');
+const HttpProbe = require('../modules/httpProbe');
+const NetworkPolicy = require('../modules/networkPolicy');
+const CommandRegistry = require('../modules/commandRegistry');
+const SecurityManager = require('../modules/security');
 const cacheManager = require('../modules/cache');
 const OutputFormatter = require('../utils/formatters');
 const { logInfo, logError } = require('../utils/logger');
@@ -7,86 +11,147 @@ const config = require('../config/app');
 // Get CacheManager class from the module exports
 const { CacheManager } = require('../modules/cache');
 
+/**
+ * Builds the cache key subject for a target and optional address family
+ * @param {string} hostname - Target
+ * @param {number} family - Address family (4, 6 or null)
+ * @returns {string} - Cache key subject
+ */
+const familyKey = (hostname, family) => (family ? `${hostname}|ipv${family}` : hostname);
+
 /**
  * Network service for handling network-related operations
  */
 class NetworkService {
     /**
-     * Executes ping command with caching
-     * @param {string} hostname - Hostname to ping
-     * @returns {Promise<Object>} - Ping result
+     * Runs a registered command (see src/commands) with caching
+     * @param {string} name - Command name
+     * @param {Object} input - Validated request fields, e.g. { hostname, family }
+     * @param {Object} options - Options
+     * @param {string} options.userIp - Client IP recorded with network policy denials
+     * @returns {Promise<Object>} - Command result
      */
-    static async ping(hostname) {
+    static async run(name, input = {}, options = {}) {
+        const definition = this._getDefinition(name);
+
         try {
-            const cacheKey = CacheManager.createNetworkKey(hostname, 'ping');
-            
-            const result = await cacheManager.getOrSet(cacheKey, async() => {
-                const output = await CommandExecutor.ping(hostname);
-                return OutputFormatter.formatPingOutput(output);
-            }, config.cache.ttl);
+            const { userIp = null } = options;
+
+            const result = await cacheManager.getOrSet(this._cacheKey(definition, input), async() => {
+                const { command, argv } = await this._prepare(definition, input, userIp);
+                const output = await CommandExecutor.execute(command, argv);
+                return definition.format(output);
+            }, definition.cacheTtl);
 
             return {
                 success: true,
                 output: result,
+                parsed: definition.parse(result),
                 cached: true,
                 timestamp: new Date().toISOString()
             };
         } catch (error) {
-            logError('Ping service failed', { hostname, error: error.message });
+            logError(`${definition.title} service failed`, { ...input, error: error.message });
             throw error;
         }
     }
 
+    /**
+     * Executes ping command with caching
+     * @param {string} hostname - Hostname to ping
+     * @param {Object} options - Options
+     * @param {number} options.family - Address family (4 or 6)
+     * @param {string} options.userIp - Client IP recorded with network policy denials
+     * @returns {Promise<Object>} - Ping result
+     */
+    static async ping(hostname, options = {}) {
+        const { family = null, userIp = null } = options;
+        return await this.run('ping', { hostname, family }, { userIp });
+    }
+
     /**
      * Executes traceroute command with caching
      * @param {string} hostname - Hostname to trace
+     * @param {Object} options - Options
+     * @param {number} options.family - Address family (4 or 6)
+     * @param {string} options.userIp - Client IP recorded with network policy denials
      * @returns {Promise<Object>} - Traceroute result
      */
-    static async traceroute(hostname) {
+    static async traceroute(hostname, options = {}) {
+        const { family = null, userIp = null } = options;
+        return await this.run('traceroute', { hostname, family }, { userIp });
+    }
+
+    /**
+     * Streams the output of a streamable command line by line, caching the formatted result
+     * @param {string} command - Command to stream (ping or traceroute)
+     * @param {string} hostname - Target hostname
+     * @param {Object} options - Stream options
+     * @param {Function} options.onLine - Called with { stream, line } for every output line
+     * @param {AbortSignal} options.signal - Aborts the running command
+     * @param {number} options.family - Address family (4 or 6)
+     * @param {string} options.userIp - Client IP recorded with network policy denials
+     * @returns {Promise<Object>} - Final command result
+     */
+    static async stream(command, hostname, options = {}) {
+        const definition = CommandRegistry.get(command);
+
+        if (!definition?.streamable) {
+            throw new Error(`Streaming is not supported for ${command}`);
+        }
+
         try {
-            const cacheKey = CacheManager.createNetworkKey(hostname, 'traceroute');
-            
-            const result = await cacheManager.getOrSet(cacheKey, async() => {
-                const output = await CommandExecutor.traceroute(hostname);
-                return OutputFormatter.formatOutput(output);
-            }, config.cache.ttl * 2); // Longer cache for traceroute
+            const { family = null, userIp = null, ...streamOptions } = options;
+            const input = { [definition.target]: hostname, family };
+            const cacheKey = this._cacheKey(definition, input);
+            const cached = cacheManager.get(cacheKey);
+
+            if (cached !== undefined) {
+                return {
+                    success: true,
+                    output: cached,
+                    parsed: definition.parse(cached),
+                    cached: true,
+                    timestamp: new Date().toISOString()
+                };
+            }
+
+            const { command: familyCommand, argv } = await this._prepare(definition, input, userIp);
+            const output = await CommandExecutor.stream(familyCommand, argv, streamOptions);
+            const formatted = definition.format(output);
+
+            cacheManager.set(cacheKey, formatted, definition.cacheTtl);
 
             return {
                 success: true,
-                output: result,
-                cached: true,
+                output: formatted,
+                parsed: definition.parse(formatted),
+                cached: false,
                 timestamp: new Date().toISOString()
             };
         } catch (error) {
-            logError('Traceroute service failed', { hostname, error: error.message });
+            logError('Stream service failed', { command, hostname, error: error.message });
             throw error;
         }
     }
 
+    /**
+     * Gets commands that support streaming
+     * @returns {Array<string>} - Streamable command names
+     */
+    static getStreamableCommands() {
+        return CommandRegistry.list()
+            .filter(definition => definition.streamable)
+            .map(definition => definition.name);
+    }
+
     /**
      * Executes nslookup command with caching
      * @param {string} hostname - Hostname to lookup
      * @returns {Promise<Object>} - Nslookup result
      */
     static async nslookup(hostname) {
-        try {
-            const cacheKey = CacheManager.createNetworkKey(hostname, 'nslookup');
-            
-            const result = await cacheManager.getOrSet(cacheKey, async() => {
-                const output = await CommandExecutor.nslookup(hostname);
-                return OutputFormatter.formatOutput(output);
-            }, config.cache.ttl * 6); // Longer cache for DNS lookups
-
-            return {
-                success: true,
-                output: result,
-                cached: true,
-                timestamp: new Date().toISOString()
-            };
-        } catch (error) {
-            logError('Nslookup service failed', { hostname, error: error.message });
-            throw error;
-        }
+        return await this.run('nslookup', { hostname });
     }
 
     /**
@@ -95,24 +160,7 @@ class NetworkService {
      * @returns {Promise<Object>} - Netstat result
      */
     static async netstat(args = []) {
-        try {
-            const cacheKey = CacheManager.createCommandKey('netstat', args);
-            
-            const result = await cacheManager.getOrSet(cacheKey, async() => {
-                const output = await CommandExecutor.netstat(args);
-                return OutputFormatter.formatOutput(output);
-            }, 60); // Short cache for netstat
-
-            return {
-                success: true,
-                output: result,
-                cached: true,
-                timestamp: new Date().toISOString()
-            };
-        } catch (error) {
-            logError('Netstat service failed', { args, error: error.message });
-            throw error;
-        }
+        return await this.run('netstat', { args });
     }
 
     /**
@@ -121,22 +169,37 @@ class NetworkService {
      * @returns {Promise<Object>} - Whois result
      */
     static async whois(domain) {
+        return await this.run('whois', { domain });
+    }
+
+    /**
+     * Probes an HTTP(S) URL with caching
+     * @param {string} url - URL to probe
+     * @param {Object} options - Probe options
+     * @param {string} options.method - HEAD or GET
+     * @param {boolean} options.followRedirects - Follows 3xx responses
+     * @param {string} options.userIp - Client IP recorded with network policy denials
+     * @returns {Promise<Object>} - Probe result
+     */
+    static async httpProbe(url, options = {}) {
         try {
-            const cacheKey = CacheManager.createNetworkKey(domain, 'whois');
-            
-            const result = await cacheManager.getOrSet(cacheKey, async() => {
-                const output = await CommandExecutor.whois(domain);
-                return OutputFormatter.formatOutput(output);
-            }, config.cache.ttl * 12); // Very long cache for whois
+            const { method = 'GET', followRedirects = true, userIp = null } = options;
+            const cacheKey = CacheManager.createNetworkKey(`${method} ${url} ${followRedirects}`, 'http-probe');
+
+            const probe = await cacheManager.getOrSet(cacheKey, async() => {
+                const context = { tool: 'http-probe', userIp };
+                return await HttpProbe.probe(url, { method, followRedirects, context });
+            }, config.cache.ttl);
 
             return {
                 success: true,
-                output: result,
+                output: OutputFormatter.formatHttpProbeOutput(probe),
+                probe,
                 cached: true,
                 timestamp: new Date().toISOString()
             };
         } catch (error) {
-            logError('Whois service failed', { domain, error: error.message });
+            logError('HTTP probe service failed', { url, error: error.message });
             throw error;
         }
     }
@@ -163,7 +226,7 @@ class NetworkService {
     }
 
     /**
-     * Gets available commands
+     * Gets available commands with the registered command definitions
      * @returns {Promise<Object>} - Available commands
      */
     static async getAvailableCommands() {
@@ -177,6 +240,7 @@ class NetworkService {
                 success: true,
                 commands: availableCommands,
                 stats: commandStats,
+                definitions: CommandRegistry.describeAll(),
                 total: availableCommands.length,
                 timestamp: new Date().toISOString()
             };
@@ -275,6 +339,63 @@ class NetworkService {
             throw error;
         }
     }
+
+    /**
+     * Gets a registered command definition
+     * @param {string} name - Command name
+     * @returns {Object} - Definition
+     * @throws {Error} - With status 404 for unknown commands
+     */
+    static _getDefinition(name) {
+        const definition = CommandRegistry.get(name);
+
+        if (!definition) {
+            const error = new Error(`Unknown command: ${name}`);
+            error.status = 404;
+            throw error;
+        }
+
+        return definition;
+    }
+
+    /**
+     * Builds the cache key of a command run
+     * @param {Object} definition - Command definition
+     * @param {Object} input - Validated request fields
+     * @returns {string} - Cache key
+     */
+    static _cacheKey(definition, input) {
+        if (!definition.target) {
+            return CacheManager.createCommandKey(definition.name, CommandRegistry.buildArgv(definition, input));
+        }
+
+        return CacheManager.createNetworkKey(familyKey(input[definition.target], input.family), definition.name);
+    }
+
+    /**
+     * Resolves the whitelisted command and argument vector of a run.
+     * Targets guarded by the network policy are replaced with the checked address.
+     * @param {Object} definition - Command definition
+     * @param {Object} input - Validated request fields
+     * @param {string} userIp - Client IP recorded with network policy denials
+     * @returns {Promise<Object>} - { command, argv }
+     */
+    static async _prepare(definition, input, userIp) {
+        const { name, target } = definition;
+        const family = input.family || null;
+        let fields = input;
+
+        if (definition.networkPolicy) {
+            const context = { tool: name, userIp };
+            const { address } = await NetworkPolicy.resolve(input[target], { family, context });
+            fields = { ...input, [target]: address };
+        }
+
+        return {
+            command: target ? SecurityManager.getFamilyCommand(name, fields[target], family) : name,
+            argv: CommandRegistry.buildArgv(definition, fields)
+        };
+    }
 }
 
 module.exports = NetworkService; 
\ No newline at end of file
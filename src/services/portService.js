@@ -0,0 +1,144 @@
+const net = require('net');
+const NetworkPolicy = require('../modules/networkPolicy');
+const OutputFormatter = require('../utils/formatters');
+const { logInfo, logError } = require('../utils/logger');
+const config = require('../config/app');
+
+// Socket errors that mean a packet was dropped rather than actively refused
+const FILTERED_ERRORS = ['ETIMEDOUT', 'EHOSTUNREACH', 'ENETUNREACH', 'EACCES'];
+
+/**
+ * TCP connectivity checker built on net.Socket (works where ICMP is blocked)
+ */
+class PortService {
+    /**
+     * Probes TCP ports of a host
+     * @param {string} hostname - Target hostname or IP address
+     * @param {string|Array<number>} ports - Port list or range ("22,80,8000-8010")
+     * @param {Object} options - Probe options
+     * @param {number} options.timeout - Connect timeout per port in ms
+     * @param {Object} options.context - { tool, userIp } recorded with network policy denials
+     * @returns {Promise<Object>} - Probe result
+     */
+    static async check(hostname, ports, options = {}) {
+        const timeout = Math.min(options.timeout || config.commands.tcping.timeout, config.commands.tcping.maxTimeout);
+        const portList = this.parsePorts(ports);
+
+        try {
+            const context = options.context || { tool: 'tcping' };
+            const { address } = await NetworkPolicy.resolve(hostname, { context });
+            const results = await this._probeAll(address, portList, timeout);
+            const result = { hostname, address, timeout, results };
+
+            logInfo('TCP port check completed', {
+                hostname,
+                ports: portList.length,
+                open: results.filter(port => port.state === 'open').length
+            });
+
+            return {
+                success: true,
+                ...result,
+                output: OutputFormatter.formatPortCheckOutput(result),
+                timestamp: new Date().toISOString()
+            };
+        } catch (error) {
+            logError('TCP port check failed', { hostname, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Expands a port specification into a sorted list of unique ports
+     * @param {string|number|Array} spec - "22,80,8000-8010", 443 or [22, 80]
+     * @returns {Array<number>} - Ports
+     */
+    static parsePorts(spec) {
+        const parts = Array.isArray(spec) ? spec : String(spec).split(',');
+        const ports = new Set();
+
+        parts.forEach(part => {
+            const range = String(part).trim().match(/^(\d+)(?:-(\d+))?$/);
+
+            if (!range) {
+                throw new Error(`Invalid port specification: ${part}`);
+            }
+
+            const start = parseInt(range[1]);
+            const end = range[2] ? parseInt(range[2]) : start;
+
+            if (start < 1 || end > 65535 || start > end) {
+                throw new Error(`Invalid port range: ${part}`);
+            }
+
+            if (end - start + ports.size >= config.commands.tcping.maxPorts) {
+                throw new Error(`Too many ports: at most ${config.commands.tcping.maxPorts} per request`);
+            }
+
+            for (let port = start; port <= end; port++) {
+                ports.add(port);
+            }
+        });
+
+        return [...ports].sort((a, b) => a - b);
+    }
+
+    /**
+     * Probes ports with limited concurrency
+     * @param {string} address - Resolved IP address
+     * @param {Array<number>} ports - Ports to probe
+     * @param {number} timeout - Connect timeout in ms
+     * @returns {Promise<Array>} - Per-port results in port order
+     */
+    static async _probeAll(address, ports, timeout) {
+        const results = [];
+        const queue = [...ports];
+
+        const worker = async() => {
+            while (queue.length > 0) {
+                const port = queue.shift();
+                results.push(await this.probe(address, port, timeout));
+            }
+        };
+
+        const workers = Array.from({ length: Math.min(config.commands.tcping.concurrency, ports.length) }, worker);
+        await Promise.all(workers);
+
+        return results.sort((a, b) => a.port - b.port);
+    }
+
+    /**
+     * Attempts a single TCP connection
+     * @param {string} address - IP address
+     * @param {number} port - TCP port
+     * @param {number} timeout - Connect timeout in ms
+     * @returns {Promise<Object>} - { port, state, latency, error }
+     */
+    static probe(address, port, timeout) {
+        return new Promise((resolve) => {
+            const socket = new net.Socket();
+            const startTime = process.hrtime.bigint();
+            const elapsed = () => Math.round(Number(process.hrtime.bigint() - startTime) / 1e4) / 100;
+
+            const finish = (state, error = null) => {
+                socket.destroy();
+                resolve({ port, state, latency: state === 'open' ? elapsed() : null, error });
+            };
+
+            socket.setTimeout(timeout);
+            socket.once('connect', () => finish('open'));
+            socket.once('timeout', () => finish('filtered', 'ETIMEDOUT'));
+            socket.once('error', (error) => {
+                if (error.code === 'ECONNREFUSED') {
+                    finish('closed', error.code);
+                } else {
+                    finish(FILTERED_ERRORS.includes(error.code) ? 'filtered' : 'error', error.code || error.message);
+                }
+            });
+
+            socket.connect(port, address);
+        });
+    }
+}
+
+module.exports = PortService;
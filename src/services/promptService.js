@@ -0,0 +1,324 @@
+const DEFAULT_PROMPTS = require('../prompts/defaults');
+const { diffLines, formatDiff } = require('../utils/diff');
+const { logInfo } = require('../utils/logger');
+const { unwrap } = require('../utils/repositoryResult');
+const config = require('../config/app');
+
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Creates an error carrying the HTTP status the prompt routes answer with
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status
+ * @returns {Error} - Error with status
+ */
+const promptError = (message, status) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+/**
+ * Lists the placeholders of a template
+ * @param {string} content - Template text
+ * @returns {Array<string>} - Unique variable names in order of appearance
+ */
+const placeholders = (content) => [...new Set([...content.matchAll(PLACEHOLDER)].map(match => match[1]))];
+
+/**
+ * Registry of the AI prompt templates.
+ * The built-in templates (src/prompts/defaults.js) are version 1 of each name; admins add versions
+ * and choose the active one per environment (PROMPT_ENV, defaults to NODE_ENV). Without a repository
+ * the built-in templates are rendered as they are.
+ */
+class PromptService {
+    /**
+     * @param {PromptRepository} promptRepository - Version storage (optional)
+     */
+    constructor(promptRepository = null) {
+        this.promptRepository = promptRepository;
+        this.cache = new Map();
+    }
+
+    /**
+     * Gets a built-in template definition
+     * @param {string} name - Template name
+     * @returns {Object} - { description, variables, content }
+     * @throws {Error} - With status 404 for unknown names
+     */
+    static getDefinition(name) {
+        if (!Object.prototype.hasOwnProperty.call(DEFAULT_PROMPTS, name)) {
+            throw promptError(`Unknown prompt template: ${name}`, 404);
+        }
+
+        return DEFAULT_PROMPTS[name];
+    }
+
+    /**
+     * Renders the active version of a template
+     * @param {string} name - Template name
+     * @param {Object} variables - Values of the template variables
+     * @returns {Promise<Object>} - { name, version, ref, content }; ref (name@version) is stored with AI requests
+     * @throws {Error} - For unknown templates or missing variables
+     */
+    async render(name, variables = {}) {
+        const template = await this.getActive(name);
+        const missing = placeholders(template.content).filter(variable => variables[variable] === undefined);
+
+        if (missing.length > 0) {
+            throw promptError(`Prompt ${name} is missing variables: ${missing.join(', ')}`, 400);
+        }
+
+        return {
+            name,
+            version: template.version,
+            ref: `${name}@${template.version}`,
+            content: template.content.replace(PLACEHOLDER, (match, variable) => String(variables[variable]))
+        };
+    }
+
+    /**
+     * Gets the active version of a template; an environment without a choice uses version 1
+     * @param {string} name - Template name
+     * @param {string} environment - Environment (defaults to config.ai.prompts.environment)
+     * @returns {Promise<Object>} - { version, content }
+     */
+    async getActive(name, environment = config.ai.prompts.environment) {
+        const definition = PromptService.getDefinition(name);
+
+        if (!this.promptRepository) {
+            return { version: 1, content: definition.content };
+        }
+
+        const key = `${environment}:${name}`;
+
+        if (!this.cache.has(key)) {
+            const version = await this._activeVersion(name, environment);
+            const row = await this._getVersion(name, version);
+
+            this.cache.set(key, { version: row.version, content: row.content });
+        }
+
+        return this.cache.get(key);
+    }
+
+    /**
+     * Lists the templates with their active and latest versions
+     * @param {string} environment - Environment (defaults to config.ai.prompts.environment)
+     * @returns {Promise<Array<Object>>} - { name, description, variables, activeVersion, latestVersion }
+     */
+    async list(environment = config.ai.prompts.environment) {
+        const storage = this._requireStorage();
+        const activations = await unwrap(storage.getActivations(environment));
+
+        return await Promise.all(Object.keys(DEFAULT_PROMPTS).map(async(name) => {
+            const { description, variables } = DEFAULT_PROMPTS[name];
+            const latest = await unwrap(storage.getLatestVersion(name));
+            const activation = activations.find(row => row.name === name);
+
+            return {
+                name,
+                description,
+                variables,
+                activeVersion: activation ? activation.version : 1,
+                latestVersion: Math.max(latest, 1)
+            };
+        }));
+    }
+
+    /**
+     * Gets every version of a template, newest first
+     * @param {string} name - Template name
+     * @param {string} environment - Environment (defaults to config.ai.prompts.environment)
+     * @returns {Promise<Object>} - { name, description, variables, environment, activeVersion, versions }
+     */
+    async getHistory(name, environment = config.ai.prompts.environment) {
+        const { description, variables } = PromptService.getDefinition(name);
+        const storage = this._requireStorage();
+
+        await this._seed(name);
+
+        return {
+            name,
+            description,
+            variables,
+            environment,
+            activeVersion: await this._activeVersion(name, environment),
+            versions: await unwrap(storage.getAll({ name }))
+        };
+    }
+
+    /**
+     * Compares two versions of a template
+     * @param {string} name - Template name
+     * @param {number} from - Old version
+     * @param {number} to - New version
+     * @returns {Promise<Object>} - { name, from, to, lines, text }
+     */
+    async diff(name, from, to) {
+        PromptService.getDefinition(name);
+        this._requireStorage();
+
+        await this._seed(name);
+
+        const [before, after] = await Promise.all([this._getVersion(name, from), this._getVersion(name, to)]);
+        const lines = diffLines(before.content, after.content);
+
+        return { name, from, to, lines, text: formatDiff(lines) };
+    }
+
+    /**
+     * Saves new content as the next version of a template
+     * @param {string} name - Template name
+     * @param {string} content - Template text; placeholders must be declared variables of the template
+     * @param {Object} options - Options
+     * @param {string} options.note - Change note
+     * @param {string} options.author - Who made the change
+     * @param {string} options.environment - Environment to activate the version in
+     * @param {boolean} options.activate - Whether to activate the new version (default true)
+     * @returns {Promise<Object>} - { name, version, environment, active }
+     */
+    async update(name, content, options = {}) {
+        const { note, author, environment = config.ai.prompts.environment, activate = true } = options;
+        const definition = PromptService.getDefinition(name);
+        const storage = this._requireStorage();
+        const undeclared = placeholders(content).filter(variable => !definition.variables.includes(variable));
+
+        if (undeclared.length > 0) {
+            throw promptError(`Unknown variables for ${name}: ${undeclared.join(', ')}`, 400);
+        }
+
+        await this._seed(name);
+
+        const version = await unwrap(storage.getLatestVersion(name)) + 1;
+
+        await unwrap(storage.save({ name, version, content, note, author }), 'id');
+
+        if (activate) {
+            await unwrap(storage.setActive(name, environment, version), 'affectedRows');
+        }
+
+        this.cache.clear();
+        logInfo('Prompt template updated', { name, version, environment, activate, author });
+
+        return { name, version, environment, active: activate };
+    }
+
+    /**
+     * Activates a stored version of a template
+     * @param {string} name - Template name
+     * @param {number} version - Version to activate
+     * @param {string} environment - Environment (defaults to config.ai.prompts.environment)
+     * @returns {Promise<Object>} - { name, version, environment }
+     */
+    async activate(name, version, environment = config.ai.prompts.environment) {
+        PromptService.getDefinition(name);
+        const storage = this._requireStorage();
+
+        await this._getVersion(name, version);
+        await unwrap(storage.setActive(name, environment, version), 'affectedRows');
+
+        this.cache.clear();
+        logInfo('Prompt template activated', { name, version, environment });
+
+        return { name, version, environment };
+    }
+
+    /**
+     * Activates an earlier version of a template
+     * @param {string} name - Template name
+     * @param {Object} options - Options
+     * @param {number} options.version - Version to return to (defaults to the one before the active version)
+     * @param {string} options.environment - Environment (defaults to config.ai.prompts.environment)
+     * @returns {Promise<Object>} - { name, version, previousVersion, environment }
+     */
+    async rollback(name, options = {}) {
+        const { environment = config.ai.prompts.environment } = options;
+
+        PromptService.getDefinition(name);
+        this._requireStorage();
+
+        const previousVersion = await this._activeVersion(name, environment);
+        const version = options.version || previousVersion - 1;
+
+        if (version < 1) {
+            throw promptError(`Prompt ${name} has no version before ${previousVersion}`, 400);
+        }
+
+        await this.activate(name, version, environment);
+
+        return { name, version, previousVersion, environment };
+    }
+
+    /**
+     * Stores the built-in template as version 1 the first time a template is used
+     * @param {string} name - Template name
+     */
+    async _seed(name) {
+        const storage = this.promptRepository;
+
+        if (await unwrap(storage.getLatestVersion(name)) > 0) {
+            return;
+        }
+
+        const result = await storage.save({
+            name,
+            version: 1,
+            content: DEFAULT_PROMPTS[name].content,
+            note: 'Built-in template',
+            author: 'system'
+        });
+
+        // A concurrent request may have seeded the template first (UNIQUE (name, version))
+        if (!result.success && await unwrap(storage.getLatestVersion(name)) === 0) {
+            throw new Error(result.error);
+        }
+    }
+
+    /**
+     * Gets the number of the version active in an environment
+     * @param {string} name - Template name
+     * @param {string} environment - Environment
+     * @returns {Promise<number>} - Version number (1 when nothing was activated)
+     */
+    async _activeVersion(name, environment) {
+        const activations = await unwrap(this.promptRepository.getActivations(environment));
+        const activation = activations.find(row => row.name === name);
+
+        return activation ? activation.version : 1;
+    }
+
+    /**
+     * Gets a stored version, seeding the built-in one when needed
+     * @param {string} name - Template name
+     * @param {number} version - Version number
+     * @returns {Promise<Object>} - Stored version
+     * @throws {Error} - With status 404 when the version does not exist
+     */
+    async _getVersion(name, version) {
+        await this._seed(name);
+
+        const row = await unwrap(this.promptRepository.getVersion(name, version));
+
+        if (!row) {
+            throw promptError(`Prompt ${name} has no version ${version}`, 404);
+        }
+
+        return row;
+    }
+
+    /**
+     * Gets the repository of the editing operations
+     * @returns {PromptRepository} - Repository
+     * @throws {Error} - With status 503 when prompts are not stored
+     */
+    _requireStorage() {
+        if (!this.promptRepository) {
+            throw promptError('Prompt storage is not configured', 503);
+        }
+
+        return this.promptRepository;
+    }
+}
+
+module.exports = PromptService;
@@ -0,0 +1,218 @@
+const { vectorize, hardKeys, inverseDocumentFrequencies, cosineSimilarity } = require('../utils/textVector');
+const { logInfo, logError } = require('../utils/logger');
+const { unwrap } = require('../utils/repositoryResult');
+const config = require('../config/app');
+
+/**
+ * Prompt template that answers each cacheable request type; an answer is only reused while
+ * the template version that produced it is still active
+ */
+const TEMPLATES = {
+    unknown_command: 'command.unknown',
+    legal_request: 'legal.answer',
+    court_case_numbers_request: 'legal.court_cases',
+    tcc_request: 'legal.tcc'
+};
+
+/**
+ * Returns the SQLite datetime (UTC) of a moment in the past
+ * @param {number} seconds - Seconds ago
+ * @returns {string} - "YYYY-MM-DD HH:MM:SS"
+ */
+const secondsAgo = (seconds) => new Date(Date.now() - (seconds * 1000)).toISOString().replace('T', ' ').slice(0, 19);
+
+/**
+ * Similarity-based cache of AI answers. Prompts are compared as offline TF-IDF vectors,
+ * so rephrased questions ("how to ping" / "how do I ping") reuse the stored answer;
+ * their numbers, case numbers and hostnames have to be the same (see hardKeys).
+ */
+class SemanticCacheService {
+    /**
+     * @param {SemanticCacheRepository} semanticCacheRepository - Entry storage
+     * @param {PromptService} promptService - Active prompt versions
+     */
+    constructor(semanticCacheRepository, promptService) {
+        this.semanticCacheRepository = semanticCacheRepository;
+        this.promptService = promptService;
+    }
+
+    /**
+     * Checks whether answers of a request type are cached
+     * @param {string} requestType - Request type
+     * @returns {boolean} - Whether the type is cacheable
+     */
+    static isCacheable(requestType) {
+        return Object.prototype.hasOwnProperty.call(TEMPLATES, requestType);
+    }
+
+    /**
+     * Finds the stored answer most similar to a prompt. Failures are logged and treated as a miss.
+     * @param {string} query - Prompt
+     * @param {Object} options - Options
+     * @param {string} options.requestType - Only answers of this type (any cacheable type when omitted)
+     * @returns {Promise<Object|null>} - { id, requestType, query, response, similarity } above the threshold
+     */
+    async lookup(query, options = {}) {
+        const { enabled, threshold, ttl, maxCandidates } = config.ai.semanticCache;
+        const { requestType = null } = options;
+
+        if (!enabled || (requestType && !SemanticCacheService.isCacheable(requestType))) {
+            return null;
+        }
+
+        try {
+            const entries = await unwrap(this.semanticCacheRepository.getAll({
+                requestType,
+                since: secondsAgo(ttl),
+                limit: maxCandidates
+            }));
+            // Numbers, case numbers and hostnames must match exactly before the wording is compared
+            const keys = hardKeys(query).join(' ');
+            const candidates = (await this._current(entries)).filter(entry => hardKeys(entry.query).join(' ') === keys);
+
+            if (candidates.length === 0) {
+                return null;
+            }
+
+            const vector = vectorize(query);
+            const vectors = candidates.map(entry => JSON.parse(entry.vector));
+            const idf = inverseDocumentFrequencies([vector, ...vectors]);
+            let best = null;
+
+            candidates.forEach((entry, index) => {
+                const similarity = cosineSimilarity(vector, vectors[index], idf);
+
+                if (!best || similarity > best.similarity) {
+                    best = { entry, similarity };
+                }
+            });
+
+            if (best.similarity < threshold) {
+                return null;
+            }
+
+            await unwrap(this.semanticCacheRepository.recordHit(best.entry.id), 'affectedRows');
+            logInfo('Semantic cache hit', { requestType: best.entry.request_type, similarity: best.similarity });
+
+            return {
+                id: best.entry.id,
+                requestType: best.entry.request_type,
+                query: best.entry.query,
+                response: best.entry.response,
+                similarity: Math.round(best.similarity * 1000) / 1000
+            };
+        } catch (error) {
+            logError('Semantic cache lookup failed', { requestType, error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Stores an answered prompt and drops expired entries. Failures are logged, never thrown.
+     * @param {string} requestType - Request type
+     * @param {string} query - Prompt
+     * @param {string} response - Answer
+     * @returns {Promise<number|null>} - Entry ID (null when not stored)
+     */
+    async store(requestType, query, response) {
+        const { enabled, ttl } = config.ai.semanticCache;
+
+        if (!enabled || !SemanticCacheService.isCacheable(requestType) || !response) {
+            return null;
+        }
+
+        try {
+            const id = await unwrap(this.semanticCacheRepository.save({
+                requestType,
+                promptVersion: await this._promptVersion(requestType),
+                query,
+                vector: vectorize(query),
+                response
+            }), 'id');
+
+            await unwrap(this.semanticCacheRepository.deleteAll({ before: secondsAgo(ttl) }), 'affectedRows');
+
+            return id;
+        } catch (error) {
+            logError('Semantic cache store failed', { requestType, error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Lists cached answers, newest first
+     * @param {Object} options - { requestType, limit }
+     * @returns {Promise<Array<Object>>} - Entries without their vectors
+     */
+    async list(options = {}) {
+        const entries = await unwrap(this.semanticCacheRepository.getAll(options));
+
+        return entries.map(({ vector: _vector, ...entry }) => entry);
+    }
+
+    /**
+     * Removes one cached answer
+     * @param {number} id - Entry ID
+     * @returns {Promise<boolean>} - Whether the entry existed
+     */
+    async invalidate(id) {
+        const removed = await unwrap(this.semanticCacheRepository.delete(id), 'affectedRows');
+
+        logInfo('Semantic cache entry invalidated', { id, removed });
+
+        return removed > 0;
+    }
+
+    /**
+     * Removes the cached answers of a request type, or all of them
+     * @param {Object} options - { requestType }
+     * @returns {Promise<number>} - Number of removed entries
+     */
+    async clear(options = {}) {
+        const removed = await unwrap(
+            this.semanticCacheRepository.deleteAll({ requestType: options.requestType }),
+            'affectedRows'
+        );
+
+        logInfo('Semantic cache cleared', { requestType: options.requestType || 'all', removed });
+
+        return removed;
+    }
+
+    /**
+     * Keeps the entries answered with the prompt version that is active now
+     * @param {Array<Object>} entries - Stored entries
+     * @returns {Promise<Array<Object>>} - Current entries
+     */
+    async _current(entries) {
+        const versions = new Map();
+
+        for (const entry of entries) {
+            if (!versions.has(entry.request_type)) {
+                versions.set(entry.request_type, await this._promptVersion(entry.request_type));
+            }
+        }
+
+        return entries.filter(entry => SemanticCacheService.isCacheable(entry.request_type) &&
+            entry.prompt_version === versions.get(entry.request_type));
+    }
+
+    /**
+     * Gets the active version of the template that answers a request type
+     * @param {string} requestType - Request type
+     * @returns {Promise<string|null>} - Template version (name@version)
+     */
+    async _promptVersion(requestType) {
+        const name = TEMPLATES[requestType];
+
+        if (!name) {
+            return null;
+        }
+
+        const { version } = await this.promptService.getActive(name);
+
+        return `${name}@${version}`;
+    }
+}
+
+module.exports = SemanticCacheService;
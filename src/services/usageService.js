@@ -0,0 +1,189 @@
+const { logError, logSecurity } = require('../utils/logger');
+const { unwrap } = require('../utils/repositoryResult');
+const config = require('../config/app');
+
+/**
+ * Returns the SQLite datetime (UTC) of the start of a day
+ * @param {number} daysAgo - 0 for today
+ * @returns {string} - "YYYY-MM-DD 00:00:00"
+ */
+const startOfDay = (daysAgo = 0) => {
+    const date = new Date(Date.now() - (daysAgo * 24 * 60 * 60 * 1000));
+    return `${date.toISOString().slice(0, 10)} 00:00:00`;
+};
+
+/**
+ * Rounds a USD amount to micro-dollars
+ * @param {number} value - Amount
+ * @returns {number} - Rounded amount
+ */
+const roundCost = (value) => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Token accounting for AI calls: prices every completion, stores it in openai_requests
+ * and enforces the per-user and global daily budgets.
+ */
+class UsageService {
+    /**
+     * @param {OpenAIRequestRepository} openaiRequestRepository - Request log
+     */
+    constructor(openaiRequestRepository) {
+        this.openaiRequestRepository = openaiRequestRepository;
+    }
+
+    /**
+     * Finds the price of a model; dated snapshots (gpt-4o-mini-2024-07-18) use the longest matching prefix
+     * @param {string} model - Model name
+     * @returns {Object|null} - { prompt, completion } in USD per 1K tokens
+     */
+    static getPrice(model) {
+        const { pricing } = config.ai;
+
+        if (!model) {
+            return null;
+        }
+
+        if (pricing[model]) {
+            return pricing[model];
+        }
+
+        const prefix = Object.keys(pricing)
+            .filter(name => model.startsWith(name))
+            .sort((a, b) => b.length - a.length)[0];
+
+        return prefix ? pricing[prefix] : null;
+    }
+
+    /**
+     * Computes the cost of a completion
+     * @param {string} model - Model name
+     * @param {Object} usage - { prompt_tokens, completion_tokens }
+     * @returns {number} - Cost in USD (0 for models without a price)
+     */
+    static calculateCost(model, usage = {}) {
+        const price = this.getPrice(model);
+
+        if (!price) {
+            return 0;
+        }
+
+        const promptCost = (usage.prompt_tokens || 0) * price.prompt;
+        const completionCost = (usage.completion_tokens || 0) * price.completion;
+
+        return roundCost((promptCost + completionCost) / 1000);
+    }
+
+    /**
+     * Throws when the user or the whole service has spent its daily budget
+     * @param {string} userIp - User making the call
+     * @throws {Error} - With status 429 and code EBUDGET
+     */
+    async assertWithinBudget(userIp) {
+        const { userDailyCost, dailyCost } = config.ai.budget;
+        const since = startOfDay();
+
+        if (dailyCost > 0) {
+            const total = await unwrap(this.openaiRequestRepository.getSpend({ since }));
+            this._checkLimit(total.cost, dailyCost, 'Daily AI budget exhausted', { userIp });
+        }
+
+        if (userDailyCost > 0 && userIp) {
+            const spent = await unwrap(this.openaiRequestRepository.getSpend({ since, userIp }));
+            this._checkLimit(spent.cost, userDailyCost, 'Your daily AI budget is exhausted', { userIp });
+        }
+    }
+
+    /**
+     * Stores a completion with its token counts and cost. Failures are logged, never thrown,
+     * so accounting problems do not break answers that were already generated.
+     * @param {Object} entry - { query, response, model, usage, requestType, promptVersion, userIp, sessionId }
+     * @returns {Promise<Object>} - { promptTokens, completionTokens, cost }
+     */
+    async record(entry) {
+        const usage = entry.usage || {};
+        const record = {
+            promptTokens: usage.prompt_tokens || 0,
+            completionTokens: usage.completion_tokens || 0,
+            cost: UsageService.calculateCost(entry.model, usage)
+        };
+
+        const result = await this.openaiRequestRepository.save({
+            query: entry.query,
+            response: entry.response,
+            model: entry.model,
+            requestType: entry.requestType || 'other',
+            promptVersion: entry.promptVersion,
+            userIp: entry.userIp,
+            sessionId: entry.sessionId,
+            ...record
+        });
+
+        if (!result.success) {
+            logError('Failed to record AI usage', { model: entry.model, error: result.error });
+        }
+
+        return record;
+    }
+
+    /**
+     * Aggregates usage for GET /api/stats and the ai usage command
+     * @param {Object} options - Options
+     * @param {number} options.days - Days to cover, including today
+     * @param {number} options.topUsers - Number of users to list (0 leaves out the per-user breakdown)
+     * @returns {Promise<Object>} - Totals, today, budgets and breakdowns by day, model, type and user
+     */
+    async getStats(options = {}) {
+        const { days = 7, topUsers = 10 } = options;
+        const since = startOfDay(days - 1);
+        const repository = this.openaiRequestRepository;
+
+        const [total, today, byDay, byModel, byType, byUser] = await Promise.all([
+            unwrap(repository.getSpend({ since })),
+            unwrap(repository.getSpend({ since: startOfDay() })),
+            unwrap(repository.getUsage({ since, groupBy: 'day', limit: days })),
+            unwrap(repository.getUsage({ since, groupBy: 'model' })),
+            unwrap(repository.getUsage({ since, groupBy: 'request_type' })),
+            topUsers > 0 ? unwrap(repository.getUsage({ since, groupBy: 'user_ip', limit: topUsers })) : null
+        ]);
+
+        const { userDailyCost, dailyCost } = config.ai.budget;
+
+        return {
+            days,
+            since,
+            total: { ...total, cost: roundCost(total.cost) },
+            today: { ...today, cost: roundCost(today.cost) },
+            budget: {
+                dailyCost: dailyCost || null,
+                userDailyCost: userDailyCost || null,
+                remainingToday: dailyCost > 0 ? roundCost(Math.max(dailyCost - today.cost, 0)) : null
+            },
+            byDay: byDay.map(row => ({ ...row, cost: roundCost(row.cost) })),
+            byModel: byModel.map(row => ({ ...row, cost: roundCost(row.cost) })),
+            byType: byType.map(row => ({ ...row, cost: roundCost(row.cost) })),
+            ...(byUser && { byUser: byUser.map(row => ({ ...row, cost: roundCost(row.cost) })) })
+        };
+    }
+
+    /**
+     * Throws the budget error when spending reached a limit
+     * @param {number} spent - Spent today in USD
+     * @param {number} limit - Limit in USD
+     * @param {string} message - Error message
+     * @param {Object} details - Logged details
+     */
+    _checkLimit(spent, limit, message, details) {
+        if (spent < limit) {
+            return;
+        }
+
+        logSecurity('AI budget exceeded', { ...details, spent: roundCost(spent), limit });
+
+        const error = new Error(`${message} ($${roundCost(spent)} of $${limit}); try again tomorrow (UTC)`);
+        error.code = 'EBUDGET';
+        error.status = 429;
+        throw error;
+    }
+}
+
+module.exports = UsageService;
@@ -1,53 +1,112 @@
-const axios = require('axios');
-const config = require('../config/app');
+const ZakonOnlineClient = require('../modules/zakon/ZakonOnlineClient');
+const SearchExporter = require('../modules/export/SearchExporter');
+const { buildSummaryMaterial } = require('../modules/export/dossier');
+const UsageContext = require('../context/UsageContext');
+const OutputFormatter = require('../utils/formatters');
+const { buildMatchQuery } = require('../utils/ftsQuery');
+const { parseCaseNumber, isSameCaseNumber } = require('../utils/caseNumber');
 const { logInfo, logError } = require('../utils/logger');
+const { unwrap } = require('../utils/repositoryResult');
+
+// Index columns searched by the query words of a local search (the others are only filtered on)
+const LOCAL_SEARCH_COLUMNS = ['case_number', 'court_name', 'summary', 'full_text'];
+
+/**
+ * Returns the first present (not empty) field of an object
+ * @param {Object} object - Object
+ * @param {...string} keys - Field names in order of preference
+ * @returns {*} - Field value (undefined when none is present)
+ */
+const pick = (object, ...keys) => keys
+    .map(key => object[key])
+    .find(value => value !== undefined && value !== null && value !== '');
+
+/**
+ * Converts a decision of the API (snake_case or camelCase fields) into a case
+ * @param {Object} decision - Decision from the search results
+ * @returns {Object} - { caseId, courtName, judgmentForm, justiceKind, date, number, summary }
+ */
+const normalizeCase = (decision) => {
+    const caseId = pick(decision, 'id', 'case_id', 'doc_id');
+
+    return {
+        caseId: caseId === undefined ? null : String(caseId),
+        courtName: pick(decision, 'court_name', 'courtName'),
+        judgmentForm: pick(decision, 'judgment_form', 'judgmentForm'),
+        justiceKind: pick(decision, 'justice_kind', 'justiceKind'),
+        date: pick(decision, 'date', 'case_date', 'adjudication_date'),
+        number: pick(decision, 'case_number', 'number', 'cause_num'),
+        summary: pick(decision, 'summary', 'parties')
+    };
+};
+
+/**
+ * Converts a decision of the API into a search result item
+ * @param {Object} decision - Decision from the search results
+ * @returns {Object} - { id, courtName, judgmentForm, justiceKind, date, number, summary }
+ */
+const toItem = (decision) => {
+    const { caseId, ...fields } = normalizeCase(decision);
+
+    return { id: caseId, ...fields };
+};
+
+/**
+ * Converts a full text answer of the API into a string
+ * @param {*} fullText - Full text (string, or an object with the text)
+ * @returns {string} - Text
+ */
+const fullTextToString = (fullText) => {
+    if (typeof fullText === 'string') {
+        return fullText;
+    }
+
+    return pick(fullText || {}, 'text', 'full_text', 'fullText') || JSON.stringify(fullText);
+};
 
 /**
  * Service for working with Zakon Online API
  */
 class ZakonOnlineService {
-    constructor() {
-        this.baseURL = 'https://api.zakononline.com.ua';
-        this.token = config.zakonOnline?.token;
+    /**
+     * @param {ZakonOnlineRepository} zakonOnlineRepository - Storage of searches, cases and full texts
+     *   (nothing is stored when not set)
+     * @param {ZakonOnlineClient} client - API client (configured from config.zakon when not set)
+     * @param {LegalStrategy} legalStrategy - Writes the AI summaries of exported searches (none when not set)
+     * @param {SearchExporter} exporter - Renders exported searches (default fonts when not set)
+     */
+    constructor(zakonOnlineRepository = null, client = null, legalStrategy = null, exporter = null) {
+        this.zakonOnlineRepository = zakonOnlineRepository;
+        this.client = client || new ZakonOnlineClient();
+        this.legalStrategy = legalStrategy;
+        this.exporter = exporter || new SearchExporter();
         this.cache = new Map();
         this.cacheTTL = 300000; // 5 minutes
     }
 
     /**
-     * Makes request to Zakon Online API
+     * Makes request to Zakon Online API (transient failures are retried by the client)
      * @param {string} endpoint - API endpoint
      * @param {Object} params - Request parameters
-     * @returns {Promise<Object>} - API response
+     * @returns {Promise<Object>} - API response: { success, data } or { success: false, error, status }
      */
     async makeRequest(endpoint, params = {}) {
         try {
-            const url = `${this.baseURL}${endpoint}`;
-            const headers = {
-                'Authorization': `Bearer ${this.token}`,
-                'Content-Type': 'application/json'
-            };
-
-            const response = await axios.get(url, {
-                headers,
-                params,
-                timeout: 10000
-            });
-
             return {
                 success: true,
-                data: response.data
+                data: await this.client.get(endpoint, params)
             };
         } catch (error) {
             logError('Zakon Online API request failed', {
                 endpoint,
                 error: error.message,
-                status: error.response?.status
+                status: error.status
             });
 
             return {
                 success: false,
                 error: error.message,
-                status: error.response?.status
+                status: error.status
             };
         }
     }
@@ -83,12 +142,52 @@ class ZakonOnlineService {
         return await this.makeRequest('/search', params);
     }
 
+    /**
+     * Iterates over the result pages of a search; each page is requested when the previous one
+     * has been consumed, so callers can stop early without spending API quota
+     * @param {string} query - Search query
+     * @param {Object} options - Filters: court, judgmentForm, justiceKind, dateFrom, dateTo;
+     *   paging: page (first page, default 1), limit (per page, default 20), maxPages
+     * @returns {AsyncIterable<Object>} - { page, totalCount, items } per page (items as in performFullSearch)
+     * @throws {Error} - When a page cannot be fetched (after the client's retries)
+     */
+    async *searchPages(query, options = {}) {
+        const { court, judgmentForm, justiceKind, dateFrom, dateTo, ...paging } = options;
+        const params = {
+            q: query,
+            court,
+            judgment_form: judgmentForm,
+            justice_kind: justiceKind,
+            date_from: dateFrom,
+            date_to: dateTo
+        };
+
+        for await (const { page, total, items } of this.client.pages('/search', params, paging)) {
+            yield { page, totalCount: total, items: items.map(toItem) };
+        }
+    }
+
     /**
      * Gets courts list
      * @returns {Promise<Object>} - Courts list
      */
     async getCourts() {
-        return await this.makeRequest('/courts');
+        const cached = this.cache.get('courts');
+
+        if (cached && Date.now() - cached.timestamp < this.cacheTTL) {
+            return cached.data;
+        }
+
+        const result = await this.makeRequest('/courts');
+
+        if (result.success) {
+            this.cache.set('courts', {
+                data: result,
+                timestamp: Date.now()
+            });
+        }
+
+        return result;
     }
 
     /**
@@ -136,7 +235,7 @@ class ZakonOnlineService {
     }
 
     /**
-     * Gets full text of court decision
+     * Gets full text of court decision. Texts stored by an earlier search are not downloaded again.
      * @param {string} decisionId - Decision ID
      * @returns {Promise<Object>} - Full text
      */
@@ -150,6 +249,19 @@ class ZakonOnlineService {
             }
         }
 
+        const stored = this.zakonOnlineRepository
+            ? await this.zakonOnlineRepository.getFullText(String(decisionId))
+            : null;
+
+        if (stored?.data) {
+            return {
+                success: true,
+                data: stored.data.full_text,
+                highlights: JSON.parse(stored.data.highlights || '[]'),
+                stored: true
+            };
+        }
+
         const result = await this.makeRequest(`/decisions/${decisionId}/full-text`);
         
         if (result.success) {
@@ -165,13 +277,16 @@ class ZakonOnlineService {
     /**
      * Performs two-stage search: metadata + full texts
      * @param {string} query - Search query
-     * @param {Object} options - Search options
-     * @returns {Promise<Object>} - Search results
+     * @param {Object} options - Search options (searchDecisions options)
+     * @param {boolean} options.saveToDatabase - Store the search, its cases and full texts (default true)
+     * @returns {Promise<Object>} - Search results (with searchId when stored)
      */
     async searchWithFullTexts(query, options = {}) {
         try {
+            const { saveToDatabase = true, ...searchOptions } = options;
+
             // Step 1: Get metadata
-            const metadataResult = await this.searchMetadata(query, options);
+            const metadataResult = await this.searchMetadata(query, searchOptions);
             
             if (!metadataResult.success) {
                 return metadataResult;
@@ -190,18 +305,32 @@ class ZakonOnlineService {
                     if (fullTextResult.success) {
                         fullTexts.push({
                             id: decision.id,
-                            fullText: fullTextResult.data
+                            fullText: fullTextResult.data,
+                            highlights: fullTextResult.highlights || decision.highlights || []
                         });
                     }
                 }
             }
 
-            return {
+            const result = {
                 success: true,
                 metadata: metadata,
                 fullTexts: fullTexts,
                 query: query
             };
+
+            if (saveToDatabase && this.zakonOnlineRepository) {
+                const saved = await this.saveSearchResults({
+                    ...metadata,
+                    query,
+                    page: searchOptions.page,
+                    pageSize: searchOptions.limit
+                }, fullTexts);
+
+                result.searchId = saved.searchId;
+            }
+
+            return result;
         } catch (error) {
             logError('Two-stage search failed', error);
             return {
@@ -212,23 +341,100 @@ class ZakonOnlineService {
     }
 
     /**
-     * Saves search results to database
-     * @param {Object} metadata - Metadata of results
-     * @param {Array} fullTexts - Full texts
-     * @returns {Promise} - Save result
+     * Performs a two-stage search and returns its cases in camelCase
+     * @param {string} query - Search query
+     * @param {Object} options - Search options
+     * @param {number} options.page - Page
+     * @param {number} options.pageSize - Results per page
+     * @param {string} options.courtId - Court filter
+     * @param {string} options.judgmentFormId - Judgment form filter
+     * @param {string} options.justiceKindId - Justice kind filter
+     * @param {boolean} options.saveToDatabase - Store the search (default true)
+     * @returns {Promise<Object>} - { success, query, totalCount, items, fullTexts, searchId }
+     */
+    async performFullSearch(query, options = {}) {
+        const { page = 1, pageSize = 10, courtId, judgmentFormId, justiceKindId, saveToDatabase = true } = options;
+        const result = await this.searchWithFullTexts(query, {
+            page,
+            limit: pageSize,
+            court: courtId || '',
+            judgmentForm: judgmentFormId || '',
+            justiceKind: justiceKindId || '',
+            saveToDatabase
+        });
+
+        if (!result.success) {
+            return result;
+        }
+
+        const decisions = result.metadata?.results || result.metadata?.items || [];
+
+        return {
+            success: true,
+            query,
+            totalCount: pick(result.metadata || {}, 'total', 'totalCount', 'total_count') || decisions.length,
+            items: decisions.map(toItem),
+            fullTexts: result.fullTexts,
+            searchId: result.searchId
+        };
+    }
+
+    /**
+     * Saves search results to database. Cases and full texts already stored under the same
+     * case ID are updated instead of duplicated.
+     * @param {Object} metadata - Metadata of results: { query, total, results } (also accepts
+     *   { data: { query, totalCount, items } } and camelCase decision fields)
+     * @param {Array} fullTexts - Full texts: [{ id, fullText, highlights }]
+     * @returns {Promise} - Save result: { success, saved, searchId, cases, newCases, fullTexts }
      */
     async saveSearchResults(metadata, fullTexts = []) {
         try {
-            // Implementation depends on your database structure
+            const data = metadata.data && !Array.isArray(metadata.data) ? metadata.data : metadata;
+            const decisions = data.results || data.items || [];
+            const cases = decisions.map(normalizeCase).filter(item => item.caseId);
+
+            if (!this.zakonOnlineRepository) {
+                logInfo('Search results not stored (no repository)', { query: data.query });
+                return { success: true, saved: false };
+            }
+
+            const caseIds = [...new Set(cases.map(item => item.caseId))];
+            const searchId = await unwrap(this.zakonOnlineRepository.save({
+                query: data.query || metadata.query,
+                totalCount: pick(data, 'total', 'totalCount', 'total_count') || decisions.length,
+                page: data.page || metadata.page,
+                pageSize: data.pageSize || metadata.pageSize,
+                caseIds
+            }), 'id');
+            let newCases = 0;
+
+            for (const item of cases) {
+                const created = await unwrap(this.zakonOnlineRepository.saveCase(searchId, item), 'created');
+                newCases += created ? 1 : 0;
+            }
+
+            for (const fullText of fullTexts) {
+                await unwrap(this.zakonOnlineRepository.saveFullText(String(fullText.id), {
+                    fullText: fullTextToString(fullText.fullText),
+                    highlights: fullText.highlights
+                }));
+            }
+
             logInfo('Search results saved', {
-                query: metadata.query,
-                resultsCount: metadata.results?.length || 0,
+                query: data.query || metadata.query,
+                searchId,
+                resultsCount: cases.length,
+                newCases,
                 fullTextsCount: fullTexts.length
             });
 
             return {
                 success: true,
-                saved: true
+                saved: true,
+                searchId,
+                cases: caseIds.length,
+                newCases,
+                fullTexts: fullTexts.length
             };
         } catch (error) {
             logError('Failed to save search results', error);
@@ -239,6 +445,387 @@ class ZakonOnlineService {
         }
     }
 
+    /**
+     * Gets stored searches, newest first
+     * @param {number} limit - Maximum number of searches
+     * @returns {Promise<Array>} - Searches: { id, query, totalCount, resultsCount, page, pageSize, createdAt }
+     */
+    async getSearchHistory(limit = 20) {
+        const searches = await unwrap(this._repository().getAll({ limit }));
+
+        return searches.map(search => ({
+            id: search.id,
+            query: search.query,
+            totalCount: search.total_count,
+            resultsCount: JSON.parse(search.result_case_ids || '[]').length,
+            page: search.page,
+            pageSize: search.page_size,
+            createdAt: search.created_at
+        }));
+    }
+
+    /**
+     * Gets a stored search with its cases
+     * @param {number} id - Search ID
+     * @returns {Promise<Object|null>} - Search with cases (null when not found)
+     */
+    async getSearchDetails(id) {
+        const search = await unwrap(this._repository().getById(id));
+
+        if (!search) {
+            return null;
+        }
+
+        const caseIds = JSON.parse(search.result_case_ids || '[]');
+        const cases = await unwrap(this._repository().getCases(caseIds));
+
+        return {
+            id: search.id,
+            query: search.query,
+            totalCount: search.total_count,
+            page: search.page,
+            pageSize: search.page_size,
+            createdAt: search.created_at,
+            aiSummary: search.ai_summary || null,
+            cases: cases.map(row => ({
+                id: row.case_id,
+                courtName: row.court_name,
+                judgmentForm: row.judgment_form,
+                justiceKind: row.justice_kind,
+                date: row.case_date,
+                number: row.case_number,
+                summary: row.summary,
+                hasFullText: Boolean(row.has_full_text)
+            }))
+        };
+    }
+
+    /**
+     * Gets a stored search as a research dossier: its metadata, the stored cases with their full texts and
+     * highlights and, optionally, an AI summary of the decisions. The summary is written once per search and
+     * stored with it; when it cannot be written the dossier carries the reason instead.
+     * @param {number} id - Search ID
+     * @param {Object} options - Dossier options
+     * @param {boolean} options.summary - Include the AI summary (default true)
+     * @returns {Promise<Object|null>} - { id, query, totalCount, createdAt, exportedAt, summary, cases } with
+     *   summary { text, stored } or { error } (null when not included); null when the search is not found
+     */
+    async getSearchDossier(id, options = {}) {
+        const { summary = true } = options;
+        const details = await this.getSearchDetails(id);
+
+        if (!details) {
+            return null;
+        }
+
+        const cases = [];
+
+        for (const item of details.cases) {
+            const stored = item.hasFullText
+                ? await unwrap(this._repository().getFullText(String(item.id)))
+                : null;
+
+            cases.push({
+                ...item,
+                fullText: stored ? stored.full_text : null,
+                highlights: JSON.parse(stored?.highlights || '[]')
+            });
+        }
+
+        const dossier = {
+            id: details.id,
+            query: details.query,
+            totalCount: details.totalCount,
+            createdAt: details.createdAt,
+            exportedAt: new Date().toISOString(),
+            summary: null,
+            cases
+        };
+
+        if (summary) {
+            dossier.summary = await this._searchSummary(dossier, details.aiSummary);
+        }
+
+        return dossier;
+    }
+
+    /**
+     * Exports a stored search as a research dossier file
+     * @param {number} id - Search ID
+     * @param {string} format - markdown (md), html, pdf or docx
+     * @param {Object} options - Dossier options (see getSearchDossier)
+     * @returns {Promise<Object>} - { format, filename, contentType, body }
+     * @throws {Error} - With status 400 for an unknown format, 404 when the search is not found
+     */
+    async exportSearch(id, format, options = {}) {
+        if (!SearchExporter.resolveFormat(format)) {
+            const expected = SearchExporter.formats().join(', ');
+            const error = new Error(`Unknown export format: ${format} (expected ${expected})`);
+            error.status = 400;
+            throw error;
+        }
+
+        const dossier = await this.getSearchDossier(id, options);
+
+        if (!dossier) {
+            const error = new Error(`Search not found: ${id}`);
+            error.status = 404;
+            throw error;
+        }
+
+        const file = this.exporter.render(dossier, format);
+
+        logInfo('Search exported', { searchId: id, format: file.format, bytes: file.body.length });
+
+        return file;
+    }
+
+    /**
+     * Gets statistics of the stored searches
+     * @returns {Promise<Object>} - Totals of searches, queries, cases and full texts
+     */
+    async getStats() {
+        const stats = await unwrap(this._repository().getStats());
+
+        return {
+            totalSearches: stats.total_searches,
+            uniqueQueries: stats.unique_queries,
+            searchesLast24h: stats.searches_last_24h,
+            lastSearchAt: stats.last_search_at,
+            totalCases: stats.total_cases,
+            totalFullTexts: stats.total_full_texts
+        };
+    }
+
+    /**
+     * Gets the most frequent stored queries
+     * @param {number} limit - Maximum number of queries
+     * @returns {Promise<Array>} - { query, count, lastSearchedAt, totalCount }
+     */
+    async getTopSearches(limit = 10) {
+        const rows = await unwrap(this._repository().getTopSearches(limit));
+
+        return rows.map(row => ({
+            query: row.query,
+            count: row.search_count,
+            lastSearchedAt: row.last_searched_at,
+            totalCount: row.total_count
+        }));
+    }
+
+    /**
+     * Deletes stored searches older than a number of days; cases and full texts are kept
+     * @param {number} daysOld - Age in days (a whole number, at least 1)
+     * @returns {Promise<number>} - Number of deleted searches
+     * @throws {Error} - With status 400 for another age
+     */
+    async cleanupOldSearches(daysOld = 30) {
+        if (!Number.isInteger(daysOld) || daysOld < 1) {
+            const error = new Error(`Invalid age of searches to delete: ${daysOld} (whole days, at least 1)`);
+            error.status = 400;
+            throw error;
+        }
+
+        return await unwrap(this._repository().deleteOlderThan(daysOld), 'affectedRows');
+    }
+
+    /**
+     * Searches the stored cases and full texts without calling the API
+     * @param {string} query - Search query: words (all required), "phrases", -excluded words, prefix*
+     * @param {Object} options - Search options
+     * @param {string} options.court - Words of the court name
+     * @param {string} options.justiceKind - Words of the justice kind
+     * @param {string} options.judgmentForm - Words of the judgment form
+     * @param {string} options.dateFrom - Earliest case date, YYYY-MM-DD
+     * @param {string} options.dateTo - Latest case date, YYYY-MM-DD
+     * @param {number} options.limit - Maximum number of cases (default 10)
+     * @param {number} options.offset - Number of cases to skip
+     * @returns {Promise<Object>} - { query, total, results, output }; results carry a snippet with the
+     *   matched words in [brackets]
+     * @throws {Error} - With status 400 when the query has nothing to search for
+     */
+    async searchStored(query, options = {}) {
+        const { court, justiceKind, judgmentForm, dateFrom, dateTo, limit = 10, offset = 0 } = options;
+        const text = buildMatchQuery(query, LOCAL_SEARCH_COLUMNS);
+
+        if (!text) {
+            const error = new Error('Search query has no words to search for');
+            error.status = 400;
+            throw error;
+        }
+
+        const filters = [[court, 'court_name'], [justiceKind, 'justice_kind'], [judgmentForm, 'judgment_form']]
+            .map(([value, column]) => (value ? buildMatchQuery(value, [column]) : null))
+            .filter(Boolean);
+        const found = await this._repository().search({
+            match: [text, ...filters].join(' AND '),
+            dateFrom,
+            dateTo,
+            limit,
+            offset
+        });
+
+        if (!found.success) {
+            throw new Error(found.error);
+        }
+
+        const result = {
+            query,
+            total: found.total,
+            offset,
+            results: found.data.map(row => ({
+                id: row.case_id,
+                courtName: row.court_name,
+                judgmentForm: row.judgment_form,
+                justiceKind: row.justice_kind,
+                date: row.case_date,
+                number: row.case_number,
+                summary: row.summary,
+                snippet: row.snippet,
+                rank: Math.round(row.rank * 1000) / 1000,
+                hasFullText: Boolean(row.has_full_text)
+            }))
+        };
+
+        return { ...result, output: OutputFormatter.formatLocalLawSearch(result) };
+    }
+
+    /**
+     * Looks up the decisions of a case by its case or proceeding number. The court code of the number is
+     * mapped to a court of the /courts list. Decisions of the case in all instances are listed; when the API
+     * cannot be reached, the stored decisions are listed instead.
+     * @param {string} number - Case number (755/12345/23, 757/12345/23-ц) or proceeding number (2/755/678/23)
+     * @param {Object} options - Lookup options
+     * @param {number} options.limit - Maximum number of decisions (default 20)
+     * @returns {Promise<Object>} - { number, type, courtCode, year, justiceKind, instance, court, source
+     *   ('api' or 'stored'), total, results, output }; court is { id, code, name, region, instance } or null
+     * @throws {Error} - With status 400 for text that is no case number, 502 when neither the API nor
+     *   stored decisions are available
+     */
+    async lookupCase(number, options = {}) {
+        const { limit = 20 } = options;
+        const parsed = parseCaseNumber(number);
+
+        if (!parsed) {
+            const error = new Error(`Not a case number: ${number} (expected e.g. 755/12345/23 or 2/755/678/23)`);
+            error.status = 400;
+            throw error;
+        }
+
+        const courts = await this.getCourts();
+        const court = courts.success
+            ? (courts.data || []).find(item => String(pick(item, 'code', 'court_code')) === parsed.courtCode)
+            : null;
+        const { source, decisions } = await this._caseDecisions(parsed, limit);
+
+        const result = {
+            number: parsed.number,
+            type: parsed.type,
+            courtCode: parsed.courtCode,
+            year: parsed.year,
+            justiceKind: parsed.justiceKind,
+            instance: parsed.instance,
+            court: court ? {
+                id: court.id,
+                code: parsed.courtCode,
+                name: pick(court, 'name', 'court_name'),
+                region: court.region || null,
+                instance: court.instance || null
+            } : null,
+            source,
+            total: decisions.length,
+            results: decisions.sort((a, b) => String(b.date || '').localeCompare(String(a.date || '')))
+        };
+
+        return { ...result, output: OutputFormatter.formatCaseLookup(result) };
+    }
+
+    /**
+     * Finds the decisions of a parsed case number through the API, or among the stored decisions when
+     * the API fails. A proceeding number is not part of the decision's case number, so for it every
+     * decision found in the same court is kept.
+     * @param {Object} parsed - Parsed case number
+     * @param {number} limit - Maximum number of decisions
+     * @returns {Promise<Object>} - { source, decisions } with decisions as performFullSearch items
+     * @throws {Error} - With status 502 when the API fails and nothing is stored
+     */
+    async _caseDecisions(parsed, limit) {
+        const matches = (decision) => {
+            const own = parseCaseNumber(decision.number);
+
+            return parsed.type === 'case'
+                ? isSameCaseNumber(own, parsed)
+                : isSameCaseNumber(own, parsed) || own?.courtCode === parsed.courtCode;
+        };
+        const found = await this.searchMetadata(parsed.number, { limit });
+
+        if (found.success) {
+            return { source: 'api', decisions: ZakonOnlineClient.pageItems(found.data).map(toItem).filter(matches) };
+        }
+
+        if (!this.zakonOnlineRepository) {
+            const error = new Error(`Zakon Online API unavailable: ${found.error}`);
+            error.status = 502;
+            throw error;
+        }
+
+        const stored = await this._repository().search({
+            match: buildMatchQuery(parsed.number, LOCAL_SEARCH_COLUMNS),
+            limit
+        });
+
+        if (!stored.success) {
+            throw new Error(stored.error);
+        }
+
+        return {
+            source: 'stored',
+            decisions: stored.data.map(row => ({
+                id: row.case_id,
+                courtName: row.court_name,
+                judgmentForm: row.judgment_form,
+                justiceKind: row.justice_kind,
+                date: row.case_date,
+                number: row.case_number,
+                summary: row.summary
+            })).filter(matches)
+        };
+    }
+
+    /**
+     * Gets the AI summary of a dossier: the stored one, or a new one that is then stored with the search
+     * @param {Object} dossier - Dossier without summary
+     * @param {string|null} storedSummary - Summary stored with the search
+     * @returns {Promise<Object>} - { text, stored } or { error }
+     */
+    async _searchSummary(dossier, storedSummary) {
+        if (storedSummary) {
+            return { text: storedSummary, stored: true };
+        }
+
+        if (!this.legalStrategy) {
+            return { error: 'AI summaries are not configured' };
+        }
+
+        if (dossier.cases.length === 0) {
+            return { error: 'the search stored no decisions' };
+        }
+
+        const result = await UsageContext.withRequestType(
+            'legal_search_summary',
+            () => this.legalStrategy.summarizeSearch(buildSummaryMaterial(dossier))
+        );
+
+        if (!result.success) {
+            logError('Search summary failed', { searchId: dossier.id, error: result.error });
+            return { error: result.error };
+        }
+
+        await unwrap(this._repository().saveSummary(dossier.id, result.response), 'affectedRows');
+
+        return { text: result.response, stored: false };
+    }
+
     /**
      * Formats search results for display
      * @param {Object} searchResults - Search results
@@ -285,6 +872,19 @@ class ZakonOnlineService {
             return false;
         }
     }
+
+    /**
+     * Gets the repository of stored searches
+     * @returns {ZakonOnlineRepository} - Repository
+     * @throws {Error} - When the service was created without one
+     */
+    _repository() {
+        if (!this.zakonOnlineRepository) {
+            throw new Error('Zakon Online search storage is not configured');
+        }
+
+        return this.zakonOnlineRepository;
+    }
 }
 
 module.exports = ZakonOnlineService; 
\ No newline at end of file
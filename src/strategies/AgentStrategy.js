@@ -0,0 +1,186 @@
+const LLMProviderFactory = require('../factories/LLMProviderFactory');
+const AgentTools = require('../modules/agentTools');
+const PromptService = require('../services/promptService');
+const { logInfo, logSecurity } = require('../utils/logger');
+const config = require('../config/app');
+
+/**
+ * Strategy for the tool-using agent: the model may call the terminal's own tools
+ * (ping, nslookup, whois, traceroute, court decision search) before it answers.
+ */
+class AgentStrategy {
+    /**
+     * @param {ILLMProvider} llmClient - LLM provider (defaults to the provider configured in config.openai)
+     * @param {Array<Object>} tools - Callable tools (defaults to AgentTools.list())
+     * @param {PromptService} promptService - Prompt templates (defaults to the built-in ones)
+     */
+    constructor(
+        llmClient = LLMProviderFactory.create(),
+        tools = AgentTools.list(),
+        promptService = new PromptService()
+    ) {
+        this.llmClient = llmClient;
+        this.tools = tools;
+        this.promptService = promptService;
+    }
+
+    /**
+     * Answers a question, running the tools the model asks for
+     * @param {string} query - User question
+     * @param {Object} context - Processing context
+     * @param {boolean} context.isAdmin - Unlocks the admin-only network tools
+     * @param {string} context.userIp - Client IP recorded with network policy denials
+     * @param {Array<Object>} context.history - Earlier messages of the session
+     * @returns {Promise<Object>} - Processing result with the tool transcript
+     */
+    async process(query, context = {}) {
+        try {
+            const { response, transcript, truncated } = await this.run(query, context);
+
+            return {
+                success: true,
+                response,
+                transcript,
+                truncated,
+                command: query
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                status: error.status,
+                command: query
+            };
+        }
+    }
+
+    /**
+     * Runs the tool loop until the model answers or the iteration cap is reached
+     * @param {string} query - User question
+     * @param {Object} context - Processing context
+     * @returns {Promise<Object>} - { response, transcript, truncated }
+     */
+    async run(query, context = {}) {
+        const { maxIterations } = config.ai.agent;
+        const tools = this.tools.filter(tool => AgentTools.isPermitted(tool, context.isAdmin));
+        const transcript = [];
+        const prompt = await this.getSystemPrompt(tools);
+        const messages = [
+            { role: 'system', content: prompt.content },
+            ...(context.history || []),
+            { role: 'user', content: query }
+        ];
+
+        for (let iteration = 0; iteration < maxIterations; iteration++) {
+            const message = await this._complete(messages, tools, prompt.ref);
+            const calls = message.tool_calls || [];
+
+            if (calls.length === 0) {
+                return { response: (message.content || '').trim(), transcript, truncated: false };
+            }
+
+            messages.push({ role: 'assistant', content: message.content || '', tool_calls: calls });
+
+            for (const call of calls) {
+                const entry = await this.callTool(call, tools, context);
+
+                transcript.push(entry);
+                messages.push({ role: 'tool', tool_call_id: call.id, content: entry.output });
+            }
+        }
+
+        logInfo('Agent iteration limit reached', { query, maxIterations, tools: transcript.length });
+
+        messages.push({
+            role: 'user',
+            content: 'Tool limit reached. Answer now with the results you already have.'
+        });
+
+        const message = await this._complete(messages, [], prompt.ref);
+
+        return { response: (message.content || '').trim(), transcript, truncated: true };
+    }
+
+    /**
+     * Runs one tool call after validating it
+     * @param {Object} call - OpenAI tool call { id, function: { name, arguments } }
+     * @param {Array<Object>} tools - Tools offered to the model
+     * @param {Object} context - Processing context
+     * @returns {Promise<Object>} - Transcript entry { tool, args, status, output }; status is ok, error or rejected
+     */
+    async callTool(call, tools, context) {
+        const name = call.function?.name;
+        const tool = tools.find(item => item.name === name);
+        let args;
+
+        try {
+            args = JSON.parse(call.function?.arguments || '{}');
+        } catch (error) {
+            return { tool: name, args: {}, status: 'rejected', output: 'Error: arguments are not valid JSON' };
+        }
+
+        if (!tool) {
+            return { tool: name, args, status: 'rejected', output: `Error: unknown tool ${name}` };
+        }
+
+        const validation = AgentTools.validate(tool, args, context.isAdmin);
+
+        if (!validation.isValid) {
+            logSecurity('Agent tool call rejected', { tool: name, args, error: validation.error, ip: context.userIp });
+            return { tool: name, args, status: 'rejected', output: `Error: ${validation.error}` };
+        }
+
+        try {
+            const output = String(await tool.run(args, context));
+
+            return { tool: name, args, status: 'ok', output: output.slice(0, config.ai.agent.maxToolOutput) };
+        } catch (error) {
+            return { tool: name, args, status: 'error', output: `Error: ${error.message}` };
+        }
+    }
+
+    /**
+     * Renders the agent.system prompt
+     * @param {Array<Object>} tools - Tools offered to the model
+     * @returns {Promise<Object>} - Rendered template { content, ref }
+     */
+    getSystemPrompt(tools) {
+        const available = tools.length > 0 ? tools.map(tool => tool.name).join(', ') : 'none';
+
+        return this.promptService.render('agent.system', { tools: available });
+    }
+
+    /**
+     * Requests one model turn
+     * @param {Array<Object>} messages - Conversation so far
+     * @param {Array<Object>} tools - Tools offered to the model
+     * @param {string} promptRef - Version of the system prompt (name@version)
+     * @returns {Promise<Object>} - Assistant message
+     */
+    async _complete(messages, tools, promptRef) {
+        const { maxTokens, temperature } = config.ai.agent;
+        const params = { messages, max_tokens: maxTokens, temperature };
+
+        if (tools.length > 0) {
+            params.tools = tools.map(tool => AgentTools.toFunction(tool));
+        }
+
+        const completion = await this.llmClient.createChatCompletion(params, { prompt: promptRef });
+
+        return completion.choices[0].message;
+    }
+
+    /**
+     * Checks LLM provider availability
+     * @returns {Promise<boolean>} - Whether the provider is available
+     */
+    async isAvailable() {
+        try {
+            return await this.llmClient.isAvailable();
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
+module.exports = AgentStrategy;
@@ -1,14 +1,17 @@
-const OpenAI = require('openai');
-const config = require('../config/app');
+const LLMProviderFactory = require('../factories/LLMProviderFactory');
+const PromptService = require('../services/promptService');
 
 /**
  * Strategy for command processing
  */
 class CommandStrategy {
-    constructor() {
-        this.openai = new OpenAI({
-            apiKey: config.openai.apiKey
-        });
+    /**
+     * @param {ILLMProvider} llmClient - LLM provider (defaults to the provider configured in config.openai)
+     * @param {PromptService} promptService - Prompt templates (defaults to the built-in ones)
+     */
+    constructor(llmClient = LLMProviderFactory.create(), promptService = new PromptService()) {
+        this.llmClient = llmClient;
+        this.promptService = promptService;
     }
 
     /**
@@ -19,41 +22,83 @@ class CommandStrategy {
      */
     async process(query, context = {}) {
         try {
-            const completion = await this.openai.chat.completions.create({
-                model: config.openai.model,
-                messages: [
-                    {
-                        role: 'system',
-                        content: `You are a helpful assistant for a retro terminal server.
-                        The user has entered a command that doesn't exist in the system.
-                        Provide a helpful response that explains what they might have meant or suggest alternatives.
-                        Keep responses concise and in the style of a 1970s computer terminal.
-                        Do not use HTML tags or emojis in your response.`
-                    },
-                    {
-                        role: 'user',
-                        content: `Unknown command: ${query}`
-                    }
-                ],
-                max_tokens: 150,
-                temperature: 0.7
-            });
+            const prompt = await this.promptService.render('command.unknown');
+            const completion = await this.llmClient.createChatCompletion(
+                this.buildRequest(query, context, prompt.content),
+                { prompt: prompt.ref, cannedAnswer: true }
+            );
 
             const response = completion.choices[0].message.content.trim();
 
             return {
                 success: true,
                 response: response,
-                command: query
+                command: query,
+                degraded: completion.degraded
             };
         } catch (error) {
             return {
                 success: false,
                 error: error.message,
+                status: error.status,
                 command: query
             };
         }
     }
+
+    /**
+     * Streams the command response as it is generated
+     * @param {string} query - User query
+     * @param {Object} context - Processing context; context.signal aborts the request, context.onDegraded
+     *                           learns when the answer comes from the fallback model or is the canned notice
+     * @returns {AsyncIterable<string>} - Response tokens
+     * @throws {Error} - When the provider fails
+     */
+    async *stream(query, context = {}) {
+        const prompt = await this.promptService.render('command.unknown');
+
+        yield* this.llmClient.streamChatCompletion(
+            this.buildRequest(query, context, prompt.content),
+            { signal: context.signal, prompt: prompt.ref, cannedAnswer: true, onDegraded: context.onDegraded }
+        );
+    }
+
+    /**
+     * Builds the chat completion request
+     * @param {string} query - User query
+     * @param {Object} context - Processing context; context.history holds earlier messages of the session
+     * @param {string} systemPrompt - Rendered command.unknown template
+     * @returns {Object} - Chat completion parameters
+     */
+    buildRequest(query, context, systemPrompt) {
+        return {
+            messages: [
+                {
+                    role: 'system',
+                    content: systemPrompt
+                },
+                ...(context.history || []),
+                {
+                    role: 'user',
+                    content: `Unknown command: ${query}`
+                }
+            ],
+            max_tokens: 150,
+            temperature: 0.7
+        };
+    }
+
+    /**
+     * Checks LLM provider availability
+     * @returns {Promise<boolean>} - Whether the provider is available
+     */
+    async isAvailable() {
+        try {
+            return await this.llmClient.isAvailable();
+        } catch (error) {
+            return false;
+        }
+    }
 }
 
 module.exports = CommandStrategy; 
\ No newline at end of file
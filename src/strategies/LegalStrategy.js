@@ -1,14 +1,20 @@
-const OpenAI = require('openai');
-const config = require('../config/app');
+const LLMProviderFactory = require('../factories/LLMProviderFactory');
+const PromptService = require('../services/promptService');
+const StructuredOutput = require('../modules/llm/StructuredOutput');
+const { findCaseNumbers } = require('../utils/caseNumber');
 
 /**
  * Strategy for legal request processing
  */
 class LegalStrategy {
-    constructor() {
-        this.openai = new OpenAI({
-            apiKey: config.openai.apiKey
-        });
+    /**
+     * @param {ILLMProvider} llmClient - LLM provider (defaults to the provider configured in config.openai)
+     * @param {PromptService} promptService - Prompt templates (defaults to the built-in ones)
+     */
+    constructor(llmClient = LLMProviderFactory.create(), promptService = new PromptService()) {
+        this.llmClient = llmClient;
+        this.promptService = promptService;
+        this.structuredOutput = new StructuredOutput(llmClient, promptService);
     }
 
     /**
@@ -19,16 +25,12 @@ class LegalStrategy {
      */
     async process(query, context = {}) {
         try {
-            const completion = await this.openai.chat.completions.create({
-                model: config.openai.model,
+            const prompt = await this.promptService.render('legal.answer');
+            const completion = await this.llmClient.createChatCompletion({
                 messages: [
                     {
                         role: 'system',
-                        content: `You are a legal AI assistant specializing in Ukrainian law.
-                        The user has asked a legal question. Provide accurate legal information and guidance.
-                        Always recommend consulting with a qualified attorney for specific legal advice.
-                        Keep responses professional and informative.
-                        Do not use HTML tags or emojis in your response.`
+                        content: prompt.content
                     },
                     {
                         role: 'user',
@@ -37,7 +39,7 @@ class LegalStrategy {
                 ],
                 max_tokens: 300,
                 temperature: 0.3
-            });
+            }, { prompt: prompt.ref });
 
             const response = completion.choices[0].message.content.trim();
 
@@ -50,6 +52,7 @@ class LegalStrategy {
             return {
                 success: false,
                 error: error.message,
+                status: error.status,
                 query: query
             };
         }
@@ -63,27 +66,11 @@ class LegalStrategy {
      */
     async detectLegalRequest(query, context = {}) {
         try {
-            const completion = await this.openai.chat.completions.create({
-                model: config.openai.model,
-                messages: [
-                    {
-                        role: 'system',
-                        content: `You are a legal request detector.
-                        Determine if the user's query is related to legal matters, court cases, or Ukrainian law.
-                        Respond with JSON: {"isLegal": true/false, "confidence": 0-1, "reason": "explanation"}`
-                    },
-                    {
-                        role: 'user',
-                        content: query
-                    }
-                ],
+            const result = await this.structuredOutput.request('legal.detect', query, {
                 max_tokens: 200,
                 temperature: 0.3
             });
 
-            const response = completion.choices[0].message.content;
-            const result = JSON.parse(response);
-
             return {
                 success: true,
                 isLegal: result.isLegal,
@@ -95,6 +82,7 @@ class LegalStrategy {
             return {
                 success: false,
                 error: error.message,
+                status: error.status,
                 query: query
             };
         }
@@ -108,27 +96,11 @@ class LegalStrategy {
      */
     async extractSearchQuery(query, context = {}) {
         try {
-            const completion = await this.openai.chat.completions.create({
-                model: config.openai.model,
-                messages: [
-                    {
-                        role: 'system',
-                        content: `Extract a search query for Ukrainian legal database from the user's request.
-                        Focus on key legal terms, court cases, or legal issues mentioned.
-                        Respond with JSON: {"searchQuery": "extracted query", "confidence": 0-1}`
-                    },
-                    {
-                        role: 'user',
-                        content: query
-                    }
-                ],
+            const result = await this.structuredOutput.request('legal.search_query', query, {
                 max_tokens: 150,
                 temperature: 0.3
             });
 
-            const response = completion.choices[0].message.content;
-            const result = JSON.parse(response);
-
             return {
                 success: true,
                 searchQuery: result.searchQuery,
@@ -139,10 +111,139 @@ class LegalStrategy {
             return {
                 success: false,
                 error: error.message,
+                status: error.status,
                 originalQuery: query
             };
         }
     }
+
+    /**
+     * Detects whether a request asks for court case numbers; a request that contains a case or
+     * proceeding number is recognised without asking the LLM
+     * @param {string} query - User query
+     * @returns {Promise<boolean>} - Whether the query asks for case numbers (false when detection fails)
+     */
+    async detectCourtCaseNumbersRequest(query) {
+        if (findCaseNumbers(query).length > 0) {
+            return true;
+        }
+
+        try {
+            const response = await this._complete('legal.detect_case_numbers', query, {
+                max_tokens: 10,
+                temperature: 0.1
+            });
+
+            return response.toUpperCase() === 'YES';
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Processes a request for court case numbers
+     * @param {string} query - Court case query
+     * @returns {Promise<Object>} - Processing result
+     */
+    async processCourtCaseRequest(query) {
+        try {
+            const response = await this._complete('legal.court_cases', query, { max_tokens: 1000, temperature: 0.3 });
+
+            return {
+                success: true,
+                response,
+                query
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                status: error.status,
+                query
+            };
+        }
+    }
+
+    /**
+     * Processes a request about Territorial Recruitment Centers (TCC)
+     * @param {string} command - TCC command
+     * @returns {Promise<Object>} - Processing result
+     */
+    async processTCCRequest(command) {
+        try {
+            const response = await this._complete('legal.tcc', command, { max_tokens: 1000, temperature: 0.3 });
+
+            return {
+                success: true,
+                response,
+                query: command
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                status: error.status,
+                query: command
+            };
+        }
+    }
+
+    /**
+     * Summarizes the decisions of a stored search for its dossier export
+     * @param {string} material - Query and decisions as plain text
+     * @returns {Promise<Object>} - Processing result: { success, response } or { success: false, error, status }
+     */
+    async summarizeSearch(material) {
+        try {
+            const response = await this._complete('legal.search_summary', material, {
+                max_tokens: 800,
+                temperature: 0.2
+            });
+
+            return {
+                success: true,
+                response
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                status: error.status
+            };
+        }
+    }
+
+    /**
+     * Sends a query with a system prompt template
+     * @param {string} templateName - Prompt template name
+     * @param {string} query - User query
+     * @param {Object} options - { max_tokens, temperature }
+     * @returns {Promise<string>} - Trimmed response text
+     */
+    async _complete(templateName, query, options) {
+        const prompt = await this.promptService.render(templateName);
+        const completion = await this.llmClient.createChatCompletion({
+            messages: [
+                { role: 'system', content: prompt.content },
+                { role: 'user', content: query }
+            ],
+            ...options
+        }, { prompt: prompt.ref });
+
+        return completion.choices[0].message.content.trim();
+    }
+
+    /**
+     * Checks LLM provider availability
+     * @returns {Promise<boolean>} - Whether the provider is available
+     */
+    async isAvailable() {
+        try {
+            return await this.llmClient.isAvailable();
+        } catch (error) {
+            return false;
+        }
+    }
 }
 
 module.exports = LegalStrategy; 
\ No newline at end of file
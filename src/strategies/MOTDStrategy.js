@@ -1,14 +1,17 @@
-const OpenAI = require('openai');
-const config = require('../config/app');
+const LLMProviderFactory = require('../factories/LLMProviderFactory');
+const PromptService = require('../services/promptService');
 
 /**
  * Strategy for MOTD (Message of the Day) generation
  */
 class MOTDStrategy {
-    constructor() {
-        this.openai = new OpenAI({
-            apiKey: config.openai.apiKey
-        });
+    /**
+     * @param {ILLMProvider} llmClient - LLM provider (defaults to the provider configured in config.openai)
+     * @param {PromptService} promptService - Prompt templates (defaults to the built-in ones)
+     */
+    constructor(llmClient = LLMProviderFactory.create(), promptService = new PromptService()) {
+        this.llmClient = llmClient;
+        this.promptService = promptService;
     }
 
     /**
@@ -19,24 +22,12 @@ class MOTDStrategy {
      */
     async process(query, context = {}) {
         try {
-            const completion = await this.openai.chat.completions.create({
-                model: config.openai.model,
+            const prompt = await this.promptService.render('motd.generate');
+            const completion = await this.llmClient.createChatCompletion({
                 messages: [
                     {
                         role: 'system',
-                        content: `You are a retro terminal MOTD (Message of the Day) generator.
-                        Create a brief, entertaining message that would appear when users log into a classic UNIX system.
-                        The message should be:
-                        - Retro/classic computer style
-                        - Brief (1-2 lines)
-                        - Slightly humorous or informative
-                        - No HTML tags or emojis
-                        - ASCII art is acceptable
-                        
-                        Examples:
-                        "Welcome to the retro terminal! Type 'help' for available commands."
-                        "System status: All circuits operational. Coffee level: Critical."
-                        "Greetings, user! The mainframe is at your service."`
+                        content: prompt.content
                     },
                     {
                         role: 'user',
@@ -45,7 +36,7 @@ class MOTDStrategy {
                 ],
                 max_tokens: 100,
                 temperature: 0.8
-            });
+            }, { prompt: prompt.ref });
 
             const motdMessage = completion.choices[0].message.content.trim();
 
@@ -58,10 +49,23 @@ class MOTDStrategy {
             return {
                 success: false,
                 error: error.message,
+                status: error.status,
                 query: query
             };
         }
     }
+
+    /**
+     * Checks LLM provider availability
+     * @returns {Promise<boolean>} - Whether the provider is available
+     */
+    async isAvailable() {
+        try {
+            return await this.llmClient.isAvailable();
+        } catch (error) {
+            return false;
+        }
+    }
 }
 
 module.exports = MOTDStrategy; 
\ No newline at end of file
@@ -0,0 +1,170 @@
+/**
+ * Parses Ukrainian court case numbers. A unified case number (єдиний унікальний номер) is
+ * <court code>/<ordinal>/<two-digit year>, e.g. 755/12345/23, sometimes with the letter of the justice
+ * kind appended (757/12345/23-ц). A proceeding number (номер провадження) puts the kind of proceeding
+ * in front of the court code: 2/755/678/23, 1-кп/757/310/22, 22-ц/824/1234/23, К/9901/1234/19.
+ * Court codes have three or four digits, so dates such as 12/05/23 are not taken for case numbers,
+ * and a four-digit code that reads as a year followed by a month and a day (2023/12/05) is a date as well.
+ */
+
+// Justice kind by the number of a proceeding prefix; doubled numbers (11, 22, 33) are appeals
+const PROCEEDING_KINDS = {
+    1: 'Кримінальне',
+    2: 'Цивільне',
+    3: 'Справи про адмінправопорушення'
+};
+
+// Justice kind by the letters of a prefix (1-кп, 2-а) or of a case number suffix (757/12345/23-ц)
+const LETTER_KINDS = {
+    ц: 'Цивільне',
+    к: 'Кримінальне',
+    кп: 'Кримінальне',
+    кс: 'Кримінальне',
+    а: 'Адміністративне',
+    ап: 'Адміністративне',
+    г: 'Господарське'
+};
+
+const PROCEEDING_NUMBER = new RegExp([
+    '(?<![\\p{L}\\p{N}/])(\\d{1,2}(?:-[а-яіїєґ]{1,3})?|[кп])',
+    '\\s*/\\s*([1-9]\\d{2,3})\\s*/\\s*(\\d{1,6})\\s*/\\s*(\\d{2})(?![\\p{N}/])'
+].join(''), 'giu');
+
+const CASE_NUMBER = new RegExp([
+    '(?<![\\p{L}\\p{N}/-])([1-9]\\d{2,3})\\s*/\\s*(\\d{1,6})\\s*/\\s*(\\d{2})',
+    '(?:\\s*-\\s*([а-яіїєґ]{1,2}))?(?![\\p{L}\\p{N}/])'
+].join(''), 'giu');
+
+/**
+ * Turns a two-digit year into a full one (years ahead of the current one are taken as 19xx)
+ * @param {string} digits - Two-digit year
+ * @returns {number} - Year
+ */
+const fullYear = (digits) => {
+    const year = 2000 + parseInt(digits, 10);
+
+    return year > new Date().getFullYear() ? year - 100 : year;
+};
+
+/**
+ * Checks whether the parts of a match read as a year/month/day date
+ * @param {string} courtCode - Court code
+ * @param {string} ordinal - Ordinal number
+ * @param {string} year - Two-digit year
+ * @returns {boolean} - Whether the match is a date such as 2023/12/05
+ */
+const isDate = (courtCode, ordinal, year) => (/^(?:19|20)\d{2}$/).test(courtCode) &&
+    ordinal.length <= 2 && parseInt(ordinal, 10) >= 1 && parseInt(ordinal, 10) <= 12 &&
+    parseInt(year, 10) >= 1 && parseInt(year, 10) <= 31;
+
+/**
+ * Gets the justice kind and instance of a proceeding prefix
+ * @param {string} prefix - Prefix: 2, 1-кп, 22-ц, К
+ * @returns {Object} - { justiceKind, instance } (null when the prefix tells nothing)
+ */
+const describePrefix = (prefix) => {
+    if (prefix === 'К' || prefix === 'П') {
+        return { justiceKind: prefix === 'К' ? 'Адміністративне' : null, instance: 'Касаційна' };
+    }
+
+    const [number, letters] = prefix.split('-');
+    const doubled = (/^(\d)\1$/).test(number);
+
+    return {
+        justiceKind: LETTER_KINDS[letters] || PROCEEDING_KINDS[doubled ? number[0] : number] || null,
+        instance: doubled ? 'Апеляційна' : null
+    };
+};
+
+/**
+ * Builds the parsed case number of a match
+ * @param {Object} fields - { raw, index, prefix, courtCode, ordinal, year, suffix }
+ * @returns {Object} - Parsed case number (see findCaseNumbers)
+ */
+const toCaseNumber = ({ raw, index, prefix, courtCode, ordinal, year, suffix }) => {
+    const { justiceKind, instance } = prefix ? describePrefix(prefix) : { justiceKind: null, instance: null };
+    const number = [prefix, courtCode, ordinal, year].filter(Boolean).join('/');
+
+    return {
+        raw,
+        index,
+        type: prefix ? 'proceeding' : 'case',
+        number: suffix ? `${number}-${suffix}` : number,
+        prefix: prefix || null,
+        courtCode,
+        ordinal,
+        year: fullYear(year),
+        suffix: suffix || null,
+        justiceKind: justiceKind || LETTER_KINDS[suffix] || null,
+        instance
+    };
+};
+
+/**
+ * Finds the case and proceeding numbers in a text
+ * @param {string} text - Text, e.g. a user request
+ * @returns {Array<Object>} - In order of appearance: { raw, index, type ('case' or 'proceeding'), number
+ *   (normalised: no spaces, ASCII dashes, lowercase letters, К/П in uppercase), prefix, courtCode, ordinal,
+ *   year (four digits), suffix, justiceKind, instance } (justiceKind and instance are null when unknown)
+ */
+const findCaseNumbers = (text) => {
+    const source = String(text || '').normalize('NFKC').replace(/[‐-―−]/g, '-');
+    const found = [];
+
+    for (const match of source.matchAll(PROCEEDING_NUMBER)) {
+        const prefix = match[1].toLowerCase();
+
+        found.push(toCaseNumber({
+            raw: match[0],
+            index: match.index,
+            prefix: (/^[кп]$/).test(prefix) ? prefix.toUpperCase() : prefix,
+            courtCode: match[2],
+            ordinal: match[3],
+            year: match[4]
+        }));
+    }
+
+    for (const match of source.matchAll(CASE_NUMBER)) {
+        const inside = found.some(item => match.index >= item.index && match.index < item.index + item.raw.length);
+
+        if (!inside && !isDate(match[1], match[2], match[3])) {
+            found.push(toCaseNumber({
+                raw: match[0],
+                index: match.index,
+                courtCode: match[1],
+                ordinal: match[2],
+                year: match[3],
+                suffix: match[4] && match[4].toLowerCase()
+            }));
+        }
+    }
+
+    return found.sort((a, b) => a.index - b.index);
+};
+
+/**
+ * Parses the first case or proceeding number of a text
+ * @param {string} text - Text
+ * @returns {Object|null} - Parsed number (see findCaseNumbers), null when there is none
+ */
+const parseCaseNumber = (text) => findCaseNumbers(text)[0] || null;
+
+/**
+ * Checks whether two parsed numbers name the same case or proceeding (the kind suffix and leading
+ * zeros of the ordinal number are ignored)
+ * @param {Object} a - Parsed number
+ * @param {Object} b - Parsed number
+ * @returns {boolean} - Whether they are the same
+ */
+const isSameCaseNumber = (a, b) => Boolean(a && b) &&
+    a.type === b.type &&
+    a.prefix === b.prefix &&
+    a.courtCode === b.courtCode &&
+    parseInt(a.ordinal, 10) === parseInt(b.ordinal, 10) &&
+    a.year === b.year;
+
+module.exports = {
+    findCaseNumbers,
+    parseCaseNumber,
+    isSameCaseNumber
+};
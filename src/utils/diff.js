@@ -0,0 +1,69 @@
+/**
+ * Line diff based on the longest common subsequence.
+ * Good enough for prompt templates (tens of lines); not meant for large files.
+ */
+
+/**
+ * Splits a text into lines
+ * @param {string} text - Text
+ * @returns {Array<string>} - Lines (an empty text has none)
+ */
+const splitLines = (text) => (text ? String(text).split('\n') : []);
+
+/**
+ * Computes the line diff of two texts
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {Array<Object>} - Lines { type, text } in order; type is 'same', 'added' or 'removed'
+ */
+const diffLines = (before, after) => {
+    const a = splitLines(before);
+    const b = splitLines(after);
+    // lengths[i][j] is the LCS length of a[i..] and b[j..]
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const lines = [];
+    let i = 0;
+    let j = 0;
+
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            lines.push({ type: 'same', text: a[i] });
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            lines.push({ type: 'removed', text: a[i++] });
+        } else {
+            lines.push({ type: 'added', text: b[j++] });
+        }
+    }
+
+    a.slice(i).forEach(text => lines.push({ type: 'removed', text }));
+    b.slice(j).forEach(text => lines.push({ type: 'added', text }));
+
+    return lines;
+};
+
+/**
+ * Formats a line diff as unified-style text without hunk headers
+ * @param {Array<Object>} lines - Result of diffLines()
+ * @returns {string} - Lines prefixed with ' ', '+' or '-'
+ */
+const formatDiff = (lines) => {
+    const prefixes = { same: ' ', added: '+', removed: '-' };
+
+    return lines.map(line => `${prefixes[line.type]}${line.text}`).join('\n');
+};
+
+module.exports = {
+    diffLines,
+    formatDiff
+};
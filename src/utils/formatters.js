@@ -53,6 +53,406 @@ function formatNetworkResult(command, result) {
     return formatted;
 }
 
+/**
+ * Normalizes raw command output for terminal display
+ * @param {string} output - Raw command output
+ * @returns {string} - Formatted output
+ */
+function formatOutput(output) {
+    if (!output || typeof output !== 'string') {
+        return 'No output available';
+    }
+
+    return output
+        .replace(/\r\n/g, '\n')
+        .split('\n')
+        .map(line => line.trimEnd())
+        .join('\n')
+        .trim();
+}
+
+/**
+ * Formats a host with an optional port, bracketing IPv6 literals ([2001:db8::1]:443)
+ * @param {string} host - Hostname or IP address
+ * @param {number} port - Port
+ * @returns {string} - Formatted address
+ */
+function formatHostPort(host, port = null) {
+    const bracketed = host.includes(':') && !host.startsWith('[') ? `[${host}]` : host;
+
+    if (port === null || port === undefined) {
+        return host;
+    }
+
+    return `${bracketed}:${port}`;
+}
+
+/**
+ * Formats ping output for terminal display
+ * @param {string} output - Raw ping output
+ * @returns {string} - Formatted output
+ */
+function formatPingOutput(output) {
+    return formatOutput(output);
+}
+
+/**
+ * Formats a DNS lookup result in dig style
+ * @param {Object} result - Lookup result ({ query, status, answers, queryTime })
+ * @returns {string} - Formatted result
+ */
+function formatDigOutput(result) {
+    const { query, status, answers, queryTime } = result;
+    const questionName = query.name.endsWith('.') ? query.name : `${query.name}.`;
+
+    let formatted = `;; ->>HEADER<<- status: ${status}, ANSWER: ${answers.length}\n\n`;
+    formatted += ';; QUESTION SECTION:\n';
+    formatted += `;${questionName}\t\tIN\t${query.type}\n`;
+
+    if (answers.length > 0) {
+        formatted += '\n;; ANSWER SECTION:\n';
+        answers.forEach(answer => {
+            const ttl = answer.ttl === null ? '' : answer.ttl;
+            formatted += `${answer.name}\t${ttl}\tIN\t${answer.type}\t${answer.value}\n`;
+        });
+    }
+
+    formatted += `\n;; Query time: ${queryTime} msec\n`;
+    formatted += `;; SERVER: ${query.server || 'system default'}`;
+
+    return formatted;
+}
+
+/**
+ * Formats a TCP port check result
+ * @param {Object} result - Port check result ({ hostname, address, timeout, results })
+ * @returns {string} - Formatted result
+ */
+function formatPortCheckOutput(result) {
+    const { hostname, address, timeout, results } = result;
+    const open = results.filter(port => port.state === 'open').length;
+
+    let formatted = `TCPING ${hostname} (${address}), timeout ${timeout} ms\n\n`;
+    formatted += 'PORT      STATE      LATENCY\n';
+
+    results.forEach(port => {
+        const latency = port.latency === null ? '-' : `${port.latency} ms`;
+        formatted += `${`${port.port}/tcp`.padEnd(10)}${port.state.padEnd(11)}${latency}\n`;
+    });
+
+    formatted += `\n${results.length} port(s) probed, ${open} open`;
+
+    return formatted;
+}
+
+/**
+ * Formats an HTTP probe result
+ * @param {Object} probe - Probe result ({ finalUrl, status, headers, redirects, timings, certificate })
+ * @returns {string} - Formatted result
+ */
+function formatHttpProbeOutput(probe) {
+    const { timings, certificate } = probe;
+    const ms = (value) => (value === null ? '-' : `${value} ms`);
+
+    let formatted = `HTTP/${probe.httpVersion} ${probe.status} ${probe.statusText}\n`;
+    formatted += `URL: ${probe.finalUrl}\n`;
+
+    if (probe.redirects.length > 0) {
+        formatted += '\nREDIRECTS:\n';
+        probe.redirects.forEach((redirect, index) => {
+            formatted += `  ${index + 1}. ${redirect.status} ${redirect.url} -> ${redirect.location}\n`;
+        });
+    }
+
+    formatted += '\nTIMINGS:\n';
+    formatted += `  DNS lookup:     ${ms(timings.dns)}\n`;
+    formatted += `  TCP connect:    ${ms(timings.connect)}\n`;
+    formatted += `  TLS handshake:  ${ms(timings.tls)}\n`;
+    formatted += `  First byte:     ${ms(timings.ttfb)}\n`;
+    formatted += `  Total:          ${ms(timings.total)}`;
+    formatted += probe.bodyTruncated ? ` (body read up to ${probe.bodyBytes} bytes)\n` : '\n';
+
+    formatted += '\nHEADERS:\n';
+    Object.entries(probe.headers).forEach(([name, value]) => {
+        formatted += `  ${name}: ${value}\n`;
+    });
+
+    if (certificate) {
+        formatted += '\nCERTIFICATE:\n';
+        formatted += `  Subject:  ${certificate.subject}\n`;
+        formatted += `  Issuer:   ${certificate.issuer}\n`;
+        formatted += `  SAN:      ${certificate.san.join(', ')}\n`;
+        formatted += `  Valid:    ${certificate.validFrom} - ${certificate.validTo}\n`;
+        formatted += `  Expires:  in ${certificate.daysUntilExpiry} day(s)`;
+        formatted += certificate.authorized ? '\n' : ` [UNTRUSTED: ${certificate.authorizationError}]\n`;
+    }
+
+    return formatted.trimEnd();
+}
+
+/**
+ * Formats a list of network monitors
+ * @param {Array} monitors - Monitors with 24h stats
+ * @returns {string} - Formatted result
+ */
+function formatMonitorList(monitors) {
+    if (monitors.length === 0) {
+        return 'No monitors configured. Use: monitor add <ping|tcp|http> <target> [port] [interval]';
+    }
+
+    let formatted = 'ID   TYPE  STATUS   UPTIME   P95        INTERVAL  TARGET\n';
+
+    monitors.forEach(monitor => {
+        const { stats } = monitor;
+        const uptime = stats.uptime === null ? '-' : `${stats.uptime}%`;
+        const p95 = stats.latency.p95 === null ? '-' : `${stats.latency.p95} ms`;
+        const target = monitor.type === 'tcp' ? formatHostPort(monitor.target, monitor.port) : monitor.target;
+        const status = monitor.is_enabled ? monitor.status : 'paused';
+
+        formatted += `${String(monitor.id).padEnd(5)}${monitor.type.padEnd(6)}${status.toUpperCase().padEnd(9)}`;
+        formatted += `${uptime.padEnd(9)}${p95.padEnd(11)}${`${monitor.interval_seconds}s`.padEnd(10)}${target}\n`;
+    });
+
+    return formatted.trimEnd();
+}
+
+/**
+ * Formats a single network monitor with statistics and recent results
+ * @param {Object} monitor - Monitor
+ * @param {Object} stats - Statistics
+ * @param {Array} results - Recent results, newest first
+ * @returns {string} - Formatted result
+ */
+function formatMonitorDetails(monitor, stats, results) {
+    const ms = (value) => (value === null ? '-' : `${value} ms`);
+    const target = monitor.type === 'tcp' ? formatHostPort(monitor.target, monitor.port) : monitor.target;
+
+    let formatted = `MONITOR #${monitor.id} ${monitor.name}\n`;
+    formatted += '==========================================\n';
+    formatted += `Type:       ${monitor.type}\n`;
+    formatted += `Target:     ${target}\n`;
+    formatted += `Interval:   ${monitor.interval_seconds}s${monitor.is_enabled ? '' : ' (paused)'}\n`;
+    formatted += `Status:     ${monitor.status.toUpperCase()} since ${monitor.last_change_at || '-'}\n`;
+    formatted += `Checked:    ${monitor.last_checked_at || 'never'}\n\n`;
+
+    formatted += `UPTIME (24h): ${stats.uptime === null ? '-' : `${stats.uptime}%`}`;
+    formatted += ` (${stats.up} up / ${stats.down} down)\n`;
+    formatted += `LATENCY:      min ${ms(stats.latency.min)}  avg ${ms(stats.latency.avg)}  `;
+    formatted += `max ${ms(stats.latency.max)}\n`;
+    formatted += `              p50 ${ms(stats.latency.p50)}  p90 ${ms(stats.latency.p90)}  `;
+    formatted += `p95 ${ms(stats.latency.p95)}  p99 ${ms(stats.latency.p99)}\n`;
+
+    if (results.length > 0) {
+        formatted += '\nRECENT CHECKS:\n';
+        results.forEach(result => {
+            const detail = result.error ? `  ${result.error}` : '';
+            const status = result.status.toUpperCase().padEnd(5);
+            formatted += `  ${result.created_at}  ${status} ${ms(result.latency)}${detail}\n`;
+        });
+    }
+
+    return formatted.trimEnd();
+}
+
+/**
+ * Formats an AI assistant conversation thread
+ * @param {Object} history - { summary, messages, tokens }
+ * @returns {string} - Formatted result
+ */
+function formatConversation(history) {
+    if (!history.summary && history.messages.length === 0) {
+        return 'No AI conversation yet. Type a question at the prompt to start one.';
+    }
+
+    let formatted = `AI CONVERSATION (~${history.tokens} tokens)\n`;
+    formatted += '==========================================\n';
+
+    if (history.summary) {
+        formatted += `EARLIER: ${history.summary}\n\n`;
+    }
+
+    history.messages.forEach(message => {
+        formatted += `${message.role === 'user' ? '> ' : ''}${message.content}\n`;
+
+        if (message.role === 'assistant') {
+            formatted += '\n';
+        }
+    });
+
+    return formatted.trimEnd();
+}
+
+/**
+ * Formats an agent answer preceded by the transcript of the tools it ran
+ * @param {Object} result - { response, transcript, truncated }
+ * @returns {string} - Formatted result
+ */
+function formatAgentResult(result) {
+    if (result.transcript.length === 0) {
+        return result.response;
+    }
+
+    let formatted = 'TOOLS RUN:\n';
+
+    result.transcript.forEach((entry, index) => {
+        const args = Object.values(entry.args).join(' ');
+        formatted += `${index + 1}. ${entry.tool} ${args}`.trimEnd();
+        formatted += ` [${entry.status.toUpperCase()}]`;
+
+        if (entry.status !== 'ok') {
+            formatted += ` ${entry.output.replace(/^Error: /, '')}`;
+        }
+
+        formatted += '\n';
+    });
+
+    if (result.truncated) {
+        formatted += '(tool limit reached)\n';
+    }
+
+    return `${formatted}\n${result.response}`;
+}
+
+/**
+ * Formats AI token usage and spending
+ * @param {Object} usage - Usage statistics from UsageService.getStats
+ * @returns {string} - Formatted result
+ */
+function formatUsageStats(usage) {
+    const money = (value) => `$${Number(value || 0).toFixed(4)}`;
+    const row = (label, item) => `${String(label || '-').padEnd(28)}${String(item.requests).padStart(6)}` +
+        `${String(item.tokens).padStart(10)}${money(item.cost).padStart(12)}\n`;
+    const table = (title, rows, field) => {
+        let section = `\n${title}\n${'NAME'.padEnd(28)}${'CALLS'.padStart(6)}${'TOKENS'.padStart(10)}`;
+        section += `${'COST'.padStart(12)}\n`;
+        rows.forEach(item => {
+            section += row(item[field], item);
+        });
+        return section;
+    };
+
+    let formatted = `AI USAGE (last ${usage.days} days)\n`;
+    formatted += '==========================================\n';
+    formatted += `Total: ${usage.total.requests} calls, ${usage.total.tokens} tokens, ${money(usage.total.cost)}\n`;
+    formatted += `Today: ${usage.today.requests} calls, ${usage.today.tokens} tokens, ${money(usage.today.cost)}\n`;
+    const limit = (value) => (value ? money(value) : 'unlimited');
+
+    formatted += `Daily budget: ${limit(usage.budget.dailyCost)}`;
+
+    if (usage.budget.remainingToday !== null) {
+        formatted += ` (${money(usage.budget.remainingToday)} left today)`;
+    }
+
+    formatted += `\nPer-user daily budget: ${limit(usage.budget.userDailyCost)}\n`;
+
+    if (usage.total.requests === 0) {
+        return `${formatted}\nNo AI calls recorded yet.`;
+    }
+
+    formatted += table('BY DAY', usage.byDay, 'day');
+    formatted += table('BY MODEL', usage.byModel, 'model');
+    formatted += table('BY TYPE', usage.byType, 'request_type');
+
+    if (usage.byUser) {
+        formatted += table('TOP USERS', usage.byUser, 'user_ip');
+    }
+
+    return formatted.trimEnd();
+}
+
+/**
+ * Formats a search over the stored court decisions
+ * @param {Object} search - { query, total, offset, results } from ZakonOnlineService.searchStored
+ * @returns {string} - Formatted result
+ */
+function formatLocalLawSearch(search) {
+    if (search.total === 0) {
+        return `No stored decisions match "${search.query}". Stored decisions come from earlier online searches.`;
+    }
+
+    if (search.results.length === 0) {
+        return `No more stored decisions match "${search.query}" (${search.total} in total).`;
+    }
+
+    const first = search.offset + 1;
+    const last = search.offset + search.results.length;
+
+    let formatted = `STORED DECISIONS: "${search.query}" (${first}-${last} of ${search.total})\n`;
+    formatted += '==========================================\n';
+
+    search.results.forEach((decision, index) => {
+        const tags = [decision.judgmentForm, decision.justiceKind].filter(Boolean);
+
+        if (decision.hasFullText) {
+            tags.push(`full text #${decision.id}`);
+        }
+
+        formatted += `${first + index}. ${decision.number || 'No number'}  ${decision.date || '-'}  `;
+        formatted += `${decision.courtName || 'Unknown court'}\n`;
+
+        if (tags.length > 0) {
+            formatted += `   ${tags.join(', ')}\n`;
+        }
+
+        if (decision.snippet) {
+            formatted += `   ${decision.snippet.replace(/\s+/g, ' ').trim()}\n`;
+        }
+
+        formatted += '\n';
+    });
+
+    return formatted.trimEnd();
+}
+
+/**
+ * Formats the decisions of a case looked up by its number
+ * @param {Object} lookup - { number, type, courtCode, year, justiceKind, instance, court, source, results }
+ *   from ZakonOnlineService.lookupCase
+ * @returns {string} - Formatted result
+ */
+function formatCaseLookup(lookup) {
+    const court = lookup.court
+        ? `${lookup.court.name}${lookup.court.region ? ` (${lookup.court.region})` : ''}`
+        : 'not in the courts list';
+    const kind = [lookup.justiceKind, lookup.instance && `${lookup.instance} інстанція`].filter(Boolean);
+
+    let formatted = `${lookup.type === 'proceeding' ? 'PROCEEDING' : 'CASE'} ${lookup.number}\n`;
+    formatted += '==========================================\n';
+    formatted += `Court code: ${lookup.courtCode} - ${court}\n`;
+    formatted += `Year:       ${lookup.year}\n`;
+
+    if (kind.length > 0) {
+        formatted += `Kind:       ${kind.join(', ')}\n`;
+    }
+
+    if (lookup.source === 'stored') {
+        formatted += 'Zakon Online is unavailable, showing stored decisions.\n';
+    }
+
+    if (lookup.results.length === 0) {
+        return `${formatted}\nNo decisions found for this ${lookup.type === 'proceeding' ? 'proceeding' : 'case'}.`;
+    }
+
+    formatted += `\nDecisions (${lookup.results.length}):\n`;
+
+    lookup.results.forEach((decision, index) => {
+        const tags = [decision.judgmentForm, decision.justiceKind].filter(Boolean);
+
+        formatted += `${index + 1}. ${decision.date || '-'}  ${decision.courtName || 'Unknown court'}`;
+        formatted += `${tags.length > 0 ? `  [${tags.join(', ')}]` : ''}  #${decision.id}\n`;
+
+        if (decision.number && decision.number !== lookup.number) {
+            formatted += `   Case: ${decision.number}\n`;
+        }
+
+        if (decision.summary) {
+            formatted += `   ${decision.summary}\n`;
+        }
+    });
+
+    return formatted.trimEnd();
+}
+
 /**
  * Formats system information
  * @param {Object} systemInfo - System information
@@ -213,6 +613,19 @@ function formatMOTD(message, options = {}) {
 module.exports = {
     formatLegalSearchResult,
     formatNetworkResult,
+    formatOutput,
+    formatHostPort,
+    formatPingOutput,
+    formatDigOutput,
+    formatPortCheckOutput,
+    formatHttpProbeOutput,
+    formatMonitorList,
+    formatMonitorDetails,
+    formatConversation,
+    formatAgentResult,
+    formatUsageStats,
+    formatLocalLawSearch,
+    formatCaseLookup,
     formatSystemInfo,
     formatError,
     formatSuccess,
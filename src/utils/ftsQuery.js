@@ -0,0 +1,135 @@
+/**
+ * Builds SQLite FTS5 MATCH expressions from free-text queries over Ukrainian and Russian court decisions.
+ * The unicode61 tokenizer folds Cyrillic case but knows no morphology, so Cyrillic words are cut to a
+ * stem and searched as prefixes (виселення → "висел"* also finds виселити, виселенню).
+ * Query syntax: words are all required, "quoted phrases" are matched as written, -word excludes
+ * and word* is an explicit prefix.
+ */
+
+// Words that only connect others (Ukrainian, Russian); dropped unless nothing else is left
+const STOP_WORDS = new Set([
+    'і', 'й', 'та', 'а', 'але', 'або', 'чи', 'що', 'як', 'не', 'у', 'в', 'з', 'із', 'зі', 'до', 'на', 'по', 'за',
+    'про', 'від', 'для', 'під', 'над', 'без', 'при', 'щодо',
+    'и', 'но', 'или', 'что', 'как', 'о', 'об', 'с', 'со', 'от', 'к', 'ко', 'из', 'под', 'над', 'по', 'при'
+]);
+
+// Inflectional endings of Ukrainian and Russian nouns, adjectives and verbs, longest first
+const ENDINGS = [
+    'ування', 'ювання', 'ення', 'ання', 'іння', 'ості', 'ість', 'ость', 'ами', 'ями', 'ові', 'еві', 'ого',
+    'ому', 'ими', 'его', 'ему', 'ыми', 'ій', 'ий', 'ої', 'ою', 'ею', 'ях', 'ах', 'ам', 'ям', 'ом', 'ем',
+    'ів', 'ов', 'ев', 'ей', 'ый', 'ой', 'ая', 'яя', 'ое', 'ее', 'ые', 'ие', 'ых', 'их', 'ти', 'ть',
+    'а', 'я', 'о', 'е', 'у', 'ю', 'і', 'и', 'ы', 'ь', 'й', 'ї', 'є'
+].sort((a, b) => b.length - a.length);
+
+// Shortest stem kept when an ending is cut off
+const MIN_STEM = 3;
+
+const CYRILLIC = /^[а-яіїєґё]+$/;
+
+/**
+ * Cuts the inflectional ending off a lowercase Cyrillic word
+ * @param {string} word - Word
+ * @returns {string} - Stem (the word itself when it is too short)
+ */
+const stem = (word) => {
+    const ending = ENDINGS.find(candidate => word.endsWith(candidate) && word.length - candidate.length >= MIN_STEM);
+
+    return ending ? word.slice(0, -ending.length) : word;
+};
+
+/**
+ * Quotes a phrase for FTS5
+ * @param {Array<string>} tokens - Tokens
+ * @returns {string} - Quoted phrase
+ */
+const phrase = (tokens) => `"${tokens.join(' ')}"`;
+
+/**
+ * Splits a text into lowercase tokens the way the unicode61 tokenizer does
+ * @param {string} text - Text
+ * @returns {Array<string>} - Tokens
+ */
+const tokens = (text) => String(text || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+
+/**
+ * Converts one query word into an FTS5 expression. Words split by the tokenizer (обов'язок,
+ * 757/123/23) become phrases; Cyrillic words become stem prefixes, with ё also searched as е.
+ * @param {string} word - Query word
+ * @returns {string|null} - Expression (null for words without letters or digits)
+ */
+const termExpression = (word) => {
+    const parts = tokens(word);
+
+    if (parts.length === 0) {
+        return null;
+    }
+
+    if (word.endsWith('*')) {
+        return `${phrase(parts)}*`;
+    }
+
+    if (parts.length > 1 || !CYRILLIC.test(parts[0])) {
+        return phrase(parts);
+    }
+
+    const prefix = `${phrase([stem(parts[0])])}*`;
+
+    return parts[0].includes('ё') ? `(${prefix} OR ${phrase([stem(parts[0].replace(/ё/g, 'е'))])}*)` : prefix;
+};
+
+/**
+ * Builds an FTS5 MATCH expression from a search query
+ * @param {string} query - Search query
+ * @param {Array<string>} columns - Restrict the match to these FTS columns (all columns when not set)
+ * @returns {string|null} - Expression (null when the query has nothing to search for)
+ */
+const buildMatchQuery = (query, columns = null) => {
+    const required = [];
+    const excluded = [];
+    const words = [];
+
+    for (const [, quoted, word] of String(query || '').matchAll(/(-?"[^"]*"?)|(\S+)/g)) {
+        const value = quoted || word;
+        const negated = value.startsWith('-') && value.length > 1;
+        const text = negated ? value.slice(1) : value;
+        let expression;
+
+        if (text.startsWith('"')) {
+            const parts = tokens(text);
+            expression = parts.length > 0 ? phrase(parts) : null;
+        } else {
+            expression = termExpression(text);
+        }
+
+        if (expression && negated) {
+            excluded.push(expression);
+        } else if (expression) {
+            words.push({ expression, stopWord: STOP_WORDS.has(text.toLowerCase()) });
+        }
+    }
+
+    const meaningful = words.filter(word => !word.stopWord);
+    (meaningful.length > 0 ? meaningful : words).forEach(word => required.push(word.expression));
+
+    if (required.length === 0) {
+        return null;
+    }
+
+    let expression = required.join(' AND ');
+
+    if (excluded.length > 0) {
+        expression = `(${expression}) NOT (${excluded.join(' OR ')})`;
+    }
+
+    return columns ? `{${columns.join(' ')}} : (${expression})` : expression;
+};
+
+module.exports = {
+    STOP_WORDS,
+    stem,
+    buildMatchQuery
+};
@@ -0,0 +1,366 @@
+/**
+ * Parsers that turn raw network tool output into structured objects.
+ * Every parser understands both the Linux (iputils, bind-utils) and the
+ * BSD/macOS output variants and never throws on unexpected input.
+ */
+class OutputParser {
+    /**
+     * Parses ping output
+     * @param {string} output - Raw ping output
+     * @returns {Object} - { host, address, probes, transmitted, received, loss, min, avg, max, stddev }
+     */
+    static parsePing(output) {
+        const result = {
+            host: null,
+            address: null,
+            probes: [],
+            transmitted: 0,
+            received: 0,
+            loss: null,
+            min: null,
+            avg: null,
+            max: null,
+            stddev: null
+        };
+
+        for (const line of this._lines(output)) {
+            // PING host (1.2.3.4) 56(84) bytes of data.  |  PING ::1(::1) 56 data bytes
+            // PING host(name (2001:db8::1)) 56 data bytes (Linux IPv6)
+            const header = line.match(/^PING\s+(\S+?)\s*\((?:[^()\s]+\s+\()?([^()]+)\)/);
+            // PING6(56=40+8+8 bytes) 2001:db8::2 --> 2001:db8::1 (BSD)
+            const header6 = line.match(/^PING6\(.*?\)\s+\S+\s+-->\s+(\S+)/);
+            // 64 bytes from host (1.2.3.4): icmp_seq=1 ttl=117 time=10.2 ms
+            // 16 bytes from 2001:db8::1, icmp_seq=0 hlim=64 time=0.101 ms (BSD IPv6)
+            const reply = line.match(
+                /bytes from\s+(.+?)[:,]\s+icmp_seq=(\d+)(?:\s+(?:ttl|hlim)=(\d+))?\s+time[=<]([\d.]+)\s*ms/
+            );
+            // Request timeout for icmp_seq 1 (BSD)  |  no answer yet for icmp_seq=1 (Linux -O)
+            const timeout = line.match(/(?:timeout|no answer yet) for icmp_seq[= ](\d+)/i);
+            // 4 packets transmitted, 4 received, 0% packet loss  |  4 packets transmitted, 4 packets received, ...
+            const stats = line.match(/(\d+) packets transmitted,\s+(\d+)(?: packets)? received.*?([\d.]+)% packet/);
+            // rtt min/avg/max/mdev = 1/2/3/0.1 ms  |  round-trip min/avg/max/stddev = 1/2/3/0.1 ms
+            const rtt = line.match(/min\/avg\/max\/(?:mdev|stddev)\s*=\s*([\d.]+)\/([\d.]+)\/([\d.]+)\/([\d.]+)/);
+
+            if (header) {
+                [, result.host, result.address] = header;
+            } else if (header6) {
+                // BSD ping6 only prints the resolved destination address
+                result.host = header6[1];
+                result.address = header6[1];
+            } else if (reply) {
+                result.probes.push({
+                    seq: parseInt(reply[2]),
+                    from: this._stripParens(reply[1]),
+                    ttl: reply[3] ? parseInt(reply[3]) : null,
+                    time: parseFloat(reply[4])
+                });
+            } else if (timeout) {
+                result.probes.push({ seq: parseInt(timeout[1]), from: null, ttl: null, time: null });
+            } else if (stats) {
+                result.transmitted = parseInt(stats[1]);
+                result.received = parseInt(stats[2]);
+                result.loss = parseFloat(stats[3]);
+            } else if (rtt) {
+                [result.min, result.avg, result.max, result.stddev] = rtt.slice(1).map(parseFloat);
+            }
+        }
+
+        // Derive summary from probes when the statistics block is missing (e.g. interrupted run)
+        const times = result.probes.map(probe => probe.time).filter(time => time !== null);
+
+        if (!result.transmitted && result.probes.length > 0) {
+            result.transmitted = result.probes.length;
+            result.received = times.length;
+        }
+
+        if (result.loss === null && result.transmitted > 0) {
+            result.loss = this._round((1 - (result.received / result.transmitted)) * 100);
+        }
+
+        if (result.min === null && times.length > 0) {
+            result.min = Math.min(...times);
+            result.max = Math.max(...times);
+            result.avg = this._round(times.reduce((sum, time) => sum + time, 0) / times.length);
+        }
+
+        return result;
+    }
+
+    /**
+     * Parses traceroute output
+     * @param {string} output - Raw traceroute output
+     * @returns {Object} - { host, address, maxHops, hops: [{ hop, probes: [{ host, ip, rtt }] }] }
+     */
+    static parseTraceroute(output) {
+        const result = {
+            host: null,
+            address: null,
+            maxHops: null,
+            hops: []
+        };
+
+        for (const line of this._lines(output)) {
+            // traceroute to google.com (142.250.190.78), 30 hops max, 60 byte packets
+            const header = line.match(/^traceroute6? to\s+(\S+)\s+\(([^)]+)\),\s+(\d+) hops max/);
+            const hopLine = line.match(/^\s*(\d+)\s+(.*)$/);
+
+            if (header) {
+                [, result.host, result.address] = header;
+                result.maxHops = parseInt(header[3]);
+            } else if (hopLine) {
+                result.hops.push({
+                    hop: parseInt(hopLine[1]),
+                    probes: this._parseHopProbes(hopLine[2])
+                });
+            } else if (result.hops.length > 0 && (/^\s+\S/).test(line)) {
+                // BSD prints additional responders of the same hop on a continuation line
+                result.hops[result.hops.length - 1].probes.push(...this._parseHopProbes(line));
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Parses nslookup output
+     * @param {string} output - Raw nslookup output
+     * @returns {Object} - { server, serverAddress, authoritative, records: [{ name, type, value }], error }
+     */
+    static parseNslookup(output) {
+        const result = {
+            server: null,
+            serverAddress: null,
+            authoritative: true,
+            records: [],
+            error: null
+        };
+
+        let currentName = null;
+        let inAnswer = false;
+
+        for (const line of this._lines(output)) {
+            const trimmed = line.trim();
+            const failure = trimmed.match(/^\*\*\s*(?:server can't find|can't find)\s+(\S+?):?\s+(.+)$/i);
+            const field = trimmed.match(/^(Server|Address|Name|Aliases):\s*(.+)$/);
+            // google.com    mail exchanger = 10 smtp.google.com.
+            const record = trimmed.match(
+                /^(\S+)\s+(canonical name|mail exchanger|nameserver|text|name|has AAAA address|origin)\s*=?\s*(.+)$/i
+            );
+
+            if ((/^non-authoritative answer/i).test(trimmed)) {
+                result.authoritative = false;
+                inAnswer = true;
+            } else if (failure) {
+                result.error = failure[2].trim();
+            } else if (field) {
+                const [, key, value] = field;
+
+                if (key === 'Name') {
+                    currentName = value;
+                    inAnswer = true;
+                } else if (key === 'Server' && !inAnswer) {
+                    result.server = value;
+                } else if (key === 'Address' && !inAnswer) {
+                    result.serverAddress = value.replace(/#\d+$/, '');
+                } else if (key === 'Address') {
+                    result.records.push({
+                        name: currentName,
+                        type: value.includes(':') ? 'AAAA' : 'A',
+                        value
+                    });
+                }
+            } else if (record) {
+                inAnswer = true;
+                result.records.push({
+                    name: record[1],
+                    type: NSLOOKUP_RECORD_TYPES[record[2].toLowerCase()],
+                    value: record[3].trim()
+                });
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Parses whois output
+     * @param {string} output - Raw whois output
+     * @returns {Object} - { domain, registrar, createdAt, updatedAt, expiresAt, nameServers, status }
+     */
+    static parseWhois(output) {
+        const result = {
+            domain: null,
+            registrar: null,
+            createdAt: null,
+            updatedAt: null,
+            expiresAt: null,
+            nameServers: [],
+            status: []
+        };
+
+        const lines = this._lines(output).filter(line => !(/^\s*(?:[%#]|>>>)/).test(line));
+
+        for (const line of lines) {
+            const field = line.match(/^\s*([A-Za-z][\w ./-]*?)\s*:\s*(.+)$/);
+            const target = field ? WHOIS_FIELDS[field[1].toLowerCase()] : null;
+
+            if (target) {
+                this._applyWhoisField(result, target, field[2].trim());
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Parses output of the given command
+     * @param {string} command - Command name
+     * @param {string} output - Raw command output
+     * @returns {Object|null} - Parsed output or null if there is no parser for the command
+     */
+    static parse(command, output) {
+        const parsers = {
+            ping: 'parsePing',
+            traceroute: 'parseTraceroute',
+            nslookup: 'parseNslookup',
+            whois: 'parseWhois'
+        };
+
+        return parsers[command] ? this[parsers[command]](output) : null;
+    }
+
+    /**
+     * Stores a single whois field in the result
+     * @param {Object} result - Parsed whois result
+     * @param {string} target - Result field name
+     * @param {string} value - Raw field value
+     */
+    static _applyWhoisField(result, target, value) {
+        if (target === 'nameServers') {
+            const nameServer = value.split(/\s+/)[0].toLowerCase().replace(/\.$/, '');
+            if (!result.nameServers.includes(nameServer)) {
+                result.nameServers.push(nameServer);
+            }
+        } else if (target === 'status') {
+            const status = value.split(/\s+/)[0];
+            if (!result.status.includes(status)) {
+                result.status.push(status);
+            }
+        } else if (result[target] === null) {
+            result[target] = target === 'domain' ? value.toLowerCase() : value;
+        }
+    }
+
+    /**
+     * Parses the probes of a single traceroute hop
+     * @param {string} text - Hop line without the hop number
+     * @returns {Array} - Probes
+     */
+    static _parseHopProbes(text) {
+        const probes = [];
+        const tokenPattern = /(\*)|([^\s()]+)\s+\(([^)]+)\)|(\d+(?:\.\d+)?)\s*ms|(![A-Za-z0-9<>]*)|(\S+)/g;
+        let host = null;
+        let ip = null;
+        let token;
+
+        while ((token = tokenPattern.exec(text)) !== null) {
+            const [, star, namedHost, namedIp, rtt, annotation, bareHost] = token;
+
+            if (star) {
+                probes.push({ host: null, ip: null, rtt: null });
+            } else if (namedHost) {
+                host = namedHost;
+                ip = namedIp;
+            } else if (rtt) {
+                probes.push({ host, ip, rtt: parseFloat(rtt) });
+            } else if (annotation && probes.length > 0) {
+                probes[probes.length - 1].annotation = annotation;
+            } else if (bareHost) {
+                host = bareHost;
+                ip = bareHost;
+            }
+        }
+
+        return probes;
+    }
+
+    /**
+     * Splits output into lines
+     * @param {string} output - Raw output
+     * @returns {Array<string>} - Lines
+     */
+    static _lines(output) {
+        if (!output || typeof output !== 'string') {
+            return [];
+        }
+
+        return output.replace(/\r\n/g, '\n').split('\n');
+    }
+
+    /**
+     * Extracts an address from "host (address)" notation
+     * @param {string} value - Value to strip
+     * @returns {string} - Address
+     */
+    static _stripParens(value) {
+        const match = value.match(/\(([^)]+)\)/);
+        return match ? match[1] : value.trim();
+    }
+
+    /**
+     * Rounds a number to three decimals
+     * @param {number} value - Value to round
+     * @returns {number} - Rounded value
+     */
+    static _round(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+}
+
+// nslookup record descriptions mapped to DNS record types
+const NSLOOKUP_RECORD_TYPES = {
+    'canonical name': 'CNAME',
+    'mail exchanger': 'MX',
+    nameserver: 'NS',
+    text: 'TXT',
+    name: 'PTR',
+    'has aaaa address': 'AAAA',
+    origin: 'SOA'
+};
+
+// whois keys (lowercased) mapped to result fields; registries disagree on naming
+const WHOIS_FIELDS = {
+    'domain name': 'domain',
+    domain: 'domain',
+    registrar: 'registrar',
+    'sponsoring registrar': 'registrar',
+    'registrar name': 'registrar',
+    'creation date': 'createdAt',
+    created: 'createdAt',
+    'created on': 'createdAt',
+    registered: 'createdAt',
+    'registration time': 'createdAt',
+    'domain registration date': 'createdAt',
+    'updated date': 'updatedAt',
+    'last updated': 'updatedAt',
+    'last modified': 'updatedAt',
+    modified: 'updatedAt',
+    changed: 'updatedAt',
+    'registry expiry date': 'expiresAt',
+    'registrar registration expiration date': 'expiresAt',
+    'expiration date': 'expiresAt',
+    'expiry date': 'expiresAt',
+    expires: 'expiresAt',
+    'expires on': 'expiresAt',
+    'paid-till': 'expiresAt',
+    'domain expiration date': 'expiresAt',
+    'name server': 'nameServers',
+    nameserver: 'nameServers',
+    nserver: 'nameServers',
+    'name servers': 'nameServers',
+    'domain status': 'status',
+    status: 'status',
+    state: 'status'
+};
+
+module.exports = OutputParser;
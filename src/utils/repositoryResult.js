@@ -0,0 +1,20 @@
+/**
+ * Unwraps a repository { success, ... } result
+ * @param {Promise<Object>} promise - Repository call
+ * @param {string} field - Result field to return
+ * @returns {Promise<*>} - Field value
+ * @throws {Error} - With the repository error when the call failed
+ */
+const unwrap = async(promise, field = 'data') => {
+    const result = await promise;
+
+    if (!result.success) {
+        throw new Error(result.error);
+    }
+
+    return result[field];
+};
+
+module.exports = {
+    unwrap
+};
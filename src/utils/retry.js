@@ -0,0 +1,72 @@
+/**
+ * Retry helpers shared by the clients of remote APIs (LLM providers, Zakon Online)
+ */
+
+// HTTP statuses worth another attempt besides 5xx: timeouts and rate limits
+const RETRYABLE_STATUSES = new Set([408, 425, 429]);
+const RETRYABLE_CODES = new Set(['ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE']);
+
+/**
+ * Checks whether a failed request may succeed when repeated
+ * @param {Error} error - Request error
+ * @param {Set<number>} statuses - Retryable HTTP statuses besides 5xx
+ * @returns {boolean} - Whether the error is transient
+ */
+const isRetryable = (error, statuses = RETRYABLE_STATUSES) => {
+    if (error.status) {
+        return statuses.has(error.status) || error.status >= 500;
+    }
+
+    return RETRYABLE_CODES.has(error.code) || RETRYABLE_CODES.has(error.cause?.code);
+};
+
+/**
+ * Creates the error of a cancelled request
+ * @returns {Error} - AbortError
+ */
+const abortError = () => Object.assign(new Error('Request aborted'), { name: 'AbortError' });
+
+/**
+ * Waits before the next attempt
+ * @param {number} ms - Delay in ms
+ * @param {AbortSignal} signal - Cancels the wait
+ * @returns {Promise<void>} - Resolves after the delay
+ */
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+        reject(abortError());
+        return;
+    }
+
+    const timer = setTimeout(resolve, ms);
+
+    signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(abortError());
+    }, { once: true });
+});
+
+/**
+ * Computes the wait before a retry: exponential step with jitter, at least the Retry-After of a 429
+ * @param {number} attempt - Failed attempt (0-based)
+ * @param {Error} error - Failure
+ * @param {Object} options - Backoff settings
+ * @param {number} options.retryDelay - First backoff step in ms, doubled per retry
+ * @param {number} options.retryMaxDelay - Longest backoff in ms
+ * @returns {number} - Delay in ms
+ */
+const backoffDelay = (attempt, error, { retryDelay, retryMaxDelay }) => {
+    const step = Math.min(retryMaxDelay, retryDelay * (2 ** attempt));
+    const delay = (step / 2) + (Math.random() * (step / 2));
+    const retryAfter = parseInt(error.headers?.['retry-after']) * 1000;
+
+    return retryAfter > delay ? Math.min(retryAfter, retryMaxDelay) : delay;
+};
+
+module.exports = {
+    RETRYABLE_STATUSES,
+    isRetryable,
+    abortError,
+    sleep,
+    backoffDelay
+};
@@ -0,0 +1,36 @@
+/**
+ * Switches a response to a Server-Sent Events stream
+ * @param {Object} res - Express response
+ */
+const openEventStream = (res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+};
+
+/**
+ * Writes a single Server-Sent Event
+ * @param {Object} res - Express response
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload
+ */
+const sendEvent = (res, event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Checks whether the client asked for an event stream
+ * @param {Object} req - Express request
+ * @returns {boolean} - Whether the Accept header includes text/event-stream
+ */
+const wantsEventStream = (req) => (req.get('Accept') || '').includes('text/event-stream');
+
+module.exports = {
+    openEventStream,
+    sendEvent,
+    wantsEventStream
+};
@@ -0,0 +1,122 @@
+/**
+ * Offline TF-IDF text vectors for comparing prompts.
+ * A vector holds the counts of the words of a text (stop words dropped) and of their character
+ * trigrams, so inflected forms (оренда / оренду, ping / pinging) still overlap.
+ */
+
+// Words that do not change what a short question asks (English, Russian, Ukrainian)
+const STOP_WORDS = new Set([
+    'a', 'an', 'the', 'to', 'do', 'does', 'did', 'i', 'me', 'my', 'you', 'your', 'is', 'are', 'was', 'be',
+    'how', 'what', 'can', 'could', 'should', 'would', 'please', 'of', 'in', 'on', 'at', 'for', 'with',
+    'and', 'or', 'it', 'this', 'that',
+    'как', 'что', 'мне', 'я', 'ты', 'вы', 'и', 'в', 'на', 'с', 'по', 'для', 'это', 'ли', 'пожалуйста',
+    'як', 'що', 'мені', 'і', 'й', 'та', 'у', 'з', 'до', 'це', 'чи', 'будь', 'ласка'
+]);
+
+/**
+ * Splits a text into lowercase words without stop words
+ * @param {string} text - Text
+ * @returns {Array<string>} - Words
+ */
+const tokenize = (text) => String(text || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word && !STOP_WORDS.has(word));
+
+// Tokens joined by dots, slashes, colons or hyphens: numbers, case numbers, dates, IP addresses, hostnames
+const KEY_TOKEN = /[\p{L}\p{N}]+(?:[./:-][\p{L}\p{N}]+)*/gu;
+
+/**
+ * Gets the tokens of a text that must match exactly for two prompts to ask the same thing: those with
+ * a digit (article 185, 757/12345/23-ц, 10.0.0.1) or a dot (google.com). Similar wording says nothing
+ * about them, so "article 185" and "article 186" score high as vectors.
+ * @param {string} text - Text
+ * @returns {Array<string>} - Sorted lowercase keys without duplicates
+ */
+const hardKeys = (text) => [...new Set((String(text || '').normalize('NFKC').toLowerCase().match(KEY_TOKEN) || [])
+    .filter(token => (/[\p{N}.]/u).test(token)))]
+    .sort();
+
+/**
+ * Builds the term-frequency vector of a text
+ * @param {string} text - Text
+ * @returns {Object} - Term counts; trigram terms start with '#'
+ */
+const vectorize = (text) => {
+    const vector = {};
+    const add = (term) => {
+        vector[term] = (vector[term] || 0) + 1;
+    };
+
+    for (const word of tokenize(text)) {
+        const padded = ` ${word} `;
+
+        add(word);
+
+        for (let i = 0; i + 3 <= padded.length; i++) {
+            add(`#${padded.slice(i, i + 3)}`);
+        }
+    }
+
+    return vector;
+};
+
+/**
+ * Computes smoothed inverse document frequencies over a set of vectors
+ * @param {Array<Object>} vectors - Term-frequency vectors
+ * @returns {Object} - Term weights: ln((N + 1) / (df + 1)) + 1
+ */
+const inverseDocumentFrequencies = (vectors) => {
+    const frequencies = {};
+
+    for (const vector of vectors) {
+        for (const term of Object.keys(vector)) {
+            frequencies[term] = (frequencies[term] || 0) + 1;
+        }
+    }
+
+    const idf = {};
+
+    for (const [term, frequency] of Object.entries(frequencies)) {
+        idf[term] = Math.log((vectors.length + 1) / (frequency + 1)) + 1;
+    }
+
+    return idf;
+};
+
+/**
+ * Computes the cosine similarity of two TF-IDF vectors
+ * @param {Object} a - Term-frequency vector
+ * @param {Object} b - Term-frequency vector
+ * @param {Object} idf - Term weights (missing terms weigh 1)
+ * @returns {number} - Similarity from 0 to 1
+ */
+const cosineSimilarity = (a, b, idf = {}) => {
+    const weight = (vector, term) => vector[term] * (idf[term] || 1);
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+
+    for (const term of Object.keys(a)) {
+        normA += weight(a, term) ** 2;
+
+        if (b[term]) {
+            dot += weight(a, term) * weight(b, term);
+        }
+    }
+
+    for (const term of Object.keys(b)) {
+        normB += weight(b, term) ** 2;
+    }
+
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+module.exports = {
+    tokenize,
+    hardKeys,
+    vectorize,
+    inverseDocumentFrequencies,
+    cosineSimilarity
+};
@@ -1,6 +1,43 @@
+const net = require('net');
 const Joi = require('joi');
 const { logSecurity } = require('./logger');
 
+const HOSTNAME_PATTERN = /^[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(\.[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/;
+
+/**
+ * Parses an IP literal, accepting bracketed ([::1]) and zone-id (fe80::1%eth0) IPv6 forms
+ * @param {string} value - Candidate IP literal
+ * @returns {Object|null} - { address, zone, family, normalized } or null if not an IP literal
+ */
+const parseIPLiteral = (value) => {
+    if (typeof value !== 'string' || value.startsWith('[') !== value.endsWith(']')) {
+        return null;
+    }
+
+    // URLs percent-encode the zone separator: http://[fe80::1%25eth0]/
+    const literal = value.startsWith('[') ? value.replace('%25', '%') : value;
+    const match = literal.match(/^\[?([0-9a-fA-F:.]+)(?:%([\w.-]{1,64}))?\]?$/);
+
+    if (!match) {
+        return null;
+    }
+
+    const [, address, zone = null] = match;
+    const family = net.isIP(address);
+
+    // Zone ids only exist for (link-local) IPv6 addresses
+    if (family === 0 || (zone && family !== 6)) {
+        return null;
+    }
+
+    return {
+        address,
+        zone,
+        family,
+        normalized: zone ? `${address}%${zone}` : address
+    };
+};
+
 /**
  * Input validation utilities
  */
@@ -11,7 +48,15 @@ class Validators {
     static hostnameSchema = Joi.string()
         .min(1)
         .max(253)
-        .pattern(/^[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(\.[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/)
+        .custom((value, helpers) => {
+            const ip = parseIPLiteral(value);
+
+            if (ip) {
+                return ip.normalized;
+            }
+
+            return HOSTNAME_PATTERN.test(value) ? value : helpers.error('string.pattern.base');
+        })
         .messages({
             'string.empty': 'Hostname cannot be empty',
             'string.max': 'Hostname cannot exceed 253 characters',
@@ -35,7 +80,10 @@ class Validators {
      * IP address validation schema
      */
     static ipSchema = Joi.string()
-        .pattern(/^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$|^(?:[0-9a-fA-F]{1,4}:){7}[0-9a-fA-F]{1,4}$/)
+        .custom((value, helpers) => {
+            const ip = parseIPLiteral(value);
+            return ip ? ip.normalized : helpers.error('string.pattern.base');
+        })
         .messages({
             'string.pattern.base': 'Invalid IP address format'
         });
@@ -246,6 +294,25 @@ class Validators {
         return { isValid: true, value };
     }
 
+    /**
+     * Parses an IP literal (IPv4, IPv6, bracketed or with zone id)
+     * @param {string} value - Candidate IP literal
+     * @returns {Object|null} - { address, zone, family, normalized } or null
+     */
+    static parseIPLiteral(value) {
+        return parseIPLiteral(value);
+    }
+
+    /**
+     * Gets the address family of an IP literal
+     * @param {string} value - Candidate IP literal
+     * @returns {number} - 4, 6 or 0 for hostnames
+     */
+    static getIPFamily(value) {
+        const ip = parseIPLiteral(value);
+        return ip ? ip.family : 0;
+    }
+
     /**
      * Sanitizes input string
      * @param {string} input - Input to sanitize
@@ -0,0 +1,167 @@
+/**
+ * @jest-environment node
+ */
+const express = require('express');
+const request = require('supertest');
+const MockProvider = require('../src/modules/llm/MockProvider');
+const DatabaseManager = require('../src/modules/database');
+const NetworkService = require('../src/services/networkService');
+const container = require('../src/container/DIContainer');
+
+jest.mock('../src/services/networkService', () => ({
+    ping: jest.fn(),
+    nslookup: jest.fn(),
+    whois: jest.fn(),
+    traceroute: jest.fn()
+}));
+
+describe('Tool-using agent', () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api', require('../src/routes/ai'));
+
+    let database;
+    let llmClient;
+    let agent;
+
+    /**
+     * Names of the tools offered in a model call
+     * @param {Object} call - Recorded MockProvider call
+     * @returns {Array<string>} - Tool names
+     */
+    const offeredTools = (call) => (call.params.tools || []).map(tool => tool.function.name);
+
+    beforeEach(async() => {
+        database = new DatabaseManager();
+        database.dbPath = ':memory:';
+        await database.initialize();
+
+        llmClient = new MockProvider();
+        container.initialize({ databaseManager: database, llmClient });
+        agent = container.get('aiRequestContext').getAgentStrategy();
+
+        NetworkService.ping.mockResolvedValue({ output: 'PING example.com: 3 packets, 0% packet loss' });
+        NetworkService.whois.mockResolvedValue({ output: 'Registrant Organization: IANA' });
+        NetworkService.nslookup.mockResolvedValue({ output: 'example.com has address 93.184.215.14' });
+    });
+
+    afterEach(() => {
+        container.clear();
+        database.close();
+        jest.clearAllMocks();
+        delete process.env.AGENT_MAX_ITERATIONS;
+    });
+
+    test('should run the requested tools and answer with a transcript', async() => {
+        llmClient.addFixture({ match: 'Registrant Organization', response: 'EXAMPLE.COM IS UP. OWNER: IANA.' });
+        llmClient.addFixture({
+            match: 'who owns it',
+            toolCalls: [
+                { name: 'ping', arguments: { hostname: 'example.com' } },
+                { name: 'whois', arguments: { domain: 'example.com' } }
+            ]
+        });
+
+        const response = await request(app)
+            .post('/api/agent')
+            .set('X-Session-Token', 'agent-session')
+            .send({ query: 'is example.com up and who owns it?', isAdmin: true });
+
+        expect(response.status).toBe(200);
+        expect(response.body.output).toBe([
+            'TOOLS RUN:',
+            '1. ping example.com [OK]',
+            '2. whois example.com [OK]',
+            '',
+            'EXAMPLE.COM IS UP. OWNER: IANA.'
+        ].join('\n'));
+        expect(NetworkService.ping).toHaveBeenCalledWith('example.com', { userIp: '::ffff:127.0.0.1' });
+
+        const [first, second] = llmClient.calls;
+        const toolMessages = second.params.messages.filter(message => message.role === 'tool');
+
+        expect(offeredTools(first)).toEqual(['ping', 'nslookup', 'whois', 'traceroute', 'search_court_decisions']);
+        expect(toolMessages.map(message => message.content))
+            .toEqual(['PING example.com: 3 packets, 0% packet loss', 'Registrant Organization: IANA']);
+
+        const history = await container.get('conversationService').getHistory('agent-session');
+        expect(history.messages.map(message => message.content))
+            .toEqual(['is example.com up and who owns it?', 'EXAMPLE.COM IS UP. OWNER: IANA.']);
+
+        const usage = (await container.get('openaiRequestRepository').getAll()).data;
+        expect(usage.map(row => row.request_type)).toEqual(['agent_request', 'agent_request']);
+    });
+
+    test('should reject tool arguments that fail SecurityManager validation', async() => {
+        llmClient.addFixture({ match: 'Invalid hostname', response: 'CANNOT PING THAT.' });
+        llmClient.addFixture({
+            match: 'ping it',
+            toolCalls: [{ name: 'ping', arguments: { hostname: 'example.com; cat /etc/passwd' } }]
+        });
+
+        const result = await agent.process('ping it', { isAdmin: true });
+
+        expect(result.success).toBe(true);
+        expect(result.response).toBe('CANNOT PING THAT.');
+        expect(result.transcript).toEqual([expect.objectContaining({ tool: 'ping', status: 'rejected' })]);
+        expect(NetworkService.ping).not.toHaveBeenCalled();
+    });
+
+    test('should keep admin-only network tools away from other users', async() => {
+        llmClient.addFixture({ match: 'unknown tool whois', response: 'ACCESS DENIED.' });
+        llmClient.addFixture({
+            match: 'who owns',
+            toolCalls: [{ name: 'whois', arguments: { domain: 'example.com' } }]
+        });
+
+        const result = await agent.process('who owns example.com', { isAdmin: false });
+
+        expect(offeredTools(llmClient.calls[0])).toEqual(['search_court_decisions']);
+        expect(result.response).toBe('ACCESS DENIED.');
+        expect(result.transcript).toEqual([
+            expect.objectContaining({ tool: 'whois', status: 'rejected', output: 'Error: unknown tool whois' })
+        ]);
+        expect(NetworkService.whois).not.toHaveBeenCalled();
+    });
+
+    test('should stop calling tools at the iteration cap', async() => {
+        process.env.AGENT_MAX_ITERATIONS = '2';
+
+        llmClient.addFixture({ match: 'Tool limit reached', response: 'PARTIAL ANSWER.' });
+        llmClient.addFixture({
+            match: 'resolve',
+            toolCalls: [{ name: 'nslookup', arguments: { hostname: 'example.com' } }]
+        });
+
+        const result = await agent.process('resolve example.com forever', { isAdmin: true });
+
+        expect(result.response).toBe('PARTIAL ANSWER.');
+        expect(result.truncated).toBe(true);
+        expect(result.transcript).toHaveLength(2);
+        expect(llmClient.calls).toHaveLength(3);
+        expect(llmClient.calls[2].params.tools).toBeUndefined();
+    });
+
+    test('should search court decisions and report tool failures', async() => {
+        const searchDecisions = jest.fn()
+            .mockResolvedValueOnce({ success: true, data: { items: [{ case_number: '757/1234/21' }] } })
+            .mockResolvedValueOnce({ success: false, error: 'Request failed with status code 401' });
+        container.register('zakonOnlineService', () => ({ searchDecisions }));
+
+        llmClient.addFixture({ match: 'status code 401', response: 'FOUND 757/1234/21. SECOND SEARCH FAILED.' });
+        llmClient.addFixture({
+            match: '757/1234/21',
+            toolCalls: [{ name: 'search_court_decisions', arguments: { query: 'оренда' } }]
+        });
+        llmClient.addFixture({
+            match: 'оренду',
+            toolCalls: [{ name: 'search_court_decisions', arguments: { query: 'оренда', limit: 50 } }]
+        });
+
+        const result = await agent.process('рішення про оренду', { isAdmin: false });
+
+        expect(searchDecisions).toHaveBeenNthCalledWith(1, 'оренда', { limit: 10 });
+        expect(result.transcript.map(entry => entry.status)).toEqual(['ok', 'error']);
+        expect(result.response).toBe('FOUND 757/1234/21. SECOND SEARCH FAILED.');
+    });
+});
@@ -0,0 +1,101 @@
+/**
+ * @jest-environment node
+ */
+const express = require('express');
+const request = require('supertest');
+const MockProvider = require('../src/modules/llm/MockProvider');
+const DatabaseManager = require('../src/modules/database');
+const container = require('../src/container/DIContainer');
+
+/**
+ * Parses a Server-Sent Events body
+ * @param {string} text - Response body
+ * @returns {Array<Object>} - { event, data } in order
+ */
+const parseEvents = (text) => text
+    .split('\n\n')
+    .filter(Boolean)
+    .map(raw => ({
+        event: raw.match(/^event: (.*)$/m)[1],
+        data: JSON.parse(raw.match(/^data: (.*)$/m)[1])
+    }));
+
+describe('AI response streaming', () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api', require('../src/routes/ai'));
+
+    let database;
+    let llmClient;
+
+    beforeAll(async() => {
+        database = new DatabaseManager();
+        database.dbPath = ':memory:';
+        await database.initialize();
+    });
+
+    beforeEach(() => {
+        llmClient = new MockProvider({
+            fixtures: [
+                { match: 'Unknown command: frobnicate', response: 'SYNTAX ERROR. TRY HELP.' },
+                { match: 'Unknown command: crash', error: 'Invalid request', status: 400 }
+            ]
+        });
+        container.initialize({ databaseManager: database, llmClient });
+    });
+
+    afterEach(() => {
+        container.clear();
+    });
+
+    afterAll(() => {
+        database.close();
+    });
+
+    test('should stream tokens and persist the complete answer', async() => {
+        const response = await request(app)
+            .post('/api/process-command')
+            .set('Accept', 'text/event-stream')
+            .send({ command: 'frobnicate' });
+
+        expect(response.status).toBe(200);
+        expect(response.headers['content-type']).toContain('text/event-stream');
+
+        const events = parseEvents(response.text);
+        const tokens = events.filter(item => item.event === 'token').map(item => item.data.content);
+        const done = events[events.length - 1];
+
+        expect(tokens.length).toBeGreaterThan(1);
+        expect(tokens.join('')).toBe('SYNTAX ERROR. TRY HELP.');
+        expect(done).toMatchObject({ event: 'done', data: { success: true, output: 'SYNTAX ERROR. TRY HELP.' } });
+
+        const saved = await container.get('openaiRequestRepository').getAll({ limit: 1 });
+        expect(saved.data[0]).toMatchObject({
+            query: 'Unknown command: frobnicate',
+            response: 'SYNTAX ERROR. TRY HELP.',
+            request_type: 'unknown_command'
+        });
+        expect(saved.data[0].completion_tokens).toBeGreaterThan(0);
+    });
+
+    test('should send an error event when the provider fails', async() => {
+        const response = await request(app)
+            .post('/api/process-command')
+            .set('Accept', 'text/event-stream')
+            .send({ command: 'crash' });
+
+        expect(parseEvents(response.text)).toEqual([{
+            event: 'error',
+            data: expect.objectContaining({ error: 'Command processing failed', details: 'Invalid request' })
+        }]);
+    });
+
+    test('should keep answering with JSON without the event-stream Accept header', async() => {
+        const response = await request(app)
+            .post('/api/process-command')
+            .send({ command: 'frobnicate' });
+
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({ success: true, output: 'SYNTAX ERROR. TRY HELP.' });
+    });
+});
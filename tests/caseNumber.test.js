@@ -0,0 +1,87 @@
+const { findCaseNumbers, parseCaseNumber, isSameCaseNumber } = require('../src/utils/caseNumber');
+
+describe('caseNumber', () => {
+    describe('parseCaseNumber', () => {
+        test('should parse unified case numbers', () => {
+            expect(parseCaseNumber('справа № 755/12345/23')).toMatchObject({
+                type: 'case',
+                number: '755/12345/23',
+                prefix: null,
+                courtCode: '755',
+                ordinal: '12345',
+                year: 2023,
+                suffix: null,
+                justiceKind: null
+            });
+            expect(parseCaseNumber('9901/77/19').courtCode).toBe('9901');
+        });
+
+        test('should take the justice kind from a case number suffix', () => {
+            expect(parseCaseNumber('757/12345/23-Ц')).toMatchObject({
+                number: '757/12345/23-ц',
+                suffix: 'ц',
+                justiceKind: 'Цивільне'
+            });
+        });
+
+        test('should parse proceeding numbers with their kind and instance', () => {
+            expect(parseCaseNumber('2/755/678/23')).toMatchObject({
+                type: 'proceeding',
+                prefix: '2',
+                courtCode: '755',
+                ordinal: '678',
+                year: 2023,
+                justiceKind: 'Цивільне',
+                instance: null
+            });
+            expect(parseCaseNumber('1-кп/757/310/22')).toMatchObject({ justiceKind: 'Кримінальне', year: 2022 });
+            expect(parseCaseNumber('22-ц/824/1234/23')).toMatchObject({
+                justiceKind: 'Цивільне',
+                instance: 'Апеляційна'
+            });
+            expect(parseCaseNumber('к/9901/1234/19')).toMatchObject({
+                number: 'К/9901/1234/19',
+                justiceKind: 'Адміністративне',
+                instance: 'Касаційна'
+            });
+        });
+
+        test('should normalise spaces and dashes', () => {
+            expect(parseCaseNumber('755 / 12345 / 23 – ц').number).toBe('755/12345/23-ц');
+            expect(parseCaseNumber('1‑кп / 757/310/22').number).toBe('1-кп/757/310/22');
+        });
+
+        test('should not take dates and fractions for case numbers', () => {
+            expect(parseCaseNumber('засідання 12/05/23')).toBeNull();
+            expect(parseCaseNumber('1/2/2023')).toBeNull();
+            expect(parseCaseNumber('755/12345/2023')).toBeNull();
+            expect(parseCaseNumber('рішення від 2023/12/05')).toBeNull();
+            expect(parseCaseNumber('1999/1/31')).toBeNull();
+            expect(parseCaseNumber('2023/123/05').courtCode).toBe('2023');
+            expect(parseCaseNumber('2023/12/45').courtCode).toBe('2023');
+            expect(parseCaseNumber('')).toBeNull();
+            expect(parseCaseNumber(null)).toBeNull();
+        });
+    });
+
+    describe('findCaseNumbers', () => {
+        test('should find every number in order without splitting proceeding numbers', () => {
+            const found = findCaseNumbers('провадження 2/755/678/23 у справі 755/12345/23 (910/8812/22)');
+
+            expect(found.map(item => [item.type, item.number])).toEqual([
+                ['proceeding', '2/755/678/23'],
+                ['case', '755/12345/23'],
+                ['case', '910/8812/22']
+            ]);
+        });
+    });
+
+    describe('isSameCaseNumber', () => {
+        test('should ignore the suffix and leading zeros', () => {
+            expect(isSameCaseNumber(parseCaseNumber('757/12345/23-ц'), parseCaseNumber('757/012345/23'))).toBe(true);
+            expect(isSameCaseNumber(parseCaseNumber('757/12345/23'), parseCaseNumber('757/12345/22'))).toBe(false);
+            expect(isSameCaseNumber(parseCaseNumber('2/755/678/23'), parseCaseNumber('755/678/23'))).toBe(false);
+            expect(isSameCaseNumber(null, parseCaseNumber('755/678/23'))).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,176 @@
+/**
+ * @jest-environment node
+ */
+const express = require('express');
+const request = require('supertest');
+const MockProvider = require('../src/modules/llm/MockProvider');
+const RequestClassifier = require('../src/modules/classifier/RequestClassifier');
+const PromptService = require('../src/services/promptService');
+const DatabaseManager = require('../src/modules/database');
+const container = require('../src/container/DIContainer');
+const corpus = require('./fixtures/classifier-corpus.json');
+
+describe('Request classifier', () => {
+    const classifier = new RequestClassifier();
+
+    describe('labelled corpus', () => {
+        const results = corpus.map(example => ({ example, result: classifier.classifyLocally(example.text) }));
+
+        test.each(['uk', 'ru', 'en'])('should label %s requests with at least 90% accuracy', (language) => {
+            const examples = results.filter(({ example }) => example.language === language);
+            const correct = examples.filter(({ example, result }) => result.label === example.label);
+
+            expect(examples.length).toBeGreaterThanOrEqual(20);
+            expect(correct.length / examples.length).toBeGreaterThanOrEqual(0.9);
+        });
+
+        test('should cover every request type', () => {
+            for (const label of RequestClassifier.LABELS) {
+                const examples = results.filter(({ example }) => example.label === label);
+                const correct = examples.filter(({ result }) => result.label === label);
+
+                expect(correct.length / examples.length).toBeGreaterThanOrEqual(0.8);
+            }
+        });
+
+        test('should detect the language of every example', () => {
+            const wrong = results.filter(({ example, result }) => result.language !== example.language);
+
+            expect(wrong.map(({ example }) => example.text)).toEqual([]);
+        });
+
+        test('should be confident about most examples', () => {
+            const confident = results.filter(({ result }) => result.confidence >= 0.6);
+
+            expect(confident.length / results.length).toBeGreaterThanOrEqual(0.85);
+        });
+    });
+
+    test('should report the matched features', () => {
+        const result = classifier.classifyLocally('Покажи рішення у справі 910/1234/23');
+
+        expect(result).toMatchObject({ label: 'court_case', language: 'uk', source: 'local' });
+        expect(result.features).toEqual(expect.arrayContaining([
+            { stage: 'pattern', label: 'court_case', value: 'case_number', weight: 4 },
+            expect.objectContaining({ stage: 'keyword', label: 'court_case', value: 'справі' }),
+            expect.objectContaining({ stage: 'bayes', label: 'court_case' })
+        ]));
+    });
+
+    test('should not match keywords inside other words', () => {
+        const result = classifier.classifyLocally('поиск файла на сервере');
+
+        expect(result.label).toBe('unknown_command');
+        expect(result.features.map(feature => feature.value)).not.toContain('ru_lawsuit');
+    });
+
+    test('should fall back to unknown_command with low confidence for unknown words', () => {
+        expect(classifier.classifyLocally('frobnicate')).toEqual({
+            label: 'unknown_command',
+            confidence: 0.2,
+            language: 'en',
+            features: [],
+            source: 'local'
+        });
+        expect(RequestClassifier.detectLanguage('12345')).toBeNull();
+    });
+
+    describe('LLM stage', () => {
+        test('should ask the LLM only when the local confidence is low', async() => {
+            const llmClient = new MockProvider({
+                fixtures: [{ match: 'frobnicate', response: { label: 'motd', confidence: 0.7 } }]
+            });
+            const withLLM = new RequestClassifier(llmClient, new PromptService());
+
+            const confident = await withLLM.classify('Як подати позов про розлучення?');
+            expect(confident).toMatchObject({ label: 'legal_request', source: 'local' });
+            expect(llmClient.calls).toHaveLength(0);
+
+            const unsure = await withLLM.classify('frobnicate');
+            expect(unsure).toMatchObject({
+                label: 'motd',
+                confidence: 0.7,
+                source: 'llm',
+                local: { label: 'unknown_command', confidence: 0.2 }
+            });
+            expect(llmClient.calls).toHaveLength(1);
+        });
+
+        test('should keep the local result when the LLM fails or is disabled', async() => {
+            const llmClient = new MockProvider({ fixtures: [{ error: 'Model overloaded', status: 400 }] });
+            const withLLM = new RequestClassifier(llmClient, new PromptService());
+
+            expect(await withLLM.classify('frobnicate')).toMatchObject({ label: 'unknown_command', source: 'local' });
+            expect(llmClient.calls).toHaveLength(1);
+
+            process.env.CLASSIFIER_LLM_FALLBACK = 'false';
+
+            try {
+                await withLLM.classify('frobnicate');
+                expect(llmClient.calls).toHaveLength(1);
+            } finally {
+                delete process.env.CLASSIFIER_LLM_FALLBACK;
+            }
+        });
+    });
+
+    describe('API', () => {
+        const app = express();
+        app.use(express.json());
+        app.use('/api', require('../src/routes/ai'));
+
+        let database;
+
+        beforeEach(async() => {
+            database = new DatabaseManager();
+            database.dbPath = ':memory:';
+            await database.initialize();
+            container.initialize({ databaseManager: database, llmClient: new MockProvider() });
+        });
+
+        afterEach(() => {
+            container.clear();
+            database.close();
+        });
+
+        test('should report the request type of legal detections', async() => {
+            const response = await request(app)
+                .post('/api/detect-legal')
+                .send({ query: 'Чи можуть у ТЦК забрати паспорт?' });
+
+            expect(response.status).toBe(200);
+            expect(response.body).toMatchObject({
+                success: true,
+                isLegal: true,
+                label: 'tcc_request',
+                language: 'uk',
+                source: 'local'
+            });
+            expect(response.body.features[0]).toEqual({
+                stage: 'keyword',
+                label: 'tcc_request',
+                value: 'тцк',
+                weight: 4
+            });
+        });
+
+        test('should refuse legal detections once the AI budget is spent', async() => {
+            process.env.AI_BUDGET_DAILY = '0.1';
+
+            try {
+                await container.get('openaiRequestRepository').save({
+                    query: 'q', response: 'a', model: 'gpt-4o', requestType: 'legal_request', cost: 0.25
+                });
+
+                const response = await request(app)
+                    .post('/api/detect-legal')
+                    .send({ query: 'Чи можуть у ТЦК забрати паспорт?' });
+
+                expect(response.status).toBe(429);
+                expect(response.body.error).toBe('AI budget exceeded');
+            } finally {
+                delete process.env.AI_BUDGET_DAILY;
+            }
+        });
+    });
+});
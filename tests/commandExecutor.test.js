@@ -1,6 +1,19 @@
+const fs = require('fs');
 const CommandExecutor = require('../src/modules/commandExecutor');
 const SecurityManager = require('../src/modules/security');
 
+// A killed process may linger as a zombie until its new parent reaps it
+const isRunning = (pid) => {
+    try {
+        process.kill(pid, 0);
+    } catch (error) {
+        return false;
+    }
+
+    const status = fs.existsSync(`/proc/${pid}/status`) ? fs.readFileSync(`/proc/${pid}/status`, 'utf8') : '';
+    return !/^State:\s+Z/m.test(status);
+};
+
 describe('CommandExecutor', () => {
     describe('execute', () => {
         test('should execute valid ping command', async () => {
@@ -78,6 +91,88 @@ describe('CommandExecutor', () => {
         });
     });
 
+    describe('stream', () => {
+        test('should reject invalid command', async () => {
+            await expect(
+                CommandExecutor.stream('rm', ['-rf', '/'])
+            ).rejects.toThrow('Command not allowed or invalid arguments');
+        });
+
+        test('should report output line by line', async () => {
+            const lines = [];
+            const output = await CommandExecutor._streamCommand(
+                process.execPath,
+                ['-e', 'console.log("hop 1"); console.error("warn"); process.stdout.write("hop 2")'],
+                { onLine: (line) => lines.push(line) }
+            );
+
+            expect(output).toContain('hop 1');
+            expect(lines).toContainEqual({ stream: 'stdout', line: 'hop 1' });
+            expect(lines).toContainEqual({ stream: 'stderr', line: 'warn' });
+            expect(lines).toContainEqual({ stream: 'stdout', line: 'hop 2' });
+        });
+
+        test('should kill the process when aborted', async () => {
+            const controller = new AbortController();
+            const promise = CommandExecutor._streamCommand(
+                process.execPath,
+                ['-e', 'setInterval(() => console.log("tick"), 10)'],
+                { signal: controller.signal }
+            );
+
+            setTimeout(() => controller.abort(), 100);
+
+            await expect(promise).rejects.toThrow('Command aborted');
+        });
+    });
+
+    describe('run', () => {
+        test('should return stdout, stderr and exit code separately', async () => {
+            const result = await CommandExecutor.run(
+                process.execPath,
+                ['-e', 'process.stdout.write("out"); process.stderr.write("err"); process.exit(3)']
+            );
+
+            expect(result).toMatchObject({ stdout: 'out', stderr: 'err', exitCode: 3 });
+        });
+
+        test('should pass arguments verbatim without a shell', async () => {
+            const result = await CommandExecutor.run(
+                process.execPath,
+                ['-e', 'console.log(process.argv[1])', 'localhost; echo $HOME && `id`']
+            );
+
+            expect(result.stdout.trim()).toBe('localhost; echo $HOME && `id`');
+        });
+
+        test('should kill the whole process tree on timeout', async () => {
+            const script = [
+                'const { spawn } = require("child_process");',
+                'const child = spawn(process.execPath, ["-e", "setInterval(() => {}, 1000)"], { stdio: "ignore" });',
+                'console.log(child.pid);',
+                'setInterval(() => {}, 1000);'
+            ].join(' ');
+            const lines = [];
+
+            const error = await CommandExecutor.run(process.execPath, ['-e', script], {
+                timeout: 500,
+                onLine: ({ line }) => lines.push(line)
+            }).catch(err => err);
+
+            expect(error.code).toBe('ETIMEDOUT');
+            await new Promise(resolve => setTimeout(resolve, 100));
+            expect(isRunning(parseInt(lines[0]))).toBe(false);
+        });
+
+        test('should cap output size', async () => {
+            await expect(CommandExecutor.run(
+                process.execPath,
+                ['-e', 'setInterval(() => process.stdout.write("x".repeat(1024)), 1)'],
+                { maxBuffer: 4096 }
+            )).rejects.toMatchObject({ code: 'ENOBUFS', message: 'Command output too large' });
+        });
+    });
+
     describe('getSystemInfo', () => {
         test('should return system information', () => {
             const info = CommandExecutor.getSystemInfo();
@@ -184,6 +279,16 @@ describe('SecurityManager', () => {
         });
     });
 
+    describe('getFamilyCommand', () => {
+        test('should select the address family variant', () => {
+            expect(SecurityManager.getFamilyCommand('ping', 'google.com')).toBe('ping');
+            expect(SecurityManager.getFamilyCommand('ping', 'google.com', 6)).toBe('ping6');
+            expect(SecurityManager.getFamilyCommand('ping', '2001:db8::1')).toBe('ping6');
+            expect(SecurityManager.getFamilyCommand('traceroute', 'google.com', 4)).toBe('traceroute4');
+            expect(SecurityManager.getFamilyCommand('nslookup', 'google.com', 6)).toBe('nslookup');
+        });
+    });
+
     describe('isCommandSafe', () => {
         test('should allow safe commands', () => {
             expect(SecurityManager.isCommandSafe('ping', ['localhost'])).toBe(true);
@@ -0,0 +1,130 @@
+/**
+ * @jest-environment node
+ */
+const express = require('express');
+const request = require('supertest');
+const CommandRegistry = require('../src/modules/commandRegistry');
+const SecurityManager = require('../src/modules/security');
+const CommandExecutor = require('../src/modules/commandExecutor');
+const NetworkService = require('../src/services/networkService');
+const cacheManager = require('../src/modules/cache');
+
+const arpDefinition = {
+    name: 'arp',
+    description: 'ARP table',
+    usage: 'arp [-n]',
+    binary: 'arp',
+    args: ['-a'],
+    params: {},
+    timeout: 5000,
+    cacheTtl: 60,
+    formatter: output => output.trim(),
+    admin: true
+};
+
+describe('CommandRegistry', () => {
+    afterEach(() => {
+        CommandRegistry.unregister('arp');
+        jest.restoreAllMocks();
+        cacheManager.flush();
+    });
+
+    describe('definitions', () => {
+        test('should load the built-in commands from src/commands', () => {
+            expect(CommandRegistry.list().map(definition => definition.name).sort())
+                .toEqual(['netstat', 'nslookup', 'ping', 'traceroute', 'whois']);
+        });
+
+        test('should generate the security whitelist including family variants', () => {
+            const allowed = SecurityManager.ALLOWED_COMMANDS;
+
+            expect(Object.keys(allowed)).toEqual(expect.arrayContaining(['ping4', 'ping6', 'traceroute4', 'traceroute6']));
+            expect(allowed.traceroute6.command).toBe('traceroute6');
+            expect(allowed.ping6.args[0]).toBe('-6');
+            expect(allowed.whois).toMatchObject({ command: 'whois', maxArgs: 1, validateDomain: true });
+            expect(allowed.netstat).toMatchObject({ args: ['-an'], maxArgs: 3, validateHostname: false });
+        });
+
+        test('should reject invalid or duplicate definitions', () => {
+            expect(() => CommandRegistry.register({ ...arpDefinition, binary: undefined }))
+                .toThrow('Invalid command definition arp');
+            expect(() => CommandRegistry.register({ ...arpDefinition, positional: ['host'] }))
+                .toThrow('unknown params: host');
+            expect(() => CommandRegistry.register({ ...arpDefinition, formatter: 'formatNothing' }))
+                .toThrow('unknown parser or formatter');
+            expect(() => CommandRegistry.register({ ...arpDefinition, name: 'ping' }))
+                .toThrow('already registered');
+        });
+
+        test('should build the argument vector from positional fields', () => {
+            expect(CommandRegistry.buildArgv(CommandRegistry.get('ping'), { hostname: '::1', family: 6 })).toEqual(['::1']);
+            expect(CommandRegistry.buildArgv(CommandRegistry.get('netstat'), { args: ['-r', '-n'] })).toEqual(['-r', '-n']);
+        });
+
+        test('should describe commands for clients', () => {
+            const ping = CommandRegistry.describe(CommandRegistry.get('ping'));
+
+            expect(ping).toMatchObject({
+                name: 'ping',
+                route: '/api/ping',
+                usage: 'ping [-4|-6] <hostname>',
+                positional: ['hostname'],
+                families: [4, 6],
+                streamable: true
+            });
+            expect(ping.params).toEqual([
+                { name: 'hostname', type: 'string', required: true, values: null },
+                { name: 'family', type: 'number', required: false, values: [4, 6] }
+            ]);
+        });
+    });
+
+    describe('drop-in commands', () => {
+        test('should whitelist and run a newly registered command', async() => {
+            CommandRegistry.register(arpDefinition);
+            jest.spyOn(CommandExecutor, 'execute').mockResolvedValue('  ? (192.0.2.1) at 00:00:5e:00:53:01  ');
+
+            expect(SecurityManager.isCommandSafe('arp', [])).toBe(true);
+
+            const result = await NetworkService.run('arp');
+
+            expect(CommandExecutor.execute).toHaveBeenCalledWith('arp', []);
+            expect(result).toMatchObject({ success: true, output: '? (192.0.2.1) at 00:00:5e:00:53:01', parsed: null });
+        });
+
+        test('should reject unknown commands', async() => {
+            await expect(NetworkService.run('mtr')).rejects.toMatchObject({ status: 404 });
+        });
+    });
+
+    describe('generated routes', () => {
+        const app = express();
+        app.use(express.json());
+        app.use('/api', require('../src/routes/network'));
+
+        test('should validate request bodies with the definition schema', async() => {
+            const response = await request(app).post('/api/whois').send({ domain: 'not a domain' });
+
+            expect(response.status).toBe(400);
+        });
+
+        test('should run the command through the service', async() => {
+            jest.spyOn(CommandExecutor, 'execute').mockResolvedValue('Kernel IP routing table');
+
+            const response = await request(app).post('/api/netstat').send({ args: ['-r'] });
+
+            expect(response.status).toBe(200);
+            expect(response.body.output).toContain('Kernel IP routing table');
+            expect(CommandExecutor.execute).toHaveBeenCalledWith('netstat', ['-r']);
+        });
+
+        test('should include the definitions in the commands metadata', async() => {
+            jest.spyOn(CommandExecutor, 'getAvailableCommands').mockResolvedValue(['ping']);
+            jest.spyOn(CommandExecutor, 'getCommandStats').mockResolvedValue({});
+
+            const response = await request(app).get('/api/commands');
+
+            expect(response.body.definitions.map(definition => definition.name)).toContain('traceroute');
+        });
+    });
+});
@@ -0,0 +1,179 @@
+/**
+ * @jest-environment node
+ */
+const express = require('express');
+const request = require('supertest');
+const MockProvider = require('../src/modules/llm/MockProvider');
+const DatabaseManager = require('../src/modules/database');
+const ConversationService = require('../src/services/conversationService');
+const container = require('../src/container/DIContainer');
+
+const SESSION = 'session-token-a';
+
+describe('Conversation memory', () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api', require('../src/routes/ai'));
+
+    let database;
+    let llmClient;
+    let conversations;
+
+    beforeEach(async() => {
+        database = new DatabaseManager();
+        database.dbPath = ':memory:';
+        await database.initialize();
+
+        llmClient = new MockProvider({
+            fixtures: [
+                { match: 'maintain the memory', response: 'User is debugging example.com over IPv4.' },
+                { match: 'Unknown command: ping6 please', response: 'USE: ping -6 example.com' }
+            ]
+        });
+        container.initialize({ databaseManager: database, llmClient });
+        conversations = container.get('conversationService');
+    });
+
+    afterEach(() => {
+        container.clear();
+        database.close();
+        delete process.env.CONVERSATION_MAX_TURNS;
+        delete process.env.CONVERSATION_MAX_TOKENS;
+    });
+
+    test('should send earlier turns of the same session with a follow-up', async() => {
+        const aiService = container.get('aiService');
+
+        await aiService.processUnknownCommand('how do I ping example.com', false, { sessionToken: SESSION });
+        await aiService.processUnknownCommand('ping6 please', false, { sessionToken: SESSION });
+
+        const { messages } = llmClient.calls[llmClient.calls.length - 1].params;
+
+        expect(messages.map(message => message.role)).toEqual(['system', 'user', 'assistant', 'user']);
+        expect(messages[1].content).toBe('how do I ping example.com');
+        expect(messages[2].content).toBe('MOCK RESPONSE: Unknown command: how do I ping example.com');
+        expect(messages[3].content).toBe('Unknown command: ping6 please');
+    });
+
+    test('should keep sessions apart and stay stateless without a session', async() => {
+        await conversations.recordTurn(SESSION, 'first question', 'first answer');
+
+        expect(await conversations.getContext('session-token-b')).toEqual([]);
+        expect(await conversations.getContext(null)).toEqual([]);
+        expect(await conversations.recordTurn(null, 'question', 'answer')).toBe(false);
+        expect(await conversations.getContext(SESSION)).toHaveLength(2);
+    });
+
+    test('should not store raw session tokens', async() => {
+        await conversations.recordTurn(SESSION, 'first question', 'first answer');
+
+        const rows = await database.getAll('SELECT DISTINCT session_key FROM conversation_messages');
+
+        expect(rows).toEqual([{ session_key: ConversationService.sessionKey(SESSION) }]);
+        expect(rows[0].session_key).not.toContain(SESSION);
+    });
+
+    test('should summarise turns outside the turn window', async() => {
+        process.env.CONVERSATION_MAX_TURNS = '2';
+
+        await conversations.recordTurn(SESSION, 'ping example.com', 'PINGING...');
+        await conversations.recordTurn(SESSION, 'use ipv4', 'OK, IPV4.');
+        await conversations.recordTurn(SESSION, 'and traceroute?', 'TRACING...');
+
+        const history = await conversations.getHistory(SESSION);
+        const summaryCall = llmClient.calls[llmClient.calls.length - 1].params.messages[1].content;
+
+        expect(summaryCall).toContain('User: ping example.com\nAssistant: PINGING...');
+        expect(history.summary).toBe('User is debugging example.com over IPv4.');
+        expect(history.messages.map(message => message.content))
+            .toEqual(['use ipv4', 'OK, IPV4.', 'and traceroute?', 'TRACING...']);
+
+        const context = await conversations.getContext(SESSION);
+        expect(context[0]).toEqual({
+            role: 'system',
+            content: 'Summary of the earlier conversation: User is debugging example.com over IPv4.'
+        });
+        expect(context).toHaveLength(5);
+    });
+
+    test('should summarise turns outside the token budget', async() => {
+        process.env.CONVERSATION_MAX_TOKENS = '10';
+
+        await conversations.recordTurn(SESSION, 'x'.repeat(40), 'y'.repeat(40));
+        await conversations.recordTurn(SESSION, 'short', 'reply');
+
+        const history = await conversations.getHistory(SESSION);
+
+        expect(history.summary).toBe('User is debugging example.com over IPv4.');
+        expect(history.messages.map(message => message.content)).toEqual(['short', 'reply']);
+    });
+
+    test('should drop old turns and keep the previous summary when summarising fails', async() => {
+        process.env.CONVERSATION_MAX_TURNS = '1';
+
+        await conversations.recordTurn(SESSION, 'one', 'ONE');
+        await conversations.recordTurn(SESSION, 'two', 'TWO');
+
+        llmClient.reset();
+        llmClient.addFixture({ match: 'maintain the memory', error: 'Model overloaded', status: 503 });
+
+        await conversations.recordTurn(SESSION, 'three', 'THREE');
+
+        const history = await conversations.getHistory(SESSION);
+
+        expect(history.summary).toBe('User is debugging example.com over IPv4.');
+        expect(history.messages.map(message => message.content)).toEqual(['three', 'THREE']);
+    });
+
+    test('should delete threads without a new message for the retention period', async() => {
+        await conversations.recordTurn(SESSION, 'old question', 'old answer');
+        await conversations.recordTurn('session-token-b', 'recent question', 'recent answer');
+        await database.runQuery(
+            "UPDATE conversation_messages SET created_at = datetime('now', '-31 days') WHERE session_key = ?",
+            [ConversationService.sessionKey(SESSION)]
+        );
+
+        expect(await conversations.start()).toBe(2);
+        expect(conversations.pruneTimer).not.toBeNull();
+        expect(await conversations.getContext(SESSION)).toEqual([]);
+        expect(await conversations.getContext('session-token-b')).toHaveLength(2);
+
+        conversations.stop();
+        expect(conversations.pruneTimer).toBeNull();
+    });
+
+    describe('routes', () => {
+        test('should show and reset the thread of the session', async() => {
+            await conversations.recordTurn(SESSION, 'what is my ip', 'CHECK: curl ifconfig.me');
+
+            const shown = await request(app).get('/api/conversation').set('X-Session-Token', SESSION);
+
+            expect(shown.status).toBe(200);
+            expect(shown.body.messages).toHaveLength(2);
+            expect(shown.body.output).toContain('> what is my ip');
+
+            const other = await request(app).get('/api/conversation').set('X-Session-Token', 'someone-else');
+            expect(other.body.output).toContain('No AI conversation yet');
+
+            const reset = await request(app).delete('/api/conversation').set('X-Session-Token', SESSION);
+
+            expect(reset.body).toMatchObject({ success: true, deleted: 2, output: 'AI conversation cleared.' });
+            expect(await conversations.getContext(SESSION)).toEqual([]);
+        });
+
+        test('should record streamed answers in the thread', async() => {
+            await request(app)
+                .post('/api/process-command')
+                .set('Accept', 'text/event-stream')
+                .set('X-Session-Token', SESSION)
+                .send({ command: 'ping6 please' });
+
+            const history = await conversations.getHistory(SESSION);
+
+            expect(history.messages).toEqual([
+                expect.objectContaining({ role: 'user', content: 'ping6 please' }),
+                expect.objectContaining({ role: 'assistant', content: 'USE: ping -6 example.com' })
+            ]);
+        });
+    });
+});
@@ -0,0 +1,103 @@
+const dns = require('dns');
+const DnsService = require('../src/services/dnsService');
+const cacheManager = require('../src/modules/cache');
+
+const records = {
+    resolve4: [{ address: '93.184.216.34', ttl: 300 }],
+    resolveMx: [{ priority: 10, exchange: 'mail.example.com' }],
+    resolveTxt: [['v=spf1 -all']],
+    resolveSoa: {
+        nsname: 'ns.icann.org', hostmaster: 'noc.dns.icann.org', serial: 2024081401,
+        refresh: 7200, retry: 3600, expire: 1209600, minttl: 3600
+    },
+    resolveSrv: [{ priority: 0, weight: 5, port: 5060, name: 'sip.example.com' }],
+    resolveCaa: [{ critical: 0, issue: 'letsencrypt.org' }]
+};
+
+class MockResolver {
+    constructor() {
+        this.servers = ['127.0.0.53'];
+    }
+
+    setServers(servers) {
+        this.servers = servers;
+    }
+
+    getServers() {
+        return this.servers;
+    }
+
+    async reverse() {
+        return ['dns.google'];
+    }
+}
+
+Object.keys(records).forEach(method => {
+    MockResolver.prototype[method] = async() => records[method];
+});
+
+MockResolver.prototype.resolveNs = async() => {
+    throw Object.assign(new Error('queryNs ENOTFOUND missing.example'), { code: 'ENOTFOUND' });
+};
+
+describe('DnsService', () => {
+    const { Resolver } = dns.promises;
+
+    beforeAll(() => {
+        dns.promises.Resolver = MockResolver;
+    });
+
+    afterAll(() => {
+        dns.promises.Resolver = Resolver;
+    });
+
+    beforeEach(() => {
+        cacheManager.flush();
+    });
+
+    test('should resolve A records with TTL in dig style', async() => {
+        const result = await DnsService.lookup('example.com');
+
+        expect(result.success).toBe(true);
+        expect(result.status).toBe('NOERROR');
+        expect(result.answers[0]).toMatchObject({ name: 'example.com.', type: 'A', ttl: 300, value: '93.184.216.34' });
+        expect(result.output).toContain(';; ->>HEADER<<- status: NOERROR, ANSWER: 1');
+        expect(result.output).toContain('example.com.\t300\tIN\tA\t93.184.216.34');
+        expect(result.output).toContain(';; SERVER: 127.0.0.53');
+    });
+
+    test('should format MX, TXT, SOA, SRV and CAA values', async() => {
+        const value = async(name, type) => (await DnsService.lookup(name, { type })).answers[0].value;
+
+        expect(await value('example.com', 'mx')).toBe('10 mail.example.com.');
+        expect(await value('example.com', 'TXT')).toBe('"v=spf1 -all"');
+        expect(await value('example.com', 'SOA'))
+            .toBe('ns.icann.org. noc.dns.icann.org. 2024081401 7200 3600 1209600 3600');
+        expect(await value('_sip._tcp.example.com', 'SRV')).toBe('0 5 5060 sip.example.com.');
+        expect(await value('example.com', 'CAA')).toBe('0 issue "letsencrypt.org"');
+    });
+
+    test('should perform reverse lookups against a custom server', async() => {
+        const result = await DnsService.lookup('8.8.8.8', { reverse: true, server: '1.1.1.1' });
+
+        expect(result.query).toEqual({ name: '8.8.8.8.in-addr.arpa', type: 'PTR', server: '1.1.1.1', reverse: true });
+        expect(result.answers[0].value).toBe('dns.google.');
+    });
+
+    test('should report NXDOMAIN without throwing', async() => {
+        const result = await DnsService.lookup('missing.example', { type: 'NS' });
+
+        expect(result.status).toBe('NXDOMAIN');
+        expect(result.answers).toEqual([]);
+    });
+
+    test('should reject unsupported types and non-IP reverse lookups', async() => {
+        await expect(DnsService.lookup('example.com', { type: 'AXFR' })).rejects.toThrow('Unsupported record type');
+        await expect(DnsService.lookup('example.com', { reverse: true })).rejects.toThrow('requires an IP address');
+    });
+
+    test('should build ip6.arpa names', () => {
+        expect(DnsService.toReverseName('2001:db8::1'))
+            .toBe('1.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.8.b.d.0.1.0.0.2.ip6.arpa');
+    });
+});
@@ -0,0 +1,46 @@
+const DockerEmulator = require('../src/modules/dockerEmulator');
+const ProcessRunner = require('../src/modules/processRunner');
+
+describe('DockerEmulator', () => {
+    let emulator;
+
+    beforeEach(() => {
+        emulator = new DockerEmulator();
+        jest.spyOn(ProcessRunner, 'run').mockResolvedValue({ stdout: 'ok', stderr: '', exitCode: 0 });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should run docker with an argument vector', async () => {
+        const result = await emulator.runAssembler('', { fileName: 'hello.asm' });
+
+        expect(result).toMatchObject({ success: true, output: 'ok' });
+
+        const [binary, argv] = ProcessRunner.run.mock.calls[0];
+        expect(binary).toBe('docker');
+        expect(argv.slice(-3)).toEqual(['nasm', 'hello.asm', 'hello']);
+    });
+
+    test('should reject file names with shell syntax or paths', async () => {
+        const names = ['x"; rm -rf / #.asm', '../hello.asm', 'hello.pas', '-o.asm'];
+
+        for (const fileName of names) {
+            const result = await emulator.runAssembler('', { fileName });
+            expect(result.success).toBe(false);
+            expect(result.error).toContain('Invalid file name');
+        }
+
+        expect((await emulator.runQEMU('../etc/disk.img')).success).toBe(false);
+        expect(ProcessRunner.run).not.toHaveBeenCalled();
+    });
+
+    test('should report stderr and exit code on failure', async () => {
+        ProcessRunner.run.mockResolvedValue({ stdout: '', stderr: 'no such image\n', exitCode: 125 });
+
+        const result = await emulator.runDOS('GAME.EXE');
+
+        expect(result).toMatchObject({ success: false, error: 'no such image' });
+    });
+});
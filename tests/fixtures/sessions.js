@@ -0,0 +1,37 @@
+const request = require('supertest');
+
+/**
+ * Sessions of an admin and a regular user for routes behind requireAuth / requireAdmin.
+ * Suites replace the auth module before loading the routes:
+ *   jest.mock('../src/modules/auth', () => require('./fixtures/sessions').mockAuthModule());
+ */
+const ADMIN_SESSION = 'admin-session';
+const USER_SESSION = 'user-session';
+
+const USERS = {
+    [ADMIN_SESSION]: { username: 'root', isAdmin: true },
+    [USER_SESSION]: { username: 'guest', isAdmin: false }
+};
+
+/**
+ * Builds the auth module stand-in that knows the two sessions
+ * @returns {Object} - { validateSession }
+ */
+const mockAuthModule = () => ({
+    validateSession: async(token) => USERS[token] || null
+});
+
+/**
+ * Creates a request helper that sends a session token in the X-Session-Token header
+ * @param {Object} app - Express app
+ * @param {string} token - Session token
+ * @returns {Function} - (method, url) => supertest request
+ */
+const sessionRequest = (app, token) => (method, url) => request(app)[method](url).set('X-Session-Token', token);
+
+module.exports = {
+    ADMIN_SESSION,
+    USER_SESSION,
+    mockAuthModule,
+    sessionRequest
+};
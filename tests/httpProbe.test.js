@@ -0,0 +1,106 @@
+const http = require('http');
+const HttpProbe = require('../src/modules/httpProbe');
+const OutputFormatter = require('../src/utils/formatters');
+
+describe('HttpProbe', () => {
+    let server;
+    let baseUrl;
+
+    beforeAll(async() => {
+        server = http.createServer((req, res) => {
+            if (req.url === '/old') {
+                res.writeHead(301, { Location: '/new' });
+                res.end();
+            } else if (req.url === '/loop') {
+                res.writeHead(302, { Location: '/loop' });
+                res.end();
+            } else if (req.url === '/large') {
+                res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+                res.end(Buffer.alloc(64 * 1024));
+            } else if (req.url === '/trickle') {
+                res.writeHead(200, { 'Content-Type': 'text/plain' });
+                const timer = setInterval(() => res.write('.'), 20);
+                res.on('close', () => clearInterval(timer));
+            } else {
+                res.writeHead(200, { 'Content-Type': 'text/plain', 'X-Internal': 'hidden' });
+                res.end('ok');
+            }
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async() => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    test('should follow redirects and report timings', async() => {
+        const probe = await HttpProbe.probe(`${baseUrl}/old`);
+
+        expect(probe.status).toBe(200);
+        expect(probe.finalUrl).toBe(`${baseUrl}/new`);
+        expect(probe.redirects).toEqual([{ url: `${baseUrl}/old`, status: 301, location: `${baseUrl}/new` }]);
+        expect(probe.headers['content-type']).toBe('text/plain');
+        expect(probe.headers).not.toHaveProperty('x-internal');
+        expect(probe.timings.ttfb).toBeGreaterThanOrEqual(0);
+        expect(probe.timings.tls).toBeNull();
+        expect(probe.certificate).toBeNull();
+    });
+
+    test('should not follow redirects when disabled', async() => {
+        const probe = await HttpProbe.probe(`${baseUrl}/old`, { method: 'HEAD', followRedirects: false });
+
+        expect(probe.status).toBe(301);
+        expect(probe.redirects).toEqual([]);
+    });
+
+    test('should stop redirect loops', async() => {
+        await expect(HttpProbe.probe(`${baseUrl}/loop`)).rejects.toThrow('Too many redirects');
+    });
+
+    test('should stop reading the body at the byte cap', async() => {
+        process.env.HTTP_PROBE_MAX_BODY_BYTES = '1024';
+
+        try {
+            const probe = await HttpProbe.probe(`${baseUrl}/large`);
+
+            expect(probe.status).toBe(200);
+            expect(probe).toMatchObject({ bodyBytes: 1024, bodyTruncated: true });
+            expect(OutputFormatter.formatHttpProbeOutput(probe)).toContain('(body read up to 1024 bytes)');
+        } finally {
+            delete process.env.HTTP_PROBE_MAX_BODY_BYTES;
+        }
+    });
+
+    test('should time out a response that keeps trickling in', async() => {
+        process.env.HTTP_PROBE_TIMEOUT = '200';
+
+        try {
+            await expect(HttpProbe.probe(`${baseUrl}/trickle`)).rejects.toThrow('Request timed out after 200ms');
+        } finally {
+            delete process.env.HTTP_PROBE_TIMEOUT;
+        }
+    });
+
+    test('should format probe results for the terminal', async() => {
+        const output = OutputFormatter.formatHttpProbeOutput({
+            ...(await HttpProbe.probe(`${baseUrl}/old`)),
+            certificate: {
+                subject: 'example.com',
+                issuer: 'R3, Let\'s Encrypt',
+                san: ['example.com', 'www.example.com'],
+                validFrom: '2024-01-01T00:00:00.000Z',
+                validTo: '2024-04-01T00:00:00.000Z',
+                daysUntilExpiry: 30,
+                authorized: true,
+                authorizationError: null
+            }
+        });
+
+        expect(output).toContain('HTTP/1.1 200 OK');
+        expect(output).toContain('1. 301');
+        expect(output).toContain('TLS handshake:  -');
+        expect(output).toContain('SAN:      example.com, www.example.com');
+        expect(output).toContain('Expires:  in 30 day(s)');
+    });
+});
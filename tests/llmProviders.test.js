@@ -0,0 +1,205 @@
+/**
+ * @jest-environment node
+ */
+const http = require('http');
+const MockProvider = require('../src/modules/llm/MockProvider');
+const LocalHttpProvider = require('../src/modules/llm/LocalHttpProvider');
+const OpenAIProvider = require('../src/modules/llm/OpenAIProvider');
+const LLMProviderFactory = require('../src/factories/LLMProviderFactory');
+const DatabaseManager = require('../src/modules/database');
+const container = require('../src/container/DIContainer');
+
+describe('LLM providers', () => {
+    describe('MockProvider', () => {
+        test('should answer from the first matching fixture', async() => {
+            const provider = new MockProvider({
+                fixtures: [
+                    { match: '/^unknown command: (ls|dir)/im', response: 'Try ls -la' },
+                    { match: 'legal request detector', response: { isLegal: true, confidence: 0.9 } }
+                ]
+            });
+
+            const command = await provider.createChatCompletion({
+                messages: [{ role: 'system', content: 'Be retro' }, { role: 'user', content: 'Unknown command: dir' }]
+            });
+            const detection = await provider.createChatCompletion({
+                messages: [{ role: 'system', content: 'You are a Legal Request Detector.' }]
+            });
+
+            expect(command.choices[0].message.content).toBe('Try ls -la');
+            expect(JSON.parse(detection.choices[0].message.content)).toEqual({ isLegal: true, confidence: 0.9 });
+            expect(provider.calls).toHaveLength(2);
+        });
+
+        test('should return a deterministic default answer with usage', async() => {
+            const provider = new MockProvider();
+            const params = { messages: [{ role: 'user', content: 'hello terminal' }] };
+
+            const first = await provider.createChatCompletion(params);
+            const second = await provider.createChatCompletion(params);
+
+            expect(first.choices[0].message.content).toBe('MOCK RESPONSE: hello terminal');
+            expect(second.choices[0].message.content).toBe(first.choices[0].message.content);
+            expect(first.usage).toEqual({ prompt_tokens: 2, completion_tokens: 4, total_tokens: 6 });
+        });
+
+        test('should stream the answer in pieces', async() => {
+            const provider = new MockProvider({ fixtures: [{ match: 'dir', response: 'TRY  LS -LA.' }] });
+            const pieces = [];
+
+            for await (const piece of provider.streamChatCompletion({ messages: [{ role: 'user', content: 'dir' }] })) {
+                pieces.push(piece);
+            }
+
+            expect(pieces).toEqual(['TRY  ', 'LS ', '-LA.']);
+        });
+
+        test('should simulate backend errors', async() => {
+            const provider = new MockProvider({ fixtures: [{ match: 'boom', error: 'Rate limit reached', status: 429 }] });
+
+            await expect(provider.createChatCompletion({ messages: [{ role: 'user', content: 'boom' }] }))
+                .rejects.toMatchObject({ message: 'Rate limit reached', status: 429 });
+        });
+    });
+
+    describe('LocalHttpProvider', () => {
+        let server;
+        let requests;
+        let provider;
+
+        beforeAll(async() => {
+            requests = [];
+            server = http.createServer((req, res) => {
+                let body = '';
+                req.on('data', chunk => {
+                    body += chunk;
+                });
+                req.on('end', () => {
+                    requests.push({ method: req.method, url: req.url, body: body ? JSON.parse(body) : null });
+                    res.setHeader('Content-Type', 'application/json');
+
+                    if (body && JSON.parse(body).stream) {
+                        // Split a line across writes to exercise line buffering
+                        res.write('{"message":{"role":"assistant","content":"REA"},"done":false}\n{"message":');
+                        res.write('{"role":"assistant","content":"DY."},"done":false}\n');
+                        res.end('{"message":{"role":"assistant","content":""},"done":true,"eval_count":2}\n');
+                        return;
+                    }
+
+                    if (req.url === '/api/tags') {
+                        res.end(JSON.stringify({ models: [{ name: 'llama3' }] }));
+                        return;
+                    }
+
+                    res.end(JSON.stringify({
+                        model: 'llama3',
+                        message: { role: 'assistant', content: 'READY.' },
+                        done_reason: 'stop',
+                        prompt_eval_count: 12,
+                        eval_count: 3
+                    }));
+                });
+            });
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            provider = new LocalHttpProvider({ url: `http://127.0.0.1:${server.address().port}`, model: 'llama3' });
+        });
+
+        afterAll(async() => {
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        test('should translate chat completions to the Ollama API', async() => {
+            const completion = await provider.createChatCompletion({
+                messages: [{ role: 'user', content: 'status' }],
+                max_tokens: 50,
+                temperature: 0.2
+            });
+
+            expect(requests[requests.length - 1]).toEqual({
+                method: 'POST',
+                url: '/api/chat',
+                body: {
+                    model: 'llama3',
+                    messages: [{ role: 'user', content: 'status' }],
+                    options: { num_predict: 50, temperature: 0.2 },
+                    stream: false
+                }
+            });
+            expect(completion.choices[0].message).toEqual({ role: 'assistant', content: 'READY.' });
+            expect(completion.usage).toEqual({ prompt_tokens: 12, completion_tokens: 3, total_tokens: 15 });
+        });
+
+        test('should stream newline-delimited chunks', async() => {
+            const pieces = [];
+            const onUsage = jest.fn();
+            const params = { messages: [{ role: 'user', content: 'status' }] };
+
+            for await (const piece of provider.streamChatCompletion(params, { onUsage })) {
+                pieces.push(piece);
+            }
+
+            expect(pieces).toEqual(['REA', 'DY.']);
+            expect(onUsage).toHaveBeenCalledWith({ prompt_tokens: 0, completion_tokens: 2, total_tokens: 2 });
+            expect(requests[requests.length - 1].body.stream).toBe(true);
+        });
+
+        test('should report availability', async() => {
+            expect(await provider.isAvailable()).toBe(true);
+            expect(await new LocalHttpProvider({ url: 'http://127.0.0.1:1', timeout: 1000 }).isAvailable()).toBe(false);
+        });
+    });
+
+    describe('LLMProviderFactory', () => {
+        test('should create the configured provider', () => {
+            expect(LLMProviderFactory.create({ provider: 'mock' })).toBeInstanceOf(MockProvider);
+            expect(LLMProviderFactory.create({ provider: 'local', localUrl: 'http://127.0.0.1:11434' }))
+                .toBeInstanceOf(LocalHttpProvider);
+            expect(LLMProviderFactory.create({ provider: 'openai', apiKey: 'key', model: 'gpt-4o-mini' }))
+                .toBeInstanceOf(OpenAIProvider);
+            expect(() => LLMProviderFactory.create({ provider: 'telepathy' })).toThrow('Unknown LLM provider');
+        });
+
+        test('should use the mock provider in tests', () => {
+            expect(LLMProviderFactory.create().getName()).toBe('mock');
+        });
+    });
+
+    describe('dependency injection', () => {
+        let database;
+        let llmClient;
+
+        beforeAll(async() => {
+            database = new DatabaseManager();
+            database.dbPath = ':memory:';
+            await database.initialize();
+        });
+
+        beforeEach(() => {
+            llmClient = new MockProvider({
+                fixtures: [
+                    { match: 'legal request detector', response: { isLegal: true, confidence: 0.95, reason: 'court' } },
+                    { match: 'search query', response: { searchQuery: 'виселення', confidence: 0.8 } },
+                    { match: 'Unknown command', response: 'SYNTAX ERROR. TRY HELP.' }
+                ]
+            });
+            container.initialize({ databaseManager: database, llmClient });
+        });
+
+        afterEach(() => {
+            container.clear();
+        });
+
+        afterAll(() => {
+            database.close();
+        });
+
+        test('should inject one client into processors and strategies', async() => {
+            const legal = await container.get('legalProcessor').process('Мене виселяють з квартири');
+            const strategy = await container.get('aiRequestContext').processRequest('command', 'frobnicate');
+
+            expect(legal).toMatchObject({ success: true, isLegal: true, searchQuery: 'виселення' });
+            expect(strategy).toMatchObject({ success: true, response: 'SYNTAX ERROR. TRY HELP.' });
+            expect(llmClient.calls).toHaveLength(3);
+        });
+    });
+});
@@ -0,0 +1,163 @@
+/**
+ * @jest-environment node
+ */
+const net = require('net');
+const DatabaseManager = require('../src/modules/database');
+const MonitorRepository = require('../src/repositories/MonitorRepository');
+const MonitorService = require('../src/services/monitorService');
+
+describe('MonitorService', () => {
+    describe('computeStats', () => {
+        test('should compute uptime and latency percentiles', () => {
+            const results = [
+                ...Array.from({ length: 9 }, (_, index) => ({ status: 'up', latency: (index + 1) * 10 })),
+                { status: 'down', latency: null }
+            ];
+
+            const stats = MonitorService.computeStats(results);
+
+            expect(stats).toMatchObject({ checks: 10, up: 9, down: 1, uptime: 90 });
+            expect(stats.latency).toEqual({ min: 10, avg: 50, max: 90, p50: 50, p90: 90, p95: 90, p99: 90 });
+        });
+
+        test('should handle monitors without results', () => {
+            const stats = MonitorService.computeStats([]);
+
+            expect(stats.uptime).toBeNull();
+            expect(stats.latency.p95).toBeNull();
+        });
+    });
+
+    describe('with database', () => {
+        let database;
+        let service;
+        let server;
+        let port;
+
+        beforeAll(async() => {
+            database = new DatabaseManager();
+            database.dbPath = ':memory:';
+            await database.initialize();
+
+            server = net.createServer(socket => socket.destroy());
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            ({ port } = server.address());
+        });
+
+        afterAll(async() => {
+            await new Promise(resolve => server.close(resolve));
+            database.close();
+        });
+
+        beforeEach(() => {
+            service = new MonitorService(new MonitorRepository(database));
+        });
+
+        afterEach(() => {
+            service.stop();
+        });
+
+        test('should store results and alert when a monitor flips between up and down', async() => {
+            const repository = service.monitorRepository;
+            const { id } = await repository.save({ name: 'local', type: 'tcp', target: '127.0.0.1', port, interval: 60 });
+            const monitor = await service.get(id);
+            const alerts = [];
+
+            service.on('alert', alert => alerts.push(alert));
+
+            await service.runCheck(monitor);
+            expect(monitor.status).toBe('up');
+            expect(alerts).toHaveLength(0);
+
+            await new Promise(resolve => server.close(resolve));
+            await service.runCheck(monitor);
+
+            expect(alerts).toHaveLength(1);
+            expect(alerts[0]).toMatchObject({ from: 'up', to: 'down' });
+
+            const details = await service.show(id);
+            expect(details.stats).toMatchObject({ checks: 2, up: 1, down: 1, uptime: 50 });
+            expect(details.monitor.status).toBe('down');
+            expect(details.output).toContain('UPTIME (24h): 50%');
+
+            server = net.createServer(socket => socket.destroy());
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        });
+
+        test('should add, list and remove monitors', async() => {
+            const firstCheck = new Promise(resolve => service.once('check', resolve));
+            const monitor = await service.add({ type: 'http', target: 'http://127.0.0.1:1/', interval: 300 });
+
+            expect(monitor.name).toBe('http://127.0.0.1:1/');
+            expect(service.timers.has(monitor.id)).toBe(true);
+
+            const { monitors, output } = await service.list();
+            expect(monitors.map(item => item.id)).toContain(monitor.id);
+            expect(output).toContain('http://127.0.0.1:1/');
+
+            const { result } = await firstCheck;
+            expect(result.status).toBe('down');
+
+            await service.remove(monitor.id);
+            expect(service.timers.has(monitor.id)).toBe(false);
+            await expect(service.get(monitor.id))
+                .rejects.toMatchObject({ message: `Monitor ${monitor.id} not found`, status: 404 });
+        });
+
+        test('should prune old results when started and every hour after', async() => {
+            jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+
+            try {
+                const { id } = await service.monitorRepository.save({
+                    name: 'old', type: 'ping', target: '127.0.0.1', interval: 60
+                });
+                const insertOld = () => database.runQuery(`INSERT INTO monitor_results (monitor_id, status, created_at)
+                    VALUES (?, 'up', datetime('now', '-30 days'))`, [id]);
+                const count = async() => (await database.get(
+                    'SELECT COUNT(*) AS count FROM monitor_results WHERE monitor_id = ?', [id]
+                )).count;
+
+                await insertOld();
+                await service.monitorRepository.update(id, { enabled: false });
+                await service.start();
+                expect(await count()).toBe(0);
+                expect(service.pruneTimer).not.toBeNull();
+
+                await insertOld();
+                const pruned = jest.spyOn(service, 'prune');
+                jest.advanceTimersByTime(60 * 60 * 1000);
+                await pruned.mock.results[0].value;
+                expect(await count()).toBe(0);
+
+                service.stop();
+                expect(service.pruneTimer).toBeNull();
+                await service.monitorRepository.delete(id);
+            } finally {
+                jest.useRealTimers();
+            }
+        });
+
+        test('should let only the creating client change a monitor and cap monitors per client', async() => {
+            process.env.MONITOR_MAX_PER_CLIENT = '1';
+
+            try {
+                const data = { type: 'http', target: 'http://127.0.0.1:1/', interval: 300 };
+                const monitor = await service.add(data, '10.0.0.1');
+                expect(monitor.created_by).toBe('10.0.0.1');
+
+                await expect(service.add({ type: 'http', target: 'http://127.0.0.1:2/' }, '10.0.0.1'))
+                    .rejects.toMatchObject({ status: 429 });
+
+                await expect(service.update(monitor.id, { name: 'mine' }, '10.0.0.2'))
+                    .rejects.toMatchObject({ status: 403 });
+                await expect(service.remove(monitor.id, '10.0.0.2')).rejects.toMatchObject({ status: 403 });
+
+                expect((await service.update(monitor.id, { name: 'mine' }, '10.0.0.1')).name).toBe('mine');
+                await service.remove(monitor.id, '10.0.0.1');
+                await expect(service.get(monitor.id)).rejects.toThrow('not found');
+            } finally {
+                delete process.env.MONITOR_MAX_PER_CLIENT;
+            }
+        });
+    });
+});
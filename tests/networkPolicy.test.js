@@ -0,0 +1,97 @@
+/**
+ * @jest-environment node
+ */
+const dns = require('dns');
+const NetworkPolicy = require('../src/modules/networkPolicy');
+const HttpProbe = require('../src/modules/httpProbe');
+const PortService = require('../src/services/portService');
+
+describe('NetworkPolicy', () => {
+    const allowed = process.env.NETWORK_ALLOW_CIDRS;
+
+    beforeEach(() => {
+        delete process.env.NETWORK_ALLOW_CIDRS;
+    });
+
+    afterEach(() => {
+        process.env.NETWORK_ALLOW_CIDRS = allowed;
+        jest.restoreAllMocks();
+        NetworkPolicy.setDatabase(null);
+    });
+
+    describe('evaluate', () => {
+        test('should deny loopback, private, link-local and metadata addresses by default', () => {
+            ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '::1', 'fd00::1', 'fe80::1%eth0']
+                .forEach(address => {
+                    expect(NetworkPolicy.evaluate(address).allowed).toBe(false);
+                });
+
+            expect(NetworkPolicy.evaluate('8.8.8.8')).toEqual({ allowed: true, network: null });
+            expect(NetworkPolicy.evaluate('2606:4700::1111').allowed).toBe(true);
+        });
+
+        test('should check IPv4-mapped IPv6 addresses as IPv4', () => {
+            expect(NetworkPolicy.evaluate('::ffff:127.0.0.1').network).toBe('127.0.0.0/8');
+            expect(NetworkPolicy.evaluate('::ffff:a9fe:a9fe').network).toBe('169.254.0.0/16');
+            expect(NetworkPolicy.evaluate('::ffff:808:808').allowed).toBe(true);
+        });
+
+        test('should let allowed networks override denied ones', () => {
+            process.env.NETWORK_ALLOW_CIDRS = '10.0.0.5/32';
+
+            expect(NetworkPolicy.evaluate('10.0.0.5')).toEqual({ allowed: true, network: '10.0.0.5/32' });
+            expect(NetworkPolicy.evaluate('10.0.0.6').allowed).toBe(false);
+        });
+    });
+
+    describe('resolve', () => {
+        test('should reject a name when any resolved address is denied', async() => {
+            jest.spyOn(dns.promises, 'lookup').mockResolvedValue([
+                { address: '93.184.216.34', family: 4 },
+                { address: '10.0.0.1', family: 4 }
+            ]);
+
+            await expect(NetworkPolicy.resolve('rebind.example')).rejects.toMatchObject({
+                code: 'ENETPOLICY',
+                status: 403
+            });
+        });
+
+        test('should return the checked address to connect to', async() => {
+            jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+
+            const result = await NetworkPolicy.resolve('example.com');
+
+            expect(result.address).toBe('93.184.216.34');
+            expect(dns.promises.lookup).toHaveBeenCalledTimes(1);
+        });
+
+        test('should record denials as security events', async() => {
+            const databaseManager = { saveSecurityEvent: jest.fn().mockResolvedValue({ success: true }) };
+            NetworkPolicy.setDatabase(databaseManager);
+
+            await expect(NetworkPolicy.resolve('169.254.169.254', { context: { tool: 'ping', userIp: '203.0.113.9' } }))
+                .rejects.toThrow('blocked network 169.254.0.0/16');
+
+            expect(databaseManager.saveSecurityEvent).toHaveBeenCalledWith(
+                'network_policy_denied',
+                'ping: 169.254.169.254 (169.254.169.254) blocked by 169.254.0.0/16',
+                { userIp: '203.0.113.9', severity: 'warning' }
+            );
+        });
+    });
+
+    describe('guarded tools', () => {
+        test('should stop HTTP probes of blocked IP literals', async() => {
+            await expect(HttpProbe.probe('http://[::1]:1/')).rejects.toMatchObject({ code: 'ENETPOLICY' });
+        });
+
+        test('should stop HTTP probes of names resolving to blocked addresses', async() => {
+            await expect(HttpProbe.probe('http://localhost:1/')).rejects.toMatchObject({ code: 'ENETPOLICY' });
+        });
+
+        test('should stop TCP port checks of blocked targets', async() => {
+            await expect(PortService.check('127.0.0.1', [22])).rejects.toMatchObject({ code: 'ENETPOLICY' });
+        });
+    });
+});
@@ -0,0 +1,181 @@
+const fs = require('fs');
+const path = require('path');
+const OutputParser = require('../src/utils/parsers');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'network', name), 'utf8');
+
+describe('OutputParser', () => {
+    describe('parsePing', () => {
+        test('should parse Linux ping output', () => {
+            const result = OutputParser.parsePing(fixture('ping-linux.txt'));
+
+            expect(result.host).toBe('google.com');
+            expect(result.address).toBe('142.250.190.78');
+            expect(result.probes).toHaveLength(3);
+            expect(result.probes[0]).toEqual({ seq: 1, from: '142.250.190.78', ttl: 117, time: 10.2 });
+            expect(result.transmitted).toBe(4);
+            expect(result.received).toBe(3);
+            expect(result.loss).toBe(25);
+            expect(result.min).toBe(9.87);
+            expect(result.avg).toBe(10.49);
+            expect(result.max).toBe(11.4);
+            expect(result.stddev).toBe(0.661);
+        });
+
+        test('should parse BSD ping output with timeouts', () => {
+            const result = OutputParser.parsePing(fixture('ping-bsd.txt'));
+
+            expect(result.host).toBe('example.com');
+            expect(result.probes).toHaveLength(4);
+            expect(result.probes[1]).toEqual({ seq: 1, from: null, ttl: null, time: null });
+            expect(result.received).toBe(3);
+            expect(result.loss).toBe(25);
+            expect(result.stddev).toBe(1.078);
+        });
+
+        test('should derive statistics when summary is missing', () => {
+            const output = fixture('ping-bsd.txt').split('\n--- ')[0];
+            const result = OutputParser.parsePing(output);
+
+            expect(result.transmitted).toBe(4);
+            expect(result.received).toBe(3);
+            expect(result.loss).toBe(25);
+            expect(result.min).toBe(87.456);
+            expect(result.max).toBe(90.001);
+        });
+
+        test('should parse Linux IPv6 ping output', () => {
+            const result = OutputParser.parsePing(fixture('ping6-linux.txt'));
+
+            expect(result.host).toBe('google.com');
+            expect(result.address).toBe('2a00:1450:4009:81f::200e');
+            expect(result.probes[0]).toEqual({ seq: 1, from: '2a00:1450:4009:81f::200e', ttl: 118, time: 9.12 });
+            expect(result.loss).toBe(0);
+            expect(result.avg).toBe(9.3);
+        });
+
+        test('should parse BSD ping6 output', () => {
+            const result = OutputParser.parsePing(fixture('ping6-bsd.txt'));
+
+            expect(result.host).toBe('2001:db8::1');
+            expect(result.address).toBe('2001:db8::1');
+            expect(result.probes).toEqual([
+                { seq: 0, from: '2001:db8::1', ttl: 64, time: 0.101 },
+                { seq: 1, from: '2001:db8::1', ttl: 64, time: 0.14 }
+            ]);
+        });
+
+        test('should handle empty output', () => {
+            const result = OutputParser.parsePing('');
+            expect(result.probes).toEqual([]);
+            expect(result.loss).toBeNull();
+        });
+    });
+
+    describe('parseTraceroute', () => {
+        test('should parse Linux traceroute output', () => {
+            const result = OutputParser.parseTraceroute(fixture('traceroute-linux.txt'));
+
+            expect(result.host).toBe('google.com');
+            expect(result.maxHops).toBe(30);
+            expect(result.hops).toHaveLength(4);
+            expect(result.hops[0].probes[0]).toEqual({ host: '_gateway', ip: '192.168.1.1', rtt: 1.234 });
+            expect(result.hops[1].probes).toEqual([
+                { host: null, ip: null, rtt: null },
+                { host: null, ip: null, rtt: null },
+                { host: null, ip: null, rtt: null }
+            ]);
+            expect(result.hops[2].probes.map(probe => probe.ip)).toEqual(['10.20.0.1', '72.14.215.85', '72.14.215.85']);
+            expect(result.hops[3].probes[0].annotation).toBe('!H');
+        });
+
+        test('should parse BSD traceroute output with continuation lines', () => {
+            const result = OutputParser.parseTraceroute(fixture('traceroute-bsd.txt'));
+
+            expect(result.maxHops).toBe(64);
+            expect(result.hops).toHaveLength(4);
+            expect(result.hops[1].probes[0].rtt).toBeNull();
+            expect(result.hops[1].probes[1].ip).toBe('100.64.0.1');
+            expect(result.hops[2].probes).toHaveLength(3);
+            expect(result.hops[2].probes[2].ip).toBe('129.250.2.2');
+        });
+
+        test('should parse IPv6 traceroute output', () => {
+            const result = OutputParser.parseTraceroute(fixture('traceroute6-linux.txt'));
+
+            expect(result.address).toBe('2a00:1450:4009:81f::200e');
+            expect(result.hops).toHaveLength(3);
+            expect(result.hops[0].probes[0]).toEqual({ host: '2001:db8:1::1', ip: '2001:db8:1::1', rtt: 0.412 });
+            expect(result.hops[2].probes[1]).toEqual({
+                host: 'lhr25s34-in-x0e.1e100.net',
+                ip: '2a00:1450:4009:81f::200e',
+                rtt: 9.104
+            });
+        });
+
+        test('should parse numeric-only hops', () => {
+            const result = OutputParser.parseTraceroute(' 1  10.0.0.1  0.512 ms  0.498 ms  0.477 ms');
+            expect(result.hops[0].probes[0]).toEqual({ host: '10.0.0.1', ip: '10.0.0.1', rtt: 0.512 });
+        });
+    });
+
+    describe('parseNslookup', () => {
+        test('should parse Linux nslookup output', () => {
+            const result = OutputParser.parseNslookup(fixture('nslookup-linux.txt'));
+
+            expect(result.server).toBe('127.0.0.53');
+            expect(result.serverAddress).toBe('127.0.0.53');
+            expect(result.authoritative).toBe(false);
+            expect(result.records).toEqual([
+                { name: 'google.com', type: 'A', value: '142.250.190.78' },
+                { name: 'google.com', type: 'AAAA', value: '2607:f8b0:4009:80b::200e' }
+            ]);
+        });
+
+        test('should parse BSD nslookup record descriptions', () => {
+            const result = OutputParser.parseNslookup(fixture('nslookup-bsd.txt'));
+            const types = result.records.map(record => record.type);
+
+            expect(types).toEqual(['CNAME', 'A', 'MX', 'NS', 'TXT']);
+            expect(result.records[0]).toEqual({ name: 'www.github.com', type: 'CNAME', value: 'github.com.' });
+            expect(result.records[2].value).toBe('1 aspmx.l.google.com.');
+        });
+
+        test('should report lookup failures', () => {
+            const result = OutputParser.parseNslookup(fixture('nslookup-nxdomain.txt'));
+            expect(result.error).toBe('NXDOMAIN');
+            expect(result.records).toEqual([]);
+        });
+    });
+
+    describe('parseWhois', () => {
+        test('should parse ICANN-style whois output', () => {
+            const result = OutputParser.parseWhois(fixture('whois-com.txt'));
+
+            expect(result.domain).toBe('example.com');
+            expect(result.registrar).toBe('RESERVED-Internet Assigned Numbers Authority');
+            expect(result.createdAt).toBe('1995-08-14T04:00:00Z');
+            expect(result.updatedAt).toBe('2023-08-14T07:01:38Z');
+            expect(result.expiresAt).toBe('2024-08-13T04:00:00Z');
+            expect(result.nameServers).toEqual(['a.iana-servers.net', 'b.iana-servers.net']);
+            expect(result.status).toEqual(['clientDeleteProhibited', 'clientTransferProhibited']);
+        });
+
+        test('should parse registry-style whois output', () => {
+            const result = OutputParser.parseWhois(fixture('whois-ua.txt'));
+
+            expect(result.domain).toBe('zakononline.com.ua');
+            expect(result.registrar).toBe('ua.ukrnames');
+            expect(result.createdAt).toBe('2012-03-15 10:11:12+02');
+            expect(result.expiresAt).toBe('2025-03-15 10:11:12+02');
+            expect(result.nameServers).toEqual(['ns1.example-dns.net', 'ns2.example-dns.net']);
+        });
+    });
+
+    describe('parse', () => {
+        test('should dispatch by command name', () => {
+            expect(OutputParser.parse('ping', fixture('ping-linux.txt')).host).toBe('google.com');
+            expect(OutputParser.parse('netstat', 'output')).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,57 @@
+const net = require('net');
+const PortService = require('../src/services/portService');
+
+describe('PortService', () => {
+    describe('parsePorts', () => {
+        test('should expand lists and ranges', () => {
+            expect(PortService.parsePorts('443, 22,8000-8002')).toEqual([22, 443, 8000, 8001, 8002]);
+            expect(PortService.parsePorts([80, 80, 443])).toEqual([80, 443]);
+        });
+
+        test('should reject invalid specifications', () => {
+            expect(() => PortService.parsePorts('abc')).toThrow('Invalid port specification');
+            expect(() => PortService.parsePorts('0')).toThrow('Invalid port range');
+            expect(() => PortService.parsePorts('90-80')).toThrow('Invalid port range');
+            expect(() => PortService.parsePorts('70000')).toThrow('Invalid port range');
+        });
+
+        test('should enforce the port cap', () => {
+            expect(() => PortService.parsePorts('1-1000')).toThrow('Too many ports');
+        });
+    });
+
+    describe('check', () => {
+        let server;
+        let openPort;
+        let closedPort;
+
+        beforeAll(async() => {
+            // Grab a free port and release it so it is (almost certainly) closed
+            const probe = net.createServer();
+            await new Promise(resolve => probe.listen(0, '127.0.0.1', resolve));
+            closedPort = probe.address().port;
+            await new Promise(resolve => probe.close(resolve));
+
+            server = net.createServer(socket => socket.destroy());
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            openPort = server.address().port;
+        });
+
+        afterAll(async() => {
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        test('should report open and closed ports with latency', async() => {
+            const result = await PortService.check('127.0.0.1', [openPort, closedPort], { timeout: 1000 });
+            const byPort = Object.fromEntries(result.results.map(port => [port.port, port]));
+
+            expect(result.success).toBe(true);
+            expect(result.address).toBe('127.0.0.1');
+            expect(byPort[openPort].state).toBe('open');
+            expect(typeof byPort[openPort].latency).toBe('number');
+            expect(byPort[closedPort]).toMatchObject({ state: 'closed', latency: null, error: 'ECONNREFUSED' });
+            expect(result.output).toContain(`${openPort}/tcp`);
+            expect(result.output).toContain('2 port(s) probed, 1 open');
+        });
+    });
+});
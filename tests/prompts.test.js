@@ -0,0 +1,152 @@
+/**
+ * @jest-environment node
+ */
+const express = require('express');
+const request = require('supertest');
+const MockProvider = require('../src/modules/llm/MockProvider');
+const DatabaseManager = require('../src/modules/database');
+const PromptService = require('../src/services/promptService');
+const { diffLines } = require('../src/utils/diff');
+const container = require('../src/container/DIContainer');
+
+const { ADMIN_SESSION, USER_SESSION, sessionRequest } = require('./fixtures/sessions');
+
+jest.mock('../src/modules/auth', () => require('./fixtures/sessions').mockAuthModule());
+
+describe('Prompt template registry', () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api', require('../src/routes/ai'));
+    app.use('/api/prompts', require('../src/routes/prompts'));
+
+    let database;
+    let llmClient;
+
+    const admin = sessionRequest(app, ADMIN_SESSION);
+    const user = sessionRequest(app, USER_SESSION);
+
+    beforeEach(async() => {
+        database = new DatabaseManager();
+        database.dbPath = ':memory:';
+        await database.initialize();
+
+        llmClient = new MockProvider({ fixtures: [{ match: 'Unknown command', response: 'SYNTAX ERROR.' }] });
+        container.initialize({ databaseManager: database, llmClient });
+    });
+
+    afterEach(() => {
+        container.clear();
+        database.close();
+        delete process.env.PROMPT_ENV;
+    });
+
+    /**
+     * Gets the system prompt of a recorded model call
+     * @param {number} index - Call index
+     * @returns {string} - System message content
+     */
+    const systemPrompt = (index) => llmClient.calls[index].params.messages[0].content;
+
+    describe('rendering', () => {
+        test('should render the built-in templates as version 1 without storage', async() => {
+            const prompts = new PromptService();
+            const prompt = await prompts.render('agent.system', { tools: 'ping, whois' });
+
+            expect(prompt).toMatchObject({ name: 'agent.system', version: 1, ref: 'agent.system@1' });
+            expect(prompt.content).toContain('(available: ping, whois)');
+            expect(prompt.content).not.toContain('{{');
+        });
+
+        test('should reject unknown templates and missing variables', async() => {
+            const prompts = new PromptService();
+
+            await expect(prompts.render('no.such')).rejects.toMatchObject({ status: 404 });
+            await expect(prompts.render('motd.bender')).rejects.toMatchObject({
+                status: 400,
+                message: 'Prompt motd.bender is missing variables: language'
+            });
+        });
+    });
+
+    test('should diff texts line by line', () => {
+        expect(diffLines('a\nb\nc', 'a\nc\nd')).toEqual([
+            { type: 'same', text: 'a' },
+            { type: 'removed', text: 'b' },
+            { type: 'same', text: 'c' },
+            { type: 'added', text: 'd' }
+        ]);
+    });
+
+    test('should record the prompt version with every AI request', async() => {
+        await request(app).post('/api/process-command').send({ command: 'frobnicate' });
+
+        const saved = (await container.get('openaiRequestRepository').getAll({ limit: 1 })).data[0];
+        const history = await admin('get', '/api/prompts/command.unknown');
+
+        expect(saved.prompt_version).toBe('command.unknown@1');
+        expect(history.body.activeVersion).toBe(1);
+        expect(history.body.versions).toEqual([
+            expect.objectContaining({ version: 1, author: 'system', note: 'Built-in template' })
+        ]);
+    });
+
+    test('should activate an edited version only in its environment', async() => {
+        const edit = await admin('put', '/api/prompts/command.unknown')
+            .send({ content: 'You are a terse 1970s terminal.\nAnswer in one line.', note: 'shorter' });
+
+        expect(edit.status).toBe(201);
+        expect(edit.body).toMatchObject({ name: 'command.unknown', version: 2, environment: 'test', active: true });
+
+        await request(app).post('/api/process-command').send({ command: 'frobnicate' });
+
+        process.env.PROMPT_ENV = 'production';
+        await request(app).post('/api/process-command').send({ command: 'frobnicate' });
+
+        expect(systemPrompt(0)).toBe('You are a terse 1970s terminal.\nAnswer in one line.');
+        expect(systemPrompt(1)).toContain('You are a helpful assistant for a retro terminal server.');
+
+        const versions = (await container.get('openaiRequestRepository').getAll()).data
+            .map(row => row.prompt_version)
+            .sort();
+        expect(versions).toEqual(['command.unknown@1', 'command.unknown@2']);
+
+        const list = await admin('get', '/api/prompts?environment=test');
+        expect(list.body.prompts.find(prompt => prompt.name === 'command.unknown'))
+            .toMatchObject({ activeVersion: 2, latestVersion: 2 });
+    });
+
+    test('should diff versions and roll back to the previous one', async() => {
+        await admin('put', '/api/prompts/legal.answer')
+            .send({ content: 'You are a legal AI assistant specializing in Ukrainian law.\nCite articles.' });
+
+        const diff = await admin('get', '/api/prompts/legal.answer/diff?from=1&to=2');
+
+        expect(diff.status).toBe(200);
+        expect(diff.body.text).toContain('+Cite articles.');
+        expect(diff.body.text).toContain('-Always recommend consulting with a qualified attorney for specific legal advice.');
+        expect(diff.body.text).toContain(' You are a legal AI assistant specializing in Ukrainian law.');
+
+        const rollback = await admin('post', '/api/prompts/legal.answer/rollback').send({});
+
+        expect(rollback.body).toMatchObject({ version: 1, previousVersion: 2 });
+        expect((await container.get('promptService').render('legal.answer')).ref).toBe('legal.answer@1');
+
+        const tooFar = await admin('post', '/api/prompts/legal.answer/rollback').send({});
+        expect(tooFar.status).toBe(400);
+    });
+
+    test('should reject placeholders the template does not declare', async() => {
+        const response = await admin('put', '/api/prompts/motd.bender')
+            .send({ content: 'Speak {{language}} like {{character}}.' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.details).toBe('Unknown variables for motd.bender: character');
+    });
+
+    test('should guard the prompt API with an admin session', async() => {
+        expect((await request(app).get('/api/prompts')).status).toBe(401);
+        expect((await sessionRequest(app, 'guess')('get', '/api/prompts')).status).toBe(401);
+        expect((await user('get', '/api/prompts')).status).toBe(403);
+        expect((await admin('get', '/api/prompts/no.such')).status).toBe(404);
+    });
+});
@@ -0,0 +1,236 @@
+/**
+ * @jest-environment node
+ */
+const express = require('express');
+const request = require('supertest');
+const MockProvider = require('../src/modules/llm/MockProvider');
+const ResilientProvider = require('../src/modules/llm/ResilientProvider');
+const DatabaseManager = require('../src/modules/database');
+const container = require('../src/container/DIContainer');
+
+/**
+ * Creates a provider error
+ * @param {string} message - Message
+ * @param {number} status - HTTP status
+ * @returns {Error} - Error with status
+ */
+const providerError = (message, status) => Object.assign(new Error(message), { status });
+
+/**
+ * Builds a completion answered by a model
+ * @param {string} model - Model name
+ * @returns {Object} - OpenAI-style completion
+ */
+const completionOf = (model) => ({
+    model,
+    choices: [{ index: 0, message: { role: 'assistant', content: `answer from ${model}` }, finish_reason: 'stop' }]
+});
+
+/**
+ * Creates a provider stub
+ * @param {Function} createChatCompletion - Completion implementation
+ * @returns {Object} - Provider with model gpt-main
+ */
+const stubProvider = (createChatCompletion) => ({
+    model: 'gpt-main',
+    createChatCompletion: jest.fn(createChatCompletion),
+    isAvailable: jest.fn().mockResolvedValue(true),
+    getName: () => 'stub'
+});
+
+const PARAMS = { messages: [{ role: 'user', content: 'hello' }] };
+const FAST = { retries: 2, retryDelay: 1, retryMaxDelay: 5, timeout: 1000, fallbackModel: null, cannedAnswer: true };
+
+describe('Resilient LLM client', () => {
+    describe('retries and timeouts', () => {
+        test('should retry transient failures with backoff', async() => {
+            const provider = stubProvider(() => Promise.resolve(completionOf('gpt-main')));
+            provider.createChatCompletion
+                .mockRejectedValueOnce(providerError('Rate limit reached', 429))
+                .mockRejectedValueOnce(providerError('Bad gateway', 502));
+
+            const client = new ResilientProvider(provider, FAST);
+            const completion = await client.createChatCompletion(PARAMS);
+
+            expect(completion.choices[0].message.content).toBe('answer from gpt-main');
+            expect(completion.degraded).toBeUndefined();
+            expect(provider.createChatCompletion).toHaveBeenCalledTimes(3);
+            expect(client.getStatus().circuits['gpt-main']).toMatchObject({ state: 'closed', failures: 0 });
+        });
+
+        test('should take the retry count from LLM_MAX_RETRIES, keeping 0 and ignoring non-numbers', () => {
+            const provider = stubProvider(() => Promise.resolve(completionOf('gpt-main')));
+
+            try {
+                process.env.LLM_MAX_RETRIES = '0';
+                expect(new ResilientProvider(provider).retries).toBe(0);
+
+                process.env.LLM_MAX_RETRIES = 'three';
+                expect(new ResilientProvider(provider).retries).toBe(2);
+            } finally {
+                delete process.env.LLM_MAX_RETRIES;
+            }
+        });
+
+        test('should not retry request errors', async() => {
+            const provider = stubProvider(() => Promise.reject(providerError('Invalid API key', 401)));
+            const client = new ResilientProvider(provider, FAST);
+
+            await expect(client.createChatCompletion(PARAMS, { cannedAnswer: true }))
+                .rejects.toMatchObject({ status: 401, message: 'Invalid API key' });
+            expect(provider.createChatCompletion).toHaveBeenCalledTimes(1);
+        });
+
+        test('should abort attempts that exceed the timeout', async() => {
+            const signals = [];
+            const provider = stubProvider((params, options) => {
+                signals.push(options.signal);
+                return new Promise(() => {});
+            });
+            const client = new ResilientProvider(provider, { ...FAST, retries: 1, timeout: 20 });
+
+            await expect(client.createChatCompletion(PARAMS)).rejects.toMatchObject({
+                status: 503,
+                message: 'AI service is temporarily unavailable: AI request timed out after 20ms'
+            });
+            expect(signals).toHaveLength(2);
+            expect(signals.every(signal => signal.aborted)).toBe(true);
+        });
+    });
+
+    describe('circuit breaker and fallbacks', () => {
+        test('should open the circuit after repeated failures and close it after a successful trial', async() => {
+            let now = 0;
+            let healthy = false;
+            const provider = stubProvider(() => (healthy
+                ? Promise.resolve(completionOf('gpt-main'))
+                : Promise.reject(providerError('Service unavailable', 503))));
+            const client = new ResilientProvider(provider, {
+                ...FAST,
+                retries: 0,
+                cannedAnswer: false,
+                breakerThreshold: 2,
+                breakerResetTimeout: 1000,
+                now: () => now
+            });
+
+            await expect(client.createChatCompletion(PARAMS)).rejects.toMatchObject({ status: 503 });
+            await expect(client.createChatCompletion(PARAMS)).rejects.toMatchObject({ status: 503 });
+            expect(client.getStatus()).toMatchObject({ state: 'open', circuits: { 'gpt-main': { failures: 2 } } });
+
+            await expect(client.createChatCompletion(PARAMS)).rejects.toMatchObject({
+                message: 'AI service is temporarily unavailable: circuit open'
+            });
+            expect(provider.createChatCompletion).toHaveBeenCalledTimes(2);
+
+            now = 1000;
+            healthy = true;
+            expect(client.getStatus().state).toBe('half_open');
+
+            await client.createChatCompletion(PARAMS);
+            expect(client.getStatus().state).toBe('closed');
+        });
+
+        test('should fall back to the cheaper model and then to the canned answer', async() => {
+            let cheapUp = true;
+            const provider = stubProvider((params) => (params.model === 'gpt-cheap' && cheapUp
+                ? Promise.resolve(completionOf('gpt-cheap'))
+                : Promise.reject(providerError('Service unavailable', 503))));
+            const client = new ResilientProvider(provider, { ...FAST, retries: 1, fallbackModel: 'gpt-cheap' });
+
+            const fallback = await client.createChatCompletion(PARAMS);
+            expect(fallback).toMatchObject({ model: 'gpt-cheap', degraded: 'fallback_model' });
+
+            cheapUp = false;
+            const canned = await client.createChatCompletion(PARAMS, { cannedAnswer: true });
+            expect(canned).toMatchObject({ model: 'canned', degraded: 'canned' });
+            expect(canned.choices[0].message.content).toBe(ResilientProvider.MAINFRAME_BUSY);
+
+            await expect(client.createChatCompletion(PARAMS)).rejects.toMatchObject({ status: 503 });
+        });
+
+        test('should retry streams only before the first token', async() => {
+            const provider = new MockProvider({ fixtures: [{ match: 'hello', error: 'Overloaded', status: 503 }] });
+            const client = new ResilientProvider(provider, FAST);
+            const degraded = [];
+            const pieces = [];
+
+            for await (const piece of client.streamChatCompletion(PARAMS, {
+                cannedAnswer: true,
+                onDegraded: kind => degraded.push(kind)
+            })) {
+                pieces.push(piece);
+            }
+
+            expect(pieces.join('')).toBe(ResilientProvider.MAINFRAME_BUSY);
+            expect(degraded).toEqual(['canned']);
+            expect(provider.calls).toHaveLength(3);
+        });
+    });
+
+    describe('API', () => {
+        const app = express();
+        app.use(express.json());
+        app.use('/api', require('../src/routes/ai'));
+
+        let database;
+        let llmClient;
+
+        beforeEach(async() => {
+            process.env.LLM_RETRY_DELAY = '1';
+            process.env.LLM_BREAKER_THRESHOLD = '3';
+
+            database = new DatabaseManager();
+            database.dbPath = ':memory:';
+            await database.initialize();
+
+            llmClient = new MockProvider({
+                fixtures: [{ match: 'Unknown command: frobnicate', error: 'Model overloaded', status: 503 }]
+            });
+            container.initialize({ databaseManager: database, llmClient });
+        });
+
+        afterEach(() => {
+            container.clear();
+            database.close();
+            delete process.env.LLM_RETRY_DELAY;
+            delete process.env.LLM_BREAKER_THRESHOLD;
+        });
+
+        test('should answer with the mainframe busy notice and report the open circuit', async() => {
+            const response = await request(app).post('/api/process-command').send({ command: 'frobnicate' });
+
+            expect(response.status).toBe(200);
+            expect(response.body).toMatchObject({
+                success: true,
+                output: ResilientProvider.MAINFRAME_BUSY,
+                degraded: 'canned'
+            });
+            expect(llmClient.calls).toHaveLength(3);
+
+            const status = await request(app).get('/api/status');
+
+            expect(status.body.status).toBe('degraded');
+            expect(status.body.resilience).toMatchObject({
+                state: 'open',
+                model: 'mock',
+                circuits: { mock: { state: 'open', failures: 3, lastError: 'Model overloaded' } }
+            });
+
+            const cached = await container.get('semanticCacheService').list();
+            expect(cached).toEqual([]);
+        });
+
+        test('should answer 503 when the canned answer is disabled', async() => {
+            process.env.LLM_CANNED_ANSWER = 'false';
+            container.clear();
+            container.initialize({ databaseManager: database, llmClient });
+
+            const response = await request(app).post('/api/process-command').send({ command: 'frobnicate' });
+            delete process.env.LLM_CANNED_ANSWER;
+
+            expect(response.status).toBe(503);
+            expect(response.body.details).toBe('AI service is temporarily unavailable: Model overloaded');
+        });
+    });
+});
@@ -0,0 +1,314 @@
+/**
+ * @jest-environment node
+ */
+const express = require('express');
+const request = require('supertest');
+const zlib = require('zlib');
+const MockProvider = require('../src/modules/llm/MockProvider');
+const MockZakonServer = require('../src/modules/zakon/MockZakonServer');
+const DatabaseManager = require('../src/modules/database');
+const container = require('../src/container/DIContainer');
+const SearchExporter = require('../src/modules/export/SearchExporter');
+const TrueTypeFont = require('../src/modules/export/TrueTypeFont');
+const { buildDossierDocument, buildSummaryMaterial, findExcerpts, markTerms } = require('../src/modules/export/dossier');
+const { renderMarkdown } = require('../src/modules/export/markdown');
+const { renderHtml } = require('../src/modules/export/html');
+const { renderPdf, transliterate } = require('../src/modules/export/pdf');
+const { renderDocx } = require('../src/modules/export/docx');
+const { crc32, createZip, readZip } = require('../src/modules/export/zip');
+
+const DOSSIER = {
+    id: 7,
+    query: 'виселення з житла',
+    totalCount: 12,
+    createdAt: '2026-10-19 10:00:00',
+    exportedAt: '2026-10-19T11:00:00.000Z',
+    summary: { text: 'Суди задовольняють позови про виселення.\n\nДругий абзац.', stored: true },
+    cases: [
+        {
+            id: '101',
+            number: '757/12345/23-ц',
+            courtName: 'Печерський районний суд міста Києва',
+            date: '2023-05-10',
+            judgmentForm: 'Рішення',
+            summary: 'Про виселення <колишнього> члена сім\'ї',
+            highlights: [],
+            fullText: 'Суд розглянув позов про виселення.\nПозов задовольнити, виселити відповідача.'
+        },
+        {
+            id: '102',
+            number: '755/1/24',
+            courtName: 'Київський апеляційний суд',
+            highlights: [],
+            fullText: null
+        }
+    ]
+};
+
+describe('Search export', () => {
+    describe('dossier document', () => {
+        test('should mark query words by stem and the stored highlights', () => {
+            const terms = markTerms('виселення з житла', ['Позов']);
+
+            expect(terms).toContain('позов');
+            expect(terms).not.toContain('з');
+
+            const [excerpt] = findExcerpts('Суд задовольнив позов про виселення відповідача.', terms);
+            expect(excerpt.filter(run => run.mark).map(run => run.text)).toEqual(['позов', 'виселення']);
+        });
+
+        test('should cut long texts into excerpts around the marked words', () => {
+            const text = `${'слово '.repeat(100)}виселення ${'слово '.repeat(100)}`;
+            const [excerpt] = findExcerpts(text, ['виселен'], { radius: 30 });
+
+            expect(excerpt[0].text).toBe('… ');
+            expect(excerpt[excerpt.length - 1].text).toBe(' …');
+            expect(excerpt.map(run => run.text).join('').length).toBeLessThan(80);
+        });
+
+        test('should list metadata, summary, excerpts and full texts', () => {
+            const document = buildDossierDocument(DOSSIER);
+            const headings = document.blocks.filter(block => block.type === 'heading').map(block => block.text);
+
+            expect(headings).toEqual([
+                'Legal research: виселення з житла',
+                'AI summary',
+                'Decisions',
+                '1. 757/12345/23-ц - Печерський районний суд міста Києва',
+                'Highlighted excerpts',
+                'Full text',
+                '2. 755/1/24 - Київський апеляційний суд'
+            ]);
+            expect(document.blocks[1].rows).toContainEqual(['Decisions found', '12']);
+            expect(document.blocks.filter(block => block.note).map(block => block.runs[0].text)).toEqual([
+                'Generated by an AI model from the decisions below; verify it against them.',
+                'Full text was not downloaded.'
+            ]);
+        });
+
+        test('should explain a missing summary and leave out one that was not requested', () => {
+            const failed = buildDossierDocument({ ...DOSSIER, summary: { error: 'budget exhausted' } });
+            const skipped = buildDossierDocument({ ...DOSSIER, summary: null });
+
+            expect(failed.blocks[3].runs[0].text).toBe('Not available: budget exhausted');
+            expect(skipped.blocks.some(block => block.text === 'AI summary')).toBe(false);
+        });
+
+        test('should build the summary material from metadata and excerpts', () => {
+            const material = buildSummaryMaterial(DOSSIER);
+
+            expect(material).toContain('Query: виселення з житла');
+            expect(material).toContain('1. 757/12345/23-ц, Печерський районний суд міста Києва, 2023-05-10, Рішення');
+            expect(material).toContain('> Суд розглянув позов про виселення.');
+            expect(buildSummaryMaterial(DOSSIER, 50)).toHaveLength(50);
+        });
+    });
+
+    describe('formats', () => {
+        const document = buildDossierDocument(DOSSIER);
+
+        test('should render Markdown with marked words in bold and text escaped', () => {
+            const markdown = renderMarkdown(document).toString('utf8');
+
+            expect(markdown).toMatch(/^# Legal research: виселення з житла\n/);
+            expect(markdown).toContain('- **Case number:** 757/12345/23-ц');
+            expect(markdown).toContain('Про виселення \\<колишнього\\> члена');
+            expect(markdown).toContain('> Суд розглянув позов про **виселення**.');
+            expect(markdown).toContain('_Full text was not downloaded._');
+        });
+
+        test('should render a standalone HTML page', () => {
+            const html = renderHtml(document).toString('utf8');
+
+            expect(html).toMatch(/^<!DOCTYPE html>\n<html lang="uk">/);
+            expect(html).toContain('<title>Legal research: виселення з житла</title>');
+            expect(html).toContain('<blockquote>Суд розглянув позов про <mark>виселення</mark>. Позов');
+            expect(html).toContain('Про виселення &lt;колишнього&gt; члена');
+        });
+
+        test('should write a PDF with a valid cross-reference table', () => {
+            const pdf = renderPdf(document, { created: new Date('2026-10-19T11:00:00Z') });
+            const text = pdf.toString('latin1');
+            const startxref = Number(text.match(/startxref\n(\d+)\n%%EOF\n$/)[1]);
+            const offsets = [...text.matchAll(/(\d{10}) 00000 n /g)].map(match => Number(match[1]));
+
+            expect(text.startsWith('%PDF-1.7')).toBe(true);
+            expect(text.slice(startxref, startxref + 4)).toBe('xref');
+            offsets.forEach((offset, index) => expect(text.slice(offset)).toMatch(new RegExp(`^${index + 1} 0 obj`)));
+            expect(text).toContain('/BaseFont /Helvetica');
+            expect(text).toContain('/CreationDate (D:20261019110000Z)');
+
+            const contents = text.match(/<< \/Filter \/FlateDecode \/Length (\d+) >>\nstream\n/);
+            const start = contents.index + contents[0].length;
+            const ops = zlib.inflateSync(pdf.subarray(start, start + Number(contents[1]))).toString('latin1');
+            expect(ops).toContain(Buffer.from('Legal research: vyselennia z zhytla', 'latin1').toString('hex'));
+        });
+
+        test('should transliterate Cyrillic for the standard font', () => {
+            expect(transliterate('Щастя Євген, Юлія «№ 5»')).toBe('Shchastia Yevhen, Yuliia "No. 5"');
+        });
+
+        test('should write a DOCX package with highlighted marks', () => {
+            const files = readZip(renderDocx(document, { created: new Date('2026-10-19T11:00:00Z') }));
+
+            expect(Object.keys(files)).toEqual([
+                '[Content_Types].xml',
+                '_rels/.rels',
+                'docProps/core.xml',
+                'docProps/app.xml',
+                'word/_rels/document.xml.rels',
+                'word/styles.xml',
+                'word/document.xml'
+            ]);
+
+            const xml = files['word/document.xml'].toString('utf8');
+            expect(xml).toContain('<w:pStyle w:val="Heading1"/>');
+            expect(xml).toContain('<w:highlight w:val="yellow"/></w:rPr><w:t xml:space="preserve">виселення</w:t>');
+            expect(xml).toContain('Про виселення &lt;колишнього&gt; члена');
+            expect(files['docProps/core.xml'].toString('utf8')).toContain('2026-10-19T11:00:00Z');
+        });
+
+        test('should write ZIP entries with their CRC-32', () => {
+            const archive = createZip([{ name: 'a.txt', data: 'hello' }], new Date(2026, 9, 19, 13, 45, 30));
+
+            expect(crc32(Buffer.from('hello'))).toBe(0x3610A686);
+            expect(crc32(Buffer.alloc(0))).toBe(0);
+            expect(archive.readUInt16LE(10)).toBe((13 * 2048) + (45 * 32) + 15);
+            expect(archive.readUInt16LE(12)).toBe((46 * 512) + (10 * 32) + 19);
+            expect(archive.readUInt32LE(14)).toBe(0x3610A686);
+            expect(readZip(archive)['a.txt'].toString()).toBe('hello');
+        });
+    });
+
+    describe('SearchExporter', () => {
+        test('should name files after the search and accept format aliases', () => {
+            const file = new SearchExporter({ fontPaths: [] }).render(DOSSIER, 'MD');
+
+            expect(file).toMatchObject({
+                format: 'markdown',
+                filename: 'search-7-vyselennia-z-zhytla.md',
+                contentType: 'text/markdown; charset=utf-8'
+            });
+        });
+
+        test('should reject unknown formats', () => {
+            expect(() => new SearchExporter({ fontPaths: [] }).render(DOSSIER, 'odt'))
+                .toThrow(expect.objectContaining({ status: 400 }));
+        });
+
+        test('should fall back to Helvetica when no font loads', () => {
+            const exporter = new SearchExporter({ fontPaths: [__filename] });
+            const file = exporter.render(DOSSIER, 'pdf');
+
+            expect(exporter.font).toBeNull();
+            expect(file.body.toString('latin1')).toContain('/BaseFont /Helvetica');
+        });
+
+        test('should reject data that is no TrueType font', () => {
+            expect(() => new TrueTypeFont(Buffer.from('not a font at all'))).toThrow(/TrueType/);
+        });
+    });
+
+    describe('GET /api/zakon-online/search/:id/export', () => {
+        const app = express();
+        app.use('/api/zakon-online', require('../src/routes/zakonOnline'));
+
+        let server;
+        let database;
+        let llmClient;
+        let searchId;
+
+        beforeAll(async() => {
+            server = new MockZakonServer({ token: 'test-token' });
+            await server.start();
+        });
+
+        afterAll(async() => {
+            await server.stop();
+        });
+
+        beforeEach(async() => {
+            Object.assign(process.env, { ZAKON_BASE_URL: server.url, ZAKON_TOKEN: 'test-token' });
+
+            database = new DatabaseManager();
+            database.dbPath = ':memory:';
+            await database.initialize();
+
+            llmClient = new MockProvider({
+                fixtures: [{ match: 'legal research dossier', response: 'Суди підтримують виселення.' }]
+            });
+            container.initialize({ databaseManager: database, llmClient });
+            searchId = (await container.get('zakonOnlineService').performFullSearch('виселення')).searchId;
+        });
+
+        afterEach(() => {
+            container.clear();
+            database.close();
+            delete process.env.ZAKON_BASE_URL;
+            delete process.env.ZAKON_TOKEN;
+        });
+
+        test('should download the dossier and write its AI summary once', async() => {
+            const response = await request(app).get(`/api/zakon-online/search/${searchId}/export?format=md`);
+
+            expect(response.status).toBe(200);
+            expect(response.headers['content-type']).toBe('text/markdown; charset=utf-8');
+            expect(response.headers['content-disposition'])
+                .toBe(`attachment; filename="search-${searchId}-vyselennia.md"`);
+            expect(response.text).toContain('## AI summary\n\nСуди підтримують виселення.');
+            expect(response.text).toContain('### 1. 757/12345/23-ц');
+            expect(response.text).toContain('**виселення**');
+            expect(llmClient.calls).toHaveLength(1);
+            expect(llmClient.calls[0].params.messages[1].content).toContain('757/12345/23-ц');
+
+            const again = await request(app).get(`/api/zakon-online/search/${searchId}/export?format=docx`);
+
+            expect(again.status).toBe(200);
+            expect(again.headers['content-type'])
+                .toBe('application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+            expect(llmClient.calls).toHaveLength(1);
+        });
+
+        test('should export without summary on request and report failed summaries', async() => {
+            const plain = await request(app).get(`/api/zakon-online/search/${searchId}/export?format=html&summary=false`);
+
+            expect(plain.status).toBe(200);
+            expect(plain.text).not.toContain('AI summary');
+            expect(llmClient.calls).toHaveLength(0);
+
+            llmClient.reset();
+            llmClient.addFixture({ match: 'legal research dossier', error: 'model offline', status: 400 });
+
+            const failed = await request(app).get(`/api/zakon-online/search/${searchId}/export?format=html`);
+
+            expect(failed.text).toMatch(/<p class="note">Not available: .*model offline<\/p>/);
+        });
+
+        test('should reject unknown formats and searches', async() => {
+            const format = await request(app).get(`/api/zakon-online/search/${searchId}/export?format=odt`);
+            const missing = await request(app).get('/api/zakon-online/search/999/export?format=pdf');
+
+            expect(format.status).toBe(400);
+            expect(missing.status).toBe(404);
+            expect(missing.body).toEqual({ success: false, error: 'Search not found: 999' });
+        });
+
+        test('should answer 429 once the AI budget is spent', async() => {
+            process.env.AI_BUDGET_DAILY = '0.1';
+
+            try {
+                await container.get('openaiRequestRepository').save({
+                    query: 'q', response: 'a', model: 'gpt-4o', requestType: 'legal_request', cost: 0.25
+                });
+
+                const response = await request(app).get(`/api/zakon-online/search/${searchId}/export?format=md`);
+
+                expect(response.status).toBe(429);
+                expect(response.body.error).toBe('AI budget exceeded');
+                expect(llmClient.calls).toHaveLength(0);
+            } finally {
+                delete process.env.AI_BUDGET_DAILY;
+            }
+        });
+    });
+});
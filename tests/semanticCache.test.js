@@ -0,0 +1,169 @@
+/**
+ * @jest-environment node
+ */
+const express = require('express');
+const request = require('supertest');
+const MockProvider = require('../src/modules/llm/MockProvider');
+const DatabaseManager = require('../src/modules/database');
+const { vectorize, cosineSimilarity } = require('../src/utils/textVector');
+const container = require('../src/container/DIContainer');
+
+const { ADMIN_SESSION, USER_SESSION, sessionRequest } = require('./fixtures/sessions');
+
+jest.mock('../src/modules/auth', () => require('./fixtures/sessions').mockAuthModule());
+
+describe('Semantic AI answer cache', () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api', require('../src/routes/ai'));
+    app.use('/api/prompts', require('../src/routes/prompts'));
+
+    let database;
+    let llmClient;
+    let aiService;
+
+    const admin = sessionRequest(app, ADMIN_SESSION);
+    const user = sessionRequest(app, USER_SESSION);
+
+    beforeEach(async() => {
+        database = new DatabaseManager();
+        database.dbPath = ':memory:';
+        await database.initialize();
+
+        llmClient = new MockProvider({
+            fixtures: [
+                { match: 'traceroute', response: 'Use traceroute <host> to list the hops.' },
+                { match: 'ping', response: 'Use ping <host> to check reachability.' }
+            ]
+        });
+        container.initialize({ databaseManager: database, llmClient });
+        aiService = container.get('aiService');
+    });
+
+    afterEach(() => {
+        container.clear();
+        database.close();
+        delete process.env.SEMANTIC_CACHE_THRESHOLD;
+        delete process.env.SEMANTIC_CACHE_ENABLED;
+    });
+
+    test('should score rephrased questions above unrelated ones', () => {
+        const question = vectorize('how to ping');
+
+        expect(cosineSimilarity(question, vectorize('How do I ping?'))).toBeCloseTo(1);
+        expect(cosineSimilarity(question, vectorize('how to traceroute'))).toBe(0);
+    });
+
+    test('should reuse the answer to a rephrased question without calling the model', async() => {
+        const first = await request(app).post('/api/process-command').send({ command: 'how to ping' });
+        const second = await request(app).post('/api/process-command').send({ command: 'How do I ping?' });
+
+        expect(first.body).toMatchObject({ cached: false, output: 'Use ping <host> to check reachability.' });
+        expect(first.body.semanticHit).toBeUndefined();
+        expect(second.body).toMatchObject({
+            success: true,
+            cached: true,
+            output: 'Use ping <host> to check reachability.',
+            semanticHit: { query: 'how to ping', similarity: 1 }
+        });
+        expect(llmClient.calls).toHaveLength(1);
+
+        const entries = await admin('get', '/api/ai-cache');
+        expect(entries.body.entries).toEqual([
+            expect.objectContaining({ request_type: 'unknown_command', query: 'how to ping', hits: 1 })
+        ]);
+        expect(entries.body.entries[0].vector).toBeUndefined();
+    });
+
+    test('should call the model for dissimilar questions', async() => {
+        await aiService.processUnknownCommand('how to ping');
+        const result = await aiService.processUnknownCommand('how to traceroute');
+
+        expect(result).toMatchObject({ cached: false, output: 'Use traceroute <host> to list the hops.' });
+        expect(llmClient.calls).toHaveLength(2);
+    });
+
+    test('should take the similarity threshold from the environment', async() => {
+        await aiService.processUnknownCommand('ping google.com');
+
+        process.env.SEMANTIC_CACHE_THRESHOLD = '0.99';
+        expect((await aiService.processUnknownCommand('ping google.com twice')).cached).toBe(false);
+
+        process.env.SEMANTIC_CACHE_THRESHOLD = '0.3';
+        const result = await aiService.processUnknownCommand('ping google.com again');
+
+        expect(result.cached).toBe(true);
+        expect(result.semanticHit.similarity).toBeGreaterThanOrEqual(0.3);
+        expect(llmClient.calls).toHaveLength(2);
+    });
+
+    test('should not reuse answers about another number or host', async() => {
+        const semanticCache = container.get('semanticCacheService');
+        const question = 'what is the penalty under article 185 of the criminal code';
+
+        await semanticCache.store('legal_request', question, 'Article 185 covers theft.');
+
+        expect(await semanticCache.lookup('what is the penalty under article 186 of the criminal code', {
+            requestType: 'legal_request'
+        })).toBeNull();
+        expect(await semanticCache.lookup('penalty under article 185 of the criminal code', {
+            requestType: 'legal_request'
+        })).toMatchObject({ response: 'Article 185 covers theft.', similarity: 1 });
+
+        await aiService.processUnknownCommand('ping google.com');
+        expect((await aiService.processUnknownCommand('ping example.com')).cached).toBe(false);
+        expect(llmClient.calls).toHaveLength(2);
+    });
+
+    test('should not reuse answers in an ongoing conversation', async() => {
+        await aiService.processUnknownCommand('how to ping', false, { sessionToken: 'session-a' });
+        const followUp = await aiService.processUnknownCommand('how do I ping', false, { sessionToken: 'session-a' });
+        const fresh = await aiService.processUnknownCommand('how do I ping', false, { sessionToken: 'session-b' });
+
+        expect(followUp.cached).toBe(false);
+        expect(fresh.cached).toBe(true);
+        expect(llmClient.calls).toHaveLength(2);
+    });
+
+    test('should stop reusing answers once the prompt template changes', async() => {
+        await aiService.processUnknownCommand('how to ping');
+
+        await admin('put', '/api/prompts/command.unknown').send({ content: 'You are a terse 1970s terminal.' });
+        const result = await aiService.processUnknownCommand('how do I ping');
+
+        expect(result.cached).toBe(false);
+        expect(llmClient.calls).toHaveLength(2);
+    });
+
+    test('should skip the cache when it is disabled', async() => {
+        process.env.SEMANTIC_CACHE_ENABLED = 'false';
+
+        await aiService.processUnknownCommand('how to ping');
+        await aiService.processUnknownCommand('how to ping');
+
+        expect(llmClient.calls).toHaveLength(2);
+        expect((await admin('get', '/api/ai-cache')).body.count).toBe(0);
+    });
+
+    test('should invalidate single entries and clear by request type', async() => {
+        await aiService.processUnknownCommand('how to ping');
+        await aiService.searchLegalDatabase('оренда квартири');
+
+        const entries = (await admin('get', '/api/ai-cache')).body.entries;
+        const ping = entries.find(entry => entry.request_type === 'unknown_command');
+
+        expect((await admin('delete', `/api/ai-cache/${ping.id}`)).status).toBe(200);
+        expect((await admin('delete', `/api/ai-cache/${ping.id}`)).status).toBe(404);
+        expect((await aiService.processUnknownCommand('how do I ping')).cached).toBe(false);
+
+        const cleared = await admin('delete', '/api/ai-cache?requestType=legal_request');
+        expect(cleared.body.removed).toBe(1);
+        expect((await admin('get', '/api/ai-cache?requestType=legal_request')).body.count).toBe(0);
+    });
+
+    test('should guard the cache endpoints with an admin session', async() => {
+        expect((await request(app).get('/api/ai-cache')).status).toBe(401);
+        expect((await user('delete', '/api/ai-cache')).status).toBe(403);
+        expect((await admin('delete', '/api/ai-cache?requestType=motd')).status).toBe(400);
+    });
+});
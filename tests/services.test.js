@@ -26,6 +26,7 @@ describe('Services', () => {
 
                 expect(result.success).toBe(true);
                 expect(result.output).toBe('Formatted ping output');
+                expect(result.parsed).toHaveProperty('probes');
                 expect(result.cached).toBe(true);
                 expect(result.timestamp).toBeDefined();
             });
@@ -103,6 +104,22 @@ describe('Services', () => {
             });
         });
 
+        describe('httpProbe', () => {
+            test('should return formatted probe result', async () => {
+                const probe = { status: 200, finalUrl: 'https://google.com/', redirects: [] };
+                mockCacheManager.CacheManager.createNetworkKey.mockReturnValue('network_http-probe_google.com');
+                mockCacheManager.getOrSet.mockResolvedValue(probe);
+                mockOutputFormatter.formatHttpProbeOutput.mockReturnValue('HTTP/1.1 200 OK');
+
+                const result = await NetworkService.httpProbe('https://google.com/', { method: 'HEAD' });
+
+                expect(result.success).toBe(true);
+                expect(result.output).toBe('HTTP/1.1 200 OK');
+                expect(result.probe).toBe(probe);
+                expect(mockOutputFormatter.formatHttpProbeOutput).toHaveBeenCalledWith(probe);
+            });
+        });
+
         describe('getSystemInfo', () => {
             test('should return system information', async () => {
                 const mockSystemInfo = {
@@ -2,6 +2,10 @@
 process.env.NODE_ENV = 'test';
 process.env.OPENAI_API_KEY = 'test-api-key';
 process.env.DISABLE_AI = 'true';
+// AI code paths use the deterministic mock LLM provider, so tests never reach the network
+process.env.LLM_PROVIDER = 'mock';
+// Local test servers listen on loopback, which the outbound network policy denies by default
+process.env.NETWORK_ALLOW_CIDRS = '127.0.0.0/8,::1/128';
 
 // Mock fetch for tests
 global.fetch = jest.fn();
@@ -0,0 +1,100 @@
+/**
+ * @jest-environment node
+ */
+const MockProvider = require('../src/modules/llm/MockProvider');
+const StructuredOutput = require('../src/modules/llm/StructuredOutput');
+const LegalStrategy = require('../src/strategies/LegalStrategy');
+const PromptService = require('../src/services/promptService');
+
+const REASK = 'previous answer could not be used';
+
+describe('Structured AI output', () => {
+    describe('extractJSON', () => {
+        test('should read JSON from code fences and surrounding prose', () => {
+            expect(StructuredOutput.extractJSON('```json\n{"isLegal": true}\n```')).toEqual({ isLegal: true });
+            expect(StructuredOutput.extractJSON('Sure! Here it is: {"reason": "a {tricky} \\"case\\""} Hope it helps.'))
+                .toEqual({ reason: 'a {tricky} "case"' });
+            expect(StructuredOutput.extractJSON('[1, [2, 3]] trailing')).toEqual([1, [2, 3]]);
+        });
+
+        test('should reject answers without JSON', () => {
+            expect(() => StructuredOutput.extractJSON('I think it is legal.')).toThrow('no JSON object');
+            expect(() => StructuredOutput.extractJSON('{"isLegal": tru}')).toThrow('not valid JSON');
+        });
+    });
+
+    test('should validate and convert answers against the prompt schema', () => {
+        expect(StructuredOutput.parse('legal.detect', '{"isLegal": "true", "confidence": "0.9", "extra": 1}'))
+            .toEqual({ isLegal: true, confidence: 0.9, reason: '' });
+        expect(() => StructuredOutput.parse('legal.detect', '{"isLegal": true, "confidence": 3}'))
+            .toThrow('"confidence" must be less than or equal to 1');
+        expect(() => StructuredOutput.getSchema('command.unknown')).toThrow('Prompt command.unknown has no answer schema');
+    });
+
+    test('should re-ask the model with the validation error', async() => {
+        const llmClient = new MockProvider({
+            fixtures: [
+                { match: REASK, response: { searchQuery: 'оренда житла', confidence: 0.7 } },
+                { match: 'legal database', response: 'The best query would be "оренда житла".' }
+            ]
+        });
+        const structured = new StructuredOutput(llmClient, new PromptService());
+
+        const result = await structured.request('legal.search_query', 'Як розірвати договір оренди?');
+
+        expect(result).toEqual({ searchQuery: 'оренда житла', confidence: 0.7 });
+        expect(llmClient.calls).toHaveLength(2);
+
+        const retry = llmClient.calls[1].params.messages;
+        expect(retry[2]).toEqual({ role: 'assistant', content: 'The best query would be "оренда житла".' });
+        expect(retry[3].content).toContain('the answer contains no JSON object');
+    });
+
+    test('should give up after the configured number of re-asks', async() => {
+        process.env.STRUCTURED_OUTPUT_RETRIES = '1';
+
+        const llmClient = new MockProvider({ fixtures: [{ response: { isLegal: 'maybe' } }] });
+        const strategy = new LegalStrategy(llmClient, new PromptService());
+
+        try {
+            const result = await strategy.detectLegalRequest('is this legal?');
+
+            expect(result.success).toBe(false);
+            expect(result.error).toContain('Invalid legal.detect answer after 2 attempts');
+            expect(llmClient.calls).toHaveLength(2);
+        } finally {
+            delete process.env.STRUCTURED_OUTPUT_RETRIES;
+        }
+    });
+
+    test('should re-ask twice when the retry count is not a number', async() => {
+        process.env.STRUCTURED_OUTPUT_RETRIES = 'two';
+
+        const llmClient = new MockProvider({ fixtures: [{ response: { isLegal: 'maybe' } }] });
+        const strategy = new LegalStrategy(llmClient, new PromptService());
+
+        try {
+            const result = await strategy.detectLegalRequest('is this legal?');
+
+            expect(result.error).toContain('Invalid legal.detect answer after 3 attempts');
+            expect(llmClient.calls).toHaveLength(3);
+        } finally {
+            delete process.env.STRUCTURED_OUTPUT_RETRIES;
+        }
+    });
+
+    test('should return typed results from the legal strategy', async() => {
+        const llmClient = new MockProvider({
+            fixtures: [{ response: '```json\n{"isLegal": true, "confidence": 0.95, "reason": "Asks about a lease"}\n```' }]
+        });
+        const strategy = new LegalStrategy(llmClient, new PromptService());
+
+        expect(await strategy.detectLegalRequest('lease termination')).toEqual({
+            success: true,
+            isLegal: true,
+            confidence: 0.95,
+            reason: 'Asks about a lease',
+            query: 'lease termination'
+        });
+    });
+});
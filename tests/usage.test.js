@@ -0,0 +1,176 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const express = require('express');
+const request = require('supertest');
+const MockProvider = require('../src/modules/llm/MockProvider');
+const DatabaseManager = require('../src/modules/database');
+const UsageService = require('../src/services/usageService');
+const container = require('../src/container/DIContainer');
+const { ADMIN_SESSION, USER_SESSION, sessionRequest } = require('./fixtures/sessions');
+
+jest.mock('../src/modules/auth', () => require('./fixtures/sessions').mockAuthModule());
+
+const PRICES = JSON.stringify({ mock: { prompt: 1, completion: 2 } });
+
+describe('AI usage accounting', () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api', require('../src/routes/ai'));
+
+    let database;
+    let repository;
+
+    beforeEach(async() => {
+        process.env.LLM_PRICES = PRICES;
+
+        database = new DatabaseManager();
+        database.dbPath = ':memory:';
+        await database.initialize();
+
+        container.initialize({
+            databaseManager: database,
+            llmClient: new MockProvider({
+                fixtures: [{ match: 'Unknown command: frobnicate', response: 'SYNTAX ERROR. TRY HELP.' }]
+            })
+        });
+        repository = container.get('openaiRequestRepository');
+    });
+
+    afterEach(() => {
+        container.clear();
+        database.close();
+        delete process.env.LLM_PRICES;
+        delete process.env.AI_BUDGET_USER_DAILY;
+        delete process.env.AI_BUDGET_DAILY;
+    });
+
+    describe('pricing', () => {
+        test('should price prompt and completion tokens per 1K', () => {
+            expect(UsageService.calculateCost('mock', { prompt_tokens: 500, completion_tokens: 250 })).toBe(1);
+            expect(UsageService.calculateCost('gpt-4o', { prompt_tokens: 1000, completion_tokens: 1000 }))
+                .toBe(0.0125);
+        });
+
+        test('should price dated snapshots by the longest model prefix', () => {
+            expect(UsageService.getPrice('gpt-4o-mini-2024-07-18')).toEqual({ prompt: 0.00015, completion: 0.0006 });
+            expect(UsageService.getPrice('gpt-4o-2024-08-06')).toEqual({ prompt: 0.0025, completion: 0.01 });
+        });
+
+        test('should cost nothing for unknown models', () => {
+            expect(UsageService.calculateCost('llama3', { prompt_tokens: 1000, completion_tokens: 1000 })).toBe(0);
+        });
+    });
+
+    test('should record tokens, model, cost, type and user of every completion', async() => {
+        const response = await request(app).post('/api/process-command').send({ command: 'frobnicate' });
+
+        expect(response.status).toBe(200);
+
+        const saved = (await repository.getAll({ limit: 1 })).data[0];
+
+        expect(saved).toMatchObject({
+            query: 'Unknown command: frobnicate',
+            response: 'SYNTAX ERROR. TRY HELP.',
+            model: 'mock',
+            request_type: 'unknown_command',
+            user_ip: '::ffff:127.0.0.1'
+        });
+        expect(saved.prompt_tokens).toBeGreaterThan(0);
+        expect(saved.completion_tokens).toBeGreaterThan(0);
+        expect(saved.tokens_used).toBe(saved.prompt_tokens + saved.completion_tokens);
+        expect(saved.cost).toBeCloseTo(((saved.prompt_tokens * 1) + (saved.completion_tokens * 2)) / 1000, 6);
+    });
+
+    test('should stop AI calls of a user once the daily user budget is spent', async() => {
+        process.env.AI_BUDGET_USER_DAILY = '0.001';
+
+        const first = await request(app).post('/api/process-command').send({ command: 'frobnicate' });
+        const second = await request(app).post('/api/process-command').send({ command: 'frobnicate' });
+
+        expect(first.status).toBe(200);
+        expect(second.status).toBe(429);
+        expect(second.body.error).toBe('AI budget exceeded');
+        expect((await repository.getAll()).data).toHaveLength(1);
+    });
+
+    test('should stop all AI calls once the daily budget is spent', async() => {
+        process.env.AI_BUDGET_DAILY = '0.5';
+
+        await repository.save({ query: 'q', response: 'a', model: 'mock', userIp: '10.0.0.9', cost: 0.5 });
+
+        const response = await request(app).post('/api/process-command').send({ command: 'frobnicate' });
+
+        expect(response.status).toBe(429);
+        expect(response.body.details).toContain('Daily AI budget exhausted');
+    });
+
+    test('should aggregate usage for GET /api/stats', async() => {
+        await repository.save({
+            query: 'q', response: 'a', model: 'gpt-4o', requestType: 'legal_request',
+            userIp: '10.0.0.1', promptTokens: 100, completionTokens: 50, cost: 0.25
+        });
+        await request(app).post('/api/process-command').send({ command: 'frobnicate' });
+
+        const response = await request(app).get('/api/stats?days=3');
+        const { usage } = response.body;
+
+        expect(response.status).toBe(200);
+        expect(usage.days).toBe(3);
+        expect(usage.total.requests).toBe(2);
+        expect(usage.today.requests).toBe(2);
+        expect(usage.byModel.map(row => row.model).sort()).toEqual(['gpt-4o', 'mock']);
+        expect(usage.byType.map(row => row.request_type).sort()).toEqual(['legal_request', 'unknown_command']);
+        expect(usage.byUser).toBeUndefined();
+        expect(usage.formatted).toContain('AI USAGE (last 3 days)');
+        expect(usage.formatted).toContain('BY MODEL');
+        expect(usage.formatted).not.toContain('10.0.0.1');
+    });
+
+    test('should list spend per client IP for admins only', async() => {
+        await repository.save({
+            query: 'q', response: 'a', model: 'gpt-4o', requestType: 'legal_request',
+            userIp: '10.0.0.1', promptTokens: 100, completionTokens: 50, cost: 0.25
+        });
+
+        const user = await sessionRequest(app, USER_SESSION)('get', '/api/stats');
+        expect(user.body.usage.byUser).toBeUndefined();
+
+        const admin = await sessionRequest(app, ADMIN_SESSION)('get', '/api/stats');
+        expect(admin.body.usage.byUser[0]).toMatchObject({ user_ip: '10.0.0.1', requests: 1, tokens: 150, cost: 0.25 });
+        expect(admin.body.usage.formatted).toContain('TOP USERS');
+    });
+
+    test('should add the usage columns to an existing openai_requests table', async() => {
+        const dbPath = path.join(os.tmpdir(), `usage-migration-${process.pid}.db`);
+        const legacy = new sqlite3.Database(dbPath);
+
+        await new Promise((resolve, reject) => legacy.run(`CREATE TABLE openai_requests (
+            id INTEGER PRIMARY KEY AUTOINCREMENT, query TEXT NOT NULL, response TEXT, model TEXT,
+            tokens_used INTEGER DEFAULT 0, cost REAL DEFAULT 0, user_ip TEXT, session_id TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`, error => (error ? reject(error) : resolve())));
+        await new Promise(resolve => legacy.close(resolve));
+
+        const migrated = new DatabaseManager();
+        migrated.dbPath = dbPath;
+
+        try {
+            await migrated.initialize();
+
+            const columns = (await migrated.getAll('PRAGMA table_info(openai_requests)')).map(info => info.name);
+
+            expect(columns).toEqual(
+                expect.arrayContaining(['request_type', 'prompt_tokens', 'completion_tokens', 'prompt_version'])
+            );
+            expect(await migrated.addMissingColumns()).toBe(0);
+        } finally {
+            migrated.close();
+            fs.rmSync(dbPath, { force: true });
+        }
+    });
+});
@@ -33,6 +33,15 @@ describe('Validators', () => {
                 expect(result.error).toBeDefined();
             });
         });
+
+        test('should accept and normalize IPv6 literals', () => {
+            expect(Validators.validateHostname('::1').value).toBe('::1');
+            expect(Validators.validateHostname('[2001:db8::1]').value).toBe('2001:db8::1');
+            expect(Validators.validateHostname('fe80::1%eth0').value).toBe('fe80::1%eth0');
+            expect(Validators.getIPFamily('[::1]')).toBe(6);
+            expect(Validators.getIPFamily('127.0.0.1')).toBe(4);
+            expect(Validators.getIPFamily('example.com')).toBe(0);
+        });
     });
 
     describe('validateDomain', () => {
@@ -84,6 +93,19 @@ describe('Validators', () => {
             });
         });
 
+        test('should validate IPv6 literals', () => {
+            expect(Validators.validateIP('2001:db8::1').value).toBe('2001:db8::1');
+            expect(Validators.validateIP('[::1]').value).toBe('::1');
+            expect(Validators.validateIP('fe80::1%eth0').value).toBe('fe80::1%eth0');
+            expect(Validators.validateIP('[fe80::1%25eth0]').value).toBe('fe80::1%eth0');
+        });
+
+        test('should reject zone ids on IPv4 and malformed IPv6', () => {
+            expect(Validators.validateIP('1.2.3.4%eth0').isValid).toBe(false);
+            expect(Validators.validateIP('2001:db8:::1').isValid).toBe(false);
+            expect(Validators.validateIP('[::1').isValid).toBe(false);
+        });
+
         test('should reject invalid IP addresses', () => {
             const invalidIPs = [
                 '',
@@ -0,0 +1,238 @@
+/**
+ * @jest-environment node
+ */
+const DatabaseManager = require('../src/modules/database');
+const ZakonOnlineRepository = require('../src/repositories/ZakonOnlineRepository');
+const { buildMatchQuery } = require('../src/utils/ftsQuery');
+const { formatLocalLawSearch } = require('../src/utils/formatters');
+
+const CASE = {
+    caseId: '101',
+    courtName: 'Печерський районний суд міста Києва',
+    judgmentForm: 'Рішення',
+    justiceKind: 'Цивільне',
+    date: '2023-05-10',
+    number: '757/12345/23-ц',
+    summary: 'Про виселення'
+};
+
+describe('ZakonOnlineRepository', () => {
+    let database;
+    let repository;
+
+    beforeEach(async() => {
+        database = new DatabaseManager();
+        database.dbPath = ':memory:';
+        await database.initialize();
+        repository = new ZakonOnlineRepository(database);
+    });
+
+    afterEach(() => {
+        database.close();
+    });
+
+    test('should store each case and full text once per case_id', async() => {
+        const first = await repository.save({ query: 'виселення', totalCount: 2, caseIds: ['101', '102'] });
+        const second = await repository.save({ query: 'виселення', totalCount: 1, caseIds: ['101'] });
+
+        expect(await repository.saveCase(first.id, CASE)).toMatchObject({ success: true, created: true });
+        expect(await repository.saveCase(first.id, { caseId: '102', number: '910/1/23' }))
+            .toMatchObject({ created: true });
+        expect(await repository.saveCase(second.id, { caseId: '101', summary: 'Про виселення колишнього мешканця' }))
+            .toMatchObject({ created: false });
+
+        await repository.saveFullText('101', { fullText: 'Текст рішення', highlights: ['виселення'] });
+        expect(await repository.saveFullText('101', { fullText: 'Оновлений текст' }))
+            .toMatchObject({ created: false });
+
+        const cases = await database.getAll('SELECT * FROM zakon_online_cases WHERE case_id = ?', ['101']);
+        expect(cases).toHaveLength(1);
+        expect(cases[0]).toMatchObject({
+            search_id: first.id,
+            court_name: CASE.courtName,
+            case_number: CASE.number,
+            summary: 'Про виселення колишнього мешканця'
+        });
+
+        const fullText = await repository.getFullText('101');
+        expect(fullText.data).toMatchObject({ full_text: 'Оновлений текст', highlights: '[]' });
+
+        const stored = await repository.getCases(['102', '101', 'missing']);
+        expect(stored.data.map(row => [row.case_id, row.has_full_text])).toEqual([['102', 0], ['101', 1]]);
+    });
+
+    test('should report statistics and top searches', async() => {
+        await repository.save({ query: 'Аліменти', totalCount: 12, caseIds: ['1'] });
+        await repository.save({ query: 'аліменти', totalCount: 15, caseIds: ['1', '2'] });
+        await repository.save({ query: 'оренда', totalCount: 3 });
+        await repository.saveCase(1, { caseId: '1' });
+        await repository.saveCase(2, { caseId: '2' });
+        await repository.saveFullText('2', { fullText: 'Текст' });
+
+        const stats = await repository.getStats();
+        expect(stats.data).toMatchObject({
+            total_searches: 3,
+            unique_queries: 2,
+            searches_last_24h: 3,
+            total_cases: 2,
+            total_full_texts: 1
+        });
+
+        const top = await repository.getTopSearches(5);
+        expect(top.data.map(row => [row.query.toLowerCase(), row.search_count, row.total_count]))
+            .toEqual([['аліменти', 2, 15], ['оренда', 1, 3]]);
+
+        const history = await repository.getAll({ limit: 2 });
+        expect(history.data.map(row => row.query)).toEqual(['оренда', 'аліменти']);
+        expect(JSON.parse(history.data[1].result_case_ids)).toEqual(['1', '2']);
+    });
+
+    test('should delete old searches but keep their cases', async() => {
+        const { id } = await repository.save({ query: 'спадщина', caseIds: ['7'] });
+        await repository.saveCase(id, { caseId: '7' });
+        await repository.save({ query: 'розлучення' });
+        await database.runQuery(
+            "UPDATE zakon_online_searches SET created_at = datetime('now', '-40 days') WHERE id = ?",
+            [id]
+        );
+
+        expect(await repository.deleteOlderThan(30)).toMatchObject({ success: true, affectedRows: 1 });
+        expect((await repository.getAll()).data.map(row => row.query)).toEqual(['розлучення']);
+        expect((await repository.getCases(['7'])).count).toBe(1);
+    });
+
+    test('should add the result list and summary columns to existing databases', async() => {
+        await database.runQuery('DROP TABLE zakon_online_searches');
+        await database.runQuery(`CREATE TABLE zakon_online_searches (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            query TEXT NOT NULL,
+            total_count INTEGER DEFAULT 0,
+            page INTEGER DEFAULT 1,
+            page_size INTEGER DEFAULT 10,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+
+        expect(await database.addMissingColumns()).toBe(2);
+
+        const { id } = await repository.save({ query: 'договір', caseIds: ['5'] });
+        expect(await repository.saveSummary(id, 'Резюме')).toEqual({ success: true, affectedRows: 1 });
+        expect((await repository.getById(id)).data).toMatchObject({ result_case_ids: '["5"]', ai_summary: 'Резюме' });
+    });
+
+    describe('full-text search', () => {
+        const COLUMNS = ['case_number', 'court_name', 'summary', 'full_text'];
+        const search = (query, options = {}) => repository.search({ match: buildMatchQuery(query, COLUMNS), ...options });
+
+        beforeEach(async() => {
+            const { id } = await repository.save({ query: 'виселення', caseIds: ['101', '102', '103'] });
+
+            await repository.saveCase(id, CASE);
+            await repository.saveCase(id, {
+                caseId: '102',
+                courtName: 'Господарський суд міста Києва',
+                judgmentForm: 'Постанова',
+                justiceKind: 'Господарське',
+                date: '2021-02-01',
+                number: '910/1/21',
+                summary: 'Про стягнення орендної плати'
+            });
+            await repository.saveCase(id, {
+                caseId: '103',
+                courtName: 'Печерський районний суд міста Києва',
+                judgmentForm: 'Ухвала',
+                justiceKind: 'Цивільне',
+                date: '2023-11-20',
+                number: '757/999/23-ц',
+                summary: 'Про визнання права власності'
+            });
+            await repository.saveFullText('101', {
+                fullText: 'Суд вирішив виселити відповідача з квартири. Обов’язок сплатити судовий збір покласти на нього.'
+            });
+        });
+
+        test('should build FTS5 queries with stems, phrases and exclusions', () => {
+            expect(buildMatchQuery('виселення з квартири')).toBe('"висел"* AND "квартир"*');
+            expect(buildMatchQuery('обов\'язок 757/12345/23-ц')).toBe('"обов язок" AND "757 12345 23 ц"');
+            expect(buildMatchQuery('"право власності" -оренда', ['summary']))
+                .toBe('{summary} : (("право власності") NOT ("оренд"*))');
+            expect(buildMatchQuery('ёлка')).toBe('("ёлк"* OR "елк"*)');
+            expect(buildMatchQuery(' -оренда ')).toBeNull();
+        });
+
+        test('should find inflected words in summaries and full texts with highlighted snippets', async() => {
+            const result = await search('виселення');
+
+            expect(result).toMatchObject({ success: true, total: 1 });
+            expect(result.data[0]).toMatchObject({ case_id: '101', has_full_text: 1 });
+            expect(result.data[0].snippet).toContain('[виселити]');
+
+            const fullText = await search('обов\'язок судового');
+            expect(fullText.data.map(row => row.case_id)).toEqual(['101']);
+            expect(fullText.data[0].snippet).toContain('[Обов’язок]');
+        });
+
+        test('should search by case number, court name and excluded words', async() => {
+            expect((await search('757/999/23')).data.map(row => row.case_id)).toEqual(['103']);
+            expect((await search('печерський')).data.map(row => row.case_id).sort()).toEqual(['101', '103']);
+            expect((await search('суд -власності')).data.map(row => row.case_id).sort()).toEqual(['101', '102']);
+        });
+
+        test('should filter by court, justice kind, judgment form and date', async() => {
+            const filter = (query, column, value) => `${buildMatchQuery(query, COLUMNS)} AND ${buildMatchQuery(value, [column])}`;
+            const ids = async(options) => (await repository.search(options)).data.map(row => row.case_id).sort();
+
+            expect(await ids({ match: filter('суд', 'court_name', 'ПЕЧЕРСЬКОГО') })).toEqual(['101', '103']);
+            expect(await ids({ match: filter('суд', 'justice_kind', 'господарське') })).toEqual(['102']);
+            expect(await ids({ match: filter('суд', 'judgment_form', 'ухвала') })).toEqual(['103']);
+            expect(await ids({ match: buildMatchQuery('суд', COLUMNS), dateFrom: '2023-01-01', dateTo: '2023-06-30' }))
+                .toEqual(['101']);
+        });
+
+        test('should keep the index in sync with stored cases and full texts', async() => {
+            await repository.saveCase(1, { caseId: '102', summary: 'Про розірвання договору оренди' });
+            expect((await search('розірвання')).data.map(row => row.case_id)).toEqual(['102']);
+            expect((await search('стягнення')).total).toBe(0);
+
+            await repository.saveFullText('101', { fullText: 'Новий текст рішення' });
+            expect((await search('квартири')).total).toBe(0);
+
+            await database.runQuery('DELETE FROM zakon_online_cases WHERE case_id = ?', ['103']);
+            expect((await search('власності')).total).toBe(0);
+        });
+
+        test('should index cases stored before the index existed', async() => {
+            await database.runQuery('DELETE FROM zakon_online_fts');
+            expect((await search('виселення')).total).toBe(0);
+
+            await database.createTables();
+            expect((await search('виселення')).total).toBe(1);
+        });
+
+        test('should page results and format them for the terminal', async() => {
+            const page = await search('суд', { limit: 1, offset: 1 });
+            expect(page).toMatchObject({ total: 3, count: 1 });
+
+            const output = formatLocalLawSearch({
+                query: 'виселення',
+                total: 1,
+                offset: 0,
+                results: [{
+                    id: '101',
+                    number: CASE.number,
+                    date: CASE.date,
+                    courtName: CASE.courtName,
+                    judgmentForm: 'Рішення',
+                    justiceKind: 'Цивільне',
+                    snippet: 'Про [виселення]\n колишнього',
+                    hasFullText: true
+                }]
+            });
+            expect(output).toContain('STORED DECISIONS: "виселення" (1-1 of 1)');
+            expect(output).toContain('1. 757/12345/23-ц  2023-05-10  Печерський районний суд міста Києва');
+            expect(output).toContain('Рішення, Цивільне, full text #101');
+            expect(output).toContain('Про [виселення] колишнього');
+            expect(formatLocalLawSearch({ query: 'x', total: 0, offset: 0, results: [] }))
+                .toMatch(/^No stored decisions match "x"/);
+        });
+    });
+});
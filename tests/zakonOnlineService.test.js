@@ -1,41 +1,80 @@
+/**
+ * @jest-environment node
+ */
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
 const ZakonOnlineService = require('../src/services/zakonOnlineService');
-const databaseManager = require('../src/modules/database');
+const ZakonOnlineClient = require('../src/modules/zakon/ZakonOnlineClient');
+const MockZakonServer = require('../src/modules/zakon/MockZakonServer');
+const ZakonOnlineRepository = require('../src/repositories/ZakonOnlineRepository');
+const DatabaseManager = require('../src/modules/database');
+const container = require('../src/container/DIContainer');
+const { backoffDelay } = require('../src/utils/retry');
+const { ADMIN_SESSION, USER_SESSION, sessionRequest } = require('./fixtures/sessions');
 
-// Mock axios
-jest.mock('axios');
-const axios = require('axios');
-
-// Mock config
-jest.mock('../src/config/app', () => ({
-    zakonOnline: {
-        token: 'test-token'
-    }
-}));
+jest.mock('../src/modules/auth', () => require('./fixtures/sessions').mockAuthModule());
 
 describe('ZakonOnlineService', () => {
+    let server;
+    let client;
     let service;
 
+    beforeAll(async() => {
+        server = new MockZakonServer({ token: 'test-token' });
+        await server.start();
+    });
+
+    afterAll(async() => {
+        await server.stop();
+    });
+
     beforeEach(() => {
-        service = new ZakonOnlineService();
-        axios.mockClear();
+        server.requests = [];
+        server.failures = [];
+        client = new ZakonOnlineClient({
+            baseUrl: server.url,
+            token: 'test-token',
+            maxRetries: 2,
+            retryDelay: 1,
+            retryMaxDelay: 5
+        });
+        service = new ZakonOnlineService(null, client);
     });
 
     describe('initialization', () => {
-        test('should initialize with valid token', async () => {
-            // Set token before creating service
-            process.env.ZAKON_TOKEN = 'test-token';
-            const testService = new ZakonOnlineService();
-            // The service doesn't have an initialize method, so we just check it was created
-            expect(testService).toBeDefined();
-            expect(testService.token).toBeDefined();
-        });
-
-        test('should handle missing token', async () => {
-            // Set invalid token before creating service
-            process.env.ZAKON_TOKEN = undefined;
-            const testService = new ZakonOnlineService();
-            expect(testService).toBeDefined();
-            expect(testService.token).toBeDefined(); // Should get from config
+        test('should take the base URL, token, timeout and retries from config.zakon', () => {
+            const saved = { ...process.env };
+            Object.assign(process.env, {
+                ZAKON_TOKEN: 'config-token',
+                ZAKON_BASE_URL: 'http://127.0.0.1:4010/',
+                ZAKON_TIMEOUT: '2500',
+                ZAKON_MAX_RETRIES: '0'
+            });
+
+            try {
+                const configured = new ZakonOnlineService();
+
+                expect(configured.client).toMatchObject({
+                    baseUrl: 'http://127.0.0.1:4010',
+                    token: 'config-token',
+                    timeout: 2500,
+                    maxRetries: 0
+                });
+
+                process.env.ZAKON_MAX_RETRIES = 'many';
+                expect(new ZakonOnlineService().client.maxRetries).toBe(3);
+            } finally {
+                process.env = saved;
+            }
+        });
+
+        test('should send the token as a Bearer token', async() => {
+            const anonymous = new ZakonOnlineService(null, new ZakonOnlineClient({ baseUrl: server.url, token: '' }));
+
+            expect(await anonymous.getCourts()).toMatchObject({ success: false, status: 401 });
+            expect((await service.getCourts()).success).toBe(true);
+            expect(server.requests[1].headers.authorization).toBe('Bearer test-token');
         });
     });
 
@@ -43,35 +82,27 @@ describe('ZakonOnlineService', () => {
         test('should format search results correctly', () => {
             const searchResults = {
                 success: true,
-                data: {
-                    query: 'test query',
-                    totalCount: 5,
-                    items: [
+                query: 'test query',
+                metadata: {
+                    results: [
                         {
-                            courtName: 'Test Court',
-                            judgmentForm: 'Decision',
+                            id: 1,
+                            court_name: 'Test Court',
                             date: '2023-01-01',
-                            number: '123/2023',
-                            summary: 'Test summary'
-                        }
-                    ],
-                    fullTexts: [
-                        {
-                            fullText: 'Full text content',
-                            highlights: [
-                                { text: 'highlighted text' }
-                            ]
+                            case_number: '123/2023'
                         }
                     ]
-                }
+                },
+                fullTexts: [{ id: 1, fullText: 'Full text content' }]
             };
 
             const formatted = service.formatSearchResults(searchResults);
-            
+
             expect(formatted).toContain('SEARCH RESULTS');
             expect(formatted).toContain('test query');
-            expect(formatted).toContain('5 судових рішень');
+            expect(formatted).toContain('Found 1 decisions');
             expect(formatted).toContain('Test Court');
+            expect(formatted).toContain('Full text available');
         });
 
         test('should handle unsuccessful search', () => {
@@ -85,138 +116,282 @@ describe('ZakonOnlineService', () => {
         });
     });
 
-    describe('API calls with mocks', () => {
-        beforeEach(async () => {
-            process.env.ZAKON_TOKEN = 'test-token';
-            service = new ZakonOnlineService();
-        });
+    describe('API calls against the stand-in server', () => {
+        test('should get courts list', async() => {
+            const result = await service.getCourts();
 
-        test('should get courts list', async () => {
-            const mockCourts = [
-                { id: 1, name: 'Supreme Court' },
-                { id: 2, name: 'Appeal Court' }
-            ];
+            expect(result.success).toBe(true);
+            expect(result.data).toEqual(expect.arrayContaining([
+                expect.objectContaining({ code: '757', name: 'Печерський районний суд міста Києва' })
+            ]));
+        });
 
-            axios.get.mockResolvedValueOnce({
-                data: mockCourts
-            });
+        test('should search metadata with filters', async() => {
+            const result = await service.searchMetadata('виселення', { justiceKind: 1, limit: 5 });
 
-            const result = await service.getCourts();
             expect(result.success).toBe(true);
-            expect(result.data).toEqual(mockCourts);
+            expect(result.data.total).toBe(2);
+            expect(result.data.results.map(decision => decision.id)).toEqual([105, 101]);
+            expect(server.requests[0].params).toEqual({ q: 'виселення', justice_kind: '1', page: '1', limit: '5' });
         });
 
-        test('should search metadata', async () => {
-            const mockSearchResults = {
-                success: true,
-                data: {
-                    query: 'test query',
-                    totalCount: 1,
-                    items: []
-                }
-            };
+        test('should perform full search successfully', async() => {
+            const result = await service.performFullSearch('аліменти', { saveToDatabase: false });
 
-            axios.get.mockResolvedValueOnce({
-                data: mockSearchResults
+            expect(result).toMatchObject({ success: true, query: 'аліменти', totalCount: 2 });
+            expect(result.items[0]).toMatchObject({
+                id: '102',
+                courtName: 'Дніпровський районний суд міста Києва',
+                number: '755/4567/23'
             });
+            expect(result.fullTexts.map(text => text.id)).toEqual([102, 108]);
+            expect(result.fullTexts[0].fullText.text).toContain('стягнути з відповідача аліменти');
+        });
+
+        test('should handle no results', async() => {
+            const result = await service.searchDecisions('nonexistent query');
 
-            const result = await service.searchMetadata('test query');
             expect(result.success).toBe(true);
-            expect(result.data).toBeDefined();
+            expect(result.data).toMatchObject({ total: 0, results: [] });
         });
 
-        test('should perform full search successfully', async () => {
-            const mockSearchResults = {
-                success: true,
-                data: {
-                    query: 'test query',
-                    totalCount: 1,
-                    items: [
-                        {
-                            id: 1,
-                            courtName: 'Test Court',
-                            judgmentForm: 'Decision',
-                            date: '2023-01-01',
-                            number: '123/2023'
-                        }
-                    ]
-                }
-            };
+        test('should report missing decisions without retrying', async() => {
+            const result = await service.getFullText(999);
 
-            axios.get.mockResolvedValueOnce({
-                data: mockSearchResults
-            });
+            expect(result).toMatchObject({ success: false, status: 404 });
+            expect(server.requests).toHaveLength(1);
+        });
+    });
+
+    describe('retries', () => {
+        test('should retry rate limits and server errors', async() => {
+            server.failNext(429, { retryAfter: 1 });
+            server.failNext(503);
+
+            const result = await service.getJudgmentForms();
 
-            const result = await service.searchWithFullTexts('test query');
             expect(result.success).toBe(true);
-            expect(result.data).toBeDefined();
+            expect(server.requests).toHaveLength(3);
         });
 
-        test('should handle no results', async () => {
-            const mockSearchResults = {
-                success: false,
-                error: 'No results found'
-            };
+        test('should give up after maxRetries', async() => {
+            server.failNext(500, { times: 5 });
+
+            expect(await service.getJusticeKinds()).toMatchObject({ success: false, status: 500 });
+            expect(server.requests).toHaveLength(3);
+        });
+
+        test('should not retry request errors', async() => {
+            server.failNext(400);
+
+            expect(await service.getCourts()).toMatchObject({ success: false, status: 400 });
+            expect(server.requests).toHaveLength(1);
+        });
 
-            axios.get.mockResolvedValueOnce({
-                data: mockSearchResults
+        test('should wait at least Retry-After, capped at the longest backoff', () => {
+            const client = new ZakonOnlineClient({ baseUrl: server.url, retryDelay: 100, retryMaxDelay: 8000 });
+
+            expect(backoffDelay(0, { headers: { 'retry-after': '2' } }, client)).toBe(2000);
+            expect(backoffDelay(0, { headers: { 'retry-after': '60' } }, client)).toBe(8000);
+            expect(backoffDelay(3, {}, client)).toBeGreaterThanOrEqual(400);
+            expect(backoffDelay(3, {}, client)).toBeLessThanOrEqual(800);
+        });
+
+        test('should time out and retry requests that do not answer', async() => {
+            let received = 0;
+            const silent = http.createServer(() => {
+                received++;
             });
+            await new Promise(resolve => silent.listen(0, '127.0.0.1', resolve));
 
-            const result = await service.searchDecisions('nonexistent query');
-            expect(result.success).toBe(false);
+            try {
+                const slow = new ZakonOnlineClient({
+                    baseUrl: `http://127.0.0.1:${silent.address().port}`,
+                    timeout: 50,
+                    maxRetries: 1,
+                    retryDelay: 1,
+                    retryMaxDelay: 5
+                });
+
+                await expect(slow.get('/courts')).rejects.toMatchObject({ code: 'ETIMEDOUT' });
+                expect(received).toBe(2);
+            } finally {
+                silent.closeAllConnections();
+                await new Promise(resolve => silent.close(resolve));
+            }
         });
     });
 
-    describe('Database integration', () => {
-        beforeAll(async () => {
-            // Mock database manager methods
-            if (databaseManager && typeof databaseManager.initialize === 'function') {
-                await databaseManager.initialize();
+    describe('pagination', () => {
+        test('should iterate over all result pages', async() => {
+            const pages = [];
+
+            for await (const page of service.searchPages('суд', { limit: 3 })) {
+                pages.push(page);
             }
+
+            expect(pages.map(page => [page.page, page.items.length])).toEqual([[1, 3], [2, 3], [3, 2]]);
+            expect(pages[0].totalCount).toBe(8);
+            expect(new Set(pages.flatMap(page => page.items.map(item => item.id))).size).toBe(8);
         });
 
-        afterAll(async () => {
-            // Mock database manager methods
-            if (databaseManager && typeof databaseManager.close === 'function') {
-                await databaseManager.close();
+        test('should request the next page only when it is consumed', async() => {
+            for await (const page of service.searchPages('суд', { limit: 2, court: 1 })) {
+                expect(page.items.map(item => item.number)).toEqual(['757/12345/23-ц', '1-кп/757/310/22']);
+                break;
             }
+
+            expect(server.requests).toHaveLength(1);
+
+            const limited = [];
+            for await (const page of client.pages('/search', { q: 'суд' }, { limit: 2, maxPages: 2, page: 2 })) {
+                limited.push(page.page);
+            }
+            expect(limited).toEqual([2, 3]);
+        });
+    });
+
+    describe('case lookup', () => {
+        test('should list the decisions of a case in all instances and name its court', async() => {
+            const result = await service.lookupCase('757/12345/23');
+
+            expect(result).toMatchObject({
+                number: '757/12345/23',
+                type: 'case',
+                courtCode: '757',
+                year: 2023,
+                source: 'api',
+                total: 2,
+                court: { id: 1, code: '757', name: 'Печерський районний суд міста Києва', region: 'Київ' }
+            });
+            expect(result.results.map(item => [item.id, item.courtName])).toEqual([
+                ['105', 'Київський апеляційний суд'],
+                ['101', 'Печерський районний суд міста Києва']
+            ]);
+            expect(result.output).toContain('Court code: 757 - Печерський районний суд міста Києва (Київ)');
+        });
+
+        test('should look up proceeding numbers', async() => {
+            const result = await service.lookupCase('2/522/678/24');
+
+            expect(result).toMatchObject({ type: 'proceeding', justiceKind: 'Цивільне', year: 2024, total: 1 });
+            expect(result.court.name).toBe('Галицький районний суд міста Львова');
+            expect(result.results[0].id).toBe('104');
+            expect(result.output).toContain('PROCEEDING 2/522/678/24');
+        });
+
+        test('should report unknown courts and cases', async() => {
+            const result = await service.lookupCase('999/1/23');
+
+            expect(result).toMatchObject({ court: null, total: 0, results: [] });
+            expect(result.output).toContain('999 - not in the courts list');
+            expect(result.output).toContain('No decisions found for this case.');
+        });
+
+        test('should reuse the courts list', async() => {
+            await service.lookupCase('757/12345/23');
+            await service.lookupCase('1-кп/757/310/22');
+
+            expect(server.requests.filter(request => request.path === '/courts')).toHaveLength(1);
+        });
+
+        test('should reject text that is no case number', async() => {
+            await expect(service.lookupCase('12/05/23')).rejects.toMatchObject({ status: 400 });
+        });
+
+        test('should fail with 502 when the API is down and nothing is stored', async() => {
+            server.failNext(503, { times: 10 });
+
+            await expect(service.lookupCase('757/12345/23')).rejects.toMatchObject({ status: 502 });
+        });
+    });
+
+    describe('Database integration', () => {
+        let database;
+
+        beforeEach(async() => {
+            database = new DatabaseManager();
+            database.dbPath = ':memory:';
+            await database.initialize();
+            service = new ZakonOnlineService(new ZakonOnlineRepository(database), client);
+        });
+
+        afterEach(() => {
+            database.close();
+        });
+
+        test('should save search results to database', async() => {
+            const result = await service.performFullSearch('виселення');
+
+            expect(result.searchId).toBeDefined();
+
+            const details = await service.getSearchDetails(result.searchId);
+            expect(details.cases.map(item => [item.id, item.hasFullText])).toEqual([['105', true], ['101', true]]);
+
+            server.requests = [];
+            const restarted = new ZakonOnlineService(new ZakonOnlineRepository(database), client);
+            const stored = await restarted.getFullText(101);
+            expect(stored).toMatchObject({ success: true, stored: true });
+            expect(stored.data).toContain('втратив право користування житлом');
+            expect(server.requests).toHaveLength(0);
+
+            const offline = await service.searchStored('житлом');
+            expect(offline.results.map(item => item.id)).toEqual(['101']);
         });
 
-        beforeEach(async () => {
-            // Mock database operations
-            if (databaseManager && typeof databaseManager.clearTable === 'function') {
-                await databaseManager.clearTable('zakon_search_results');
+        test('should look up stored decisions when the API is down', async() => {
+            await service.performFullSearch('виселення');
+            server.failNext(503, { times: 10 });
+
+            const result = await new ZakonOnlineService(new ZakonOnlineRepository(database), client)
+                .lookupCase('757/12345/23-ц');
+
+            expect(result).toMatchObject({ source: 'stored', court: null, total: 2 });
+            expect(result.results.map(item => item.id)).toEqual(['105', '101']);
+            expect(result.output).toContain('showing stored decisions');
+        });
+
+        test('should show the search history of the container service in the terminal', async() => {
+            const { showZakonOnlineHistory } = require('../command_processor');
+
+            await service.performFullSearch('виселення');
+            container.register('zakonOnlineService', () => service);
+
+            try {
+                const output = await showZakonOnlineHistory(5);
+
+                expect(output).toContain('1. "виселення"');
+                expect(output).toContain('Знайдено: 2 справ');
+                expect(output).toContain('Показано: 2 справ');
+                expect(output).not.toContain('undefined');
+            } finally {
+                container.clear();
             }
         });
 
-        test('should save search results to database', async () => {
-            const mockMetadata = {
-                success: true,
-                data: {
-                    query: 'test query',
-                    totalCount: 1,
-                    items: [
-                        {
-                            id: 1,
-                            courtName: 'Test Court',
-                            judgmentForm: 'Decision',
-                            date: '2023-01-01',
-                            number: '123/2023'
-                        }
-                    ]
-                }
-            };
+        test('should let only admins delete old searches through the API', async() => {
+            const app = express();
+            app.use(express.json());
+            app.use('/api/zakon-online', require('../src/routes/zakonOnline'));
+            const admin = sessionRequest(app, ADMIN_SESSION);
+            const cleanup = (daysOld) => admin('post', '/api/zakon-online/cleanup').send({ daysOld });
+
+            await service.performFullSearch('виселення');
+            container.register('zakonOnlineService', () => service);
 
-            const mockFullTexts = [
-                {
-                    id: 1,
-                    fullText: 'Full text content',
-                    highlights: []
-                }
-            ];
+            try {
+                expect((await request(app).post('/api/zakon-online/cleanup')).status).toBe(401);
+                expect((await sessionRequest(app, USER_SESSION)('post', '/api/zakon-online/cleanup')).status).toBe(403);
+                expect((await cleanup(0)).status).toBe(400);
+                expect((await cleanup('-5')).status).toBe(400);
+                expect((await cleanup(1)).body.deletedCount).toBe(0);
 
-            const result = await service.saveSearchResults(mockMetadata, mockFullTexts);
-            expect(result).toBeDefined();
+                await database.runQuery("UPDATE zakon_online_searches SET created_at = datetime('now', '-40 days')");
+                expect((await admin('post', '/api/zakon-online/cleanup').send({})).body.deletedCount).toBe(1);
+                await expect(service.cleanupOldSearches(0)).rejects.toMatchObject({ status: 400 });
+            } finally {
+                container.clear();
+            }
         });
     });
-}); 
\ No newline at end of file
+});